@@ -1,11 +1,27 @@
 const XAVIER_URL = process.env.XAVIER_URL;
 const XAVIER_TAILSCALE_URL = process.env.XAVIER_TAILSCALE_URL;
+// Scoped /setup API token (console:openclaw.logs.tail, debug:read); mint it
+// in Xavier's /setup under "API tokens".
+const MONITOR_SETUP_TOKEN = process.env.MONITOR_SETUP_TOKEN;
+// Deprecated: Basic auth as admin, which Xavier accepts only with
+// SETUP_BASIC_AUTH=true.  Used when no token is set.
 const SETUP_PASSWORD = process.env.SETUP_PASSWORD;
 const HEALTH_TIMEOUT_MS = 10_000;
 
-const setupAuthHeader = SETUP_PASSWORD
-  ? "Basic " + Buffer.from(`admin:${SETUP_PASSWORD}`).toString("base64")
-  : null;
+export const setupAuthHeader = MONITOR_SETUP_TOKEN
+  ? `Bearer ${MONITOR_SETUP_TOKEN}`
+  : SETUP_PASSWORD
+    ? "Basic " + Buffer.from(`admin:${SETUP_PASSWORD}`).toString("base64")
+    : null;
+
+if (!MONITOR_SETUP_TOKEN && SETUP_PASSWORD) {
+  console.warn("[collector] SETUP_PASSWORD is deprecated: set MONITOR_SETUP_TOKEN (Xavier needs SETUP_BASIC_AUTH=true until then)");
+}
+
+// What to show for a failed /setup call; a 401 is almost always the auth change above.
+function setupHttpError(res) {
+  return res.status === 401 ? "HTTP 401 (check MONITOR_SETUP_TOKEN)" : `HTTP ${res.status}`;
+}
 
 // --- Health Probe ---
 
@@ -87,7 +103,7 @@ export async function collectLogs() {
     clearTimeout(timer);
 
     if (!res.ok) {
-      return { errorCount: 0, restartDetected: false, rawSnippet: `HTTP ${res.status}`, skipped: false };
+      return { errorCount: 0, restartDetected: false, rawSnippet: setupHttpError(res), skipped: false };
     }
 
     const body = await res.json();
@@ -139,7 +155,10 @@ export async function collectDebug() {
     });
     clearTimeout(timer);
 
-    if (!res.ok) return null;
+    if (!res.ok) {
+      console.error("[collector] debug probe:", setupHttpError(res));
+      return null;
+    }
 
     const body = await res.json();
     return {
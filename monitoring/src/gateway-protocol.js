@@ -0,0 +1,186 @@
+/**
+ * OpenClaw gateway protocol-v3 helpers.
+ *
+ * Shared by the monitor's persistent client (gateway.js) and the wrapper's
+ * readiness probe (src/gateway-readiness.js), so both speak exactly the same
+ * handshake: wait for `connect.challenge`, send a `connect` request (token or
+ * ED25519-signed device auth), expect a `hello-ok` response.
+ */
+
+import { randomUUID, createPrivateKey, sign } from "node:crypto";
+
+export const PROTOCOL_VERSION = 3;
+
+// ED25519 PKCS8 DER prefix (16 bytes) for wrapping raw 32-byte private keys
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+const DEFAULT_ROLE = "operator";
+const DEFAULT_SCOPES = ["operator.read", "operator.write", "operator.admin"];
+
+/**
+ * Build the device-auth payload string that gets ED25519-signed.
+ * Must match OpenClaw's buildDeviceAuthPayload() exactly.
+ */
+export function buildDeviceAuthPayload({ deviceId, clientId, clientMode, role, scopes, signedAtMs, token, nonce }) {
+  const version = nonce ? "v2" : "v1";
+  const parts = [version, deviceId, clientId, clientMode, role, scopes.join(","), String(signedAtMs), token || ""];
+  if (version === "v2") parts.push(nonce);
+  return parts.join("|");
+}
+
+/**
+ * Sign the payload with the device's ED25519 private key.
+ */
+export function signPayload(privKeyBase64Url, payload) {
+  const privRaw = Buffer.from(privKeyBase64Url, "base64url");
+  const pkcs8 = Buffer.concat([ED25519_PKCS8_PREFIX, privRaw]);
+  const key = createPrivateKey({ key: pkcs8, format: "der", type: "pkcs8" });
+  return sign(null, Buffer.from(payload, "utf8"), key).toString("base64url");
+}
+
+/**
+ * Build the params for the `connect` request.
+ *
+ * With `device` ({ id, token, publicKey, privateKey }) the client
+ * authenticates as a paired device with an ED25519-signed challenge to get
+ * operator scopes; otherwise it falls back to plain gateway-token auth.
+ * Throws if the device private key can't be used for signing.
+ *
+ * @param {{
+ *   client: { id: string, displayName: string, version: string, platform: string, mode: string },
+ *   token?: string,
+ *   device?: { id: string, token: string, publicKey?: string, privateKey: string } | null,
+ *   nonce?: string,
+ * }} opts
+ */
+export function buildConnectParams({ client, token, device, nonce }) {
+  const params = {
+    minProtocol: PROTOCOL_VERSION,
+    maxProtocol: PROTOCOL_VERSION,
+    client,
+    auth: {
+      token: device ? device.token : (token || undefined),
+    },
+  };
+
+  if (device) {
+    const signedAt = Date.now();
+    // Build the payload string and sign it (matches OpenClaw's verification)
+    const payload = buildDeviceAuthPayload({
+      deviceId: device.id,
+      clientId: client.id,
+      clientMode: client.mode,
+      role: DEFAULT_ROLE,
+      scopes: DEFAULT_SCOPES,
+      signedAtMs: signedAt,
+      token: device.token,
+      nonce: nonce || undefined,
+    });
+
+    params.device = {
+      id: device.id,
+      publicKey: device.publicKey || "",
+      signature: signPayload(device.privateKey, payload),
+      signedAt,
+      nonce: nonce || undefined,
+    };
+    params.role = DEFAULT_ROLE;
+    params.scopes = DEFAULT_SCOPES;
+  }
+
+  return params;
+}
+
+/**
+ * Parse a WebSocket message event into a frame object (or null).
+ */
+export function parseFrame(event) {
+  try {
+    return JSON.parse(typeof event.data === "string" ? event.data : event.data.toString());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Open a one-off connection, complete the handshake and resolve with
+ * `{ hello, call(method, params), close() }`. Rejects if the socket closes
+ * or the handshake doesn't finish within `timeoutMs`.
+ *
+ * @param {{ url: string, token?: string, client: object, timeoutMs?: number }} opts
+ */
+export function connectOnce({ url, token, client, timeoutMs = 10_000 }) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    const pending = new Map(); // id → { resolve, reject, timer }
+    let connectId = null;
+    let settled = false;
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(handshakeTimer);
+      try { ws.close(); } catch {}
+      reject(err);
+    };
+
+    const handshakeTimer = setTimeout(() => fail(new Error(`handshake timeout (${timeoutMs}ms)`)), timeoutMs);
+
+    const call = (method, params = {}) =>
+      new Promise((res, rej) => {
+        const id = randomUUID();
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          rej(new Error(`Gateway RPC timeout: ${method} (${timeoutMs}ms)`));
+        }, timeoutMs);
+        pending.set(id, { resolve: res, reject: rej, timer });
+        ws.send(JSON.stringify({ type: "req", id, method, params }));
+      });
+
+    ws.onmessage = (event) => {
+      const msg = parseFrame(event);
+      if (!msg) return;
+
+      if (msg.type === "event" && msg.event === "connect.challenge" && !connectId) {
+        connectId = randomUUID();
+        try {
+          const params = buildConnectParams({ client, token, nonce: msg.payload?.nonce });
+          ws.send(JSON.stringify({ type: "req", id: connectId, method: "connect", params }));
+        } catch (err) {
+          fail(err);
+        }
+        return;
+      }
+      if (msg.type !== "res") return;
+
+      if (msg.id === connectId) {
+        if (msg.ok !== false && msg.payload?.type === "hello-ok") {
+          settled = true;
+          clearTimeout(handshakeTimer);
+          resolve({ hello: msg.payload, call, close: () => ws.close() });
+        } else {
+          fail(new Error(msg.error?.message || "Handshake failed"));
+        }
+        return;
+      }
+
+      const entry = pending.get(msg.id);
+      if (!entry) return;
+      clearTimeout(entry.timer);
+      pending.delete(msg.id);
+      if (msg.ok) entry.resolve(msg.payload);
+      else entry.reject(new Error(msg.error?.message || "RPC error"));
+    };
+
+    // onclose always follows onerror; handle both there.
+    ws.onerror = () => {};
+    ws.onclose = (event) => {
+      for (const [, entry] of pending) {
+        clearTimeout(entry.timer);
+        entry.reject(new Error("Gateway connection closed"));
+      }
+      pending.clear();
+      fail(new Error(`socket closed before handshake (code=${event.code})`));
+    };
+  });
+}
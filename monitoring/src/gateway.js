@@ -8,9 +8,11 @@
  * Auto-reconnects on close/error with exponential backoff (1s → 30s).
  */
 
-import { randomUUID, createPrivateKey, sign } from "node:crypto";
+import { randomUUID } from "node:crypto";
 import { EventEmitter } from "node:events";
 
+import { buildConnectParams, parseFrame } from "./gateway-protocol.js";
+
 const GATEWAY_HOST = process.env.XAVIER_TAILSCALE_HOST || "xavier";
 const GATEWAY_PORT = Number(process.env.GATEWAY_PORT) || 18789;
 const GATEWAY_TOKEN = process.env.GATEWAY_TOKEN || "";
@@ -19,29 +21,13 @@ const GATEWAY_DEVICE_TOKEN = process.env.GATEWAY_DEVICE_TOKEN || "";
 const GATEWAY_DEVICE_PUBKEY = process.env.GATEWAY_DEVICE_PUBKEY || "";
 const GATEWAY_DEVICE_PRIVKEY = process.env.GATEWAY_DEVICE_PRIVKEY || "";
 
-// ED25519 PKCS8 DER prefix (16 bytes) for wrapping raw 32-byte private keys
-const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
-
-/**
- * Build the device-auth payload string that gets ED25519-signed.
- * Must match OpenClaw's buildDeviceAuthPayload() exactly.
- */
-function buildDeviceAuthPayload({ deviceId, clientId, clientMode, role, scopes, signedAtMs, token, nonce }) {
-  const version = nonce ? "v2" : "v1";
-  const parts = [version, deviceId, clientId, clientMode, role, scopes.join(","), String(signedAtMs), token || ""];
-  if (version === "v2") parts.push(nonce);
-  return parts.join("|");
-}
-
-/**
- * Sign the payload with the device's ED25519 private key.
- */
-function signPayload(privKeyBase64Url, payload) {
-  const privRaw = Buffer.from(privKeyBase64Url, "base64url");
-  const pkcs8 = Buffer.concat([ED25519_PKCS8_PREFIX, privRaw]);
-  const key = createPrivateKey({ key: pkcs8, format: "der", type: "pkcs8" });
-  return sign(null, Buffer.from(payload, "utf8"), key).toString("base64url");
-}
+const MONITOR_CLIENT = {
+  id: "gateway-client",
+  displayName: "xavier-monitor",
+  version: "1.0.0",
+  platform: "node",
+  mode: "backend",
+};
 
 const RECONNECT_BASE_MS = 1000;
 const RECONNECT_MAX_MS = 30_000;
@@ -159,11 +145,9 @@ class GatewayClient extends EventEmitter {
     };
 
     this._ws.onmessage = (event) => {
-      let msg;
-      try {
-        msg = JSON.parse(typeof event.data === "string" ? event.data : event.data.toString());
-      } catch (err) {
-        console.error("[gateway] invalid JSON:", err.message);
+      const msg = parseFrame(event);
+      if (!msg) {
+        console.error("[gateway] invalid JSON frame");
         return;
       }
 
@@ -281,59 +265,27 @@ class GatewayClient extends EventEmitter {
     // Otherwise fall back to basic gateway token auth (limited scopes).
     const useDeviceAuth = GATEWAY_DEVICE_ID && GATEWAY_DEVICE_TOKEN && GATEWAY_DEVICE_PRIVKEY;
 
-    const role = "operator";
-    const scopes = ["operator.read", "operator.write", "operator.admin"];
-
-    const connectParams = {
-      minProtocol: 3,
-      maxProtocol: 3,
-      client: {
-        id: "gateway-client",
-        displayName: "xavier-monitor",
-        version: "1.0.0",
-        platform: "node",
-        mode: "backend",
-      },
-      auth: {
-        token: useDeviceAuth ? GATEWAY_DEVICE_TOKEN : (GATEWAY_TOKEN || undefined),
-      },
-    };
-
-    if (useDeviceAuth) {
-      const signedAt = Date.now();
-
-      // Build the payload string and sign it (matches OpenClaw's verification)
-      const payload = buildDeviceAuthPayload({
-        deviceId: GATEWAY_DEVICE_ID,
-        clientId: "gateway-client",
-        clientMode: "backend",
-        role,
-        scopes,
-        signedAtMs: signedAt,
-        token: GATEWAY_DEVICE_TOKEN,
-        nonce: nonce || undefined,
+    let connectParams;
+    try {
+      connectParams = buildConnectParams({
+        client: MONITOR_CLIENT,
+        token: GATEWAY_TOKEN,
+        device: useDeviceAuth
+          ? {
+              id: GATEWAY_DEVICE_ID,
+              token: GATEWAY_DEVICE_TOKEN,
+              publicKey: GATEWAY_DEVICE_PUBKEY,
+              privateKey: GATEWAY_DEVICE_PRIVKEY,
+            }
+          : null,
+        nonce,
       });
-
-      let signature;
-      try {
-        signature = signPayload(GATEWAY_DEVICE_PRIVKEY, payload);
-      } catch (err) {
-        // Bad private key (malformed base64url or invalid ED25519 bytes).
-        // Log and close — the reconnect backoff will prevent rapid retries.
-        console.error("[gateway] device signing failed (bad GATEWAY_DEVICE_PRIVKEY?):", err.message);
-        this._ws?.close();
-        return;
-      }
-
-      connectParams.device = {
-        id: GATEWAY_DEVICE_ID,
-        publicKey: GATEWAY_DEVICE_PUBKEY,
-        signature,
-        signedAt,
-        nonce: nonce || undefined,
-      };
-      connectParams.role = role;
-      connectParams.scopes = scopes;
+    } catch (err) {
+      // Bad private key (malformed base64url or invalid ED25519 bytes).
+      // Log and close — the reconnect backoff will prevent rapid retries.
+      console.error("[gateway] device signing failed (bad GATEWAY_DEVICE_PRIVKEY?):", err.message);
+      this._ws?.close();
+      return;
     }
 
     this._send({
@@ -5,7 +5,7 @@ import path from "node:path";
 import { fileURLToPath } from "node:url";
 
 import * as db from "./db.js";
-import { collectHealth, collectLogs, collectDebug } from "./collector.js";
+import { collectHealth, collectLogs, collectDebug, setupAuthHeader } from "./collector.js";
 import { evaluate, sendTestAlert } from "./alerter.js";
 import gateway from "./gateway.js";
 
@@ -294,16 +294,15 @@ app.get("/api/memory-search", async (req, res) => {
     if (!query) return res.status(400).json({ error: "q parameter required" });
 
     const tsUrl = process.env.XAVIER_TAILSCALE_URL;
-    const setupPw = process.env.SETUP_PASSWORD;
-    if (!tsUrl || !setupPw) {
-      return res.status(503).json({ error: "Xavier Tailscale URL or SETUP_PASSWORD not configured" });
+    if (!tsUrl || !setupAuthHeader) {
+      return res.status(503).json({ error: "Xavier Tailscale URL or MONITOR_SETUP_TOKEN not configured" });
     }
 
     const resp = await fetch(`${tsUrl}/setup/api/console/run`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: "Basic " + Buffer.from("admin:" + setupPw).toString("base64"),
+        Authorization: setupAuthHeader,
       },
       body: JSON.stringify({ cmd: "openclaw.memory.search", arg: query }),
     });
@@ -0,0 +1,65 @@
+/**
+ * access-control.js — where a request came from, and who sent it.
+ *
+ * Loopback alone says nothing: `tailscale serve`, agent code run by the
+ * gateway and a shell in the container all connect from 127.0.0.1.  So
+ * the wrapper tells them apart explicitly:
+ *
+ *   tailnet   arrived on the dedicated listener that `tailscale serve`
+ *             proxies to; Tailscale-User-Login names the tailnet user
+ *             (absent for tagged devices)
+ *   internal  from loopback with the per-boot internal token in
+ *             X-Wrapper-Internal-Token (in-container callers)
+ *   local     any other loopback request: no special trust
+ *   public    everything else (Railway's edge)
+ */
+
+import crypto from "node:crypto";
+
+export const INTERNAL_TOKEN_HEADER = "x-wrapper-internal-token";
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+export function isLoopbackAddress(ip) {
+  return LOOPBACK.has(String(ip || ""));
+}
+
+function tokenMatches(given, expected) {
+  if (!given || !expected) return false;
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {{ socket?: { remoteAddress?: string, localPort?: number }, headers: object }} req
+ * @param {{ tailnetPort?: number | null, internalToken: string }} opts
+ * @returns {{ origin: "tailnet" | "internal" | "local" | "public", tailscaleUser: string | null }}
+ */
+export function classifyRequest(req, { tailnetPort, internalToken }) {
+  const peer = req.socket?.remoteAddress;
+  if (!isLoopbackAddress(peer)) return { origin: "public", tailscaleUser: null };
+  if (tailnetPort && req.socket?.localPort === tailnetPort) {
+    const login = String(req.headers["tailscale-user-login"] || "").trim().toLowerCase();
+    return { origin: "tailnet", tailscaleUser: login || null };
+  }
+  if (tokenMatches(req.headers[INTERNAL_TOKEN_HEADER], internalToken)) return { origin: "internal", tailscaleUser: null };
+  return { origin: "local", tailscaleUser: null };
+}
+
+/**
+ * Parse a comma-separated allowlist of tailnet logins.  An entry starting
+ * with "@" matches a whole domain (`@example.com`).
+ */
+export function parseIdentityAllowlist(text) {
+  return String(text || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function identityAllowed(allowlist, login) {
+  if (!login) return false;
+  const who = String(login).toLowerCase();
+  return allowlist.some((entry) => (entry.startsWith("@") ? who.endsWith(entry) : who === entry));
+}
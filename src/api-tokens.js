@@ -0,0 +1,144 @@
+/**
+ * api-tokens.js — named bearer tokens for machine clients of /setup.
+ *
+ * Each token carries explicit scopes and only works on routes that ask for
+ * one of them:
+ *
+ *   logs:read         service logs
+ *   debug:read        /setup/api/debug
+ *   devices:approve   list and approve pending devices / pairing requests
+ *   console:<cmd>     run one debug-console command (e.g. console:openclaw.logs.tail)
+ *
+ * Tokens look like `ocs_<id>_<secret>`.  Only a SHA-256 of the secret is
+ * stored (the secret is 256 random bits, so a slow hash buys nothing); the
+ * plaintext is returned once, at creation.  The id is public and is what
+ * lists and revocation use.
+ */
+
+import crypto from "node:crypto";
+
+import { JsonFile } from "./json-file.js";
+
+export const TOKEN_PREFIX = "ocs_";
+
+export const FIXED_SCOPES = ["logs:read", "debug:read", "devices:approve", "desired-state:write", "railway:token"];
+
+const NAME = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/;
+const TOKEN = /^ocs_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+// last-used is persisted at most this often per token.
+const TOUCH_INTERVAL_MS = 60_000;
+
+/**
+ * Validate a scope list.  `consoleCommands` is the set of commands a
+ * `console:<cmd>` scope may name.
+ */
+export function validateScopes(scopes, { consoleCommands = new Set() } = {}) {
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new Error("scopes must be a non-empty array");
+  const out = new Set();
+  for (const raw of scopes) {
+    const scope = String(raw).trim();
+    if (FIXED_SCOPES.includes(scope)) {
+      out.add(scope);
+      continue;
+    }
+    const cmd = scope.startsWith("console:") ? scope.slice("console:".length) : null;
+    if (cmd && consoleCommands.has(cmd)) {
+      out.add(scope);
+      continue;
+    }
+    throw new Error(`Unknown scope: ${scope} (use ${FIXED_SCOPES.join(", ")} or console:<command>)`);
+  }
+  return [...out];
+}
+
+export function hasScope(scopes, required) {
+  return Array.isArray(scopes) && scopes.includes(required);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+export class ApiTokenStore {
+  /** @param {{ file: string }} opts */
+  constructor(opts) {
+    this._store = new JsonFile({ file: opts.file, tag: "tokens" });
+    this._tokens = new Map(); // id → record
+    this._load();
+  }
+
+  list() {
+    return [...this._tokens.values()].map((t) => this._view(t));
+  }
+
+  /**
+   * Mint a token.  `scopes` must already be validated.
+   * @returns {{ token: string, info: object }} `token` is the only copy of the secret.
+   */
+  create({ name, scopes, expiresAt = null, createdBy = null }) {
+    const label = String(name ?? "").trim();
+    if (!NAME.test(label)) throw new Error("name must be 1-64 characters: letters, digits, space, '.', '_' or '-'");
+    if ([...this._tokens.values()].some((t) => t.name === label)) throw new Error(`A token named "${label}" already exists`);
+    if (expiresAt != null && Number.isNaN(Date.parse(expiresAt))) throw new Error(`Invalid expiry: ${expiresAt}`);
+
+    const id = crypto.randomBytes(6).toString("hex");
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const record = {
+      id,
+      name: label,
+      scopes: [...scopes],
+      secretHash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      lastUsedAt: null,
+      lastUsedIp: null,
+    };
+    this._tokens.set(id, record);
+    this._save();
+    return { token: `${TOKEN_PREFIX}${id}_${secret}`, info: this._view(record) };
+  }
+
+  revoke(id) {
+    if (!this._tokens.delete(String(id))) return false;
+    this._save();
+    return true;
+  }
+
+  /** The token's public view if it is valid and unexpired, else null. Records last use. */
+  verify(token, { ip = null, now = Date.now() } = {}) {
+    const m = TOKEN.exec(String(token || ""));
+    if (!m) return null;
+    const record = this._tokens.get(m[1]);
+    if (!record) return null;
+    const a = Buffer.from(hashSecret(m[2]), "hex");
+    const b = Buffer.from(record.secretHash, "hex");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    if (record.expiresAt && Date.parse(record.expiresAt) <= now) return null;
+
+    const last = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    const changedIp = record.lastUsedIp !== ip;
+    record.lastUsedAt = new Date(now).toISOString();
+    record.lastUsedIp = ip;
+    if (now - last >= TOUCH_INTERVAL_MS || changedIp) this._save();
+    return this._view(record);
+  }
+
+  // --- Internal ---
+
+  _view(record) {
+    const { secretHash: _hash, ...rest } = record;
+    return { ...rest, prefix: `${TOKEN_PREFIX}${record.id}_…` };
+  }
+
+  _load() {
+    const tokens = this._store.valid(this._store.read()?.tokens || [], (t) =>
+      !t?.id || !t.secretHash || !Array.isArray(t.scopes) ? `invalid token entry ${t?.name || t?.id || "(unnamed)"}` : null,
+    );
+    for (const t of tokens) this._tokens.set(t.id, t);
+  }
+
+  _save() {
+    this._store.write({ version: 1, tokens: [...this._tokens.values()] });
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * audit-log.js — append-only record of administrative actions.
+ *
+ * One JSON object per line in a file in the state dir.  Lines are only
+ * ever appended; nothing here rewrites or truncates the file.  Each entry
+ * gets a sequence number, which also serves as the pagination cursor:
+ *
+ *   { seq, at, actor, role, via, tailscaleUser, ip, action, path,
+ *     args, status, outcome, error, durationMs }
+ *
+ * `args` goes through redactArgs() before it is written: values under
+ * secret-looking keys are dropped, and long strings (a whole config file,
+ * a pasted token) are replaced by their length and a short hash.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const OUTCOMES = ["ok", "denied", "error"];
+
+const SECRET_KEY = /pass(word)?|secret|token|api[-_]?key|credential|cookie|authorization|private|recovery|^code$/i;
+const MAX_STRING = 200;
+const MAX_DEPTH = 4;
+const MAX_KEYS = 50;
+
+/**
+ * Copy of `value` that is safe to keep in the audit log.
+ * `redactString` is applied to every string that is kept.
+ */
+export function redactArgs(value, redactString = (s) => s, depth = 0) {
+  if (value == null || typeof value === "number" || typeof value === "boolean") return value;
+  if (typeof value === "string") {
+    if (value.length > MAX_STRING) {
+      const digest = crypto.createHash("sha256").update(value).digest("hex").slice(0, 12);
+      return `[${value.length} chars, sha256:${digest}]`;
+    }
+    return redactString(value);
+  }
+  if (depth >= MAX_DEPTH) return "[…]";
+  if (Array.isArray(value)) return value.slice(0, MAX_KEYS).map((v) => redactArgs(v, redactString, depth + 1));
+  if (typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value).slice(0, MAX_KEYS)) {
+      out[key] = SECRET_KEY.test(key) && v != null && v !== "" ? "[REDACTED]" : redactArgs(v, redactString, depth + 1);
+    }
+    return out;
+  }
+  return String(value);
+}
+
+export class AuditLog {
+  /** @param {{ file: string, redactString?: (s: string) => string }} opts */
+  constructor(opts) {
+    this._file = opts.file;
+    this._redactString = opts.redactString || ((s) => s);
+    this._seq = this._lastSeq();
+  }
+
+  get file() {
+    return this._file;
+  }
+
+  /** Append one entry; returns it as written. Write failures are logged, not thrown. */
+  record(entry) {
+    const line = {
+      seq: ++this._seq,
+      at: new Date().toISOString(),
+      ...entry,
+      args: entry.args === undefined ? undefined : redactArgs(entry.args, this._redactString),
+    };
+    try {
+      fs.mkdirSync(path.dirname(this._file), { recursive: true });
+      fs.appendFileSync(this._file, `${JSON.stringify(line)}\n`, { encoding: "utf8", mode: 0o600 });
+    } catch (err) {
+      console.error(`[audit] could not write ${this._file}: ${String(err)}`);
+    }
+    return line;
+  }
+
+  /**
+   * Newest first.  `before` is a seq cursor (the `next` of a previous page).
+   * Filters: actor (exact), action (substring), outcome, ip, since/until (ISO).
+   * @returns {{ entries: object[], next: number | null }}
+   */
+  query({ limit = 50, before, actor, action, outcome, ip, since, until } = {}) {
+    const max = Math.max(1, Math.min(500, Number(limit) || 50));
+    const cursor = Number(before) || Infinity;
+    const sinceMs = since ? Date.parse(since) : NaN;
+    const untilMs = until ? Date.parse(until) : NaN;
+    const needle = action ? String(action).toLowerCase() : "";
+
+    const matches = (e) => {
+      if (e.seq >= cursor) return false;
+      if (actor && e.actor !== actor) return false;
+      if (needle && !String(e.action || "").toLowerCase().includes(needle)) return false;
+      if (outcome && e.outcome !== outcome) return false;
+      if (ip && e.ip !== ip) return false;
+      const at = Date.parse(e.at);
+      if (!Number.isNaN(sinceMs) && at < sinceMs) return false;
+      if (!Number.isNaN(untilMs) && at > untilMs) return false;
+      return true;
+    };
+
+    const lines = this._readLines();
+    const entries = [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const e = parseLine(lines[i]);
+      if (!e || !matches(e)) continue;
+      if (entries.length === max) return { entries, next: entries[entries.length - 1].seq };
+      entries.push(e);
+    }
+    return { entries, next: null };
+  }
+
+  // --- Internal ---
+
+  _readLines() {
+    try {
+      return fs.readFileSync(this._file, "utf8").split("\n").filter(Boolean);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`[audit] could not read ${this._file}: ${String(err)}`);
+      return [];
+    }
+  }
+
+  _lastSeq() {
+    let text;
+    try {
+      text = fs.readFileSync(this._file, "utf8");
+    } catch {
+      return 0;
+    }
+    // Terminate a line torn by a crash so the next entry starts on its own line.
+    if (text && !text.endsWith("\n")) fs.appendFileSync(this._file, "\n");
+    const lines = text.split("\n").filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const e = parseLine(lines[i]);
+      if (Number.isInteger(e?.seq)) return e.seq;
+    }
+    return 0;
+  }
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null; // a torn last line after a crash
+  }
+}
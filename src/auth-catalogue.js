@@ -0,0 +1,260 @@
+/**
+ * auth-catalogue.js — which auth choices the setup wizard offers, and which
+ * onboard flag carries each choice's secret.
+ *
+ * Discovered from the installed CLI's `openclaw onboard --help`: the
+ * `--auth-choice` option lists the choices, and the `--<provider>-api-key`
+ * options are the secret flags.  The static table below supplies labels and
+ * grouping for choices it knows; new ones get a group and label derived
+ * from their name.  Discovery runs once per OpenClaw version (cached on
+ * disk); if it fails, the static table is used as is.
+ */
+
+import { JsonFile } from "./json-file.js";
+
+// NOTE: On Railway, interactive OAuth flows are typically not viable. The UI hides them by default.
+export const STATIC_AUTH_GROUPS = [
+  { value: "openai", label: "OpenAI", hint: "Codex OAuth + API key", options: [
+    { value: "codex-cli", label: "OpenAI Codex OAuth (Codex CLI)" },
+    { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
+    { value: "openai-api-key", label: "OpenAI API key" },
+  ]},
+  { value: "anthropic", label: "Anthropic", hint: "Claude Code CLI + API key", options: [
+    { value: "claude-cli", label: "Anthropic token (Claude Code CLI)" },
+    { value: "token", label: "Anthropic token (paste setup-token)" },
+    { value: "apiKey", label: "Anthropic API key" },
+  ]},
+  { value: "google", label: "Google", hint: "Gemini API key + OAuth", options: [
+    { value: "gemini-api-key", label: "Google Gemini API key" },
+    { value: "google-antigravity", label: "Google Antigravity OAuth" },
+    { value: "google-gemini-cli", label: "Google Gemini CLI OAuth" },
+  ]},
+  { value: "openrouter", label: "OpenRouter", hint: "API key", options: [
+    { value: "openrouter-api-key", label: "OpenRouter API key" },
+  ]},
+  { value: "ai-gateway", label: "Vercel AI Gateway", hint: "API key", options: [
+    { value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" },
+  ]},
+  { value: "moonshot", label: "Moonshot AI", hint: "Kimi K2 + Kimi Code", options: [
+    { value: "moonshot-api-key", label: "Moonshot AI API key" },
+    { value: "kimi-code-api-key", label: "Kimi Code API key" },
+  ]},
+  { value: "zai", label: "Z.AI (GLM 4.7)", hint: "API key", options: [
+    { value: "zai-api-key", label: "Z.AI (GLM 4.7) API key" },
+  ]},
+  { value: "minimax", label: "MiniMax", hint: "M2.1 (recommended)", options: [
+    { value: "minimax-api", label: "MiniMax M2.1" },
+    { value: "minimax-api-lightning", label: "MiniMax M2.1 Lightning" },
+  ]},
+  { value: "qwen", label: "Qwen", hint: "OAuth", options: [
+    { value: "qwen-portal", label: "Qwen OAuth" },
+  ]},
+  { value: "copilot", label: "Copilot", hint: "GitHub + local proxy", options: [
+    { value: "github-copilot", label: "GitHub Copilot (GitHub device login)" },
+    { value: "copilot-proxy", label: "Copilot Proxy (local)" },
+  ]},
+  { value: "synthetic", label: "Synthetic", hint: "Anthropic-compatible (multi-model)", options: [
+    { value: "synthetic-api-key", label: "Synthetic API key" },
+  ]},
+  { value: "opencode-zen", label: "OpenCode Zen", hint: "API key", options: [
+    { value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)" },
+  ]},
+];
+
+// Choices whose secret flag can't be derived from the name.
+export const STATIC_SECRET_FLAGS = {
+  "openai-api-key": "--openai-api-key",
+  "apiKey": "--anthropic-api-key",
+  "openrouter-api-key": "--openrouter-api-key",
+  "ai-gateway-api-key": "--ai-gateway-api-key",
+  "moonshot-api-key": "--moonshot-api-key",
+  "kimi-code-api-key": "--kimi-code-api-key",
+  "gemini-api-key": "--gemini-api-key",
+  "zai-api-key": "--zai-api-key",
+  "minimax-api": "--minimax-api-key",
+  "minimax-api-lightning": "--minimax-api-key",
+  "synthetic-api-key": "--synthetic-api-key",
+  "opencode-zen": "--opencode-zen-api-key",
+};
+
+// Choices the CLI lists that the static table leaves out (interactive-only),
+// so discovery still files them under the right provider.
+const EXTRA_CHOICES = {
+  "setup-token": { group: "anthropic", label: "Anthropic token (run setup-token)" },
+};
+
+// Choices the wizard never offers.
+const HIDDEN_CHOICES = new Set(["skip"]);
+
+const WORDS = { api: "API", cli: "CLI", oauth: "OAuth", ai: "AI" };
+
+function humanize(id) {
+  return String(id)
+    .split(/[-_]/)
+    .filter(Boolean)
+    .map((w, i) => WORDS[w.toLowerCase()] || (i === 0 ? w[0].toUpperCase() + w.slice(1) : w))
+    .join(" ");
+}
+
+/**
+ * Pull the auth choices and secret flags out of `openclaw onboard --help`
+ * (commander layout: `  --flag <arg>   description`, wrapped descriptions
+ * indented further).
+ * @returns {{ choices: string[], flags: string[] }}
+ */
+export function parseOnboardHelp(text) {
+  const options = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = /^\s{1,8}(?:-\w,\s+)?(--[a-z0-9][a-z0-9-]*)(?:\s+[<[][^>\]]*[>\]])?(?:\s{2,}(.*))?$/i.exec(line);
+    const last = options[options.length - 1];
+    if (m) {
+      options.push({ flag: m[1], description: (m[2] || "").trim() });
+    } else if (last && !last.closed && /^\s{8,}\S/.test(line)) {
+      last.description += ` ${line.trim()}`;
+    } else if (last) {
+      // a blank line or a new section ends the description
+      last.closed = true;
+    }
+  }
+
+  const authOption = options.find((o) => o.flag === "--auth-choice");
+  const choices = [];
+  if (authOption) {
+    const list = authOption.description
+      .replace(/\(default:[^)]*\)/i, "")
+      .replace(/^[^:|]*:\s*/, "");
+    for (const raw of list.split(/[|,]/)) {
+      const choice = raw.trim().replace(/\.$/, "");
+      if (/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(choice) && !choices.includes(choice)) choices.push(choice);
+    }
+  }
+  return { choices, flags: options.map((o) => o.flag) };
+}
+
+/** The flag that carries `choice`'s secret, given the flags the CLI has; null for OAuth/interactive choices. */
+export function secretFlagFor(choice, flags) {
+  const has = (flag) => flags.includes(flag);
+  if (choice.endsWith("-api-key") && has(`--${choice}`)) return `--${choice}`;
+  if (STATIC_SECRET_FLAGS[choice] && has(STATIC_SECRET_FLAGS[choice])) return STATIC_SECRET_FLAGS[choice];
+  const m = /^(.+?)-api(?:-[a-z0-9]+)?$/.exec(choice);
+  if (m && has(`--${m[1]}-api-key`)) return `--${m[1]}-api-key`;
+  if (has(`--${choice}-api-key`)) return `--${choice}-api-key`;
+  return null;
+}
+
+function staticCatalogue() {
+  return {
+    groups: STATIC_AUTH_GROUPS.map((g) => ({
+      ...g,
+      options: g.options.map((o) => ({ ...o, flag: STATIC_SECRET_FLAGS[o.value] || null })),
+    })),
+    secretFlags: { ...STATIC_SECRET_FLAGS },
+  };
+}
+
+/** Group the discovered choices, reusing the static labels where they exist. */
+export function buildCatalogue({ choices, flags }) {
+  const known = new Map(Object.entries(EXTRA_CHOICES));
+  for (const g of STATIC_AUTH_GROUPS) for (const o of g.options) known.set(o.value, { group: g.value, label: o.label });
+
+  const groups = new Map(STATIC_AUTH_GROUPS.map((g) => [g.value, { value: g.value, label: g.label, hint: g.hint, options: [] }]));
+  const secretFlags = {};
+  for (const choice of choices) {
+    if (HIDDEN_CHOICES.has(choice)) continue;
+    const secretFlag = secretFlagFor(choice, flags);
+    if (secretFlag) secretFlags[choice] = secretFlag;
+
+    const meta = known.get(choice);
+    const groupId = meta?.group ?? (secretFlag ? secretFlag.replace(/^--|-api-key$/g, "") : choice.split("-")[0]);
+    if (!groups.has(groupId)) groups.set(groupId, { value: groupId, label: humanize(groupId), hint: "", options: [] });
+    const group = groups.get(groupId);
+    group.options.push({ value: choice, label: meta?.label ?? humanize(choice), flag: secretFlag });
+    if (!meta && !group.hint && secretFlag) group.hint = "API key";
+  }
+  return { groups: [...groups.values()].filter((g) => g.options.length), secretFlags };
+}
+
+// After a failed discovery, wait this long before running the CLI again.
+const RETRY_MS = 5 * 60 * 1000;
+
+export class AuthCatalogue {
+  /**
+   * @param {{ file: string, readHelp: () => Promise<string> }} opts
+   *   readHelp: resolves to `openclaw onboard --help` output (rejects on failure).
+   */
+  constructor(opts) {
+    this._store = new JsonFile({ file: opts.file, tag: "auth-catalogue" });
+    this._readHelp = opts.readHelp;
+    this._current = null;  // last catalogue handed out
+    this._pending = null;  // in-flight discovery
+  }
+
+  /**
+   * The catalogue for OpenClaw `version`: from memory, the on-disk cache,
+   * a fresh discovery, or (if that fails) the static table.
+   */
+  async get(version) {
+    const v = String(version || "").trim() || null;
+    const cur = this._current;
+    if (cur && cur.version === v && (cur.source !== "static" || Date.now() < cur.retryAt)) return cur;
+    if (!this._pending) {
+      this._pending = this._resolve(v).finally(() => {
+        this._pending = null;
+      });
+    }
+    return this._pending;
+  }
+
+  /**
+   * What get() last returned, for /setup/api/debug: one row per choice, so
+   * choice names like "openai-api-key" don't read as secrets to the redactor.
+   */
+  snapshot() {
+    const cur = this._current;
+    if (!cur) return null;
+    return {
+      source: cur.source,
+      version: cur.version,
+      discoveredAt: cur.discoveredAt ?? null,
+      error: cur.error ?? null,
+      choices: cur.groups.flatMap((g) => g.options.map((o) => ({ group: g.value, value: o.value, label: o.label, flag: o.flag }))),
+    };
+  }
+
+  // --- Internal ---
+
+  async _resolve(version) {
+    const cached = version ? this._readCache() : null;
+    if (cached?.version === version) return (this._current = { ...cached, source: "cache" });
+
+    try {
+      const parsed = parseOnboardHelp(await this._readHelp());
+      if (!parsed.choices.length) throw new Error("no --auth-choice values in `openclaw onboard --help`");
+      const catalogue = { version, discoveredAt: new Date().toISOString(), ...buildCatalogue(parsed) };
+      if (version) this._writeCache(catalogue);
+      return (this._current = { ...catalogue, source: "discovered" });
+    } catch (err) {
+      console.warn(`[auth-catalogue] discovery failed, using the static table: ${String(err.message || err)}`);
+      return (this._current = {
+        version,
+        source: "static",
+        error: String(err.message || err),
+        retryAt: Date.now() + RETRY_MS,
+        ...staticCatalogue(),
+      });
+    }
+  }
+
+  _readCache() {
+    const data = this._store.read();
+    return Array.isArray(data?.groups) && data.secretFlags ? data : null;
+  }
+
+  _writeCache(catalogue) {
+    try {
+      this._store.write(catalogue);
+    } catch (err) {
+      console.warn(`[auth-catalogue] could not cache to ${this._store.file}: ${String(err)}`);
+    }
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * backup.js — the tar+gzip archive of the state and workspace dirs behind
+ * /setup/export and the backup.export job.
+ *
+ * Secret files go in only if they are sealed on disk (see secret-box.js); a
+ * plaintext one is left out.  `plaintextSecrets` instead puts decrypted
+ * copies of all of them in, for moving to a deployment without the key.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+import * as tar from "tar";
+
+import { isSealed } from "./secret-box.js";
+
+/**
+ * @param {{
+ *   stateDir: string,
+ *   workspaceDir: string,
+ *   secretBox: import("./secret-box.js").SecretBox,
+ *   secretFiles?: string[],
+ *   skipFiles?: string[],
+ *   plaintextSecrets?: boolean,
+ *   dataRoot?: string,
+ * }} opts
+ *   skipFiles: never archived (e.g. per-boot tokens).  dataRoot: when both
+ *   dirs live under it, archive paths are relative to it.
+ */
+export function createBackupStream({
+  stateDir,
+  workspaceDir,
+  secretBox,
+  secretFiles = [],
+  skipFiles = [],
+  plaintextSecrets = false,
+  dataRoot = "/data",
+}) {
+  fs.mkdirSync(stateDir, { recursive: true });
+  fs.mkdirSync(workspaceDir, { recursive: true });
+
+  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
+  // This preserves dotfiles like /data/.openclaw/openclaw.json.
+  const stateAbs = path.resolve(stateDir);
+  const workspaceAbs = path.resolve(workspaceDir);
+
+  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+
+  let cwd = "/";
+  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+
+  if (underData(stateAbs) && underData(workspaceAbs)) {
+    cwd = dataRoot;
+    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
+    paths = [
+      path.relative(dataRoot, stateAbs) || ".",
+      path.relative(dataRoot, workspaceAbs) || ".",
+    ];
+  }
+
+  // Read (and decrypt) up front so a missing key fails before any bytes go out.
+  const secrets = [];
+  const skipped = new Set(skipFiles.map((f) => path.resolve(f)));
+  for (const file of secretFiles) {
+    if (plaintextSecrets) {
+      const text = secretBox.readFile(file);
+      if (text != null) secrets.push({ file, text });
+      skipped.add(path.resolve(file));
+    } else if (fs.existsSync(file) && !isSealed(fs.readFileSync(file, "utf8"))) {
+      skipped.add(path.resolve(file));
+    }
+  }
+
+  const pack = new tar.Pack({
+    gzip: true,
+    portable: true,
+    noMtime: true,
+    cwd,
+    onwarn: () => {},
+    filter: (p, entry) => entry instanceof tar.ReadEntry || !skipped.has(path.resolve(cwd, p)),
+  });
+  for (const p of paths) pack.add(p);
+  for (const { file, text } of secrets) {
+    const body = Buffer.from(text, "utf8");
+    const header = new tar.Header({ path: path.relative(cwd, file), mode: 0o600, size: body.length, type: "File", mtime: new Date() });
+    const entry = new tar.ReadEntry(header);
+    pack.add(entry);
+    entry.end(body);
+  }
+  pack.end();
+  return pack;
+}
@@ -0,0 +1,199 @@
+/**
+ * credential-checks.js — try each credential the wizard collects against
+ * its service before onboarding, so a bad token fails here rather than by
+ * crashing the gateway later.
+ *
+ *   telegram   GET  /bot<token>/getMe
+ *   slack      POST /auth.test (bot token scopes), /apps.connections.open (app token)
+ *   discord    GET  /users/@me, then /applications/@me for the Message Content intent
+ *   providers  a cheap authenticated model-list (or key-info) call
+ *   custom     GET  {baseUrl}/models
+ *
+ * Every base URL can be overridden (see baseUrlsFromEnv) so tests and
+ * air-gapped setups can point at local stubs.
+ */
+
+import { isSecretEnvName } from "./redaction.js";
+
+export const DEFAULT_BASE_URLS = {
+  telegram: "https://api.telegram.org",
+  slack: "https://slack.com/api",
+  discord: "https://discord.com/api/v10",
+  openai: "https://api.openai.com/v1",
+  anthropic: "https://api.anthropic.com/v1",
+  openrouter: "https://openrouter.ai/api/v1",
+  gemini: "https://generativelanguage.googleapis.com/v1beta",
+  moonshot: "https://api.moonshot.ai/v1",
+};
+
+// Scopes a Slack bot needs to read and answer messages.
+export const SLACK_REQUIRED_SCOPES = ["chat:write", "app_mentions:read", "channels:history", "im:history"];
+
+// Discord application flags: the Message Content privileged intent (full or limited).
+const DISCORD_MESSAGE_CONTENT = (1 << 19) | (1 << 18);
+
+// Providers with an online key check: the request that proves the key works.
+const PROVIDER_REQUESTS = {
+  openai: (key) => ({ path: "/models", headers: { authorization: `Bearer ${key}` } }),
+  anthropic: (key) => ({ path: "/models", headers: { "x-api-key": key, "anthropic-version": "2023-06-01" } }),
+  openrouter: (key) => ({ path: "/key", headers: { authorization: `Bearer ${key}` } }),
+  gemini: (key) => ({ path: "/models", headers: { "x-goog-api-key": key } }),
+  moonshot: (key) => ({ path: "/models", headers: { authorization: `Bearer ${key}` } }),
+};
+
+// Env vars holding the wrapper's own secrets.  The custom-provider check
+// sends its key to a caller-chosen URL, so these must never be used as one.
+const WRAPPER_SECRET_ENV = new Set([
+  "SETUP_PASSWORD",
+  "SETUP_SESSION_SECRET",
+  "SECRETS_ENCRYPTION_KEY",
+  "SECRETS_ENCRYPTION_KEY_PREVIOUS",
+  "OPENCLAW_GATEWAY_TOKEN",
+  "WRAPPER_INTERNAL_TOKEN",
+  "METRICS_TOKEN",
+  "MONITOR_SETUP_TOKEN",
+  "TS_AUTHKEY",
+  "RAILWAY_OAUTH_CLIENT_SECRET",
+  "TELEGRAM_BOT_TOKEN",
+  "SECURITY_ALERT_WEBHOOK_URL",
+  "FIREFLIES_WEBHOOK_SECRET",
+]);
+// Prefixes of wrapper settings; any secret-looking name under them is the wrapper's.
+const WRAPPER_ENV_PREFIX = /^(SETUP_|SECRETS_|OPENCLAW_|CLAWDBOT_|WRAPPER_|RAILWAY_|TS_|VAULT_|MONITOR_)/;
+
+/** Why env var `name` may not be sent as a custom provider's key, or null. */
+export function keyEnvProblem(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return "invalid api key env var name";
+  if (WRAPPER_SECRET_ENV.has(name) || (WRAPPER_ENV_PREFIX.test(name) && isSecretEnvName(name))) {
+    return `${name} holds a wrapper secret and can't be used as a provider key`;
+  }
+  return null;
+}
+
+/** `VALIDATE_<SERVICE>_BASE_URL` env vars, e.g. VALIDATE_TELEGRAM_BASE_URL. */
+export function baseUrlsFromEnv(env = process.env) {
+  const out = {};
+  for (const service of Object.keys(DEFAULT_BASE_URLS)) {
+    const value = env[`VALIDATE_${service.toUpperCase()}_BASE_URL`]?.trim();
+    if (value) out[service] = value;
+  }
+  return out;
+}
+
+/** The provider behind an onboard secret flag (`--openai-api-key` → "openai"). */
+export function providerForFlag(flag) {
+  return String(flag || "").replace(/^--/, "").replace(/-api-key$/, "") || null;
+}
+
+function fail(error) {
+  return { ok: false, error };
+}
+
+export class CredentialChecker {
+  /**
+   * @param {{ baseUrls?: Record<string, string>, timeoutMs?: number }} [opts]
+   */
+  constructor(opts = {}) {
+    this._baseUrls = { ...DEFAULT_BASE_URLS, ...opts.baseUrls };
+    this._timeoutMs = opts.timeoutMs ?? 8000;
+  }
+
+  async telegram(token) {
+    const r = await this._request("telegram", `/bot${token}/getMe`);
+    if (r.json?.ok && r.json.result) return { ok: true, detail: `bot @${r.json.result.username}` };
+    if (r.status === 401 || r.status === 404) return fail("Telegram rejected the token (check it with @BotFather)");
+    return fail(`Telegram: ${r.json?.description || `HTTP ${r.status}`}`);
+  }
+
+  async slack({ botToken, appToken }) {
+    const details = [];
+    if (botToken) {
+      const r = await this._request("slack", "/auth.test", {
+        method: "POST",
+        headers: { authorization: `Bearer ${botToken}` },
+      });
+      if (!r.json?.ok) return fail(`Slack bot token: ${r.json?.error || `HTTP ${r.status}`}`);
+      const granted = r.headers.get("x-oauth-scopes");
+      if (granted != null) {
+        const have = new Set(granted.split(",").map((s) => s.trim()));
+        const missing = SLACK_REQUIRED_SCOPES.filter((s) => !have.has(s));
+        if (missing.length) {
+          return fail(`Slack bot token is missing scopes: ${missing.join(", ")} (add them under OAuth & Permissions, then reinstall the app)`);
+        }
+      }
+      details.push(`bot ${r.json.user} in ${r.json.team}`);
+    }
+    if (appToken) {
+      const r = await this._request("slack", "/apps.connections.open", {
+        method: "POST",
+        headers: { authorization: `Bearer ${appToken}` },
+      });
+      if (!r.json?.ok) {
+        return fail(`Slack app token: ${r.json?.error || `HTTP ${r.status}`} (it needs connections:write and Socket Mode enabled)`);
+      }
+      details.push("app token can open Socket Mode");
+    }
+    return { ok: true, detail: details.join("; ") };
+  }
+
+  async discord(token) {
+    const headers = { authorization: `Bot ${token}` };
+    const me = await this._request("discord", "/users/@me", { headers });
+    if (me.status === 401) return fail("Discord rejected the token (copy the Bot token, not the client secret)");
+    if (!me.json?.id) return fail(`Discord: HTTP ${me.status}`);
+
+    const app = await this._request("discord", "/applications/@me", { headers });
+    if (!app.json) return fail(`Discord: could not read the application (HTTP ${app.status})`);
+    if (!(Number(app.json.flags) & DISCORD_MESSAGE_CONTENT)) {
+      return fail(`Discord bot ${me.json.username} has MESSAGE CONTENT INTENT off (Bot → Privileged Gateway Intents)`);
+    }
+    return { ok: true, detail: `bot ${me.json.username}, message content intent on` };
+  }
+
+  /** `ok: null` when there is no online check for `provider`. */
+  async provider(provider, key) {
+    const build = PROVIDER_REQUESTS[provider];
+    if (!build) return { ok: null, detail: `no online check for ${provider}; the key is checked when onboarding runs` };
+    const { path, headers } = build(key);
+    const r = await this._request(provider, path, { headers });
+    if (r.status === 401 || r.status === 403) return fail(`${provider} rejected the key (HTTP ${r.status})`);
+    if (r.status < 200 || r.status >= 300) return fail(`${provider}: HTTP ${r.status}`);
+    const count = Array.isArray(r.json?.data) ? r.json.data.length : Array.isArray(r.json?.models) ? r.json.models.length : null;
+    return { ok: true, detail: count == null ? "key accepted" : `key accepted, ${count} models` };
+  }
+
+  /** An OpenAI-compatible endpoint: GET {baseUrl}/models, and `modelId` among them if given. */
+  async customProvider({ baseUrl, apiKey, modelId }) {
+    const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+    const r = await this._request(null, `${String(baseUrl).replace(/\/+$/, "")}/models`, { headers });
+    if (r.status === 401 || r.status === 403) return fail(`the endpoint rejected the key (HTTP ${r.status})`);
+    if (r.status < 200 || r.status >= 300) return fail(`GET /models returned HTTP ${r.status}`);
+    const ids = Array.isArray(r.json?.data) ? r.json.data.map((m) => m?.id) : null;
+    if (!ids) return fail("GET /models did not return an OpenAI-style model list");
+    if (modelId && !ids.includes(modelId)) return fail(`model ${modelId} is not among the ${ids.length} listed`);
+    return { ok: true, detail: `${ids.length} models` };
+  }
+
+  // --- Internal ---
+
+  // `service` picks the base URL; null means `path` is already absolute.
+  // Network errors are reported without the URL, which may hold a token.
+  async _request(service, path, { method = "GET", headers = {} } = {}) {
+    const url = service ? `${this._baseUrls[service].replace(/\/+$/, "")}${path}` : path;
+    let res;
+    try {
+      res = await fetch(url, { method, headers, signal: AbortSignal.timeout(this._timeoutMs) });
+    } catch (err) {
+      const cause = err?.cause?.errors?.[0] ?? err?.cause;
+      const reason = err?.name === "TimeoutError" ? `no answer within ${this._timeoutMs / 1000}s` : cause?.code || cause?.message || err?.message || "request failed";
+      throw new Error(`could not reach ${service ?? new URL(url).host}: ${reason}`);
+    }
+    let json = null;
+    try {
+      json = await res.json();
+    } catch {
+      // not JSON; callers go by status
+    }
+    return { status: res.status, headers: res.headers, json };
+  }
+}
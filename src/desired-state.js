@@ -0,0 +1,169 @@
+/**
+ * desired-state.js — a declarative description of a deployment's setup, and
+ * the config changes needed to reach it.
+ *
+ * Every section is optional:
+ *
+ *   {
+ *     "auth": { "choice": "openai-api-key", "secret": { "$env": "OPENAI_API_KEY" } },
+ *     "flow": "quickstart",
+ *     "channels": { "telegram": { "botToken": { "$env": "TELEGRAM_BOT_TOKEN" } } },
+ *     "customProviders": { "local": { "baseUrl": "http://10.0.0.2:8000/v1", "apiKeyEnv": "LOCAL_KEY", "modelId": "llama" } },
+ *     "plugins": ["voice-call"],
+ *     "config": { "agents.defaults.model.primary": "openai/gpt-4.1" }
+ *   }
+ *
+ * `{ "$env": "NAME" }` anywhere stands for that env var, so secrets can stay
+ * out of the document.  `auth` and `flow` are only used to onboard an
+ * unconfigured deployment; the rest becomes config keys, compared one leaf
+ * at a time with the live config so only differences are written.
+ */
+
+import { keyEnvProblem } from "./credential-checks.js";
+
+export const SECTIONS = ["auth", "flow", "channels", "customProviders", "plugins", "config"];
+
+const ID = /^[A-Za-z0-9_-]+$/;
+const CONFIG_PATH = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+/** Why a custom provider spec can't be used, or null. */
+export function customProviderProblem({ providerId, baseUrl, api, apiKeyEnv }) {
+  if (!ID.test(providerId)) return "invalid provider id (use letters/numbers/_/-)";
+  if (!/^https?:\/\//.test(baseUrl)) return "baseUrl must start with http(s)://";
+  if (api !== "openai-completions" && api !== "openai-responses") return "api must be openai-completions or openai-responses";
+  return apiKeyEnv ? keyEnvProblem(apiKeyEnv) : null;
+}
+
+/** The `models.providers.<id>` entry for a custom OpenAI-compatible provider. */
+export function customProviderConfig({ baseUrl, api, apiKeyEnv, modelId }) {
+  return {
+    baseUrl,
+    api,
+    apiKey: apiKeyEnv ? "${" + apiKeyEnv + "}" : undefined,
+    models: modelId ? [{ id: modelId, name: modelId }] : undefined,
+  };
+}
+
+/** Replace every `{ "$env": "NAME" }` with the env var's value; throws if one is unset. */
+export function resolveEnvRefs(value, env = process.env, where = "") {
+  if (Array.isArray(value)) return value.map((v, i) => resolveEnvRefs(v, env, `${where}[${i}]`));
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === "$env") {
+    const name = String(value.$env);
+    const resolved = env[name];
+    if (resolved === undefined || resolved === "") throw new Error(`${where || "value"}: env var ${name} is not set`);
+    return resolved.trim();
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = resolveEnvRefs(v, env, where ? `${where}.${k}` : k);
+  return out;
+}
+
+/** Check a document's shape (before or after resolving env refs); throws on the first problem. */
+export function validateDesiredState(doc) {
+  if (!isPlainObject(doc)) throw new Error("desired state must be a JSON object");
+  for (const key of Object.keys(doc)) {
+    if (!SECTIONS.includes(key)) throw new Error(`unknown section "${key}" (expected ${SECTIONS.join(", ")})`);
+  }
+  if (doc.auth !== undefined) {
+    if (!isPlainObject(doc.auth) || typeof doc.auth.choice !== "string" || !doc.auth.choice.trim()) {
+      throw new Error("auth must be an object with a choice");
+    }
+  }
+  if (doc.flow !== undefined && typeof doc.flow !== "string") throw new Error("flow must be a string");
+  for (const section of ["channels", "customProviders"]) {
+    if (doc[section] === undefined) continue;
+    if (!isPlainObject(doc[section])) throw new Error(`${section} must be an object keyed by id`);
+    for (const [id, spec] of Object.entries(doc[section])) {
+      if (!ID.test(id)) throw new Error(`${section}: invalid id "${id}" (use letters/numbers/_/-)`);
+      if (!isPlainObject(spec)) throw new Error(`${section}.${id} must be an object`);
+    }
+  }
+  for (const [id, spec] of Object.entries(doc.customProviders ?? {})) {
+    const problem = customProviderProblem({
+      providerId: id,
+      baseUrl: String(spec.baseUrl ?? ""),
+      api: spec.api ?? "openai-completions",
+      apiKeyEnv: spec.apiKeyEnv ?? "",
+    });
+    if (problem) throw new Error(`customProviders.${id}: ${problem}`);
+  }
+  if (doc.plugins !== undefined) {
+    if (!Array.isArray(doc.plugins) || !doc.plugins.every((p) => typeof p === "string" && ID.test(p))) {
+      throw new Error("plugins must be an array of plugin ids");
+    }
+  }
+  if (doc.config !== undefined) {
+    if (!isPlainObject(doc.config)) throw new Error("config must be an object of dotted keys");
+    for (const key of Object.keys(doc.config)) {
+      if (!CONFIG_PATH.test(key)) throw new Error(`config: invalid key "${key}"`);
+    }
+  }
+  return doc;
+}
+
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : v;
+  return out;
+}
+
+function flatten(prefix, value, out) {
+  if (value === undefined) return out;
+  if (isPlainObject(value) && Object.keys(value).length) {
+    for (const [k, v] of Object.entries(value)) flatten(`${prefix}.${k}`, v, out);
+  } else {
+    out.push({ path: prefix, value });
+  }
+  return out;
+}
+
+/**
+ * The config keys a (resolved) document asks for, as leaf `{ path, value }`
+ * pairs.  `channelDefaults` fills in per-channel settings the document
+ * leaves out (the same ones the wizard uses).
+ */
+export function desiredAssignments(doc, { channelDefaults = {} } = {}) {
+  const out = [];
+  for (const [id, spec] of Object.entries(doc.channels ?? {})) {
+    flatten(`channels.${id}`, deepMerge(channelDefaults[id] ?? { enabled: true }, spec), out);
+  }
+  const providers = Object.entries(doc.customProviders ?? {});
+  // Merge custom providers in rather than replacing the built-in ones.
+  if (providers.length) out.push({ path: "models.mode", value: "merge" });
+  for (const [id, spec] of providers) {
+    const cfg = customProviderConfig({ api: "openai-completions", ...spec });
+    flatten(`models.providers.${id}`, JSON.parse(JSON.stringify(cfg)), out);
+  }
+  for (const plugin of doc.plugins ?? []) out.push({ path: `plugins.entries.${plugin}.enabled`, value: true });
+  for (const [key, value] of Object.entries(doc.config ?? {})) flatten(key, value, out);
+  return out;
+}
+
+export function getPath(obj, dotted) {
+  let cur = obj;
+  for (const part of dotted.split(".")) {
+    if (!isPlainObject(cur)) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** The assignments whose value differs from `live`, as `{ path, from, to }`. */
+export function diffAssignments(assignments, live) {
+  const out = [];
+  for (const { path, value } of assignments) {
+    const from = getPath(live, path);
+    if (!sameValue(from, value)) out.push({ path, from, to: value });
+  }
+  return out;
+}
@@ -0,0 +1,218 @@
+/**
+ * gateway-readiness.js — staged readiness probe for the OpenClaw gateway.
+ *
+ * "Any HTTP response" is not the same as ready: the HTTP listener comes up
+ * before the WebSocket RPC layer and long before channels have connected.
+ * Each gateway start walks through these stages:
+ *
+ *   spawned    — the process exists
+ *   listening  — the port accepts TCP connections
+ *   handshake  — a protocol-v3 `connect` completes (hello-ok); the gateway
+ *                can serve the Control UI and RPC, so proxying may begin
+ *   ready      — channels.status reports every configured channel connected
+ *                (or there are none / the build doesn't expose the method)
+ *
+ * Timings are recorded in ms since spawn so /healthz can show where boot
+ * time goes.
+ */
+
+import net from "node:net";
+
+import { connectOnce } from "../monitoring/src/gateway-protocol.js";
+
+export const READINESS_STAGES = ["stopped", "spawned", "listening", "handshake", "ready"];
+
+const WRAPPER_CLIENT = {
+  id: "gateway-client",
+  displayName: "openclaw-railway-wrapper",
+  version: "1.0.0",
+  platform: "node",
+  mode: "backend",
+};
+
+export class ReadinessTracker {
+  constructor() {
+    this._state = fresh("stopped");
+  }
+
+  begin() {
+    this._state = fresh("spawned");
+    this._state.startedAt = Date.now();
+  }
+
+  mark(stage) {
+    this._state.stage = stage;
+    this._state.timings[stage] = Date.now() - this._state.startedAt;
+  }
+
+  setChannels(channels) {
+    this._state.channels = channels;
+  }
+
+  fail(err) {
+    this._state.lastError = String(err?.message || err);
+  }
+
+  stopped() {
+    const prev = this._state;
+    this._state = fresh("stopped");
+    this._state.lastError = prev.lastError;
+  }
+
+  get stage() {
+    return this._state.stage;
+  }
+
+  snapshot() {
+    const s = this._state;
+    return {
+      stage: s.stage,
+      // Protocol-ready: safe to proxy even if channels are still connecting.
+      ready: s.stage === "handshake" || s.stage === "ready",
+      startedAt: s.startedAt ? new Date(s.startedAt).toISOString() : null,
+      timingsMs: { ...s.timings },
+      channels: s.channels,
+      lastError: s.lastError,
+    };
+  }
+}
+
+function fresh(stage) {
+  return { stage, startedAt: null, timings: {}, channels: null, lastError: null };
+}
+
+/**
+ * Reduce a channels.status payload to { state, connected, pending }.
+ * Tolerates both `{ channels: { name: {...} } }` and `[{ id, ... }]` shapes;
+ * returns null when the payload is unrecognisable.
+ */
+export function summarizeChannels(payload) {
+  const raw = payload?.channels ?? payload;
+  let entries;
+  if (Array.isArray(raw)) {
+    entries = raw.map((c) => [c?.id || c?.name || c?.channel || "?", c]);
+  } else if (raw && typeof raw === "object") {
+    entries = Object.entries(raw);
+  } else {
+    return null;
+  }
+
+  const connected = [];
+  const pending = [];
+  for (const [name, info] of entries) {
+    if (info?.enabled === false) continue;
+    const up =
+      info?.connected === true ||
+      info?.running === true ||
+      ["connected", "running", "ok", "ready"].includes(String(info?.status || info?.state || "").toLowerCase());
+    (up ? connected : pending).push(name);
+  }
+  return { state: pending.length ? "connecting" : "connected", connected, pending };
+}
+
+function canConnect(host, port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(1000, () => done(false));
+    socket.once("connect", () => done(true));
+    socket.once("error", () => done(false));
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Walk a freshly spawned gateway through the readiness stages.
+ *
+ * Resolves true as soon as the handshake succeeds (channel readiness keeps
+ * being tracked in the background), or false if the process dies or the
+ * handshake doesn't complete within `timeoutMs`.
+ *
+ * @param {{
+ *   tracker: ReadinessTracker,
+ *   host: string,
+ *   port: number,
+ *   token: string,
+ *   isAlive: () => boolean,
+ *   timeoutMs?: number,
+ *   channelTimeoutMs?: number,
+ * }} opts
+ */
+export async function probeGatewayStages(opts) {
+  const { tracker, host, port, token, isAlive } = opts;
+  const deadline = Date.now() + (opts.timeoutMs ?? 20_000);
+  tracker.begin();
+
+  const failWith = (err) => {
+    tracker.fail(err);
+    return false;
+  };
+
+  while (!(await canConnect(host, port))) {
+    if (!isAlive()) return failWith("gateway exited before listening");
+    if (Date.now() > deadline) return failWith(`port ${port} not listening in time`);
+    await sleep(250);
+  }
+  tracker.mark("listening");
+
+  let conn;
+  for (;;) {
+    try {
+      conn = await connectOnce({
+        url: `ws://${host}:${port}`,
+        token,
+        client: WRAPPER_CLIENT,
+        timeoutMs: Math.max(1000, Math.min(5000, deadline - Date.now())),
+      });
+      break;
+    } catch (err) {
+      if (!isAlive()) return failWith("gateway exited during handshake");
+      if (Date.now() > deadline) return failWith(`handshake failed: ${err.message}`);
+      await sleep(500);
+    }
+  }
+  tracker.mark("handshake");
+
+  // Channels connect asynchronously after boot; don't hold up proxying.
+  trackChannels(conn, tracker, isAlive, opts.channelTimeoutMs ?? 60_000).catch((err) => tracker.fail(err));
+  return true;
+}
+
+async function trackChannels(conn, tracker, isAlive, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  try {
+    while (isAlive()) {
+      let summary;
+      try {
+        summary = summarizeChannels(await conn.call("channels.status", {}));
+      } catch (err) {
+        // Older builds may not expose channels.status — readiness stops at the handshake.
+        tracker.setChannels({ state: "unknown", connected: [], pending: [], error: err.message });
+        tracker.mark("ready");
+        return;
+      }
+      if (!summary) {
+        tracker.setChannels({ state: "unknown", connected: [], pending: [] });
+        tracker.mark("ready");
+        return;
+      }
+      tracker.setChannels(summary);
+      if (!summary.pending.length) {
+        tracker.mark("ready");
+        return;
+      }
+      if (Date.now() > deadline) {
+        tracker.setChannels({ ...summary, state: "degraded" });
+        tracker.fail(`channels not connected after ${timeoutMs}ms: ${summary.pending.join(", ")}`);
+        return;
+      }
+      await sleep(1000);
+    }
+  } finally {
+    conn.close();
+  }
+}
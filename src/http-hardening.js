@@ -0,0 +1,96 @@
+/**
+ * http-hardening.js — response headers, origin checks and HTML escaping
+ * for the wrapper's own pages and APIs.  Proxied gateway traffic is left
+ * alone: the Control UI sets its own policy.
+ */
+
+import { escapeHtml } from "./waiting-room.js";
+
+// Wrapper pages load app.js from /setup and use <style> blocks and style
+// attributes, but never inline script.
+export const SETUP_CSP = [
+  "default-src 'none'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+  "base-uri 'none'",
+].join("; ");
+
+export function isSecureRequest(req) {
+  return req.secure || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+/**
+ * Security headers for a wrapper-rendered response.  HSTS only goes out on
+ * requests that arrived over HTTPS, and not at all when `hstsMaxAge` is 0.
+ */
+export function setSecurityHeaders(req, res, { hstsMaxAge = 0 } = {}) {
+  res.set("Content-Security-Policy", SETUP_CSP);
+  res.set("X-Frame-Options", "DENY");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Referrer-Policy", "same-origin");
+  res.set("Cross-Origin-Opener-Policy", "same-origin");
+  res.set("Cross-Origin-Resource-Policy", "same-origin");
+  if (hstsMaxAge > 0 && isSecureRequest(req)) {
+    res.set("Strict-Transport-Security", `max-age=${hstsMaxAge}; includeSubDomains`);
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why a request looks like a browser sent it for another site, or null.
+ *
+ * Browsers send Origin on every POST/PUT/DELETE (older ones at least a
+ * Referer), so one that names a different host is rejected.  Scripts send
+ * neither and pass; they still need credentials, and a session still needs
+ * its CSRF token.
+ */
+export function crossOriginReason(req) {
+  if (req.headers["sec-fetch-site"] === "cross-site") return "Sec-Fetch-Site is cross-site";
+  const hosts = new Set(
+    [req.headers.host, String(req.headers["x-forwarded-host"] || "").split(",")[0]]
+      .map((h) => String(h || "").trim().toLowerCase())
+      .filter(Boolean),
+  );
+  const origin = req.headers.origin;
+  if (origin) return hosts.has(hostOf(origin)) ? null : `Origin ${origin} does not match this host`;
+  const referer = req.headers.referer;
+  if (referer) return hosts.has(hostOf(referer)) ? null : "Referer does not match this host";
+  return null;
+}
+
+/** The body limit for `pathname`: the first `[prefix, limit]` rule that matches, else `fallback`. */
+export function bodyLimitFor(pathname, rules, fallback) {
+  for (const [prefix, limit] of rules) {
+    if (pathname === prefix || pathname.startsWith(`${prefix}/`)) return limit;
+  }
+  return fallback;
+}
+
+/** Marks a string as already-safe HTML for `html`. */
+export function rawHtml(value) {
+  return { __html: String(value ?? "") };
+}
+
+/**
+ * Tagged template that HTML-escapes every interpolated value, except those
+ * wrapped in rawHtml().  Arrays are joined after escaping their items.
+ */
+export function html(strings, ...values) {
+  const one = (v) => (v && typeof v === "object" && "__html" in v ? v.__html : escapeHtml(v));
+  let out = strings[0];
+  values.forEach((v, i) => {
+    out += (Array.isArray(v) ? v.map(one).join("") : one(v)) + strings[i + 1];
+  });
+  return out;
+}
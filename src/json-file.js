@@ -0,0 +1,76 @@
+/**
+ * json-file.js — the on-disk side of the wrapper's small JSON stores
+ * (setup users, API tokens, 2FA, scheduled jobs, the auth catalogue cache).
+ *
+ * Writes are atomic (temp file, then rename) and owner-only (0600).  The
+ * text layer is pluggable: pass a SecretBox as `io` and the file is sealed
+ * at rest like any other secret file (see secret-box.js).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** Write `text` to `file` via a temp file and rename, mode 0600. */
+export function writeFileAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp-${Date.now()}`;
+  fs.writeFileSync(tmp, text, { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/** Plain files; the same interface as SecretBox's readFile/writeFile. */
+export const plainFiles = {
+  readFile(file) {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+  writeFile: writeFileAtomic,
+};
+
+export class JsonFile {
+  /**
+   * @param {{ file: string, tag: string, io?: { readFile(file: string): string | null, writeFile(file: string, text: string): void }, strict?: boolean }} opts
+   *   `tag` prefixes log lines, e.g. "tokens" → "[tokens] could not read …".
+   *   `strict`: read() throws on an unreadable file instead of logging it.
+   */
+  constructor({ file, tag, io = plainFiles, strict = false }) {
+    this.file = file;
+    this._tag = tag;
+    this._io = io;
+    this._strict = strict;
+  }
+
+  /** The parsed contents; null if the file is missing, or (logged) if unreadable and not strict. */
+  read() {
+    try {
+      const text = this._io.readFile(this.file);
+      return text == null ? null : JSON.parse(text);
+    } catch (err) {
+      if (this._strict) throw new Error(`could not read ${this.file}: ${err.message}`);
+      console.error(`[${this._tag}] could not read ${this.file}: ${String(err)}`);
+      return null;
+    }
+  }
+
+  write(data) {
+    this._io.writeFile(this.file, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * The entries `problem` has no objection to.  `problem(entry)` returns
+   * null for a good entry, or what to log after "skipping" for a bad one.
+   */
+  valid(entries, problem) {
+    const out = [];
+    for (const entry of entries) {
+      const why = problem(entry);
+      if (why) console.error(`[${this._tag}] skipping ${why}`);
+      else out.push(entry);
+    }
+    return out;
+  }
+}
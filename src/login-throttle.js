@@ -0,0 +1,160 @@
+/**
+ * login-throttle.js — brute-force protection for password checks.
+ *
+ * Failed attempts are tracked per client IP and globally:
+ *
+ *   - per IP, each consecutive failure doubles the wait before the next
+ *     attempt is accepted (baseDelayMs, 2×, 4×, … capped at maxDelayMs);
+ *   - `ipMaxFailures` failures from one IP within `windowMs` lock that IP
+ *     out for `ipLockoutMs`;
+ *   - `globalMaxFailures` failures from anywhere within `windowMs` lock
+ *     out password logins entirely for `globalLockoutMs` (a distributed
+ *     guess run).  Existing sessions are unaffected.
+ *
+ * A successful login clears the IP's counters.  Emits "lockout" with
+ * `{ scope: "ip" | "global", ip, failures, until }` when a lockout starts.
+ * State is in memory only; a restart forgets it.
+ */
+
+import { EventEmitter } from "node:events";
+
+const DEFAULTS = {
+  windowMs: 15 * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 60_000,
+  ipMaxFailures: 10,
+  ipLockoutMs: 15 * 60 * 1000,
+  globalMaxFailures: 100,
+  globalLockoutMs: 5 * 60 * 1000,
+  historySize: 100,
+  maxTrackedIps: 10_000,
+};
+
+export class LoginThrottle extends EventEmitter {
+  /** @param {Partial<typeof DEFAULTS>} [opts] */
+  constructor(opts = {}) {
+    super();
+    this._opts = { ...DEFAULTS, ...opts };
+    this._ips = new Map(); // ip → { failures: number[], consecutive, lastFailureAt, lockedUntil }
+    this._global = { failures: [], lockedUntil: 0 };
+    this._recent = []; // newest last
+    this._lockouts = [];
+  }
+
+  /**
+   * Whether an attempt from `ip` may be checked right now.
+   * @returns {{ allowed: true } | { allowed: false, reason: string, retryAfterMs: number }}
+   */
+  check(ip, now = Date.now()) {
+    if (this._global.lockedUntil > now) {
+      return { allowed: false, reason: "Too many failed logins; password login is paused", retryAfterMs: this._global.lockedUntil - now };
+    }
+    const st = this._ips.get(ip);
+    if (!st) return { allowed: true };
+    if (st.lockedUntil > now) {
+      return { allowed: false, reason: "Too many failed logins from this address", retryAfterMs: st.lockedUntil - now };
+    }
+    const readyAt = st.lastFailureAt + this._delay(st.consecutive);
+    if (readyAt > now) {
+      return { allowed: false, reason: "Too many attempts; slow down", retryAfterMs: readyAt - now };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Record a failed attempt. `info` (e.g. `{ path, user }`) is kept in the
+   * recent-failures list; never pass the attempted password.
+   * @returns {{ retryAfterMs: number, locked: boolean }}
+   */
+  recordFailure(ip, info = {}, now = Date.now()) {
+    const { windowMs } = this._opts;
+    const st = this._ipState(ip);
+    if (st.lastFailureAt <= now - windowMs) st.consecutive = 0; // quiet for a whole window: start over
+    st.failures = st.failures.filter((t) => t > now - windowMs);
+    st.failures.push(now);
+    st.consecutive++;
+    st.lastFailureAt = now;
+
+    this._global.failures = this._global.failures.filter((t) => t > now - windowMs);
+    this._global.failures.push(now);
+
+    this._recent.push({ at: new Date(now).toISOString(), ip, ...info });
+    if (this._recent.length > this._opts.historySize) this._recent.splice(0, this._recent.length - this._opts.historySize);
+
+    let locked = false;
+    if (st.failures.length >= this._opts.ipMaxFailures && st.lockedUntil <= now) {
+      st.lockedUntil = now + this._opts.ipLockoutMs;
+      locked = true;
+      this._lockout({ scope: "ip", ip, failures: st.failures.length, until: st.lockedUntil }, now);
+    }
+    if (this._global.failures.length >= this._opts.globalMaxFailures && this._global.lockedUntil <= now) {
+      this._global.lockedUntil = now + this._opts.globalLockoutMs;
+      locked = true;
+      this._lockout({ scope: "global", ip, failures: this._global.failures.length, until: this._global.lockedUntil }, now);
+    }
+
+    const blocked = this.check(ip, now);
+    return { locked, retryAfterMs: blocked.allowed ? 0 : blocked.retryAfterMs };
+  }
+
+  recordSuccess(ip) {
+    this._ips.delete(ip);
+  }
+
+  /** For /setup/api/security: recent failures, active lockouts, settings. */
+  snapshot(now = Date.now()) {
+    const windowStart = now - this._opts.windowMs;
+    const lockedIps = [];
+    const activeIps = [];
+    for (const [ip, st] of this._ips) {
+      if (st.lockedUntil > now) lockedIps.push({ ip, until: new Date(st.lockedUntil).toISOString(), failures: st.failures.length });
+      const recent = st.failures.filter((t) => t > windowStart).length;
+      if (recent) activeIps.push({ ip, failures: recent, consecutive: st.consecutive });
+    }
+    activeIps.sort((a, b) => b.failures - a.failures);
+    return {
+      global: {
+        failuresInWindow: this._global.failures.filter((t) => t > windowStart).length,
+        lockedUntil: this._global.lockedUntil > now ? new Date(this._global.lockedUntil).toISOString() : null,
+      },
+      lockedIps,
+      topIps: activeIps.slice(0, 20),
+      recentFailures: [...this._recent].reverse(),
+      lockouts: [...this._lockouts].reverse(),
+      settings: { ...this._opts },
+    };
+  }
+
+  // --- Internal ---
+
+  _delay(consecutive) {
+    if (consecutive <= 0) return 0;
+    return Math.min(this._opts.baseDelayMs * 2 ** (consecutive - 1), this._opts.maxDelayMs);
+  }
+
+  _ipState(ip) {
+    let st = this._ips.get(ip);
+    if (st) return st;
+    if (this._ips.size >= this._opts.maxTrackedIps) this._prune();
+    st = { failures: [], consecutive: 0, lastFailureAt: 0, lockedUntil: 0 };
+    this._ips.set(ip, st);
+    return st;
+  }
+
+  // Drop IPs that are neither locked nor inside the window; if that isn't
+  // enough, drop the oldest entries so memory stays bounded.
+  _prune(now = Date.now()) {
+    for (const [ip, st] of this._ips) {
+      if (st.lockedUntil <= now && st.lastFailureAt <= now - this._opts.windowMs) this._ips.delete(ip);
+    }
+    const excess = this._ips.size - Math.floor(this._opts.maxTrackedIps * 0.9);
+    if (excess > 0) [...this._ips.keys()].slice(0, excess).forEach((ip) => this._ips.delete(ip));
+  }
+
+  _lockout(event, now) {
+    const record = { ...event, at: new Date(now).toISOString(), until: new Date(event.until).toISOString() };
+    this._lockouts.push(record);
+    if (this._lockouts.length > 50) this._lockouts.shift();
+    this.emit("lockout", record);
+  }
+}
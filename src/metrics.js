@@ -0,0 +1,203 @@
+/**
+ * metrics.js — a small Prometheus registry (counters, gauges, histograms)
+ * rendered in the text exposition format, version 0.0.4.
+ *
+ * Kept dependency-free on purpose; it only needs to cover what the wrapper
+ * itself reports on /metrics.
+ */
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], collect) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    this._series = new Map(); // JSON label values → series
+  }
+
+  _key(labels = {}) {
+    const values = this.labelNames.map((n) => (labels[n] == null ? "" : String(labels[n])));
+    return [JSON.stringify(values), values];
+  }
+
+  reset() {
+    this._series.clear();
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("counter", name, help, labelNames, collect);
+  }
+
+  inc(labels, value = 1) {
+    const [key, values] = this._key(labels);
+    const s = this._series.get(key) || { values, value: 0 };
+    s.value += value;
+    this._series.set(key, s);
+  }
+
+  /** For collect() callbacks that mirror a counter kept elsewhere. */
+  set(labels, value) {
+    const [key, values] = this._key(labels);
+    this._series.set(key, { values, value });
+  }
+
+  render() {
+    return [...this._series.values()].map(
+      (s) => `${this.name}${formatLabels(this.labelNames, s.values)} ${formatValue(s.value)}`,
+    );
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super("gauge", name, help, labelNames, collect);
+  }
+
+  set(labels, value) {
+    const [key, values] = this._key(labels);
+    this._series.set(key, { values, value });
+  }
+
+  inc(labels, value = 1) {
+    const [key, values] = this._key(labels);
+    const s = this._series.get(key) || { values, value: 0 };
+    s.value += value;
+    this._series.set(key, s);
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    return [...this._series.values()].map(
+      (s) => `${this.name}${formatLabels(this.labelNames, s.values)} ${formatValue(s.value)}`,
+    );
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const [key, values] = this._key(labels);
+    let s = this._series.get(key);
+    if (!s) {
+      s = { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this._series.set(key, s);
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) s.counts[i]++;
+    }
+    s.sum += value;
+    s.count++;
+  }
+
+  /** Returns a function that observes the seconds elapsed since now. */
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (moreLabels) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    for (const s of this._series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, `le="${formatValue(le)}"`)} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, s.values)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, s.values)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this._metrics = new Map();
+  }
+
+  _add(metric) {
+    if (this._metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    this._metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /** `collect(counter)` (optional) runs before every render. */
+  counter(name, help, labelNames = [], collect) {
+    return this._add(new Counter(name, help, labelNames, collect));
+  }
+
+  /** `collect(gauge)` (optional) runs before every render. */
+  gauge(name, help, labelNames = [], collect) {
+    return this._add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const out = [];
+    for (const m of this._metrics.values()) {
+      if (m.collect) {
+        try {
+          m.collect(m);
+        } catch (err) {
+          console.error(`[metrics] collect failed for ${m.name}: ${String(err)}`);
+        }
+      }
+      out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      out.push(...m.render());
+    }
+    return `${out.join("\n")}\n`;
+  }
+}
+
+/**
+ * Bucket a proxied request path into a low-cardinality route class.
+ */
+export function classifyProxyRoute(pathname) {
+  const p = String(pathname || "/");
+  if (p.startsWith("/hooks/") || p === "/hooks") return "hooks";
+  if (p.startsWith("/v1/")) return "openai_api";
+  if (p.startsWith("/api/") || p.startsWith("/tools/")) return "api";
+  if (/\.(?:js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|woff2?|ttf)$/i.test(p)) return "static";
+  return "control_ui";
+}
+
+export function statusClass(code) {
+  return code ? `${Math.floor(code / 100)}xx` : "none";
+}
@@ -0,0 +1,134 @@
+/**
+ * onboarding-steps.js — the step list behind POST /setup/api/run, and the
+ * config snapshot it rolls back to.
+ *
+ * Each step is planned up front (pending), then run (running → ok/failed)
+ * or skipped.  Every change is handed to `onChange`, which the route streams
+ * to the browser; output is redacted before it is stored.
+ */
+
+import fs from "node:fs";
+
+export const STEP_STATUSES = ["pending", "running", "ok", "failed", "skipped"];
+
+export class OnboardingSteps {
+  /**
+   * @param {{ redact?: (text: string) => string, onChange?: (step: object) => void }} [opts]
+   */
+  constructor(opts = {}) {
+    this._redact = opts.redact ?? ((text) => text);
+    this._onChange = opts.onChange ?? (() => {});
+    this._steps = new Map();
+  }
+
+  /** Plan a step; adding an id twice is a no-op. */
+  add(id, name) {
+    if (!this._steps.has(id)) {
+      this._steps.set(id, { id, name, status: "pending", startedAt: null, durationMs: null, output: "" });
+    }
+    return this;
+  }
+
+  /**
+   * Run `fn` as step `id` (planned on the fly if needed).  `fn` resolves to
+   * a runCmd-style `{ code, output }`; a non-zero code or a throw marks the
+   * step failed.  Resolves to fn's result, or `{ code: 1, output }` on a throw.
+   */
+  async run(id, name, fn) {
+    this.add(id, name);
+    const step = this._steps.get(id);
+    const started = Date.now();
+    this._update(step, { status: "running", startedAt: new Date(started).toISOString() });
+    let result;
+    try {
+      result = (await fn()) ?? { code: 0, output: "" };
+    } catch (err) {
+      result = { code: 1, output: String(err?.message || err) };
+    }
+    this._update(step, {
+      status: result.code === 0 ? "ok" : "failed",
+      durationMs: Date.now() - started,
+      output: this._redact(String(result.output ?? "")),
+    });
+    return result;
+  }
+
+  /** Mark step `id` skipped, with the reason as its output. */
+  skip(id, name, reason) {
+    this.add(id, name);
+    this._update(this._steps.get(id), { status: "skipped", output: this._redact(String(reason ?? "")) });
+  }
+
+  /** Skip every step that never started (e.g. after onboarding failed). */
+  skipPending(reason) {
+    for (const step of this._steps.values()) {
+      if (step.status === "pending") this._update(step, { status: "skipped", output: reason });
+    }
+  }
+
+  list() {
+    return [...this._steps.values()].map((s) => ({ ...s }));
+  }
+
+  failed() {
+    return this.list().filter((s) => s.status === "failed");
+  }
+
+  /** Plain-text log of every step, for clients that asked for JSON. */
+  transcript() {
+    return this.list()
+      .map((s) => {
+        const took = s.durationMs == null ? "" : ` (${(s.durationMs / 1000).toFixed(1)}s)`;
+        return `[${s.status}] ${s.name}${took}${s.output ? `\n${s.output.trimEnd()}` : ""}`;
+      })
+      .join("\n\n");
+  }
+
+  // --- Internal ---
+
+  _update(step, changes) {
+    Object.assign(step, changes);
+    try {
+      this._onChange({ ...step });
+    } catch (err) {
+      console.warn(`[onboarding] progress listener failed: ${String(err)}`);
+    }
+  }
+}
+
+/**
+ * Remember what `files` hold now (or that they don't exist), so a failed
+ * onboarding can put them back.  restore() returns one line per file it
+ * touched.
+ */
+export function snapshotFiles(files) {
+  const saved = files.map((file) => {
+    try {
+      return { file, content: fs.readFileSync(file), mode: fs.statSync(file).mode & 0o777 };
+    } catch (err) {
+      if (err.code === "ENOENT") return { file, content: null };
+      throw err;
+    }
+  });
+
+  return {
+    /** True if none of the files existed: restoring means "unconfigured". */
+    empty: saved.every((s) => s.content === null),
+    restore() {
+      const done = [];
+      for (const { file, content, mode } of saved) {
+        if (content === null) {
+          if (!fs.existsSync(file)) continue;
+          fs.rmSync(file, { force: true });
+          done.push(`removed ${file}`);
+        } else {
+          const tmp = `${file}.tmp-${process.pid}-${Date.now()}`;
+          fs.writeFileSync(tmp, content, { mode });
+          fs.renameSync(tmp, file);
+          done.push(`restored ${file}`);
+        }
+      }
+      return done;
+    },
+  };
+}
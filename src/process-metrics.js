@@ -0,0 +1,212 @@
+/**
+ * process-metrics.js — CPU / memory / fd sampling for the wrapper and its
+ * children, read straight from /proc (Linux only; elsewhere every sample
+ * comes back empty).
+ *
+ * Each service is measured as its whole process tree: Quartz runs under
+ * `npx`, so the PID the supervisor knows about is only a launcher.  A short
+ * history is kept in memory so a slow leak shows up without external
+ * tooling.
+ */
+
+import fs from "node:fs";
+
+// USER_HZ is 100 on every Linux platform Node supports.
+const CLK_TCK = 100;
+const PAGE_SIZE = 4096;
+
+const DEFAULTS = {
+  intervalMs: 15_000,
+  historySize: 120, // 30 minutes at the default interval
+  now: () => Date.now(), // injectable for tests
+};
+
+/**
+ * Parse /proc/<pid>/stat. The comm field is wrapped in parentheses and may
+ * itself contain spaces or ")", so split on the last ")".
+ * @returns {{ pid: number, comm: string, ppid: number, ticks: number, startTicks: number, rssPages: number } | null}
+ */
+export function parseStat(text) {
+  const open = text.indexOf("(");
+  const close = text.lastIndexOf(")");
+  if (open < 0 || close < open) return null;
+  // Fields after comm start at field 3 (state); see proc(5).
+  const rest = text.slice(close + 2).trim().split(/\s+/);
+  const field = (n) => Number(rest[n - 3]);
+  return {
+    pid: Number(text.slice(0, open).trim()),
+    comm: text.slice(open + 1, close),
+    ppid: field(4),
+    ticks: field(14) + field(15), // utime + stime
+    startTicks: field(22),
+    rssPages: field(24),
+  };
+}
+
+function readStat(pid) {
+  try {
+    return parseStat(fs.readFileSync(`/proc/${pid}/stat`, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function countFds(pid) {
+  try {
+    return fs.readdirSync(`/proc/${pid}/fd`).length;
+  } catch {
+    return null; // gone, or not ours to inspect
+  }
+}
+
+function systemUptimeSec() {
+  try {
+    return Number(fs.readFileSync("/proc/uptime", "utf8").split(" ")[0]);
+  } catch {
+    return null;
+  }
+}
+
+/** ppid → child pids, for every process visible in /proc. */
+function childrenMap() {
+  const map = new Map();
+  let entries = [];
+  try {
+    entries = fs.readdirSync("/proc");
+  } catch {
+    return map;
+  }
+  for (const name of entries) {
+    if (!/^\d+$/.test(name)) continue;
+    const st = readStat(name);
+    if (!st) continue;
+    if (!map.has(st.ppid)) map.set(st.ppid, []);
+    map.get(st.ppid).push(st.pid);
+  }
+  return map;
+}
+
+function processTree(rootPid, children) {
+  const out = [];
+  const queue = [rootPid];
+  while (queue.length) {
+    const pid = queue.shift();
+    out.push(pid);
+    queue.push(...(children.get(pid) || []));
+  }
+  return out;
+}
+
+export class ProcessMetrics {
+  /**
+   * @param {{
+   *   targets: () => Record<string, number | { pid: number, tree?: boolean } | null | undefined>,
+   * } & Partial<typeof DEFAULTS>} opts
+   *   `targets()` returns the root PID for each service name (null when not
+   *   running). Pass `{ pid, tree: false }` to measure just that PID and not
+   *   its descendants (e.g. the wrapper itself, whose tree is everything).
+   */
+  constructor(opts) {
+    this._opts = { ...DEFAULTS, ...opts };
+    this._last = new Map(); // name → { pid, ticks, at }
+    this._current = new Map(); // name → latest sample
+    this._history = new Map(); // name → sample[]
+    this._sampledAt = null;
+    this._timer = null;
+  }
+
+  start() {
+    if (this._timer) return;
+    this.sample();
+    this._timer = setInterval(() => this.sample(), this._opts.intervalMs);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /** Take one sample of every target now. */
+  sample() {
+    const now = this._opts.now();
+    const uptime = systemUptimeSec();
+    const children = childrenMap();
+
+    for (const [name, target] of Object.entries(this._opts.targets())) {
+      const pid = typeof target === "object" ? target?.pid : target;
+      const tree = typeof target === "object" ? target?.tree !== false : true;
+      const sample = pid ? this._measure(name, pid, tree, now, uptime, children) : null;
+      if (!sample) {
+        this._current.set(name, { pid: pid ?? null, running: false });
+        this._last.delete(name);
+        continue;
+      }
+      this._current.set(name, sample);
+      const hist = this._history.get(name) || [];
+      hist.push({
+        ts: new Date(now).toISOString(),
+        pid: sample.pid,
+        cpuPercent: sample.cpuPercent,
+        rssBytes: sample.rssBytes,
+        fds: sample.fds,
+      });
+      if (hist.length > this._opts.historySize) hist.splice(0, hist.length - this._opts.historySize);
+      this._history.set(name, hist);
+    }
+    this._sampledAt = now;
+  }
+
+  /**
+   * Latest sample per service; pass `{ history: true }` to include the
+   * in-memory history as well.
+   */
+  snapshot(opts = {}) {
+    const processes = {};
+    for (const [name, sample] of this._current) {
+      processes[name] = opts.history ? { ...sample, history: this._history.get(name) || [] } : sample;
+    }
+    return {
+      sampledAt: this._sampledAt ? new Date(this._sampledAt).toISOString() : null,
+      intervalMs: this._opts.intervalMs,
+      processes,
+    };
+  }
+
+  _measure(name, pid, tree, now, uptime, children) {
+    const root = readStat(pid);
+    if (!root) return null;
+
+    const pids = tree ? processTree(pid, children) : [pid];
+    let ticks = 0;
+    let rssPages = 0;
+    let fds = 0;
+    for (const p of pids) {
+      const st = p === pid ? root : readStat(p);
+      if (!st) continue;
+      ticks += st.ticks;
+      rssPages += st.rssPages;
+      fds += countFds(p) ?? 0;
+    }
+
+    // CPU% over the last interval; needs a previous sample of the same PID.
+    const prev = this._last.get(name);
+    let cpuPercent = null;
+    if (prev && prev.pid === pid && now > prev.at) {
+      const cpuSec = Math.max(0, ticks - prev.ticks) / CLK_TCK;
+      cpuPercent = Math.round((cpuSec / ((now - prev.at) / 1000)) * 1000) / 10;
+    }
+    this._last.set(name, { pid, ticks, at: now });
+
+    return {
+      pid,
+      running: true,
+      pids: pids.length,
+      cpuPercent,
+      cpuSeconds: ticks / CLK_TCK,
+      rssBytes: rssPages * PAGE_SIZE,
+      fds,
+      uptimeSec: uptime != null ? Math.max(0, Math.round(uptime - root.startTicks / CLK_TCK)) : null,
+    };
+  }
+}
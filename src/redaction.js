@@ -0,0 +1,208 @@
+/**
+ * redaction.js — keep secrets out of everything /setup shows.
+ *
+ * Two layers:
+ *
+ *   - known values: the actual secrets this deployment holds (gateway token,
+ *     secret-looking env vars, secret fields of openclaw.json and
+ *     railway-oauth.json).  File sources are re-read when the file changes,
+ *     so a token added through onboarding is covered straight away.
+ *   - patterns: provider token formats (OpenAI, Anthropic, OpenRouter,
+ *     Gemini, GitHub, Slack, Discord, Telegram, …), JWTs, bearer headers
+ *     and PEM private keys, for secrets the wrapper has never seen.
+ *
+ * Both are replaced with REDACTED.
+ */
+
+import fs from "node:fs";
+
+export const REDACTED = "[REDACTED]";
+
+/** Provider-specific token formats.  Order matters only for overlapping matches. */
+export const SECRET_PATTERNS = [
+  { name: "pem-private-key", re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: "jwt", re: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: "anthropic", re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: "openrouter", re: /\bsk-or-[A-Za-z0-9_-]{20,}/g },
+  { name: "openai", re: /\bsk-[A-Za-z0-9_-]{10,}/g },
+  { name: "github", re: /\b(?:gh[oprsu]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g },
+  { name: "slack", re: /\bxox[abposr]-[A-Za-z0-9-]{10,}|\bxapp-[A-Za-z0-9-]{10,}/g },
+  { name: "google", re: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { name: "discord", re: /\b[MNO][A-Za-z0-9_-]{23,27}\.[A-Za-z0-9_-]{6}\.[A-Za-z0-9_-]{27,40}/g },
+  { name: "telegram", re: /\b\d{6,12}:AA[A-Za-z0-9_-]{30,}/g },
+  { name: "groq", re: /\bgsk_[A-Za-z0-9]{20,}/g },
+  { name: "xai", re: /\bxai-[A-Za-z0-9]{20,}/g },
+  { name: "huggingface", re: /\bhf_[A-Za-z0-9]{20,}/g },
+  { name: "aws-access-key", re: /\bAKIA[0-9A-Z]{16}\b/g },
+  { name: "setup-api-token", re: /\bocs_[0-9a-f]{12}_[A-Za-z0-9_-]{43}/g },
+  { name: "bearer", re: /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/gi },
+];
+
+// Object keys (config files) and env var names whose values are secrets.
+const SECRET_KEY = /token|secret|passw(or)?d|api[-_]?key|private[-_]?key|credential|cookie|authorization/i;
+const SECRET_ENV = /TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|AUTHKEY|PRIVKEY|PRIVATE_?KEY|CREDENTIAL|WEBHOOK_URL/;
+
+export function isSecretKey(key) {
+  return SECRET_KEY.test(String(key));
+}
+
+export function isSecretEnvName(name) {
+  return SECRET_ENV.test(String(name));
+}
+
+/** Values of env vars whose names look secret. */
+export function secretEnvValues(env = process.env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV.test(name) && typeof value === "string")
+    .map(([, value]) => value.trim());
+}
+
+/** Every string stored under a secret-looking key, at any depth. */
+export function collectSecretValues(value, out = [], underSecretKey = false, depth = 0) {
+  if (depth > 20 || value == null) return out;
+  if (typeof value === "string") {
+    if (underSecretKey) out.push(value);
+  } else if (Array.isArray(value)) {
+    for (const v of value) collectSecretValues(v, out, underSecretKey, depth + 1);
+  } else if (typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) collectSecretValues(v, out, underSecretKey || isSecretKey(k), depth + 1);
+  }
+  return out;
+}
+
+export class SecretRedactor {
+  /**
+   * @param {{ minLength?: number, refreshMs?: number, patterns?: typeof SECRET_PATTERNS }} [opts]
+   *   minLength: shorter known values are ignored (a 4-char "true" is not worth
+   *   scrubbing from every log line).  refreshMs: how often watched files are
+   *   checked for changes.
+   */
+  constructor(opts = {}) {
+    this._minLength = opts.minLength ?? 8;
+    this._refreshMs = opts.refreshMs ?? 1000;
+    this._patterns = opts.patterns ?? SECRET_PATTERNS;
+    this._values = new Map(); // source → string[]
+    this._files = new Map();  // source → { file, extract, read, stamp }
+    this._sorted = null;      // all known values, longest first
+    this._checkedAt = 0;
+  }
+
+  /** Replace the known values for `source`. */
+  setValues(source, values) {
+    const keep = [...new Set((values || []).map((v) => String(v ?? "").trim()))].filter((v) => v.length >= this._minLength);
+    this._values.set(source, keep);
+    this._sorted = null;
+  }
+
+  /**
+   * Learn `source`'s values from a JSON file, re-reading it when it changes.
+   * `file` may be a function, for paths that are resolved late; `read`
+   * replaces the plain UTF-8 read (e.g. to decrypt).
+   */
+  watchFile(source, file, { extract = collectSecretValues, read = (f) => fs.readFileSync(f, "utf8") } = {}) {
+    this._files.set(source, { file, extract, read, stamp: null });
+    this._refreshFile(source);
+  }
+
+  /** Source names and how many values each holds (never the values). */
+  sources() {
+    this._refresh();
+    const out = {};
+    for (const [source, values] of this._values) out[source] = values.length;
+    return out;
+  }
+
+  redact(text) {
+    if (!text) return text;
+    this._refresh();
+    let out = String(text);
+    for (const value of this._knownValues()) {
+      if (out.includes(value)) out = out.split(value).join(REDACTED);
+    }
+    for (const { re } of this._patterns) out = out.replace(re, REDACTED);
+    return out;
+  }
+
+  /**
+   * Redact every string in a JSON-able value.  Strings under secret-looking
+   * keys are replaced outright.
+   */
+  redactDeep(value, depth = 0) {
+    if (depth > 20) return value;
+    if (typeof value === "string") return this.redact(value);
+    if (Array.isArray(value)) return value.map((v) => this.redactDeep(v, depth + 1));
+    if (value && typeof value === "object" && value.constructor === Object) {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        out[k] = typeof v === "string" && v && isSecretKey(k) ? REDACTED : this.redactDeep(v, depth + 1);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  // --- Internal ---
+
+  _knownValues() {
+    if (!this._sorted) this._sorted = [...new Set([...this._values.values()].flat())].sort((a, b) => b.length - a.length);
+    return this._sorted;
+  }
+
+  _refresh() {
+    const now = Date.now();
+    if (now - this._checkedAt < this._refreshMs) return;
+    this._checkedAt = now;
+    for (const source of this._files.keys()) this._refreshFile(source);
+  }
+
+  _refreshFile(source) {
+    const entry = this._files.get(source);
+    const file = typeof entry.file === "function" ? entry.file() : entry.file;
+    let stamp = null;
+    try {
+      const st = fs.statSync(file);
+      stamp = `${file}:${st.mtimeMs}:${st.size}`;
+    } catch {
+      // missing: forget what it held
+    }
+    if (stamp === entry.stamp) return;
+    entry.stamp = stamp;
+    let values = [];
+    if (stamp) {
+      try {
+        values = entry.extract(JSON.parse(entry.read(file)));
+      } catch (err) {
+        // Keep the previous values: a half-written file is no reason to leak.
+        console.warn(`[redaction] could not read ${file}: ${String(err)}`);
+        return;
+      }
+    }
+    this.setValues(source, values);
+  }
+}
+
+/**
+ * Put secrets back into an edited copy of a redacted document.
+ *
+ * Walks `edited` alongside `original`: a string still containing REDACTED
+ * whose original counterpart redacts to the same text was left untouched by
+ * the editor, so the original is restored.  Throws if any REDACTED is left
+ * that can't be matched up (e.g. a redacted value moved to a new key).
+ */
+export function restoreRedacted(edited, original, redact, where = "") {
+  if (typeof edited === "string") {
+    if (!edited.includes(REDACTED)) return edited;
+    if (typeof original === "string" && redact(original) === edited) return original;
+    throw new Error(`${where || "value"} still contains ${REDACTED}; reveal the config and enter the secret there`);
+  }
+  if (Array.isArray(edited)) {
+    return edited.map((v, i) => restoreRedacted(v, Array.isArray(original) ? original[i] : undefined, redact, `${where}[${i}]`));
+  }
+  if (edited && typeof edited === "object") {
+    const base = original && typeof original === "object" && !Array.isArray(original) ? original : {};
+    const out = {};
+    for (const [k, v] of Object.entries(edited)) out[k] = restoreRedacted(v, base[k], redact, where ? `${where}.${k}` : k);
+    return out;
+  }
+  return edited;
+}
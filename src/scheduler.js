@@ -0,0 +1,333 @@
+/**
+ * scheduler.js — cron-style recurring jobs for maintenance commands.
+ *
+ * A job runs one command from an allowlist (the debug console's commands
+ * plus wrapper extras like backup.export) on a 5-field cron schedule:
+ *
+ *   minute hour day-of-month month day-of-week
+ *
+ * Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `0-30/10`); `@hourly`, `@daily`, `@weekly`, `@monthly` and
+ * `@yearly` are shorthands.  Schedules use the container's local time
+ * (UTC on Railway).  As in Vixie cron, when both day fields are restricted
+ * a day matching either one runs.
+ *
+ * Definitions, last results and a short per-job history live in one JSON
+ * file in the state dir.  Runs missed while the wrapper was down are not
+ * caught up; a job that is still running when it comes due again is skipped.
+ */
+
+import { EventEmitter } from "node:events";
+import crypto from "node:crypto";
+
+import { JsonFile } from "./json-file.js";
+
+const SHORTHANDS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const DEFAULTS = {
+  historySize: 20,
+  maxOutputChars: 4000,
+};
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid ${name} field: ${text}`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let lo = min;
+    let hi = max;
+    if (m[1] !== "*") {
+      lo = Number(m[2]);
+      hi = m[3] != null ? Number(m[3]) : m[4] ? max : lo;
+    }
+    if (lo < min || hi > max || lo > hi || step < 1) {
+      throw new Error(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message if invalid.
+ */
+export function parseCron(expr) {
+  const raw = String(expr || "").trim();
+  const text = SHORTHANDS[raw.toLowerCase()] || raw;
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Schedule must have 5 fields or be a shorthand like @daily: "${raw}"`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute,
+    hour,
+    dom,
+    month,
+    dow,
+    // "*" and "*/n" count as unrestricted for the either-day rule.
+    domRestricted: !parts[2].startsWith("*"),
+    dowRestricted: !parts[4].startsWith("*"),
+  };
+}
+
+function dayMatches(cron, d) {
+  const domOk = cron.dom.has(d.getDate());
+  const dowOk = cron.dow.has(d.getDay());
+  if (cron.domRestricted && cron.dowRestricted) return domOk || dowOk;
+  if (cron.domRestricted) return domOk;
+  if (cron.dowRestricted) return dowOk;
+  return true;
+}
+
+/**
+ * First time strictly after `from` that matches `cron`, or null if there is
+ * none within five years (e.g. "0 0 31 2 *").
+ */
+export function nextRun(cron, from = new Date()) {
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+export class JobScheduler extends EventEmitter {
+  /**
+   * @param {{
+   *   file: string,
+   *   commands: Set<string>,
+   *   run: (job: { command: string, arg: string }) => Promise<{ ok: boolean, output?: string, error?: string }>,
+   * } & Partial<typeof DEFAULTS>} opts
+   */
+  constructor(opts) {
+    super();
+    this._opts = { ...DEFAULTS, ...opts };
+    this._store = new JsonFile({ file: this._opts.file, tag: "jobs" });
+    this._jobs = new Map(); // id → persisted job
+    this._next = new Map(); // id → Date | null
+    this._running = new Set();
+    this._timer = null;
+    this._load();
+  }
+
+  start() {
+    if (this._timer) return;
+    for (const job of this._jobs.values()) this._schedule(job);
+    this._tick();
+  }
+
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  list() {
+    return [...this._jobs.values()].map((job) => this._view(job));
+  }
+
+  get(id) {
+    const job = this._jobs.get(id);
+    return job ? this._view(job) : null;
+  }
+
+  history(id) {
+    const job = this._jobs.get(id);
+    return job ? [...job.history].reverse() : null;
+  }
+
+  create(def) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      ...this._validate({ enabled: true, arg: "", ...def }),
+      createdAt: now,
+      updatedAt: now,
+      lastRun: null,
+      history: [],
+    };
+    this._jobs.set(job.id, job);
+    this._schedule(job);
+    this._save();
+    return this._view(job);
+  }
+
+  /** Partial update; returns null for an unknown id. */
+  update(id, patch) {
+    const job = this._jobs.get(id);
+    if (!job) return null;
+    const fields = this._validate({
+      name: job.name,
+      schedule: job.schedule,
+      command: job.command,
+      arg: job.arg,
+      enabled: job.enabled,
+      ...patch,
+    });
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this._schedule(job);
+    this._save();
+    return this._view(job);
+  }
+
+  remove(id) {
+    if (!this._jobs.delete(id)) return false;
+    this._next.delete(id);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Run a job now, outside its schedule. Resolves with the run record, or
+   * null for an unknown id. Throws if the job is already running.
+   */
+  async runNow(id) {
+    const job = this._jobs.get(id);
+    if (!job) return null;
+    if (this._running.has(id)) throw new Error("Job is already running");
+    return this._run(job, "manual");
+  }
+
+  // --- Internal ---
+
+  _validate(def) {
+    const name = String(def.name ?? "").trim();
+    if (!name || name.length > 100) throw new Error("name is required (max 100 chars)");
+    const schedule = String(def.schedule ?? "").trim();
+    if (!nextRun(parseCron(schedule))) throw new Error(`Schedule never matches: ${schedule}`);
+    const command = String(def.command ?? "").trim();
+    if (!this._opts.commands.has(command)) {
+      throw new Error(`command must be one of: ${[...this._opts.commands].sort().join(", ")}`);
+    }
+    const arg = String(def.arg ?? "").trim();
+    if (arg.length > 1000) throw new Error("arg too long (max 1000 chars)");
+    if (typeof def.enabled !== "boolean") throw new Error("enabled must be a boolean");
+    return { name, schedule, command, arg, enabled: def.enabled };
+  }
+
+  _view(job) {
+    const { history: _history, ...rest } = job;
+    const next = this._next.get(job.id);
+    return {
+      ...rest,
+      running: this._running.has(job.id),
+      nextRunAt: job.enabled && next ? next.toISOString() : null,
+    };
+  }
+
+  _schedule(job) {
+    this._next.set(job.id, job.enabled ? nextRun(parseCron(job.schedule)) : null);
+  }
+
+  _tick() {
+    const now = Date.now();
+    for (const job of this._jobs.values()) {
+      const next = this._next.get(job.id);
+      if (!job.enabled || !next || next.getTime() > now) continue;
+      this._schedule(job); // compute the following slot before running
+      if (this._running.has(job.id)) {
+        console.warn(`[jobs] ${job.name}: previous run still in progress; skipping`);
+        continue;
+      }
+      this._run(job, "schedule").catch((err) => {
+        console.error(`[jobs] ${job.name}: ${String(err)}`);
+      });
+    }
+    // Wake at the top of the next minute.
+    const delay = 60_000 - (Date.now() % 60_000) + 50;
+    this._timer = setTimeout(() => this._tick(), delay);
+    this._timer.unref?.();
+  }
+
+  async _run(job, trigger) {
+    this._running.add(job.id);
+    const started = Date.now();
+    let result;
+    try {
+      result = await this._opts.run({ command: job.command, arg: job.arg });
+    } catch (err) {
+      result = { ok: false, error: String(err) };
+    } finally {
+      this._running.delete(job.id);
+    }
+
+    const text = String(result.output ?? result.error ?? "");
+    const max = this._opts.maxOutputChars;
+    const record = {
+      command: job.command,
+      trigger,
+      startedAt: new Date(started).toISOString(),
+      durationMs: Date.now() - started,
+      ok: Boolean(result.ok),
+      output: text.length > max ? `${text.slice(0, max)}\n... (truncated)\n` : text,
+    };
+
+    // The job may have been deleted while it ran.
+    if (this._jobs.get(job.id) === job) {
+      job.lastRun = record;
+      job.history.push(record);
+      if (job.history.length > this._opts.historySize) {
+        job.history.splice(0, job.history.length - this._opts.historySize);
+      }
+      this._save();
+    }
+    console.log(`[jobs] ${job.name} (${job.command}) ${record.ok ? "ok" : "failed"} in ${record.durationMs}ms`);
+    this.emit("run", job.id, record);
+    return record;
+  }
+
+  _load() {
+    const jobs = this._store.valid(this._store.read()?.jobs || [], (job) => {
+      try {
+        parseCron(job.schedule);
+        return null;
+      } catch (err) {
+        return `job ${job?.name || job?.id}: ${String(err)}`;
+      }
+    });
+    for (const job of jobs) this._jobs.set(job.id, { history: [], lastRun: null, ...job });
+  }
+
+  _save() {
+    this._store.write({ version: 1, jobs: [...this._jobs.values()] });
+  }
+}
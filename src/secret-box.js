@@ -0,0 +1,163 @@
+/**
+ * secret-box.js — envelope encryption for secret files in the state dir.
+ *
+ * The master key comes from the environment (SECRETS_ENCRYPTION_KEY); a
+ * 256-bit key is derived from it with HKDF.  Each write generates a fresh
+ * data key, encrypts the content with it (AES-256-GCM, the file's base name
+ * as associated data so sealed files can't be swapped around), and stores
+ * the data key wrapped by the master key next to the ciphertext:
+ *
+ *   {"format":"openclaw-secret-box","v":1,"kid":"<key id>","key":"…","data":"…"}
+ *
+ * `kid` is a short hash of the derived master key, so a file sealed with a
+ * different key is reported as such instead of as corrupt.  Previous keys
+ * (SECRETS_ENCRYPTION_KEY_PREVIOUS) can still open files; migrateFile()
+ * re-seals them with the current key, or writes plaintext back when no
+ * current key is set.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { writeFileAtomic } from "./json-file.js";
+
+export const FORMAT = "openclaw-secret-box";
+
+const HKDF_SALT = "openclaw-wrapper/secret-box/v1";
+const MIN_KEY_CHARS = 16;
+
+function deriveKey(secret) {
+  const text = String(secret ?? "").trim();
+  if (text.length < MIN_KEY_CHARS) throw new Error(`Encryption keys must be at least ${MIN_KEY_CHARS} characters`);
+  const key = Buffer.from(crypto.hkdfSync("sha256", text, HKDF_SALT, "master", 32));
+  const kid = crypto.createHash("sha256").update(key).digest("hex").slice(0, 12);
+  return { key, kid };
+}
+
+// iv (12) | tag (16) | ciphertext, base64
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ct]).toString("base64");
+}
+
+function decrypt(key, b64, aad) {
+  const buf = Buffer.from(b64, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+function parseEnvelope(text) {
+  if (typeof text !== "string" || !text.startsWith("{")) return null;
+  try {
+    const env = JSON.parse(text);
+    return env?.format === FORMAT ? env : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isSealed(text) {
+  return parseEnvelope(text) !== null;
+}
+
+export class SecretBox {
+  /**
+   * @param {{ key?: string | null, previousKeys?: string[] }} [opts]
+   *   key: current master key (null = write plaintext).  previousKeys: older
+   *   master keys that may still open existing files.
+   */
+  constructor({ key = null, previousKeys = [] } = {}) {
+    this._current = key ? deriveKey(key) : null;
+    this._keys = new Map(); // kid → key
+    for (const k of [...(this._current ? [key] : []), ...previousKeys]) {
+      const { key: derived, kid } = deriveKey(k);
+      this._keys.set(kid, derived);
+    }
+  }
+
+  get enabled() {
+    return this._current !== null;
+  }
+
+  get keyId() {
+    return this._current?.kid ?? null;
+  }
+
+  /** Encrypt `plaintext` (string) under a fresh data key.  `aad` binds it to a name. */
+  seal(plaintext, aad = "") {
+    if (!this._current) throw new Error("No encryption key configured");
+    const dataKey = crypto.randomBytes(32);
+    const envelope = {
+      format: FORMAT,
+      v: 1,
+      kid: this._current.kid,
+      key: encrypt(this._current.key, dataKey, "data-key"),
+      data: encrypt(dataKey, Buffer.from(String(plaintext), "utf8"), aad),
+    };
+    return JSON.stringify(envelope) + "\n";
+  }
+
+  /** The plaintext of a sealed string; anything else is returned unchanged. */
+  open(text, aad = "") {
+    const env = parseEnvelope(text);
+    if (!env) return text;
+    const master = this._keys.get(env.kid);
+    if (!master) throw new Error(`Sealed with key ${env.kid}, which is not configured (SECRETS_ENCRYPTION_KEY / SECRETS_ENCRYPTION_KEY_PREVIOUS)`);
+    try {
+      const dataKey = decrypt(master, env.key, "data-key");
+      return decrypt(dataKey, env.data, aad).toString("utf8");
+    } catch {
+      throw new Error(`Could not decrypt (key ${env.kid}): the file is corrupt or was sealed under another name`);
+    }
+  }
+
+  /** File contents, decrypted if sealed; null if the file doesn't exist. */
+  readFile(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+    try {
+      return this.open(text, path.basename(file));
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+  }
+
+  /** Atomically write `plaintext`, sealed when a key is configured. */
+  writeFile(file, plaintext) {
+    writeFileAtomic(file, this._current ? this.seal(plaintext, path.basename(file)) : String(plaintext));
+  }
+
+  /**
+   * Bring an existing file in line with the current key.
+   * @returns {"missing" | "unchanged" | "sealed" | "resealed" | "unsealed"}
+   */
+  migrateFile(file) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return "missing";
+      throw err;
+    }
+    const env = parseEnvelope(text);
+    if (this._current) {
+      if (env?.kid === this._current.kid) return "unchanged";
+      this.writeFile(file, this.readFile(file));
+      return env ? "resealed" : "sealed";
+    }
+    if (!env) return "unchanged";
+    this.writeFile(file, this.readFile(file));
+    return "unsealed";
+  }
+}
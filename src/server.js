@@ -3,11 +3,44 @@ import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { pipeline } from "node:stream/promises";
 
 import express from "express";
 import httpProxy from "http-proxy";
+import qrcode from "qrcode-generator";
 import * as tar from "tar";
 
+import { INTERNAL_TOKEN_HEADER, classifyRequest, identityAllowed, parseIdentityAllowlist } from "./access-control.js";
+import { ApiTokenStore, FIXED_SCOPES, TOKEN_PREFIX, hasScope, validateScopes } from "./api-tokens.js";
+import { AuditLog, OUTCOMES } from "./audit-log.js";
+import { AuthCatalogue } from "./auth-catalogue.js";
+import { createBackupStream } from "./backup.js";
+import { CredentialChecker, baseUrlsFromEnv, keyEnvProblem, providerForFlag } from "./credential-checks.js";
+import {
+  customProviderConfig,
+  customProviderProblem,
+  desiredAssignments,
+  diffAssignments,
+  resolveEnvRefs,
+  validateDesiredState,
+} from "./desired-state.js";
+import { ReadinessTracker, probeGatewayStages } from "./gateway-readiness.js";
+import { bodyLimitFor, crossOriginReason, html, isSecureRequest, setSecurityHeaders } from "./http-hardening.js";
+import { LoginThrottle } from "./login-throttle.js";
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, Registry, classifyProxyRoute, statusClass } from "./metrics.js";
+import { OnboardingSteps, snapshotFiles } from "./onboarding-steps.js";
+import { ProcessMetrics } from "./process-metrics.js";
+import { REDACTED, SecretRedactor, restoreRedacted, secretEnvValues } from "./redaction.js";
+import { JobScheduler } from "./scheduler.js";
+import { SecretBox } from "./secret-box.js";
+import { ServiceLogs, buildLineMatcher } from "./service-logs.js";
+import { CSRF_HEADER, SetupSessions, parseCookies, renderLoginPage, safeEqual, safeNextPath } from "./setup-session.js";
+import { RESERVED_USERNAME, ROLES, UserStore, roleAtLeast } from "./setup-users.js";
+import { Sidecars, loadManifest } from "./sidecars.js";
+import { Supervisor, terminate } from "./supervisor.js";
+import { TwoFactorStore, otpauthUri } from "./two-factor.js";
+import { renderWaitingRoom } from "./waiting-room.js";
+
 /** @type {Set<string>} */
 const warnedDeprecatedEnv = new Set();
 
@@ -54,6 +87,27 @@ const WORKSPACE_DIR =
   getEnvWithShim("OPENCLAW_WORKSPACE_DIR", "CLAWDBOT_WORKSPACE_DIR") ||
   path.join(STATE_DIR, "workspace");
 
+// Secret files the wrapper writes into the state dir.  With
+// SECRETS_ENCRYPTION_KEY set they are sealed (envelope encryption, see
+// secret-box.js); plaintext files left from before are migrated on boot.
+const SECRET_FILES = ["gateway.token", "setup-session.secret", "railway-oauth.json", "setup-2fa.json"].map((f) => path.join(STATE_DIR, f));
+const secretBox = new SecretBox({
+  key: process.env.SECRETS_ENCRYPTION_KEY?.trim() || null,
+  previousKeys: (process.env.SECRETS_ENCRYPTION_KEY_PREVIOUS || "").split(",").map((k) => k.trim()).filter(Boolean),
+});
+
+function migrateSecretFiles() {
+  for (const file of SECRET_FILES) {
+    try {
+      const result = secretBox.migrateFile(file);
+      if (result !== "missing" && result !== "unchanged") console.log(`[secrets] ${path.basename(file)}: ${result}`);
+    } catch (err) {
+      console.error(`[secrets] could not migrate: ${err.message}`);
+    }
+  }
+}
+migrateSecretFiles();
+
 // Protect /setup with a user-provided password.
 const SETUP_PASSWORD = process.env.SETUP_PASSWORD?.trim();
 
@@ -66,18 +120,14 @@ function resolveGatewayToken() {
   );
   if (envTok) return envTok;
 
+  // A file we can't decrypt is fatal: replacing it would lose the token.
   const tokenPath = path.join(STATE_DIR, "gateway.token");
-  try {
-    const existing = fs.readFileSync(tokenPath, "utf8").trim();
-    if (existing) return existing;
-  } catch {
-    // ignore
-  }
+  const existing = secretBox.readFile(tokenPath)?.trim();
+  if (existing) return existing;
 
   const generated = crypto.randomBytes(32).toString("hex");
   try {
-    fs.mkdirSync(STATE_DIR, { recursive: true });
-    fs.writeFileSync(tokenPath, generated, { encoding: "utf8", mode: 0o600 });
+    secretBox.writeFile(tokenPath, generated);
   } catch {
     // best-effort
   }
@@ -90,7 +140,26 @@ process.env.OPENCLAW_GATEWAY_TOKEN = OPENCLAW_GATEWAY_TOKEN;
 // Where the gateway will listen internally (we proxy to it).
 const INTERNAL_GATEWAY_PORT = Number.parseInt(process.env.INTERNAL_GATEWAY_PORT ?? "18789", 10);
 const INTERNAL_GATEWAY_HOST = process.env.INTERNAL_GATEWAY_HOST ?? "127.0.0.1";
-const GATEWAY_TARGET = `http://${INTERNAL_GATEWAY_HOST}:${INTERNAL_GATEWAY_PORT}`;
+
+// Blue/green restarts (opt-in): a restart boots a second gateway on the other
+// slot port and switches the proxy over once it is ready, instead of
+// stop → start.  OpenClaw derives a few auxiliary ports from the gateway
+// port, so keep the two slots well apart.
+const GATEWAY_BLUE_GREEN = (process.env.GATEWAY_BLUE_GREEN || "").trim().toLowerCase() === "true";
+const INTERNAL_GATEWAY_ALT_PORT = Number.parseInt(
+  process.env.INTERNAL_GATEWAY_ALT_PORT ?? String(INTERNAL_GATEWAY_PORT + 100),
+  10,
+);
+// How long the old gateway gets to finish in-flight HTTP requests after a switch.
+const GATEWAY_HANDOFF_DRAIN_MS = Number.parseInt(process.env.GATEWAY_HANDOFF_DRAIN_MS ?? "10000", 10);
+
+// The slot currently receiving traffic (always INTERNAL_GATEWAY_PORT unless
+// a blue/green restart has switched to the alternate port).
+let activeGatewayPort = INTERNAL_GATEWAY_PORT;
+
+function gatewayTarget(port = activeGatewayPort) {
+  return `http://${INTERNAL_GATEWAY_HOST}:${port}`;
+}
 
 // Always run the built-from-source CLI entry directly to avoid PATH/global-install mismatches.
 const OPENCLAW_ENTRY = process.env.OPENCLAW_ENTRY?.trim() || "/openclaw/dist/entry.js";
@@ -101,6 +170,9 @@ const TS_AUTHKEY = process.env.TS_AUTHKEY?.trim();
 const TS_HOSTNAME = process.env.TS_HOSTNAME?.trim() || "xavier";
 const TS_STATE_DIR = path.join("/data", "tailscale");
 const TS_SOCKET = path.join(TS_STATE_DIR, "tailscaled.sock");
+// Loopback-only listener that `tailscale serve` proxies to, so tailnet
+// traffic can be told apart from in-container callers.
+const TS_SERVE_PORT = Number.parseInt(process.env.TS_SERVE_PORT ?? "9090", 10);
 
 // Monitoring dashboard (optional — tailnet-only admin UI)
 const MONITOR_PORT = Number.parseInt(process.env.MONITOR_PORT ?? "9091", 10);
@@ -149,9 +221,166 @@ function isConfigured() {
   }
 }
 
-let gatewayProc = null;
+// Scrubs secrets from console output, doctor output, debug JSON, service
+// logs and the audit log.  It learns this deployment's actual secret values
+// (more sources are registered where they are defined) on top of
+// provider-specific token patterns; see redaction.js.
+const redactor = new SecretRedactor();
+redactor.setValues("gateway token", [OPENCLAW_GATEWAY_TOKEN]);
+redactor.setValues("env", secretEnvValues());
+redactor.watchFile("config", () => configPath());
+
+// Every long-running child process is owned by the supervisor, which applies
+// per-service restart policies and flags crash loops.
+const supervisor = new Supervisor();
+
+// Children write to pipes instead of inheriting our stdio so their output can
+// be captured per service (ring buffer + rotated files under the state dir).
+// ServiceLogs mirrors every line back to our stdout/stderr for Railway.
+const CHILD_STDIO = ["ignore", "pipe", "pipe"];
+const SERVICE_LOG_DIR = path.join(STATE_DIR, "logs");
+const serviceLogs = new ServiceLogs({ dir: SERVICE_LOG_DIR, redact: (line) => redactor.redact(line) });
+supervisor.on("start", (name, proc) => serviceLogs.attach(name, proc));
+
+// CPU / RSS / fds / uptime per service (whole process tree) plus the wrapper
+// itself, sampled from /proc with a short in-memory history.
+const PROCESS_METRICS_INTERVAL_MS = Number.parseInt(process.env.PROCESS_METRICS_INTERVAL_MS ?? "15000", 10);
+const processMetrics = new ProcessMetrics({
+  intervalMs: PROCESS_METRICS_INTERVAL_MS,
+  targets: () => {
+    const out = { wrapper: { pid: process.pid, tree: false } };
+    for (const [name, st] of Object.entries(supervisor.status())) out[name] = st.pid;
+    return out;
+  },
+});
+
+// Prometheus metrics, served on /metrics.  Label values are kept
+// low-cardinality: route classes, allowlisted command names, status classes.
+const metrics = new Registry();
+const SIZE_BUCKETS = [1e5, 1e6, 1e7, 5e7, 1e8, 2.5e8, 5e8, 1e9];
+const metric = {
+  proxyRequests: metrics.counter(
+    "wrapper_proxy_requests_total",
+    "Requests proxied to the gateway.",
+    ["route_class", "method", "status_class"],
+  ),
+  proxyDuration: metrics.histogram(
+    "wrapper_proxy_request_duration_seconds",
+    "Time from receiving a proxied request until the response finished.",
+    ["route_class"],
+  ),
+  wsUpgrades: metrics.counter(
+    "wrapper_websocket_upgrades_total",
+    "WebSocket upgrade requests, by outcome.",
+    ["result"],
+  ),
+  wsActive: metrics.gauge(
+    "wrapper_websocket_connections",
+    "Proxied WebSocket connections currently open.",
+    [],
+    (g) => g.set({}, openWebSockets.size),
+  ),
+  gatewayStarts: metrics.counter(
+    "wrapper_gateway_starts_total",
+    "Gateway starts initiated by ensureGatewayRunning.",
+    ["result"],
+  ),
+  gatewayStartDuration: metrics.histogram(
+    "wrapper_gateway_start_duration_seconds",
+    "Time from spawning the gateway until it passed readiness (or failed).",
+    ["result"],
+  ),
+  gatewayRestarts: metrics.counter(
+    "wrapper_gateway_restarts_total",
+    "Explicit gateway restarts (config saves, onboarding, imports, console).",
+    ["mode", "result"],
+  ),
+  gatewayRestartDuration: metrics.histogram(
+    "wrapper_gateway_restart_duration_seconds",
+    "Duration of explicit gateway restarts.",
+    ["mode"],
+  ),
+  serviceRestarts: metrics.counter(
+    "wrapper_service_restarts_total",
+    "Automatic restarts performed by the supervisor.",
+    ["service"],
+    (c) => {
+      for (const [name, st] of Object.entries(supervisor.status())) c.set({ service: name }, st.restarts);
+    },
+  ),
+  onboardingRuns: metrics.counter(
+    "wrapper_onboarding_runs_total",
+    "Onboarding runs via /setup/api/run.",
+    ["result"],
+  ),
+  onboardingDuration: metrics.histogram(
+    "wrapper_onboarding_duration_seconds",
+    "Duration of onboarding runs.",
+    [],
+    [1, 5, 10, 30, 60, 120, 300],
+  ),
+  consoleCommands: metrics.counter(
+    "wrapper_console_commands_total",
+    "Debug console commands executed, by command name.",
+    ["command", "result"],
+  ),
+  exportBytes: metrics.histogram("wrapper_export_size_bytes", "Size of backup exports.", [], SIZE_BUCKETS),
+  exportDuration: metrics.histogram("wrapper_export_duration_seconds", "Duration of backup exports.", ["result"]),
+  importBytes: metrics.histogram("wrapper_import_size_bytes", "Size of uploaded backup imports.", [], SIZE_BUCKETS),
+  importDuration: metrics.histogram("wrapper_import_duration_seconds", "Duration of backup imports.", ["result"]),
+  webhookDeliveries: metrics.counter(
+    "wrapper_webhook_deliveries_total",
+    "Webhook deliveries received by the wrapper.",
+    ["webhook", "status_class"],
+  ),
+  processRss: metrics.gauge(
+    "wrapper_process_resident_memory_bytes",
+    "Resident memory per service process tree (see /setup/api/processes).",
+    ["service"],
+    (g) => {
+      g.reset();
+      for (const [name, p] of Object.entries(processMetrics.snapshot().processes)) {
+        if (p.running) g.set({ service: name }, p.rssBytes);
+      }
+    },
+  ),
+  jobRuns: metrics.counter(
+    "wrapper_job_runs_total",
+    "Scheduled job runs, by command and trigger.",
+    ["command", "trigger", "result"],
+  ),
+  processCpu: metrics.counter(
+    "wrapper_process_cpu_seconds_total",
+    "CPU time per service process tree.",
+    ["service"],
+    (c) => {
+      c.reset();
+      for (const [name, p] of Object.entries(processMetrics.snapshot().processes)) {
+        if (p.running) c.set({ service: name }, p.cpuSeconds);
+      }
+    },
+  ),
+  loginFailures: metrics.counter(
+    "wrapper_setup_login_failures_total",
+    "Failed /setup credential checks, by method (form, basic, token, or session for 2FA changes).",
+    ["via"],
+  ),
+  loginThrottled: metrics.counter(
+    "wrapper_setup_login_throttled_total",
+    "/setup password attempts refused by throttling or lockout.",
+  ),
+  loginLockouts: metrics.counter(
+    "wrapper_setup_login_lockouts_total",
+    "/setup login lockouts started, by scope (ip or global).",
+    ["scope"],
+  ),
+};
+
 let gatewayStarting = null;
 
+// Set once SIGTERM/SIGINT arrives; see shutdown() at the bottom of this file.
+let shuttingDown = false;
+
 // Debug breadcrumbs for common Railway failures (502 / "Application failed to respond").
 let lastGatewayError = null;
 let lastGatewayExit = null;
@@ -163,29 +392,25 @@ function sleep(ms) {
 }
 
 // ──── Tailscale (private tailnet access to admin UI) ──────────────────────
-let tailscaleProc = null;
+// tailscaled keeps its login and serve config in TS_STATE_DIR, so a plain
+// restart of the daemon rejoins the tailnet without re-running `tailscale up`.
+supervisor.register("tailscale", {
+  restart: "always",
+  spawn: () =>
+    // Start tailscaled daemon in userspace mode (no /dev/net/tun needed on Railway)
+    childProcess.spawn("tailscaled", [
+      "--tun=userspace-networking",
+      `--statedir=${TS_STATE_DIR}`,
+      `--socket=${TS_SOCKET}`,
+    ], { stdio: CHILD_STDIO }),
+});
 
 async function startTailscale() {
   if (!TS_AUTHKEY) return; // graceful skip — Xavier works exactly as before
 
   console.log("[tailscale] starting (userspace networking)...");
   fs.mkdirSync(TS_STATE_DIR, { recursive: true });
-
-  // Start tailscaled daemon in userspace mode (no /dev/net/tun needed on Railway)
-  tailscaleProc = childProcess.spawn("tailscaled", [
-    "--tun=userspace-networking",
-    `--statedir=${TS_STATE_DIR}`,
-    `--socket=${TS_SOCKET}`,
-  ], { stdio: "inherit" });
-
-  tailscaleProc.on("error", (err) => {
-    console.error(`[tailscale] spawn error: ${err}`);
-    tailscaleProc = null;
-  });
-  tailscaleProc.on("exit", (code, signal) => {
-    console.error(`[tailscale] exited code=${code} signal=${signal}`);
-    tailscaleProc = null;
-  });
+  supervisor.start("tailscale");
 
   // Wait for daemon socket to appear
   for (let i = 0; i < 20; i++) {
@@ -206,13 +431,13 @@ async function startTailscale() {
     return; // don't try to serve if we couldn't connect
   }
 
-  // Expose the wrapper (port 8080) over tailnet HTTPS.
-  // Requests arrive from localhost, so isLoopbackRequest() returns true —
-  // /setup bypasses the SETUP_ENABLED kill switch (but still requires password).
+  // Expose the wrapper over tailnet HTTPS, via its tailnet-only listener
+  // (see access-control.js).  Only allowlisted tailnet identities
+  // (SETUP_TAILNET_USERS) get past the SETUP_ENABLED kill switch.
   const serve = await runCmd("tailscale", [
     "--socket", TS_SOCKET,
     "serve", "--bg",
-    `http://localhost:${PORT}`,
+    `http://127.0.0.1:${TS_SERVE_PORT}`,
   ]);
   console.log(`[tailscale] serve: exit=${serve.code}`);
 
@@ -227,94 +452,78 @@ async function startTailscale() {
 }
 // ──── End Tailscale ───────────────────────────────────────────────────────
 
-// ──── Monitoring Dashboard (tailnet-only admin UI) ────────────────────────
-let monitorProc = null;
-
-function startMonitor() {
-  if (monitorProc) return;
-
-  // The monitoring service needs device credentials to authenticate with the
-  // gateway as a paired device (operator scopes).  If none are set, skip —
-  // the dashboard won't be able to call RPC methods anyway.
-  if (!process.env.GATEWAY_DEVICE_ID || !process.env.GATEWAY_DEVICE_TOKEN) {
-    console.log("[monitor] skipping — GATEWAY_DEVICE_ID / GATEWAY_DEVICE_TOKEN not set");
-    return;
-  }
+// ──── Sidecars (monitor, Quartz, SilverBullet, vault auth proxy) ─────────
+// Declared in config/services.json; a services.json in the state dir can
+// override fields per service, disable one, or add new ones.  See sidecars.js.
+const SERVICES_MANIFEST = path.resolve("config/services.json");
+const SERVICES_OVERRIDE = path.join(STATE_DIR, "services.json");
 
-  const monitorEntry = path.resolve("monitoring/src/server.js");
-  if (!fs.existsSync(monitorEntry)) {
-    console.log("[monitor] skipping — monitoring/src/server.js not found");
-    return;
+// A broken override shouldn't take the built-in sidecars down with it, and a
+// missing or broken base manifest shouldn't take the wrapper down: it then
+// runs without sidecars.
+function loadSidecarManifest() {
+  try {
+    return loadManifest({ baseFile: SERVICES_MANIFEST, overrideFile: SERVICES_OVERRIDE });
+  } catch (err) {
+    try {
+      const manifest = loadManifest({ baseFile: SERVICES_MANIFEST });
+      console.error(`[sidecars] ${SERVICES_OVERRIDE} ignored: ${String(err)}`);
+      return manifest;
+    } catch (baseErr) {
+      console.error(`[sidecars] ${SERVICES_MANIFEST} unusable, starting no sidecars: ${String(baseErr)}`);
+      return { services: {}, sources: [] };
+    }
   }
-
-  console.log(`[monitor] starting on :${MONITOR_PORT}...`);
-
-  // Pass only the env vars the monitor needs — principle of least privilege.
-  // Notably, TS_AUTHKEY is NOT passed: the wrapper handles Tailscale exposure,
-  // so the monitor skips its own startTailscale() and binds to 127.0.0.1 only.
-  monitorProc = childProcess.spawn("node", [monitorEntry], {
-    stdio: "inherit",
-    env: {
-      // Basics (Node needs PATH, HOME, etc.)
-      PATH: process.env.PATH,
-      HOME: process.env.HOME,
-      NODE_ENV: process.env.NODE_ENV || "production",
-      // Monitor config
-      PORT: String(MONITOR_PORT),
-      DB_PATH: MONITOR_DB_PATH,
-      // Gateway connection (localhost, same container)
-      XAVIER_TAILSCALE_HOST: INTERNAL_GATEWAY_HOST,
-      GATEWAY_PORT: String(INTERNAL_GATEWAY_PORT),
-      // Device credentials for gateway RPC auth
-      GATEWAY_DEVICE_ID: process.env.GATEWAY_DEVICE_ID,
-      GATEWAY_DEVICE_TOKEN: process.env.GATEWAY_DEVICE_TOKEN,
-      GATEWAY_DEVICE_PUBKEY: process.env.GATEWAY_DEVICE_PUBKEY || "",
-      GATEWAY_DEVICE_PRIVKEY: process.env.GATEWAY_DEVICE_PRIVKEY || "",
-      // Health probe target (wrapper's own /healthz)
-      XAVIER_URL: `http://localhost:${PORT}`,
-      // Monitor auth (optional — if set in Railway env)
-      MONITOR_PASSWORD: process.env.MONITOR_PASSWORD || "",
-    },
-  });
-
-  monitorProc.on("error", (err) => {
-    console.error(`[monitor] spawn error: ${err}`);
-    monitorProc = null;
-  });
-
-  monitorProc.on("exit", (code, signal) => {
-    console.error(`[monitor] exited code=${code} signal=${signal}`);
-    monitorProc = null;
-  });
 }
 
-async function exposeMonitorOnTailscale() {
-  if (!TS_AUTHKEY || !monitorProc) return;
+const sidecars = new Sidecars({
+  manifest: loadSidecarManifest(),
+  supervisor,
+  appDir: process.cwd(),
+  stdio: CHILD_STDIO,
+  // Resolved at spawn time: the gateway port changes across blue/green swaps.
+  vars: () => ({
+    PORT,
+    NODE_ENV: process.env.NODE_ENV || "production",
+    STATE_DIR,
+    VAULT_DIR,
+    GATEWAY_HOST: INTERNAL_GATEWAY_HOST,
+    GATEWAY_PORT: activeGatewayPort,
+    MONITOR_PORT,
+    MONITOR_DB_PATH,
+    QUARTZ_PORT,
+    SB_PORT,
+    VAULT_AUTH_PROXY_PORT,
+    INTERNAL_TOKEN,
+  }),
+  expose: async (name, mountPath, port) => {
+    if (!TS_AUTHKEY) return false;
+    // Tailscale userspace-networking mode doesn't support --https on non-443
+    // ports, so sidecars are mounted by path on 443.  Tailscale strips the
+    // prefix before forwarding; the UIs derive their base from location.pathname.
+    const serve = await runCmd("tailscale", [
+      "--socket", TS_SOCKET,
+      "serve", "--bg",
+      "--set-path", mountPath,
+      `http://localhost:${port}`,
+    ]);
+    if (serve.code !== 0) {
+      console.error(`[${name}] tailscale serve failed: ${serve.output}`);
+      return false;
+    }
+    console.log(`[${name}] exposed on tailnet at https://${TS_HOSTNAME}${mountPath}`);
+    return true;
+  },
+  isExternalReady: (dep) => dep === "gateway" && gatewayReadiness.snapshot().ready,
+});
 
-  // Expose the monitor at /monitor on the existing HTTPS port (443).
-  // Tailscale userspace-networking mode doesn't support --https on non-443 ports,
-  // so we use path-based routing instead.  Tailscale strips the /monitor prefix
-  // before forwarding to the backend; the dashboard's JS derives API from
-  // location.pathname so it works behind any prefix.
-  const serve = await runCmd("tailscale", [
-    "--socket", TS_SOCKET,
-    "serve", "--bg",
-    "--set-path", "/monitor",
-    `http://localhost:${MONITOR_PORT}`,
-  ]);
-  if (serve.code === 0) {
-    console.log(`[monitor] exposed on tailnet at https://${TS_HOSTNAME}/monitor`);
-  } else {
-    console.error(`[monitor] tailscale serve failed: ${serve.output}`);
-  }
+/** Start whatever sidecars can run now; called at boot and again once the gateway is ready. */
+function startSidecars() {
+  return sidecars.startAll();
 }
-// ──── End Monitoring ──────────────────────────────────────────────────────
-
-// ──── Vault / Knowledge Base Services ────────────────────────────────────
-let quartzProc = null;
-let silverBulletProc = null;
-let vaultAuthProxyProc = null;
+// ──── End Sidecars ────────────────────────────────────────────────────────
 
+// ──── Vault / Knowledge Base ─────────────────────────────────────────────
 const VAULT_INDEX_CONTENT = `---
 title: G2X Knowledge Base
 ---
@@ -401,177 +610,40 @@ function initVault() {
   console.log("[vault] directory structure initialized");
 }
 
-/**
- * Start the Quartz static site server for the knowledge base.
- * Only starts if /quartz directory exists (i.e., Quartz was installed in Docker build).
- */
-function startQuartz() {
-  if (quartzProc) return;
-
-  if (!fs.existsSync("/quartz")) {
-    console.log("[quartz] skipping — /quartz not found (not installed in image)");
-    return;
-  }
-
-  console.log(`[quartz] starting on :${QUARTZ_PORT}...`);
-
-  quartzProc = childProcess.spawn(
-    "npx",
-    ["quartz", "build", "--serve", "--port", String(QUARTZ_PORT), "--directory", VAULT_DIR, "--bind", "127.0.0.1"],
-    {
-      stdio: "inherit",
-      cwd: "/quartz",
-      env: { ...process.env },
-    },
-  );
-
-  quartzProc.on("error", (err) => {
-    console.error(`[quartz] spawn error: ${err}`);
-    quartzProc = null;
-  });
-
-  quartzProc.on("exit", (code, signal) => {
-    console.error(`[quartz] exited code=${code} signal=${signal}`);
-    quartzProc = null;
-  });
-}
-
-/**
- * Start the SilverBullet web editor.
- * Only starts if Deno is available (installed in Docker build).
- */
-function startSilverBullet() {
-  if (silverBulletProc) return;
-
-  // Check if deno is available
-  try {
-    childProcess.execFileSync("deno", ["--version"], { stdio: "ignore" });
-  } catch {
-    console.log("[silverbullet] skipping — deno not found on PATH");
-    return;
-  }
-
-  console.log(`[silverbullet] starting on :${SB_PORT}...`);
-
-  silverBulletProc = childProcess.spawn(
-    "deno",
-    ["run", "-A", "npm:@nichochar/silverbullet", "--port", String(SB_PORT), "--hostname", "127.0.0.1", VAULT_DIR],
-    {
-      stdio: "inherit",
-      env: { ...process.env },
-    },
-  );
-
-  silverBulletProc.on("error", (err) => {
-    console.error(`[silverbullet] spawn error: ${err}`);
-    silverBulletProc = null;
-  });
-
-  silverBulletProc.on("exit", (code, signal) => {
-    console.error(`[silverbullet] exited code=${code} signal=${signal}`);
-    silverBulletProc = null;
-  });
-}
-
-/**
- * Start the vault auth proxy in front of SilverBullet.
- */
-function startVaultAuthProxy() {
-  if (vaultAuthProxyProc) return;
-
-  const proxyEntry = path.resolve("src/vault-auth-proxy.js");
-  if (!fs.existsSync(proxyEntry)) {
-    console.log("[vault-auth-proxy] skipping — src/vault-auth-proxy.js not found");
-    return;
-  }
-
-  console.log(`[vault-auth-proxy] starting on :${VAULT_AUTH_PROXY_PORT}...`);
-
-  vaultAuthProxyProc = childProcess.spawn("node", [proxyEntry], {
-    stdio: "inherit",
-    env: {
-      PATH: process.env.PATH,
-      HOME: process.env.HOME,
-      NODE_ENV: process.env.NODE_ENV || "production",
-      SB_PORT: String(SB_PORT),
-      PROXY_PORT: String(VAULT_AUTH_PROXY_PORT),
-      VAULT_DIR,
-      VAULT_ADMIN_USERS: process.env.VAULT_ADMIN_USERS || "",
-    },
-  });
+// ──── End Vault / Knowledge Base ─────────────────────────────────────────
 
-  vaultAuthProxyProc.on("error", (err) => {
-    console.error(`[vault-auth-proxy] spawn error: ${err}`);
-    vaultAuthProxyProc = null;
+// Staged readiness (spawned → listening → handshake → ready), re-run on every
+// gateway start including supervisor restarts.  See gateway-readiness.js.
+let gatewayReadiness = new ReadinessTracker();
+let gatewayReadyPromise = null;
+
+supervisor.on("start", (name, proc) => {
+  if (name !== "gateway") return;
+  gatewayReadyPromise = probeGatewayStages({
+    tracker: gatewayReadiness,
+    host: INTERNAL_GATEWAY_HOST,
+    port: activeGatewayPort,
+    token: OPENCLAW_GATEWAY_TOKEN,
+    isAlive: () => supervisor.get("gateway") === proc,
+  }).catch((err) => {
+    gatewayReadiness.fail(err);
+    return false;
   });
-
-  vaultAuthProxyProc.on("exit", (code, signal) => {
-    console.error(`[vault-auth-proxy] exited code=${code} signal=${signal}`);
-    vaultAuthProxyProc = null;
+  // Sidecars with dependsOn: ["gateway"] (the monitor) wait for this.
+  gatewayReadyPromise.then((ready) => {
+    if (ready && !shuttingDown) return startSidecars();
+  }).catch((err) => {
+    console.error(`[sidecars] start failed: ${String(err)}`);
   });
-}
-
-/**
- * Expose Quartz KB on Tailscale at /kb.
- */
-async function exposeKBOnTailscale() {
-  if (!TS_AUTHKEY || !quartzProc) return;
-
-  const serve = await runCmd("tailscale", [
-    "--socket", TS_SOCKET,
-    "serve", "--bg",
-    "--set-path", "/kb",
-    `http://localhost:${QUARTZ_PORT}`,
-  ]);
-  if (serve.code === 0) {
-    console.log(`[quartz] exposed on tailnet at https://${TS_HOSTNAME}/kb`);
-  } else {
-    console.error(`[quartz] tailscale serve failed: ${serve.output}`);
-  }
-}
-
-/**
- * Expose SilverBullet editor on Tailscale at /edit (through the auth proxy).
- */
-async function exposeEditorOnTailscale() {
-  if (!TS_AUTHKEY || !vaultAuthProxyProc) return;
-
-  const serve = await runCmd("tailscale", [
-    "--socket", TS_SOCKET,
-    "serve", "--bg",
-    "--set-path", "/edit",
-    `http://localhost:${VAULT_AUTH_PROXY_PORT}`,
-  ]);
-  if (serve.code === 0) {
-    console.log(`[silverbullet] exposed on tailnet at https://${TS_HOSTNAME}/edit`);
-  } else {
-    console.error(`[silverbullet] tailscale serve failed: ${serve.output}`);
-  }
-}
-// ──── End Vault / Knowledge Base ─────────────────────────────────────────
+});
+supervisor.on("exit", (name) => {
+  if (name === "gateway") gatewayReadiness.stopped();
+});
 
 async function waitForGatewayReady(opts = {}) {
   const timeoutMs = opts.timeoutMs ?? 20_000;
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    try {
-      // Try the default Control UI base path, then fall back to legacy or root.
-      const paths = ["/openclaw", "/clawdbot", "/"]; 
-      for (const p of paths) {
-        try {
-          const res = await fetch(`${GATEWAY_TARGET}${p}`, { method: "GET" });
-          // Any HTTP response means the port is open.
-          if (res) return true;
-        } catch {
-          // try next
-        }
-      }
-    } catch {
-      // not ready
-    }
-    await sleep(250);
-  }
-  return false;
+  if (!gatewayReadyPromise) return false;
+  return Promise.race([gatewayReadyPromise, sleep(timeoutMs).then(() => false)]);
 }
 
 // Patch openclaw.json with secrets from env vars so tokens live in Railway's
@@ -633,14 +705,27 @@ function patchConfigFromEnv() {
   }
 }
 
-async function startGateway() {
-  if (gatewayProc) return;
-  if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
+// The gateway is also revived lazily by ensureGatewayRunning(), but the
+// supervisor brings it back without waiting for a request to arrive.
+supervisor.register("gateway", {
+  restart: "always",
+  spawn: spawnGateway,
+  onError: (err) => {
+    lastGatewayError = `[gateway] spawn error: ${String(err)}`;
+  },
+  onExit: (code, signal) => {
+    lastGatewayExit = { code, signal, at: new Date().toISOString() };
+  },
+});
+
+function spawnGateway(port = activeGatewayPort) {
+  // Config may have been reset while a restart was pending.
+  if (!isConfigured()) return null;
 
   fs.mkdirSync(STATE_DIR, { recursive: true });
   fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
 
-  // Inject secrets from env vars before starting.
+  // Inject secrets from env vars before every (re)start.
   patchConfigFromEnv();
 
   const args = [
@@ -649,35 +734,29 @@ async function startGateway() {
     "--bind",
     "loopback",
     "--port",
-    String(INTERNAL_GATEWAY_PORT),
+    String(port),
     "--auth",
     "token",
     "--token",
     OPENCLAW_GATEWAY_TOKEN,
   ];
 
-  gatewayProc = childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
-    stdio: "inherit",
+  return childProcess.spawn(OPENCLAW_NODE, clawArgs(args), {
+    stdio: CHILD_STDIO,
     env: {
       ...process.env,
       OPENCLAW_STATE_DIR: STATE_DIR,
       OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
+      // Lets the agent's own skills call /setup while SETUP_ENABLED is off.
+      WRAPPER_INTERNAL_TOKEN: INTERNAL_TOKEN,
     },
   });
+}
 
-  gatewayProc.on("error", (err) => {
-    const msg = `[gateway] spawn error: ${String(err)}`;
-    console.error(msg);
-    lastGatewayError = msg;
-    gatewayProc = null;
-  });
-
-  gatewayProc.on("exit", (code, signal) => {
-    const msg = `[gateway] exited code=${code} signal=${signal}`;
-    console.error(msg);
-    lastGatewayExit = { code, signal, at: new Date().toISOString() };
-    gatewayProc = null;
-  });
+async function startGateway() {
+  if (supervisor.isRunning("gateway")) return;
+  if (!isConfigured()) throw new Error("Gateway cannot start: not configured");
+  if (!supervisor.start("gateway")) throw new Error("Gateway failed to spawn");
 }
 
 async function runDoctorBestEffort() {
@@ -688,26 +767,45 @@ async function runDoctorBestEffort() {
 
   try {
     const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
-    const out = redactSecrets(r.output || "");
+    const out = redactor.redact(r.output || "");
     lastDoctorOutput = out.length > 50_000 ? out.slice(0, 50_000) + "\n... (truncated)\n" : out;
   } catch (err) {
     lastDoctorOutput = `doctor failed: ${String(err)}`;
   }
 }
 
-async function ensureGatewayRunning() {
+async function ensureGatewayRunning(opts = {}) {
   if (!isConfigured()) return { ok: false, reason: "not configured" };
-  if (gatewayProc) return { ok: true };
+  if (supervisor.isRunning("gateway")) {
+    // A supervisor-driven restart may still be booting; hold on for the
+    // handshake, and don't report a gateway that never passed it as up.
+    if (!gatewayReadiness.snapshot().ready && !(await waitForGatewayReady())) {
+      const reason = gatewayReadiness.snapshot().lastError;
+      return { ok: false, reason: `Gateway is running but not ready${reason ? ` (${reason})` : ""}` };
+    }
+    return { ok: true };
+  }
+  // Don't revive a crash-looping gateway on every request; an explicit
+  // restart (console, config save, import) clears the flag.
+  if (!opts.force && supervisor.isCrashLooping("gateway")) {
+    throw new Error("Gateway is crash-looping; fix the config and restart it from /setup");
+  }
   if (!gatewayStarting) {
     gatewayStarting = (async () => {
+      const done = metric.gatewayStartDuration.startTimer();
       try {
         lastGatewayError = null;
         await startGateway();
         const ready = await waitForGatewayReady({ timeoutMs: 20_000 });
         if (!ready) {
-          throw new Error("Gateway did not become ready in time");
+          const reason = gatewayReadiness.snapshot().lastError;
+          throw new Error(`Gateway did not become ready in time${reason ? ` (${reason})` : ""}`);
         }
+        done({ result: "ok" });
+        metric.gatewayStarts.inc({ result: "ok" });
       } catch (err) {
+        done({ result: "error" });
+        metric.gatewayStarts.inc({ result: "error" });
         const msg = `[gateway] start failure: ${String(err)}`;
         lastGatewayError = msg;
         // Collect extra diagnostics to help users file issues.
@@ -722,141 +820,731 @@ async function ensureGatewayRunning() {
   return { ok: true };
 }
 
+async function stopGateway() {
+  await supervisor.stop("gateway");
+}
+
+// Serializes restarts in blue/green mode; a restart requested mid-swap gets
+// its own candidate so it picks up whatever changed in between.
+let gatewaySwapQueue = Promise.resolve();
+// Candidate still booting during a swap (not yet adopted by the supervisor).
+let gatewayCandidate = null;
+
 async function restartGateway() {
-  if (gatewayProc) {
-    try {
-      gatewayProc.kill("SIGTERM");
-    } catch {
-      // ignore
+  if (!GATEWAY_BLUE_GREEN) return timedRestart("cold", coldRestartGateway);
+  const run = gatewaySwapQueue.catch(() => {}).then(() =>
+    // Nothing healthy to hand over from — fall back to stop → start.
+    supervisor.isRunning("gateway") && gatewayReadiness.snapshot().ready
+      ? timedRestart("blue_green", blueGreenRestartGateway)
+      : timedRestart("cold", coldRestartGateway),
+  );
+  gatewaySwapQueue = run;
+  return run;
+}
+
+async function timedRestart(mode, fn) {
+  const done = metric.gatewayRestartDuration.startTimer({ mode });
+  try {
+    const r = await fn();
+    metric.gatewayRestarts.inc({ mode, result: "ok" });
+    return r;
+  } catch (err) {
+    metric.gatewayRestarts.inc({ mode, result: "error" });
+    throw err;
+  } finally {
+    done();
+  }
+}
+
+async function coldRestartGateway() {
+  await stopGateway();
+  return ensureGatewayRunning({ force: true });
+}
+
+// Boot a candidate on the idle slot, switch traffic once it passes the
+// protocol handshake, then drain and stop the old process.  If the candidate
+// never gets ready it is killed and the old gateway keeps serving.
+async function blueGreenRestartGateway() {
+  const oldPort = activeGatewayPort;
+  const nextPort = oldPort === INTERNAL_GATEWAY_PORT ? INTERNAL_GATEWAY_ALT_PORT : INTERNAL_GATEWAY_PORT;
+  const start = Date.now();
+  console.log(`[gateway] blue/green: starting candidate on :${nextPort} (serving from :${oldPort})`);
+
+  const candidate = spawnGateway(nextPort);
+  if (!candidate) throw new Error("Gateway cannot start: not configured");
+  gatewayCandidate = candidate;
+  serviceLogs.attach("gateway", candidate);
+  let spawnFailed = false;
+  candidate.once("error", (err) => {
+    spawnFailed = true;
+    lastGatewayError = `[gateway] candidate spawn error: ${String(err)}`;
+  });
+
+  const tracker = new ReadinessTracker();
+  const ready = await probeGatewayStages({
+    tracker,
+    host: INTERNAL_GATEWAY_HOST,
+    port: nextPort,
+    token: OPENCLAW_GATEWAY_TOKEN,
+    isAlive: () => !spawnFailed && candidate.exitCode === null && candidate.signalCode === null,
+  }).catch((err) => {
+    tracker.fail(err);
+    return false;
+  });
+
+  if (!ready) {
+    if (!spawnFailed) await terminate(candidate, { name: "gateway" });
+    gatewayCandidate = null;
+    const reason = tracker.snapshot().lastError;
+    throw new Error(
+      `Candidate gateway on :${nextPort} did not become ready${reason ? ` (${reason})` : ""}; still serving from :${oldPort}`,
+    );
+  }
+
+  // The switch: new requests and upgrades go to the candidate from here on.
+  activeGatewayPort = nextPort;
+  gatewayReadiness = tracker;
+  gatewayReadyPromise = Promise.resolve(true);
+  lastGatewayError = null;
+  const old = supervisor.adopt("gateway", candidate);
+  gatewayCandidate = null;
+  console.log(`[gateway] blue/green: switched to :${nextPort} after ${Date.now() - start}ms`);
+
+  if (old) {
+    const pending = () => [...inflightRequests.values()].filter((port) => port === oldPort).length;
+    if (!(await waitUntil(() => pending() === 0, GATEWAY_HANDOFF_DRAIN_MS))) {
+      console.warn(`[gateway] blue/green: ${pending()} request(s) to :${oldPort} still open; stopping anyway`);
     }
-    // Give it a moment to exit and release the port.
-    await sleep(750);
-    gatewayProc = null;
+    // SIGTERM closes the old gateway's WebSocket sessions; clients reconnect
+    // through the proxy and land on the new slot.
+    await terminate(old, { name: "gateway" });
+    console.log(`[gateway] blue/green: old gateway on :${oldPort} stopped`);
   }
-  return ensureGatewayRunning();
+
+  // The monitor holds a direct connection to the gateway port.
+  if (supervisor.isRunning("monitor")) await supervisor.restart("monitor");
+  return { ok: true };
 }
 
 // Kill switch: set SETUP_ENABLED=true in Railway env vars to unlock /setup.
 // When disabled (default), all /setup endpoints return 404 as if they don't exist.
-// Exception: loopback requests (from Xavier itself inside the container) are always allowed.
+// Exceptions: in-container callers presenting the internal token, and tailnet
+// users on the SETUP_TAILNET_USERS allowlist.
 const SETUP_ENABLED = (process.env.SETUP_ENABLED || "").trim().toLowerCase() === "true";
 
-function isLoopbackRequest(req) {
-  const ip = req.ip || req.connection?.remoteAddress || "";
-  return ip === "127.0.0.1" || ip === "::1" || ip === "::ffff:127.0.0.1";
+// Tailnet logins (or @domains) allowed to use /setup over `tailscale serve`.
+// When set, every other tailnet caller, tagged devices included, gets 403.
+const SETUP_TAILNET_USERS = parseIdentityAllowlist(process.env.SETUP_TAILNET_USERS);
+
+// Per-boot secret for in-container callers.  Handed to the gateway (and so
+// to the agent's skills) as WRAPPER_INTERNAL_TOKEN, and written to the state
+// dir for anything else running in the container.
+const INTERNAL_TOKEN = crypto.randomBytes(32).toString("base64url");
+redactor.setValues("internal token", [INTERNAL_TOKEN]);
+const INTERNAL_TOKEN_FILE = path.join(STATE_DIR, "wrapper-internal.token");
+try {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+  fs.writeFileSync(INTERNAL_TOKEN_FILE, INTERNAL_TOKEN, { encoding: "utf8", mode: 0o600 });
+  fs.chmodSync(INTERNAL_TOKEN_FILE, 0o600);
+} catch (err) {
+  console.warn(`[wrapper] could not write ${INTERNAL_TOKEN_FILE}: ${String(err)}`);
 }
 
-function requireSetupAuth(req, res, next) {
-  // Kill switch — /setup is invisible unless explicitly enabled.
-  // Allow loopback (Xavier's own skill calls from inside the container).
-  if (!SETUP_ENABLED && !isLoopbackRequest(req)) {
-    return res.status(404).type("text/plain").send("Not found");
-  }
-
-  if (!SETUP_PASSWORD) {
-    return res
-      .status(500)
-      .type("text/plain")
-      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
-  }
+/** { origin: "tailnet" | "internal" | "local" | "public", tailscaleUser } — see access-control.js. */
+function requestAccess(req) {
+  return classifyRequest(req, { tailnetPort: TS_AUTHKEY ? TS_SERVE_PORT : null, internalToken: INTERNAL_TOKEN });
+}
 
-  const header = req.headers.authorization || "";
-  const [scheme, encoded] = header.split(" ");
-  if (scheme !== "Basic" || !encoded) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Auth required");
+// The tailnet allowlist and the kill switch; true if the request was turned away.
+function rejectHiddenSetup(req, res) {
+  const access = requestAccess(req);
+  const allowedTailnetUser =
+    access.origin === "tailnet" && SETUP_TAILNET_USERS.length > 0 && identityAllowed(SETUP_TAILNET_USERS, access.tailscaleUser);
+  if (access.origin === "tailnet" && SETUP_TAILNET_USERS.length > 0 && !allowedTailnetUser) {
+    const who = access.tailscaleUser || "a tagged device";
+    res.status(403).type("text/plain").send(`Forbidden: ${who} is not allowed to use /setup (SETUP_TAILNET_USERS)`);
+    return true;
   }
-  const decoded = Buffer.from(encoded, "base64").toString("utf8");
-  const idx = decoded.indexOf(":");
-  const password = idx >= 0 ? decoded.slice(idx + 1) : "";
-  if (password !== SETUP_PASSWORD) {
-    res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
-    return res.status(401).send("Invalid password");
+  if (!SETUP_ENABLED && access.origin !== "internal" && !allowedTailnetUser) {
+    res.status(404).type("text/plain").send("Not found");
+    return true;
   }
-  return next();
+  return false;
 }
 
-const app = express();
-app.disable("x-powered-by");
-app.use(express.json({ limit: "1mb" }));
+// Browser sessions for /setup: a signed, HttpOnly cookie issued by
+// /setup/login, with a CSRF token required on every mutating request.
+// HTTP Basic auth is off unless SETUP_BASIC_AUTH=true (for scripts/curl).
+const SETUP_BASIC_AUTH = (process.env.SETUP_BASIC_AUTH || "").trim().toLowerCase() === "true";
 
-// Minimal health endpoint for Railway.
-// Never gated by SETUP_ENABLED — health checks must always respond so Railway
-// doesn't kill the container.  This endpoint is harmless (no secrets).
-app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
+// Strict-Transport-Security max-age for wrapper pages served over HTTPS (0 = off).
+const HSTS_MAX_AGE = Number.parseInt(process.env.HSTS_MAX_AGE ?? "15552000", 10);
+const SETUP_SESSION_TTL_MS = Number.parseInt(process.env.SETUP_SESSION_TTL_MS ?? String(12 * 60 * 60 * 1000), 10);
 
-// Quick HTTP probe to check if the gateway is listening.
-async function probeGateway() {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), 3000);
+// Signing secret for session cookies; persisted like gateway.token so
+// sessions survive restarts.
+function resolveSetupSessionSecret() {
+  const envSecret = process.env.SETUP_SESSION_SECRET?.trim();
+  if (envSecret) return envSecret;
+
+  const secretPath = path.join(STATE_DIR, "setup-session.secret");
+  const existing = secretBox.readFile(secretPath)?.trim();
+  if (existing) return existing;
+
+  const generated = crypto.randomBytes(32).toString("hex");
   try {
-    const res = await fetch(`${GATEWAY_TARGET}/healthz`, {
-      signal: controller.signal,
-    });
-    return res.ok;
+    secretBox.writeFile(secretPath, generated);
   } catch {
-    return false;
-  } finally {
-    clearTimeout(timer);
+    // best-effort: sessions then only last until the next restart
   }
+  return generated;
 }
 
-// Public health endpoint (no auth) so Railway can probe without /setup.
-// Keep this free of secrets.
-app.get("/healthz", async (_req, res) => {
-  let gatewayReachable = false;
-  if (isConfigured()) {
-    try {
-      gatewayReachable = await probeGateway();
-    } catch {
-      gatewayReachable = false;
-    }
-  }
+const SETUP_SESSION_SECRET = resolveSetupSessionSecret();
+redactor.setValues("session secret", [SETUP_SESSION_SECRET]);
 
-  res.json({
-    ok: true,
-    wrapper: {
-      configured: isConfigured(),
-      stateDir: STATE_DIR,
-      workspaceDir: WORKSPACE_DIR,
-    },
-    gateway: {
-      target: GATEWAY_TARGET,
-      reachable: gatewayReachable,
-      lastError: lastGatewayError,
-      lastExit: lastGatewayExit,
-      lastDoctorAt,
-    },
-    tailscale: {
-      enabled: Boolean(TS_AUTHKEY),
-      running: Boolean(tailscaleProc),
-      hostname: TS_HOSTNAME,
-    },
-    monitor: {
-      running: Boolean(monitorProc),
-      port: MONITOR_PORT,
-    },
-    vault: {
-      dir: VAULT_DIR,
-      quartz: { running: Boolean(quartzProc), port: QUARTZ_PORT },
-      silverBullet: { running: Boolean(silverBulletProc), port: SB_PORT },
-      authProxy: { running: Boolean(vaultAuthProxyProc), port: VAULT_AUTH_PROXY_PORT },
-    },
-  });
+// The password is mixed into the key so changing SETUP_PASSWORD signs
+// everyone out.
+const setupSessions = new SetupSessions({
+  secret: `${SETUP_SESSION_SECRET}\n${SETUP_PASSWORD || ""}`,
+  ttlMs: SETUP_SESSION_TTL_MS,
 });
 
-app.get("/setup/app.js", requireSetupAuth, (_req, res) => {
-  // Serve JS for /setup (kept external to avoid inline encoding/template issues)
-  res.type("application/javascript");
-  res.send(fs.readFileSync(path.join(process.cwd(), "src", "setup-app.js"), "utf8"));
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// Brute-force protection for every SETUP_PASSWORD check (login form and
+// Basic auth).  See login-throttle.js.
+const loginThrottle = new LoginThrottle({
+  ipMaxFailures: Number.parseInt(process.env.SETUP_LOGIN_MAX_FAILURES ?? "10", 10),
+  ipLockoutMs: Number.parseInt(process.env.SETUP_LOGIN_LOCKOUT_MS ?? String(15 * 60 * 1000), 10),
+  globalMaxFailures: Number.parseInt(process.env.SETUP_LOGIN_GLOBAL_MAX_FAILURES ?? "100", 10),
 });
 
-app.get("/setup", requireSetupAuth, (_req, res) => {
-  // No inline <script>: serve JS from /setup/app.js to avoid any encoding/template-literal issues.
-  res.type("html").send(`<!doctype html>
+// Optional alert targets for lockouts: a generic webhook (JSON POST) and/or
+// the Telegram chat the monitor alerts to.
+const SECURITY_ALERT_WEBHOOK_URL = process.env.SECURITY_ALERT_WEBHOOK_URL?.trim();
+
+async function sendSecurityAlert(event) {
+  const text =
+    event.scope === "global"
+      ? `OpenClaw /setup: password login paused until ${event.until} after ${event.failures} failed attempts (latest from ${event.ip}).`
+      : `OpenClaw /setup: ${event.ip} locked out until ${event.until} after ${event.failures} failed attempts.`;
+  console.warn(`[security] ${text}`);
+
+  const sends = [];
+  if (SECURITY_ALERT_WEBHOOK_URL) {
+    sends.push(fetch(SECURITY_ALERT_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ event: "setup_login_lockout", text, ...event }),
+      signal: AbortSignal.timeout(10_000),
+    }));
+  }
+  const tgToken = process.env.TELEGRAM_BOT_TOKEN?.trim();
+  const tgChat = process.env.TELEGRAM_ALERT_CHAT_ID?.trim();
+  if (tgToken && tgChat) {
+    sends.push(fetch(`https://api.telegram.org/bot${tgToken}/sendMessage`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ chat_id: tgChat, text }),
+      signal: AbortSignal.timeout(10_000),
+    }));
+  }
+  for (const result of await Promise.allSettled(sends)) {
+    if (result.status === "rejected") console.error(`[security] alert delivery failed: ${String(result.reason)}`);
+    else if (!result.value.ok) console.error(`[security] alert delivery failed: HTTP ${result.value.status}`);
+  }
+}
+
+loginThrottle.on("lockout", (event) => {
+  metric.loginLockouts.inc({ scope: event.scope });
+  sendSecurityAlert(event).catch((err) => console.error(`[security] alert failed: ${String(err)}`));
+});
+
+// The client address for throttling.  Behind Railway's edge (or tailscale
+// serve) the socket peer is the proxy, so use the address it appended to
+// X-Forwarded-For — the last entry; earlier ones are client-supplied.
+function clientIp(req) {
+  const peer = req.socket?.remoteAddress || "";
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (forwarded.length && isPrivateAddress(peer)) return forwarded[forwarded.length - 1];
+  return peer;
+}
+
+function isPrivateAddress(ip) {
+  const v4 = ip.replace(/^::ffff:/, "");
+  return (
+    v4 === "127.0.0.1" || ip === "::1" ||
+    /^10\./.test(v4) || /^192\.168\./.test(v4) || /^172\.(1[6-9]|2\d|3[01])\./.test(v4) ||
+    /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./.test(v4) || // CGNAT (Railway private network, Tailscale)
+    /^f[cd]/i.test(ip)
+  );
+}
+
+// Named /setup users with roles (viewer < operator < admin), stored in the
+// state dir.  The built-in "admin" user signs in with SETUP_PASSWORD.
+const setupUsers = new UserStore({ file: path.join(STATE_DIR, "setup-users.json") });
+
+async function authenticateSetupUser(username, password) {
+  const name = String(username || "").trim().toLowerCase() || RESERVED_USERNAME;
+  if (name === RESERVED_USERNAME) {
+    return safeEqual(password, SETUP_PASSWORD) ? { username: RESERVED_USERNAME, role: "admin", passwordVersion: 0 } : null;
+  }
+  return setupUsers.verify(name, password);
+}
+
+// Optional TOTP second factor per user (see two-factor.js).
+// SETUP_2FA_DISABLED=true skips the code at login: the way back in when
+// an authenticator and its recovery codes are both lost.
+const SETUP_2FA_DISABLED = (process.env.SETUP_2FA_DISABLED || "").trim().toLowerCase() === "true";
+const twoFactor = new TwoFactorStore({ file: path.join(STATE_DIR, "setup-2fa.json"), io: secretBox });
+if (SETUP_2FA_DISABLED) console.warn("[setup] SETUP_2FA_DISABLED=true: two-factor codes are not checked at login");
+
+// Who a session belongs to right now.  Roles are looked up on every request,
+// so a role change applies immediately; a removed user or a changed password
+// ends the session.
+function sessionPrincipal(session) {
+  if (session.user === RESERVED_USERNAME) return { username: RESERVED_USERNAME, role: "admin" };
+  const user = setupUsers.get(session.user);
+  if (!user || user.passwordVersion !== session.pwv) return null;
+  return { username: user.username, role: user.role };
+}
+
+/**
+ * Check a /setup login attempt under the throttle.
+ * @returns {Promise<{ ok: true, user: object } | { ok: false, status: number, error: string, retryAfterMs?: number }>}
+ */
+async function checkSetupLogin(req, username, password, via, code) {
+  const ip = clientIp(req);
+  const gate = loginThrottle.check(ip);
+  if (!gate.allowed) {
+    metric.loginThrottled.inc();
+    return { ok: false, status: 429, error: gate.reason, retryAfterMs: gate.retryAfterMs };
+  }
+  const user = await authenticateSetupUser(username, password);
+  if (!user) return loginFailure(req, ip, username, via, "Invalid username or password");
+
+  if (twoFactor.isEnabled(user.username) && !SETUP_2FA_DISABLED) {
+    if (via === "basic") {
+      return { ok: false, status: 401, error: `${user.username} uses two-factor authentication; sign in at /setup/login` };
+    }
+    if (!String(code ?? "").trim()) {
+      return { ok: false, status: 401, error: "Enter the code from your authenticator app (or a recovery code)" };
+    }
+    const method = twoFactor.verify(user.username, code);
+    if (!method) return loginFailure(req, ip, username, via, "Invalid authentication code", "2fa");
+    if (method === "recovery") {
+      const left = twoFactor.status(user.username).recoveryCodesLeft;
+      console.warn(`[setup] ${user.username} signed in with a recovery code (${left} left)`);
+    }
+  }
+  loginThrottle.recordSuccess(ip);
+  return { ok: true, user };
+}
+
+function loginFailure(req, ip, username, via, error, factor = "password") {
+  metric.loginFailures.inc({ via });
+  const failure = loginThrottle.recordFailure(ip, {
+    via,
+    factor,
+    path: req.path,
+    user: String(username || RESERVED_USERNAME).slice(0, 64),
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 200),
+  });
+  console.warn(`[setup] failed ${via} login (${factor}) from ${ip}${failure.locked ? " (locked out)" : ""}`);
+  return { ok: false, status: 401, error, retryAfterMs: failure.retryAfterMs };
+}
+
+function setRetryAfter(res, ms) {
+  if (ms > 0) res.set("Retry-After", String(Math.ceil(ms / 1000)));
+}
+
+function readSetupSession(req) {
+  const token = parseCookies(req.headers.cookie)[setupSessions.cookieName];
+  const session = token ? setupSessions.verify(token) : null;
+  const principal = session && sessionPrincipal(session);
+  return principal ? { session, principal } : null;
+}
+
+// A mutating request a browser sent on behalf of another site (see
+// crossOriginReason).  Answers 403 and returns true if so.
+function rejectCrossOrigin(req, res) {
+  if (!MUTATING_METHODS.has(req.method)) return false;
+  const reason = crossOriginReason(req);
+  if (!reason) return false;
+  res.status(403).json({ ok: false, error: `Cross-site request rejected: ${reason}` });
+  return true;
+}
+
+function basicAuthCredentials(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, encoded] = header.split(" ");
+  if (scheme !== "Basic" || !encoded) return null;
+  const decoded = Buffer.from(encoded, "base64").toString("utf8");
+  const idx = decoded.indexOf(":");
+  if (idx < 0) return { username: decoded, password: "" };
+  return { username: decoded.slice(0, idx), password: decoded.slice(idx + 1) };
+}
+
+function setupGate(req, res) {
+  if (rejectHiddenSetup(req, res)) return false;
+
+  if (!SETUP_PASSWORD) {
+    res
+      .status(500)
+      .type("text/plain")
+      .send("SETUP_PASSWORD is not set. Set it in Railway Variables before using /setup.");
+    return false;
+  }
+  return true;
+}
+
+// Scoped bearer tokens for machine clients (see api-tokens.js).
+const apiTokens = new ApiTokenStore({ file: path.join(STATE_DIR, "api-tokens.json") });
+
+function bearerApiToken(req) {
+  const [scheme, value] = String(req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && value?.startsWith(TOKEN_PREFIX) ? value : null;
+}
+
+// Like METRICS_TOKEN, a valid token works while /setup is disabled, but
+// only on routes that name one of its scopes.  `scope` may be a function of
+// the request (console:<cmd>).  Returns false if it answered the request.
+function authenticateApiToken(req, res, token, scope) {
+  const ip = clientIp(req);
+  const gate = loginThrottle.check(ip);
+  if (!gate.allowed) {
+    metric.loginThrottled.inc();
+    setRetryAfter(res, gate.retryAfterMs);
+    res.status(429).json({ ok: false, error: gate.reason });
+    return false;
+  }
+  const info = apiTokens.verify(token, { ip });
+  if (!info) {
+    const failure = loginFailure(req, ip, token.slice(0, 16), "token", "Invalid, revoked or expired API token", "token");
+    setRetryAfter(res, failure.retryAfterMs);
+    res.status(401).json({ ok: false, error: failure.error });
+    return false;
+  }
+  req.setupUser = { username: `token:${info.name}`, role: null, via: "token", tokenId: info.id, scopes: info.scopes };
+  const required = typeof scope === "function" ? scope(req) : scope;
+  if (!required) {
+    res.status(403).json({ ok: false, error: "API tokens can't be used on this route" });
+    return false;
+  }
+  if (!hasScope(info.scopes, required)) {
+    res.status(403).json({ ok: false, error: `This token lacks the ${required} scope` });
+    return false;
+  }
+  return true;
+}
+
+// Any signed-in /setup user (viewer or above).  Sets req.setupUser.  API
+// tokens are only accepted when a route passes `scope` (via requireSetupRole).
+async function requireSetupAuth(req, res, next, scope = null) {
+  const token = bearerApiToken(req);
+  if (token) {
+    if (authenticateApiToken(req, res, token, scope)) next();
+    return;
+  }
+
+  if (!setupGate(req, res)) return;
+
+  const current = readSetupSession(req);
+  if (current) {
+    // Set before the CSRF check so a rejected request is audited against the session's user.
+    req.setupUser = { ...current.principal, via: "session" };
+    if (rejectCrossOrigin(req, res)) return;
+    if (MUTATING_METHODS.has(req.method) && !setupSessions.checkCsrf(current.session, req.get(CSRF_HEADER))) {
+      return res.status(403).json({ ok: false, error: "Missing or invalid CSRF token. Reload /setup and try again." });
+    }
+    req.setupSession = current.session;
+    return next();
+  }
+
+  const creds = SETUP_BASIC_AUTH ? basicAuthCredentials(req) : null;
+  if (creds) {
+    const check = await checkSetupLogin(req, creds.username, creds.password, "basic");
+    if (!check.ok) {
+      setRetryAfter(res, check.retryAfterMs);
+      if (check.status === 401) res.set("WWW-Authenticate", 'Basic realm="OpenClaw Setup"');
+      return res.status(check.status).json({ ok: false, error: check.error });
+    }
+    req.setupUser = { username: check.user.username, role: check.user.role, via: "basic" };
+    // Browsers replay cached Basic credentials on forged requests too.
+    if (rejectCrossOrigin(req, res)) return;
+    return next();
+  }
+
+  // Page loads go to the login form; API calls get a 401 they can act on.
+  if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+    return res.redirect(302, `/setup/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  // Scripts from before API tokens still send Basic auth; tell them why it fails.
+  if (!SETUP_BASIC_AUTH && basicAuthCredentials(req)) {
+    return res.status(401).json({
+      ok: false,
+      error: "Basic auth is off: send an API token (Authorization: Bearer ocs_…), or set SETUP_BASIC_AUTH=true",
+      login: "/setup/login",
+    });
+  }
+  return res.status(401).json({ ok: false, error: "Login required", login: "/setup/login" });
+}
+
+/**
+ * requireSetupAuth plus a minimum role.  With `scope`, API tokens holding
+ * that scope are accepted too (the scope stands in for the role).
+ */
+function requireSetupRole(role, { scope = null } = {}) {
+  return (req, res, next) => requireSetupAuth(req, res, (err) => {
+    if (err) return next(err);
+    if (req.setupUser?.via === "token") return next();
+    if (!roleAtLeast(req.setupUser?.role, role)) {
+      return res.status(403).json({ ok: false, error: `This needs the ${role} role (you are ${req.setupUser?.role || "unknown"})` });
+    }
+    return next();
+  }, scope);
+}
+
+// Auth choices offered by the wizard, discovered from `openclaw onboard --help` once per version.
+const authCatalogue = new AuthCatalogue({
+  file: path.join(STATE_DIR, "auth-catalogue.json"),
+  readHelp: async () => {
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(["onboard", "--help"]));
+    if (r.code !== 0) throw new Error(`openclaw onboard --help exited with code ${r.code}`);
+    return r.output;
+  },
+});
+
+// Audit trail: every mutating /setup request, reads that expose secrets or
+// the whole state, and scheduled job runs.  See audit-log.js.
+const auditLog = new AuditLog({ file: path.join(STATE_DIR, "audit.jsonl"), redactString: (text) => redactor.redact(text) });
+
+const AUDITED_READS = new Set([
+  "/setup/api/config/raw",
+  "/setup/api/railway/token",
+  "/setup/export",
+  "/setup/oauth/railway/authorize",
+]);
+
+function auditOutcome(status, body) {
+  if (status === 401 || status === 403 || status === 429) return "denied";
+  if (status >= 400 || body?.ok === false) return "error";
+  return "ok";
+}
+
+function auditSetupActions(req, res, next) {
+  const urlPath = req.path;
+  const audited = urlPath.startsWith("/setup") && (MUTATING_METHODS.has(req.method) || AUDITED_READS.has(urlPath));
+  if (!audited) return next();
+
+  const started = Date.now();
+  const json = res.json.bind(res);
+  let body;
+  res.json = (value) => {
+    body = value;
+    return json(value);
+  };
+
+  res.on("finish", () => {
+    const { tailscaleUser } = requestAccess(req);
+    const isLogin = urlPath === "/setup/login";
+    const actor =
+      req.setupUser?.username ??
+      (isLogin ? String(req.body?.username || "").trim().toLowerCase() || RESERVED_USERNAME : null) ??
+      tailscaleUser;
+    // Anonymous requests turned away by the auth gate are noise, not actions.
+    if (!actor) return;
+
+    const args = {};
+    if (req.params && Object.keys(req.params).length) args.params = req.params;
+    if (req.query && Object.keys(req.query).length) args.query = req.query;
+    if (req.body !== undefined && !(typeof req.body === "object" && !Object.keys(req.body).length)) args.body = req.body;
+
+    const error = typeof body?.error === "string" ? redactor.redact(body.error).slice(0, 500) : undefined;
+    auditLog.record({
+      actor,
+      role: req.setupUser?.role,
+      via: req.setupUser?.via ?? (isLogin ? "form" : undefined),
+      tailscaleUser: tailscaleUser ?? undefined,
+      ip: clientIp(req),
+      action: `${req.method} ${req.route?.path ?? urlPath}`,
+      path: urlPath,
+      args: Object.keys(args).length ? args : undefined,
+      status: res.statusCode,
+      // Streamed responses leave their final result in res.locals.auditBody.
+      outcome: auditOutcome(res.statusCode, body ?? res.locals.auditBody),
+      error,
+      durationMs: Date.now() - started,
+    });
+  });
+  return next();
+}
+
+const app = express();
+app.disable("x-powered-by");
+
+// While shutting down, finish the request but don't keep the connection alive.
+app.use((_req, res, next) => {
+  if (shuttingDown) res.set("Connection", "close");
+  next();
+});
+
+// Wrapper pages and APIs: CSP, no framing, nosniff, HSTS over HTTPS.
+app.use(["/setup", "/metrics"], (req, res, next) => {
+  setSecurityHeaders(req, res, { hstsMaxAge: HSTS_MAX_AGE });
+  next();
+});
+
+// JSON bodies are parsed for /setup only (proxied requests must reach the
+// gateway untouched), with a limit per route.
+const JSON_BODY_LIMITS = [
+  ["/setup/api/config/raw", "1mb"], // the route itself caps content at 500k chars
+  ["/setup/api/run", "64kb"],
+  ["/setup/api/desired-state", "256kb"],
+];
+const JSON_BODY_DEFAULT_LIMIT = "32kb";
+const jsonParsers = new Map();
+
+app.use("/setup", (req, res, next) => {
+  const limit = bodyLimitFor(req.originalUrl.split("?")[0], JSON_BODY_LIMITS, JSON_BODY_DEFAULT_LIMIT);
+  if (!jsonParsers.has(limit)) jsonParsers.set(limit, express.json({ limit }));
+  jsonParsers.get(limit)(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({ ok: false, error: `Request body too large (limit ${limit})` });
+    }
+    return res.status(400).json({ ok: false, error: `Invalid JSON body: ${err.message}` });
+  });
+});
+app.use(auditSetupActions);
+
+// Minimal health endpoint for Railway.
+// Never gated by SETUP_ENABLED — health checks must always respond so Railway
+// doesn't kill the container.  This endpoint is harmless (no secrets).
+app.get("/setup/healthz", (_req, res) => res.json({ ok: true }));
+
+// Quick HTTP probe to check if the gateway is listening.
+async function probeGateway() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 3000);
+  try {
+    const res = await fetch(`${gatewayTarget()}/healthz`, {
+      signal: controller.signal,
+    });
+    return res.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Public health endpoint (no auth) so Railway can probe without /setup.
+// Keep this free of secrets.
+app.get("/healthz", async (_req, res) => {
+  let gatewayReachable = false;
+  if (isConfigured()) {
+    try {
+      gatewayReachable = await probeGateway();
+    } catch {
+      gatewayReachable = false;
+    }
+  }
+
+  res.json({
+    ok: true,
+    wrapper: {
+      configured: isConfigured(),
+      stateDir: STATE_DIR,
+      workspaceDir: WORKSPACE_DIR,
+    },
+    gateway: {
+      target: gatewayTarget(),
+      reachable: gatewayReachable,
+      // Boot stage + per-stage timings (spawned → listening → handshake → ready).
+      readiness: gatewayReadiness.snapshot(),
+      lastError: lastGatewayError,
+      lastExit: lastGatewayExit,
+      lastDoctorAt,
+    },
+    tailscale: {
+      enabled: Boolean(TS_AUTHKEY),
+      running: supervisor.isRunning("tailscale"),
+      hostname: TS_HOSTNAME,
+    },
+    vault: { dir: VAULT_DIR },
+    // Manifest-driven sidecars: health, skip reason, port, tailnet mount.
+    sidecars: sidecars.status(),
+    // Per-service supervisor state: restart counts, crash-loop flags, last exit.
+    services: supervisor.status(),
+    processes: processMetrics.snapshot(),
+  });
+});
+
+app.get("/setup/login", (req, res) => {
+  if (!setupGate(req, res)) return;
+  const next = safeNextPath(req.query.next);
+  if (readSetupSession(req)) return res.redirect(302, next);
+  res.set("Cache-Control", "no-store");
+  res.type("html").send(renderLoginPage({ next }));
+});
+
+app.post("/setup/login", express.urlencoded({ extended: false, limit: "16kb" }), async (req, res) => {
+  if (!setupGate(req, res)) return;
+  // Login CSRF: a forged form post would sign the victim in as the attacker.
+  if (rejectCrossOrigin(req, res)) return;
+  const next = safeNextPath(req.body?.next);
+  const wantsJson = req.is("application/json");
+  const username = String(req.body?.username ?? "").trim();
+  const check = await checkSetupLogin(req, username, String(req.body?.password ?? ""), "form", req.body?.code);
+  if (!check.ok) {
+    setRetryAfter(res, check.retryAfterMs);
+    if (wantsJson) return res.status(check.status).json({ ok: false, error: check.error });
+    res.set("Cache-Control", "no-store");
+    return res.status(check.status).type("html").send(renderLoginPage({ error: check.error, next, username }));
+  }
+
+  const { token, session } = setupSessions.issue(check.user.username, { pwv: check.user.passwordVersion });
+  res.cookie(setupSessions.cookieName, token, setupSessions.cookieOptions({ secure: isSecureRequest(req) }));
+  console.log(`[setup] login: ${check.user.username} (${check.user.role}) from ${clientIp(req)}`);
+  if (wantsJson) {
+    return res.json({
+      ok: true,
+      user: check.user.username,
+      role: check.user.role,
+      csrfToken: session.csrf,
+      expiresAt: new Date(session.exp).toISOString(),
+    });
+  }
+  return res.redirect(303, next);
+});
+
+app.post("/setup/logout", requireSetupAuth, (req, res) => {
+  if (req.setupSession) setupSessions.revoke(req.setupSession);
+  const { maxAge: _maxAge, ...cookieOpts } = setupSessions.cookieOptions({ secure: isSecureRequest(req) });
+  res.clearCookie(setupSessions.cookieName, cookieOpts);
+  res.json({ ok: true });
+});
+
+app.get("/setup/app.js", requireSetupAuth, (_req, res) => {
+  // Serve JS for /setup (kept external to avoid inline encoding/template issues)
+  res.type("application/javascript");
+  res.send(fs.readFileSync(path.join(process.cwd(), "src", "setup-app.js"), "utf8"));
+});
+
+app.get("/setup", requireSetupAuth, (req, res) => {
+  // No inline <script>: serve JS from /setup/app.js to avoid any encoding/template-literal issues.
+  // The CSRF token is handed to app.js via a meta tag (empty under Basic auth).
+  // Controls above the user's role carry data-min-role and are hidden by app.js;
+  // the routes enforce the same roles.
+  res.set("Cache-Control", "no-store");
+  res.type("html").send(html`<!doctype html>
 <html>
 <head>
   <meta charset="utf-8" />
+  <meta name="csrf-token" content="${req.setupSession?.csrf || ""}" />
+  <meta name="setup-role" content="${req.setupUser.role}" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <title>OpenClaw Setup</title>
   <style>
@@ -867,10 +1555,21 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     button { padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
     code { background: #f6f6f6; padding: 0.1rem 0.3rem; border-radius: 6px; }
     .muted { color: #555; }
+    .steps { list-style: none; padding: 0; margin: 0.75rem 0; }
+    .steps li { padding: 0.3rem 0; border-bottom: 1px solid #eee; }
+    .steps .took { color: #555; float: right; font-variant-numeric: tabular-nums; }
+    .steps pre { white-space: pre-wrap; margin: 0.25rem 0 0 1.5rem; font-size: 0.85em; }
+    .step-running { font-weight: 700; }
+    .step-failed { color: #b91c1c; }
+    .step-skipped, .step-pending { color: #777; }
   </style>
 </head>
 <body>
   <h1>OpenClaw Setup</h1>
+  <p style="float:right; margin-top:-3rem">
+    <span class="muted">${req.setupUser.username} (${req.setupUser.role})</span>
+    <button id="logout" style="background:#444; margin-left:0.5rem">Sign out</button>
+  </p>
   <p class="muted">This wizard configures OpenClaw by running the same onboarding command it uses in the terminal, but from the browser.</p>
 
   <div class="card">
@@ -879,11 +1578,15 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     <div id="statusDetails" class="muted" style="margin-top:0.5rem"></div>
     <div style="margin-top: 0.75rem">
       <a href="/openclaw" target="_blank">Open OpenClaw UI</a>
-      &nbsp;|&nbsp;
-      <a href="/setup/export" target="_blank">Download backup (.tar.gz)</a>
+      <span data-min-role="admin">
+        &nbsp;|&nbsp;
+        <a href="/setup/export" target="_blank">Download backup (.tar.gz)</a>
+        &nbsp;|&nbsp;
+        <a href="/setup/export?secrets=plaintext" target="_blank" title="Includes the gateway token and Railway OAuth tokens unencrypted">Backup with decrypted secrets</a>
+      </span>
     </div>
 
-    <div style="margin-top: 0.75rem">
+    <div style="margin-top: 0.75rem" data-min-role="admin">
       <div class="muted" style="margin-bottom:0.25rem"><strong>Import backup</strong> (advanced): restores into <code>/data</code> and restarts the gateway.</div>
       <input id="importFile" type="file" accept=".tar.gz,application/gzip" />
       <button id="importRun" style="background:#7c2d12; margin-top:0.5rem">Import</button>
@@ -891,7 +1594,7 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     </div>
   </div>
 
-  <div class="card">
+  <div class="card" data-min-role="operator">
     <h2>Debug console</h2>
     <p class="muted">Run a small allowlist of safe commands (no shell). Useful for debugging and recovery.</p>
 
@@ -918,18 +1621,34 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
   </div>
 
   <div class="card">
+    <h2>Service logs</h2>
+    <p class="muted">Output captured from the gateway and sidecars (also persisted under <code>logs/</code> in the state dir).</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <select id="logsService" style="flex: 1"></select>
+      <input id="logsFilter" placeholder="Filter text (or /regex/)" style="flex: 2" />
+      <input id="logsTail" placeholder="Lines" value="200" style="width: 5rem" />
+    </div>
+    <div style="margin-top:0.5rem">
+      <button id="logsLoad" style="background:#0f172a">Load</button>
+      <label style="display:inline; font-weight:normal; margin-left:0.75rem"><input id="logsLive" type="checkbox" style="width:auto" /> Live tail</label>
+    </div>
+    <pre id="logsOut" style="white-space:pre-wrap; max-height: 400px; overflow:auto; background:#f6f6f6; padding:0.5rem; border-radius:8px"></pre>
+  </div>
+
+  <div class="card" data-min-role="admin">
     <h2>Config editor (advanced)</h2>
-    <p class="muted">Edits the full config file on disk (JSON5). Saving creates a timestamped <code>.bak-*</code> backup and restarts the gateway.</p>
+    <p class="muted">Edits the full config file on disk (JSON5). Saving creates a timestamped <code>.bak-*</code> backup and restarts the gateway. Secrets show as <code>[REDACTED]</code> and are kept as they are when you save; use <b>Reveal secrets</b> to see or change them.</p>
     <div class="muted" id="configPath"></div>
     <textarea id="configText" style="width:100%; height: 260px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace;"></textarea>
     <div style="margin-top:0.5rem">
       <button id="configReload" style="background:#1f2937">Reload</button>
+      <button id="configReveal" style="background:#1f2937; margin-left:0.5rem">Reveal secrets</button>
       <button id="configSave" style="background:#111; margin-left:0.5rem">Save</button>
     </div>
     <pre id="configOut" style="white-space:pre-wrap"></pre>
   </div>
 
-  <div class="card">
+  <div class="card" data-min-role="admin">
     <h2>1) Model/auth provider</h2>
     <p class="muted">Matches the groups shown in the terminal onboarding.</p>
     <label>Provider group</label>
@@ -940,6 +1659,7 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 
     <label>Key / Token (if required)</label>
     <input id="authSecret" type="password" placeholder="Paste API key / token if applicable" />
+    <div style="margin-top:0.5rem"><button type="button" data-check="auth" style="background:#0f172a; padding:0.4rem 0.8rem">Test key</button> <span id="check-auth" class="muted"></span></div>
 
     <label>Wizard flow</label>
     <select id="flow">
@@ -949,18 +1669,20 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     </select>
   </div>
 
-  <div class="card">
+  <div class="card" data-min-role="admin">
     <h2>2) Optional: Channels</h2>
     <p class="muted">You can also add channels later inside OpenClaw, but this helps you get messaging working immediately.</p>
 
     <label>Telegram bot token (optional)</label>
     <input id="telegramToken" type="password" placeholder="123456:ABC..." />
+    <div style="margin-top:0.5rem"><button type="button" data-check="telegram" style="background:#0f172a; padding:0.4rem 0.8rem">Test</button> <span id="check-telegram" class="muted"></span></div>
     <div class="muted" style="margin-top: 0.25rem">
       Get it from BotFather: open Telegram, message <code>@BotFather</code>, run <code>/newbot</code>, then copy the token.
     </div>
 
     <label>Discord bot token (optional)</label>
     <input id="discordToken" type="password" placeholder="Bot token" />
+    <div style="margin-top:0.5rem"><button type="button" data-check="discord" style="background:#0f172a; padding:0.4rem 0.8rem">Test</button> <span id="check-discord" class="muted"></span></div>
     <div class="muted" style="margin-top: 0.25rem">
       Get it from the Discord Developer Portal: create an application, add a Bot, then copy the Bot Token.<br/>
       <strong>Important:</strong> Enable <strong>MESSAGE CONTENT INTENT</strong> in Bot → Privileged Gateway Intents, or the bot will crash on startup.
@@ -971,9 +1693,10 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 
     <label>Slack app token (optional)</label>
     <input id="slackAppToken" type="password" placeholder="xapp-..." />
+    <div style="margin-top:0.5rem"><button type="button" data-check="slack" style="background:#0f172a; padding:0.4rem 0.8rem">Test Slack tokens</button> <span id="check-slack" class="muted"></span></div>
   </div>
 
-  <div class="card">
+  <div class="card" data-min-role="admin">
     <h2>2b) Advanced: Custom OpenAI-compatible provider (optional)</h2>
     <p class="muted">Use this to configure an OpenAI-compatible API that requires a custom base URL (e.g. Ollama, vLLM, LM Studio, hosted proxies). You usually set the API key as a Railway variable and reference it here.</p>
 
@@ -994,13 +1717,15 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
 
     <label>Optional model id to register (e.g. llama3.1:8b)</label>
     <input id="customProviderModelId" placeholder="" />
+    <div style="margin-top:0.5rem"><button type="button" data-check="customProvider" style="background:#0f172a; padding:0.4rem 0.8rem">Test endpoint</button> <span id="check-customProvider" class="muted"></span></div>
   </div>
 
-  <div class="card">
+  <div class="card" data-min-role="operator">
     <h2>3) Run onboarding</h2>
-    <button id="run">Run setup</button>
+    <button id="run" data-min-role="admin">Run setup</button>
     <button id="pairingApprove" style="background:#1f2937; margin-left:0.5rem">Approve pairing</button>
-    <button id="reset" style="background:#444; margin-left:0.5rem">Reset setup</button>
+    <button id="reset" data-min-role="admin" style="background:#444; margin-left:0.5rem">Reset setup</button>
+    <ul id="runSteps" class="steps"></ul>
     <pre id="log" style="white-space:pre-wrap"></pre>
     <p class="muted">Reset deletes the OpenClaw config file so you can rerun onboarding. Pairing approval lets you grant DM access when dmPolicy=pairing.</p>
 
@@ -1012,6 +1737,75 @@ app.get("/setup", requireSetupAuth, (_req, res) => {
     </details>
   </div>
 
+  <div class="card" data-min-role="admin">
+    <h2>Users</h2>
+    <p class="muted">Named logins for this page. <strong>viewer</strong>: status, debug, logs. <strong>operator</strong>: + console, device approval, jobs. <strong>admin</strong>: everything. The built-in <code>admin</code> user signs in with <code>SETUP_PASSWORD</code>.</p>
+    <div id="usersList" class="muted"></div>
+    <div style="display:flex; gap:0.5rem; align-items:center; margin-top:0.75rem">
+      <input id="newUserName" placeholder="username" style="flex: 1" />
+      <input id="newUserPassword" type="password" placeholder="password (10+ chars)" autocomplete="new-password" style="flex: 1" />
+      <select id="newUserRole" style="flex: 0 0 8rem">
+        <option value="viewer">viewer</option>
+        <option value="operator">operator</option>
+        <option value="admin">admin</option>
+      </select>
+      <button id="newUserAdd" style="background:#0f172a">Add</button>
+    </div>
+    <pre id="usersOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-min-role="admin">
+    <h2>API tokens</h2>
+    <p class="muted">Bearer tokens for scripts and the monitor (<code>Authorization: Bearer ocs_…</code>). A token only works on routes that match one of its scopes, and it works even while <code>SETUP_ENABLED</code> is off.</p>
+    <div id="tokensList" class="muted"></div>
+    <div style="display:flex; gap:0.5rem; align-items:center; margin-top:0.75rem">
+      <input id="newTokenName" placeholder="name (e.g. monitor)" style="flex: 1" />
+      <input id="newTokenDays" placeholder="expires in days (optional)" style="flex: 0 0 12rem" />
+    </div>
+    <select id="newTokenScopes" multiple size="6" style="margin-top:0.5rem"></select>
+    <button id="newTokenCreate" style="background:#0f172a">Create token</button>
+    <pre id="tokensOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card">
+    <h2>Two-factor authentication</h2>
+    <p class="muted">Ask for a code from an authenticator app (1Password, Google Authenticator, …) when <strong>you</strong> sign in. This applies to your user only.</p>
+    <div id="twoFactorStatus" class="muted">Loading...</div>
+    <div id="twoFactorEnroll" style="display:none; margin-top:0.75rem">
+      <p>Scan this with your authenticator app, then enter the code it shows.</p>
+      <div id="twoFactorQr" style="width:220px"></div>
+      <p class="muted">Can't scan? Enter this key by hand: <code id="twoFactorSecret"></code></p>
+      <div style="display:flex; gap:0.5rem; align-items:center">
+        <input id="twoFactorCode" placeholder="6-digit code" autocomplete="one-time-code" style="flex: 1" />
+        <button id="twoFactorConfirm" style="background:#0f172a">Turn on</button>
+      </div>
+    </div>
+    <div style="margin-top:0.75rem">
+      <button id="twoFactorStart" style="background:#0f172a">Set up two-factor</button>
+      <button id="twoFactorCodes" style="background:#1f2937">New recovery codes</button>
+      <button id="twoFactorOff" style="background:#7c2d12">Turn off</button>
+    </div>
+    <pre id="twoFactorOut" style="white-space:pre-wrap"></pre>
+  </div>
+
+  <div class="card" data-min-role="admin">
+    <h2>Audit log</h2>
+    <p class="muted">Who changed what: every mutating request here, config and token reads, exports and scheduled job runs. Arguments are stored redacted.</p>
+    <div style="display:flex; gap:0.5rem; align-items:center">
+      <input id="auditActor" placeholder="user" style="flex: 1" />
+      <input id="auditAction" placeholder="action contains (e.g. config)" style="flex: 2" />
+      <select id="auditOutcome" style="flex: 0 0 8rem">
+        <option value="">any outcome</option>
+        <option value="ok">ok</option>
+        <option value="denied">denied</option>
+        <option value="error">error</option>
+      </select>
+      <button id="auditLoad" style="background:#0f172a">Search</button>
+    </div>
+    <pre id="auditList" style="white-space:pre-wrap"></pre>
+    <button id="auditMore" style="background:#1f2937; display:none">Older entries</button>
+  </div>
+
   <script src="/setup/app.js"></script>
 </body>
 </html>`);
@@ -1021,67 +1815,19 @@ app.get("/setup/api/status", requireSetupAuth, async (_req, res) => {
   const version = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
   const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
 
-  // We reuse OpenClaw's own auth-choice grouping logic indirectly by hardcoding the same group defs.
-  // This is intentionally minimal; later we can parse the CLI help output to stay perfectly in sync.
-  // NOTE: On Railway, interactive OAuth flows are typically not viable. The UI will hide them by default.
-  const authGroups = [
-    { value: "openai", label: "OpenAI", hint: "Codex OAuth + API key", options: [
-      { value: "codex-cli", label: "OpenAI Codex OAuth (Codex CLI)" },
-      { value: "openai-codex", label: "OpenAI Codex (ChatGPT OAuth)" },
-      { value: "openai-api-key", label: "OpenAI API key" }
-    ]},
-    { value: "anthropic", label: "Anthropic", hint: "Claude Code CLI + API key", options: [
-      { value: "claude-cli", label: "Anthropic token (Claude Code CLI)" },
-      { value: "token", label: "Anthropic token (paste setup-token)" },
-      { value: "apiKey", label: "Anthropic API key" }
-    ]},
-    { value: "google", label: "Google", hint: "Gemini API key + OAuth", options: [
-      { value: "gemini-api-key", label: "Google Gemini API key" },
-      { value: "google-antigravity", label: "Google Antigravity OAuth" },
-      { value: "google-gemini-cli", label: "Google Gemini CLI OAuth" }
-    ]},
-    { value: "openrouter", label: "OpenRouter", hint: "API key", options: [
-      { value: "openrouter-api-key", label: "OpenRouter API key" }
-    ]},
-    { value: "ai-gateway", label: "Vercel AI Gateway", hint: "API key", options: [
-      { value: "ai-gateway-api-key", label: "Vercel AI Gateway API key" }
-    ]},
-    { value: "moonshot", label: "Moonshot AI", hint: "Kimi K2 + Kimi Code", options: [
-      { value: "moonshot-api-key", label: "Moonshot AI API key" },
-      { value: "kimi-code-api-key", label: "Kimi Code API key" }
-    ]},
-    { value: "zai", label: "Z.AI (GLM 4.7)", hint: "API key", options: [
-      { value: "zai-api-key", label: "Z.AI (GLM 4.7) API key" }
-    ]},
-    { value: "minimax", label: "MiniMax", hint: "M2.1 (recommended)", options: [
-      { value: "minimax-api", label: "MiniMax M2.1" },
-      { value: "minimax-api-lightning", label: "MiniMax M2.1 Lightning" }
-    ]},
-    { value: "qwen", label: "Qwen", hint: "OAuth", options: [
-      { value: "qwen-portal", label: "Qwen OAuth" }
-    ]},
-    { value: "copilot", label: "Copilot", hint: "GitHub + local proxy", options: [
-      { value: "github-copilot", label: "GitHub Copilot (GitHub device login)" },
-      { value: "copilot-proxy", label: "Copilot Proxy (local)" }
-    ]},
-    { value: "synthetic", label: "Synthetic", hint: "Anthropic-compatible (multi-model)", options: [
-      { value: "synthetic-api-key", label: "Synthetic API key" }
-    ]},
-    { value: "opencode-zen", label: "OpenCode Zen", hint: "API key", options: [
-      { value: "opencode-zen", label: "OpenCode Zen (multi-model proxy)" }
-    ]}
-  ];
+  const catalogue = await authCatalogue.get(version.output);
 
   res.json({
     configured: isConfigured(),
-    gatewayTarget: GATEWAY_TARGET,
+    gatewayTarget: gatewayTarget(),
     openclawVersion: version.output.trim(),
     channelsAddHelp: channelsHelp.output,
-    authGroups,
+    authGroups: catalogue.groups,
+    authCatalogueSource: catalogue.source,
   });
 });
 
-function buildOnboardArgs(payload) {
+function buildOnboardArgs(payload, catalogue) {
   const args = [
     "onboard",
     "--non-interactive",
@@ -1107,24 +1853,9 @@ function buildOnboardArgs(payload) {
   if (payload.authChoice) {
     args.push("--auth-choice", payload.authChoice);
 
-    // Map secret to correct flag for common choices.
+    // The catalogue knows which flag carries each choice's secret.
     const secret = (payload.authSecret || "").trim();
-    const map = {
-      "openai-api-key": "--openai-api-key",
-      "apiKey": "--anthropic-api-key",
-      "openrouter-api-key": "--openrouter-api-key",
-      "ai-gateway-api-key": "--ai-gateway-api-key",
-      "moonshot-api-key": "--moonshot-api-key",
-      "kimi-code-api-key": "--kimi-code-api-key",
-      "gemini-api-key": "--gemini-api-key",
-      "zai-api-key": "--zai-api-key",
-      "minimax-api": "--minimax-api-key",
-      "minimax-api-lightning": "--minimax-api-key",
-      "synthetic-api-key": "--synthetic-api-key",
-      "opencode-zen": "--opencode-zen-api-key",
-    };
-
-    const flag = map[payload.authChoice];
+    const flag = catalogue.secretFlags[payload.authChoice];
 
     // If the user picked an API-key auth choice but didn't provide a secret, fail fast.
     // Otherwise OpenClaw may fall back to its default auth choice, which looks like the
@@ -1155,6 +1886,8 @@ function runCmd(cmd, args, opts = {}) {
         ...process.env,
         OPENCLAW_STATE_DIR: STATE_DIR,
         OPENCLAW_WORKSPACE_DIR: WORKSPACE_DIR,
+        // CLI commands that talk to the gateway follow the active blue/green slot.
+        ...(activeGatewayPort !== INTERNAL_GATEWAY_PORT ? { OPENCLAW_GATEWAY_PORT: String(activeGatewayPort) } : {}),
       },
     });
 
@@ -1171,7 +1904,223 @@ function runCmd(cmd, args, opts = {}) {
   });
 }
 
-app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
+// Channels the wizard can configure: settings every new channel gets, plus
+// the secrets taken from the wizard's fields.  Desired-state documents use
+// the same defaults.
+const WIZARD_CHANNELS = [
+  {
+    id: "telegram",
+    name: "Telegram",
+    // Avoid `channels add` here (it has proven flaky across builds); write config directly.
+    defaults: { enabled: true, dmPolicy: "pairing", groupPolicy: "allowlist", streamMode: "partial" },
+    secrets: (p) => (p.telegramToken?.trim() ? { botToken: p.telegramToken.trim() } : null),
+  },
+  {
+    id: "discord",
+    name: "Discord",
+    defaults: { enabled: true, groupPolicy: "allowlist", dm: { policy: "pairing" } },
+    secrets: (p) => (p.discordToken?.trim() ? { token: p.discordToken.trim() } : null),
+  },
+  {
+    id: "slack",
+    name: "Slack",
+    defaults: { enabled: true },
+    secrets: (p) =>
+      p.slackBotToken?.trim() || p.slackAppToken?.trim()
+        ? { botToken: p.slackBotToken?.trim() || undefined, appToken: p.slackAppToken?.trim() || undefined }
+        : null,
+  },
+];
+const CHANNEL_DEFAULTS = Object.fromEntries(WIZARD_CHANNELS.map((c) => [c.id, c.defaults]));
+
+// Gateway settings written after onboarding.  Both gateway.auth.token
+// (server-side) and gateway.remote.token (client-side) get the same value so
+// the Control UI can connect without "token mismatch" errors; bind stays
+// loopback since the wrapper proxies externally.
+function gatewayConfigSteps() {
+  return [
+    ["gateway.auth.mode", "token"],
+    ["gateway.auth.token", OPENCLAW_GATEWAY_TOKEN],
+    ["gateway.remote.token", OPENCLAW_GATEWAY_TOKEN],
+    ["gateway.bind", "loopback"],
+    ["gateway.port", String(INTERNAL_GATEWAY_PORT)],
+  ];
+}
+
+/**
+ * Check a wizard payload and work out what onboarding will do; throws on
+ * bad input.  Also plans the steps on `steps`.
+ */
+async function planOnboarding(payload, steps) {
+  const catalogue = await authCatalogue.get((await runCmd(OPENCLAW_NODE, clawArgs(["--version"]))).output);
+  const onboardArgs = buildOnboardArgs(payload, catalogue);
+
+  const customProvider = payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()
+    ? {
+        providerId: payload.customProviderId.trim(),
+        baseUrl: payload.customProviderBaseUrl.trim(),
+        api: (payload.customProviderApi || "openai-completions").trim(),
+        apiKeyEnv: (payload.customProviderApiKeyEnv || "").trim(),
+        modelId: (payload.customProviderModelId || "").trim(),
+      }
+    : null;
+  const providerProblem = customProvider && customProviderProblem(customProvider);
+  if (providerProblem) throw new Error(`custom provider: ${providerProblem}`);
+  const channels = WIZARD_CHANNELS.filter((c) => c.secrets(payload)).map((c) => ({
+    ...c,
+    cfg: { ...c.defaults, ...c.secrets(payload) },
+  }));
+
+  steps.add("onboard", "Run openclaw onboard");
+  for (const [key] of gatewayConfigSteps()) steps.add(`config:${key}`, `Set ${key}`);
+  if (customProvider) steps.add("custom-provider", `Add custom provider ${customProvider.providerId}`);
+  for (const c of channels) steps.add(`channel:${c.id}`, `Configure ${c.name}`);
+  steps.add("restart", "Restart the gateway");
+  return { onboardArgs, customProvider, channels };
+}
+
+// Onboarding proper: `openclaw onboard`, then the gateway, custom provider
+// and channel config.  Stops at the first failed step.
+async function runOnboardingSteps(steps, plan) {
+  const failed = () => steps.failed().length > 0;
+
+  await steps.run("onboard", "Run openclaw onboard", async () => {
+    const r = await runCmd(OPENCLAW_NODE, clawArgs(plan.onboardArgs));
+    if (r.code === 0 && !isConfigured()) return { code: 1, output: `${r.output}\n(onboard exited 0 but wrote no config file)` };
+    return r;
+  });
+
+  for (const [key, value] of gatewayConfigSteps()) {
+    if (failed()) return;
+    await steps.run(`config:${key}`, `Set ${key}`, () => runCmd(OPENCLAW_NODE, clawArgs(["config", "set", key, value])));
+  }
+
+  // Optional: configure a custom OpenAI-compatible provider (base URL) for advanced users.
+  if (plan.customProvider && !failed()) {
+    const { providerId } = plan.customProvider;
+    await steps.run("custom-provider", `Add custom provider ${providerId}`, async () => {
+      // Ensure we merge in this provider rather than replacing other providers.
+      const merge = await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "models.mode", "merge"]));
+      if (merge.code !== 0) return merge;
+      return runCmd(
+        OPENCLAW_NODE,
+        clawArgs([
+          "config",
+          "set",
+          "--json",
+          `models.providers.${providerId}`,
+          JSON.stringify(customProviderConfig(plan.customProvider)),
+        ]),
+      );
+    });
+  }
+
+  if (plan.channels.length && !failed()) {
+    const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+    const helpText = channelsHelp.output || "";
+    for (const c of plan.channels) {
+      if (failed()) return;
+      if (!helpText.includes(c.id)) {
+        steps.skip(`channel:${c.id}`, `Configure ${c.name}`, `this openclaw build does not list ${c.id} in \`channels add --help\``);
+        continue;
+      }
+      await steps.run(`channel:${c.id}`, `Configure ${c.name}`, async () => {
+        const set = await runCmd(
+          OPENCLAW_NODE,
+          clawArgs(["config", "set", "--json", `channels.${c.id}`, JSON.stringify(c.cfg)]),
+        );
+        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", `channels.${c.id}`]));
+        return {
+          code: set.code,
+          output: `[config] exit=${set.code}\n${set.output || "(no output)"}\n[verify] exit=${get.code}\n${get.output || "(no output)"}`,
+        };
+      });
+    }
+  }
+}
+
+// One config change at a time.  Onboarding runs and desired-state applies
+// each snapshot the config in configTransaction, so anything else writing
+// the config meanwhile (another run, the raw editor, reset, import, console
+// config set) would be rolled back or deleted with it.  Whoever comes second
+// gets a 409.
+let configChangeInProgress = null;
+
+async function withConfigLock(what, work) {
+  if (configChangeInProgress) {
+    const err = new Error(`${configChangeInProgress} is already in progress`);
+    err.status = 409;
+    throw err;
+  }
+  configChangeInProgress = what;
+  try {
+    return await work();
+  } finally {
+    configChangeInProgress = null;
+  }
+}
+
+/** A route handler that runs under the config lock; answers 409 while it is taken. */
+function underConfigLock(what, handler) {
+  return async (req, res) => {
+    try {
+      await withConfigLock(what, () => handler(req, res));
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      res.status(409).json({ ok: false, error: `${err.message}; try again when it has finished` });
+    }
+  };
+}
+
+/**
+ * Run `work` (steps that write the config) as one transaction: if any step
+ * fails, the rest are skipped and the config files go back to how they were
+ * (for a first onboarding: absent, i.e. unconfigured).  Otherwise the
+ * gateway restarts to pick the changes up; a failed restart leaves the
+ * (valid) config in place.
+ */
+async function configTransaction(steps, work) {
+  if (!configChangeInProgress) throw new Error("configTransaction must run under withConfigLock");
+  const snapshot = snapshotFiles(resolveConfigCandidates());
+  await work();
+
+  const failedStep = steps.failed()[0] ?? null;
+  if (failedStep) {
+    steps.skipPending(`not run: "${failedStep.name}" failed`);
+    await steps.run("rollback", snapshot.empty ? "Roll back to unconfigured" : "Roll back the config", async () => {
+      const undone = snapshot.restore();
+      // Nothing to serve without a config; stop a gateway something started meanwhile.
+      if (!isConfigured() && supervisor.isRunning("gateway")) await stopGateway();
+      return { code: 0, output: undone.join("\n") || "nothing to undo" };
+    });
+  } else {
+    await steps.run("restart", "Restart the gateway", async () => {
+      const r = await restartGateway();
+      return { code: r?.ok === false ? 1 : 0, output: r?.reason || "" };
+    });
+  }
+  return { ok: steps.failed().length === 0, rolledBack: Boolean(failedStep), failedStep: failedStep?.id ?? null };
+}
+
+// Onboarding reports each step as it goes.  Clients that send
+// `Accept: text/event-stream` get `plan`, `step` and `done` events; others
+// get one JSON response with the whole step list when it's over.
+app.post("/setup/api/run", requireSetupRole("admin"), async (req, res) => {
+  try {
+    await withConfigLock("onboarding", () => runSetup(req, res));
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    res.status(409).json({ ok: false, output: `${String(err.message)}; try again when it has finished` });
+  }
+});
+
+async function runSetup(req, res) {
+  const streaming = String(req.get("accept") || "").includes("text/event-stream");
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  let keepalive = null;
+
   try {
     if (isConfigured()) {
       await ensureGatewayRunning();
@@ -1189,201 +2138,591 @@ app.post("/setup/api/run", requireSetupAuth, async (req, res) => {
       payload.authSecret = process.env.ANTHROPIC_API_KEY;
     }
 
-    let onboardArgs;
+    const steps = new OnboardingSteps({
+      redact: (text) => redactor.redact(text),
+      onChange: streaming ? (step) => send("step", step) : undefined,
+    });
+    let plan;
     try {
-      onboardArgs = buildOnboardArgs(payload);
+      plan = await planOnboarding(payload, steps);
     } catch (err) {
+      metric.onboardingRuns.inc({ result: "invalid" });
       return res.status(400).json({ ok: false, output: `Setup input error: ${String(err)}` });
     }
+    const onboardingDone = metric.onboardingDuration.startTimer();
+
+    if (streaming) {
+      res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      res.flushHeaders();
+      send("plan", { steps: steps.list() });
+      // Keep proxies from timing out while onboarding is quiet.
+      keepalive = setInterval(() => res.write(": keepalive\n\n"), 15_000);
+    }
 
-    const onboard = await runCmd(OPENCLAW_NODE, clawArgs(onboardArgs));
-
-  let extra = "";
-
-  const ok = onboard.code === 0 && isConfigured();
-
-  // Optional setup (only after successful onboarding).
-  if (ok) {
-    // Ensure gateway token is written into config so the browser UI can authenticate reliably.
-    // (We also enforce loopback bind since the wrapper proxies externally.)
-    // IMPORTANT: Set both gateway.auth.token (server-side) and gateway.remote.token (client-side)
-    // to the same value so the Control UI can connect without "token mismatch" errors.
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.mode", "token"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.auth.token", OPENCLAW_GATEWAY_TOKEN]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.remote.token", OPENCLAW_GATEWAY_TOKEN]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.bind", "loopback"]));
-    await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "gateway.port", String(INTERNAL_GATEWAY_PORT)]));
-
-    // Optional: configure a custom OpenAI-compatible provider (base URL) for advanced users.
-    if (payload.customProviderId?.trim() && payload.customProviderBaseUrl?.trim()) {
-      const providerId = payload.customProviderId.trim();
-      const baseUrl = payload.customProviderBaseUrl.trim();
-      const api = (payload.customProviderApi || "openai-completions").trim();
-      const apiKeyEnv = (payload.customProviderApiKeyEnv || "").trim();
-      const modelId = (payload.customProviderModelId || "").trim();
-
-      if (!/^[A-Za-z0-9_-]+$/.test(providerId)) {
-        extra += `\n[custom provider] skipped: invalid provider id (use letters/numbers/_/-)`;
-      } else if (!/^https?:\/\//.test(baseUrl)) {
-        extra += `\n[custom provider] skipped: baseUrl must start with http(s)://`;
-      } else if (api !== "openai-completions" && api !== "openai-responses") {
-        extra += `\n[custom provider] skipped: api must be openai-completions or openai-responses`;
-      } else if (apiKeyEnv && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(apiKeyEnv)) {
-        extra += `\n[custom provider] skipped: invalid api key env var name`;
-      } else {
-        const providerCfg = {
-          baseUrl,
-          api,
-          apiKey: apiKeyEnv ? "${" + apiKeyEnv + "}" : undefined,
-          models: modelId ? [{ id: modelId, name: modelId }] : undefined,
-        };
+    const tx = await configTransaction(steps, () => runOnboardingSteps(steps, plan));
+
+    onboardingDone();
+    metric.onboardingRuns.inc({ result: tx.ok ? "ok" : tx.rolledBack ? "rolled_back" : "error" });
+    const result = { ...tx, output: steps.transcript(), steps: steps.list() };
+    if (!streaming) return res.status(tx.ok ? 200 : 500).json(result);
+    res.locals.auditBody = result;
+    send("done", result);
+    return res.end();
+  } catch (err) {
+    console.error("[/setup/api/run] error:", err);
+    metric.onboardingRuns.inc({ result: "error" });
+    const output = `Internal error: ${redactor.redact(String(err))}`;
+    if (!res.headersSent) return res.status(500).json({ ok: false, output });
+    res.locals.auditBody = { ok: false };
+    send("done", { ok: false, output });
+    return res.end();
+  } finally {
+    clearInterval(keepalive);
+  }
+}
+
+// --- Desired state (declarative bootstrap; see desired-state.js) ---
+
+const DESIRED_STATE_FILE = path.join(STATE_DIR, "desired-state.json");
+
+function readLiveConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(), "utf8"));
+  } catch (err) {
+    throw new Error(`could not read the live config as JSON: ${String(err.message || err)}`);
+  }
+}
+
+// A change as shown to the caller: secret-looking values redacted.
+function describeChange({ path: key, from, to }) {
+  const leaf = key.split(".").pop();
+  return {
+    path: key,
+    from: redactor.redactDeep({ [leaf]: from })[leaf],
+    to: redactor.redactDeep({ [leaf]: to })[leaf],
+  };
+}
+
+/**
+ * Bring the deployment to the desired state `doc`: onboard first if it is
+ * unconfigured (using `auth` and `flow`), then set every config key that
+ * differs.  With `dryRun`, only report what would change.  Throws on an
+ * invalid document.
+ */
+async function applyDesiredState(doc, { steps, dryRun = false }) {
+  const desired = validateDesiredState(resolveEnvRefs(doc));
+  const assignments = desiredAssignments(desired, { channelDefaults: CHANNEL_DEFAULTS });
+  const notes = [];
+  const setKeys = async (changes) => {
+    for (const change of changes) {
+      if (steps.failed().length) return;
+      await steps.run(`set:${change.path}`, `Set ${change.path}`, () =>
+        runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "--json", change.path, JSON.stringify(change.to)])),
+      );
+    }
+  };
+
+  if (!isConfigured()) {
+    if (!desired.auth) throw new Error("not configured yet: the desired state needs auth.choice to onboard");
+    const plan = await planOnboarding(
+      { authChoice: desired.auth.choice, authSecret: desired.auth.secret ?? "", flow: desired.flow },
+      steps,
+    );
+    const planned = assignments.map((a) => describeChange({ path: a.path, to: a.value }));
+    if (dryRun) return { ok: true, dryRun, onboard: true, changes: planned, notes };
+
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
+    let changes = [];
+    const tx = await configTransaction(steps, async () => {
+      await runOnboardingSteps(steps, plan);
+      if (steps.failed().length) return;
+      changes = diffAssignments(assignments, readLiveConfig());
+      await setKeys(changes);
+    });
+    metric.onboardingRuns.inc({ result: tx.ok ? "ok" : tx.rolledBack ? "rolled_back" : "error" });
+    return { ...tx, onboard: true, changes: changes.map(describeChange), notes };
+  }
+
+  if (desired.auth || desired.flow) notes.push("auth and flow only apply to the first onboarding; use Reset setup to change them");
+  const changes = diffAssignments(assignments, readLiveConfig());
+  if (dryRun || !changes.length) return { ok: true, dryRun, onboard: false, changes: changes.map(describeChange), notes };
+
+  for (const change of changes) steps.add(`set:${change.path}`, `Set ${change.path}`);
+  steps.add("restart", "Restart the gateway");
+  const tx = await configTransaction(steps, () => setKeys(changes));
+  return { ...tx, onboard: false, changes: changes.map(describeChange), notes };
+}
+
+// Not alongside another apply or an onboarding run (see withConfigLock).
+function applyDesiredStateExclusive(doc, opts) {
+  return withConfigLock("a desired-state apply", () => applyDesiredState(doc, opts));
+}
+
+// At boot: the DESIRED_STATE env var (JSON) wins over desired-state.json in
+// the state dir.  Failures are logged; the wrapper still starts.
+async function applyDesiredStateAtBoot() {
+  let doc;
+  let source;
+  try {
+    if (process.env.DESIRED_STATE?.trim()) {
+      source = "DESIRED_STATE";
+      doc = JSON.parse(process.env.DESIRED_STATE);
+    } else if (fs.existsSync(DESIRED_STATE_FILE)) {
+      source = DESIRED_STATE_FILE;
+      doc = JSON.parse(fs.readFileSync(DESIRED_STATE_FILE, "utf8"));
+    } else {
+      return;
+    }
+  } catch (err) {
+    console.error(`[desired-state] could not read ${source}: ${String(err.message || err)}`);
+    return;
+  }
+
+  console.log(`[desired-state] applying ${source}`);
+  const steps = new OnboardingSteps({
+    redact: (text) => redactor.redact(text),
+    onChange: (step) => {
+      if (step.status === "running" || step.status === "pending") return;
+      const took = step.durationMs == null ? "" : ` (${step.durationMs}ms)`;
+      const line = `[desired-state] ${step.status}: ${step.name}${took}`;
+      if (step.status === "failed") console.error(`${line}\n${step.output}`);
+      else console.log(line);
+    },
+  });
+  try {
+    const result = await applyDesiredStateExclusive(doc, { steps });
+    for (const note of result.notes) console.log(`[desired-state] note: ${note}`);
+    if (result.ok) {
+      console.log(`[desired-state] done: ${result.changes.length} config key(s) changed${result.onboard ? " after onboarding" : ""}`);
+    } else {
+      console.error(`[desired-state] failed at ${result.failedStep}${result.rolledBack ? "; config rolled back" : ""}`);
+    }
+  } catch (err) {
+    console.error(`[desired-state] not applied: ${redactor.redact(String(err.message || err))}`);
+  }
+}
+
+// Diff a desired-state document against the live config and apply the
+// difference (onboarding first if needed).  `?dryRun=1` only reports it.
+app.put("/setup/api/desired-state", requireSetupRole("admin", { scope: "desired-state:write" }), async (req, res) => {
+  const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+  const steps = new OnboardingSteps({ redact: (text) => redactor.redact(text) });
+  let result;
+  try {
+    result = await applyDesiredStateExclusive(req.body, { steps, dryRun });
+  } catch (err) {
+    return res.status(err.status ?? 400).json({ ok: false, error: redactor.redact(String(err.message || err)) });
+  }
+  return res.status(result.ok ? 200 : 500).json({ ...result, steps: steps.list() });
+});
+
+// --- Credential checks ---
+
+const credentialChecker = new CredentialChecker({ baseUrls: baseUrlsFromEnv() });
+
+// Try the wizard's credentials against their services without saving
+// anything.  Checks run for the fields that are filled in, or only those
+// named in `checks`.  A failed check is a 200 with `ok: false`.
+app.post("/setup/api/validate", requireSetupRole("admin"), async (req, res) => {
+  const p = req.body || {};
+  const only = Array.isArray(p.checks) ? new Set(p.checks.map(String)) : null;
+  const wanted = (name, present) => Boolean(present) && (!only || only.has(name));
+  const secrets = [p.authSecret, p.telegramToken, p.discordToken, p.slackBotToken, p.slackAppToken]
+    .map((v) => String(v ?? "").trim())
+    .filter(Boolean);
+
+  const checks = [];
+  if (wanted("auth", p.authChoice && p.authSecret?.trim())) {
+    checks.push(["auth", async () => {
+      const catalogue = await authCatalogue.get((await runCmd(OPENCLAW_NODE, clawArgs(["--version"]))).output);
+      const flag = catalogue.secretFlags[p.authChoice];
+      if (!flag) return { ok: null, detail: `${p.authChoice} has no API key to check` };
+      return credentialChecker.provider(providerForFlag(flag), p.authSecret.trim());
+    }]);
+  }
+  if (wanted("telegram", p.telegramToken?.trim())) {
+    checks.push(["telegram", () => credentialChecker.telegram(p.telegramToken.trim())]);
+  }
+  if (wanted("discord", p.discordToken?.trim())) {
+    checks.push(["discord", () => credentialChecker.discord(p.discordToken.trim())]);
+  }
+  if (wanted("slack", p.slackBotToken?.trim() || p.slackAppToken?.trim())) {
+    checks.push(["slack", () => credentialChecker.slack({ botToken: p.slackBotToken?.trim(), appToken: p.slackAppToken?.trim() })]);
+  }
+  if (wanted("customProvider", p.customProviderBaseUrl?.trim())) {
+    checks.push(["customProvider", async () => {
+      const baseUrl = p.customProviderBaseUrl.trim();
+      if (!/^https?:\/\//.test(baseUrl)) return { ok: false, error: "baseUrl must start with http(s)://" };
+      const keyEnv = String(p.customProviderApiKeyEnv || "").trim();
+      const keyProblem = keyEnv && keyEnvProblem(keyEnv);
+      if (keyProblem) return { ok: false, error: keyProblem };
+      const apiKey = keyEnv ? process.env[keyEnv]?.trim() : undefined;
+      if (keyEnv && !apiKey) return { ok: false, error: `env var ${keyEnv} is not set in this container` };
+      if (apiKey) secrets.push(apiKey);
+      return credentialChecker.customProvider({ baseUrl, apiKey, modelId: String(p.customProviderModelId || "").trim() });
+    }]);
+  }
+  if (!checks.length) return res.status(400).json({ ok: false, error: "Nothing to check: fill in a credential first" });
+
+  const scrub = (text) => secrets.reduce((out, s) => out.split(s).join(REDACTED), redactor.redact(String(text)));
+  const results = await Promise.all(
+    checks.map(async ([check, run]) => {
+      const started = Date.now();
+      let r;
+      try {
+        r = await run();
+      } catch (err) {
+        r = { ok: false, error: String(err.message || err) };
+      }
+      return {
+        check,
+        ok: r.ok,
+        detail: r.detail ? scrub(r.detail) : undefined,
+        error: r.error ? scrub(r.error) : undefined,
+        durationMs: Date.now() - started,
+      };
+    }),
+  );
+  return res.json({ ok: results.every((r) => r.ok !== false), results });
+});
+
+app.get("/setup/api/debug", requireSetupRole("viewer", { scope: "debug:read" }), async (_req, res) => {
+  const v = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
+  const help = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+  await authCatalogue.get(v.output);
+
+  res.json(redactor.redactDeep({
+    wrapper: {
+      node: process.version,
+      port: PORT,
+      publicPortEnv: process.env.PORT || null,
+      stateDir: STATE_DIR,
+      workspaceDir: WORKSPACE_DIR,
+      configured: isConfigured(),
+      configPathResolved: configPath(),
+      configPathCandidates: typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : null,
+      internalGatewayHost: INTERNAL_GATEWAY_HOST,
+      internalGatewayPort: INTERNAL_GATEWAY_PORT,
+      gatewayBlueGreen: GATEWAY_BLUE_GREEN ? { slots: [INTERNAL_GATEWAY_PORT, INTERNAL_GATEWAY_ALT_PORT], activePort: activeGatewayPort } : null,
+      gatewayTarget: gatewayTarget(),
+      gatewayTokenFromEnv: Boolean(process.env.OPENCLAW_GATEWAY_TOKEN?.trim()),
+      gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
+      secretsEncryption: { enabled: secretBox.enabled, keyId: secretBox.keyId },
+      lastGatewayError,
+      lastGatewayExit,
+      gatewayReadiness: gatewayReadiness.snapshot(),
+      lastDoctorAt,
+      lastDoctorOutput,
+      railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
+      redactionSources: redactor.sources(),
+    },
+    openclaw: {
+      entry: OPENCLAW_ENTRY,
+      node: OPENCLAW_NODE,
+      version: v.output.trim(),
+      channelsAddHelpIncludesTelegram: help.output.includes("telegram"),
+      authCatalogue: authCatalogue.snapshot(),
+    },
+    tailscale: {
+      enabled: Boolean(TS_AUTHKEY),
+      running: supervisor.isRunning("tailscale"),
+      hostname: TS_HOSTNAME,
+      stateDir: TS_STATE_DIR,
+    },
+    services: supervisor.status(),
+    sidecars: sidecars.status(),
+    sidecarManifests: sidecars.sources(),
+    processes: processMetrics.snapshot(),
+  }));
+});
+
+// Failed /setup logins: recent attempts, locked-out addresses, global state.
+app.get("/setup/api/security", requireSetupRole("admin"), (_req, res) => {
+  res.json({ ok: true, ...loginThrottle.snapshot() });
+});
+
+// Filters: actor, action (substring), outcome (ok/denied/error), ip, since,
+// until (ISO times).  Pages go newest first; pass `next` back as `before`.
+app.get("/setup/api/audit", requireSetupRole("admin"), (req, res) => {
+  const { limit, before, actor, action, outcome, ip, since, until } = req.query;
+  if (outcome && !OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ ok: false, error: `outcome must be one of: ${OUTCOMES.join(", ")}` });
+  }
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(Date.parse(value))) return res.status(400).json({ ok: false, error: `Invalid ${name} time: ${value}` });
+  }
+  res.json({ ok: true, ...auditLog.query({ limit, before, actor, action, outcome, ip, since, until }) });
+});
+
+// ──── Setup users ─────────────────────────────────────────────────────────
+app.get("/setup/api/me", requireSetupAuth, (req, res) => {
+  const { origin, tailscaleUser } = requestAccess(req);
+  res.json({ ok: true, user: req.setupUser.username, role: req.setupUser.role, roles: ROLES, origin, tailscaleUser });
+});
+
+app.get("/setup/api/users", requireSetupRole("admin"), (_req, res) => {
+  res.json({
+    ok: true,
+    builtin: { username: RESERVED_USERNAME, role: "admin", note: "signs in with SETUP_PASSWORD" },
+    users: setupUsers.list().map((u) => ({ ...u, twoFactor: twoFactor.isEnabled(u.username) })),
+  });
+});
+
+app.post("/setup/api/users", requireSetupRole("admin"), async (req, res) => {
+  try {
+    const user = await setupUsers.create(req.body || {});
+    console.log(`[setup] ${req.setupUser.username} added user ${user.username} (${user.role})`);
+    res.status(201).json({ ok: true, user });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.put("/setup/api/users/:username", requireSetupRole("admin"), async (req, res) => {
+  try {
+    const { password, role } = req.body || {};
+    const user = await setupUsers.update(req.params.username, { password, role });
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+    console.log(`[setup] ${req.setupUser.username} updated user ${user.username}`);
+    res.json({ ok: true, user });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.delete("/setup/api/users/:username", requireSetupRole("admin"), (req, res) => {
+  const username = req.params.username.toLowerCase();
+  if (!setupUsers.remove(username)) return res.status(404).json({ ok: false, error: "User not found" });
+  twoFactor.remove(username);
+  console.log(`[setup] ${req.setupUser.username} removed user ${username}`);
+  res.json({ ok: true });
+});
+
+// For a user who lost their authenticator and recovery codes.
+app.delete("/setup/api/users/:username/2fa", requireSetupRole("admin"), (req, res) => {
+  const username = req.params.username.toLowerCase();
+  if (!twoFactor.remove(username)) return res.status(404).json({ ok: false, error: "Two-factor authentication is not on for that user" });
+  console.log(`[setup] ${req.setupUser.username} reset two-factor authentication for ${username}`);
+  res.json({ ok: true });
+});
+// ──── End Setup users ─────────────────────────────────────────────────────
+
+// ──── Two-factor authentication (the signed-in user's own) ─────────────────
+function twoFactorStatus(username) {
+  return { ...twoFactor.status(username), disabledByEnv: SETUP_2FA_DISABLED };
+}
+
+app.get("/setup/api/2fa", requireSetupAuth, (req, res) => {
+  res.json({ ok: true, ...twoFactorStatus(req.setupUser.username) });
+});
+
+app.post("/setup/api/2fa/enroll", requireSetupAuth, (req, res) => {
+  const { username } = req.setupUser;
+  let secret;
+  try {
+    secret = twoFactor.begin(username);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+  const uri = otpauthUri({ secret, account: username, issuer: `OpenClaw ${TS_HOSTNAME}` });
+  const qr = qrcode(0, "M");
+  qr.addData(uri);
+  qr.make();
+  res.set("Cache-Control", "no-store");
+  res.json({ ok: true, secret, uri, qrSvg: qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true }) });
+});
+
+app.post("/setup/api/2fa/confirm", requireSetupAuth, (req, res) => {
+  const { username } = req.setupUser;
+  try {
+    const recoveryCodes = twoFactor.confirm(username, req.body?.code);
+    console.log(`[setup] ${username} turned on two-factor authentication`);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, recoveryCodes, ...twoFactorStatus(username) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// Turning 2FA off or replacing recovery codes needs a current code, so a
+// hijacked session alone can't do it.  Wrong codes count against the login
+// throttle like a failed sign-in, so the code can't be guessed either.
+function requireCurrentCode(req, res) {
+  const { username } = req.setupUser;
+  if (!twoFactor.isEnabled(username)) {
+    res.status(400).json({ ok: false, error: "Two-factor authentication is not on" });
+    return false;
+  }
+  const ip = clientIp(req);
+  const gate = loginThrottle.check(ip);
+  if (!gate.allowed) {
+    metric.loginThrottled.inc();
+    setRetryAfter(res, gate.retryAfterMs);
+    res.status(429).json({ ok: false, error: gate.reason });
+    return false;
+  }
+  if (!twoFactor.verify(username, req.body?.code)) {
+    const failure = loginFailure(req, ip, username, "session", "Invalid authentication code", "2fa");
+    setRetryAfter(res, failure.retryAfterMs);
+    res.status(403).json({ ok: false, error: failure.error });
+    return false;
+  }
+  return true;
+}
+
+app.post("/setup/api/2fa/recovery-codes", requireSetupAuth, (req, res) => {
+  if (!requireCurrentCode(req, res)) return;
+  const recoveryCodes = twoFactor.regenerateRecoveryCodes(req.setupUser.username);
+  res.set("Cache-Control", "no-store");
+  res.json({ ok: true, recoveryCodes, ...twoFactorStatus(req.setupUser.username) });
+});
+
+app.post("/setup/api/2fa/disable", requireSetupAuth, (req, res) => {
+  const { username } = req.setupUser;
+  // A half-finished enrollment can be dropped without a code.
+  if (!twoFactor.isEnabled(username)) {
+    twoFactor.remove(username);
+    return res.json({ ok: true, ...twoFactorStatus(username) });
+  }
+  if (!requireCurrentCode(req, res)) return;
+  twoFactor.remove(username);
+  console.log(`[setup] ${username} turned off two-factor authentication`);
+  res.json({ ok: true, ...twoFactorStatus(username) });
+});
+// ──── End Two-factor authentication ────────────────────────────────────────
+
+// ──── API tokens ────────────────────────────────────────────────────────────
+function apiTokenScopes() {
+  return [...FIXED_SCOPES, ...[...ALLOWED_CONSOLE_COMMANDS].sort().map((cmd) => `console:${cmd}`)];
+}
+
+app.get("/setup/api/tokens", requireSetupRole("admin"), (_req, res) => {
+  res.json({ ok: true, tokens: apiTokens.list(), scopes: apiTokenScopes() });
+});
+
+// Body: { name, scopes: [...], expiresInDays? }.  The token is only ever returned here.
+app.post("/setup/api/tokens", requireSetupRole("admin"), (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    let expiresAt = null;
+    if (expiresInDays != null && expiresInDays !== "") {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) throw new Error("expiresInDays must be a positive number");
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+    const { token, info } = apiTokens.create({
+      name,
+      scopes: validateScopes(scopes, { consoleCommands: ALLOWED_CONSOLE_COMMANDS }),
+      expiresAt,
+      createdBy: req.setupUser.username,
+    });
+    console.log(`[setup] ${req.setupUser.username} created API token ${info.name} (${info.scopes.join(", ")})`);
+    res.set("Cache-Control", "no-store");
+    res.status(201).json({ ok: true, token, info });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.delete("/setup/api/tokens/:id", requireSetupRole("admin"), (req, res) => {
+  if (!apiTokens.revoke(req.params.id)) return res.status(404).json({ ok: false, error: "Token not found" });
+  console.log(`[setup] ${req.setupUser.username} revoked API token ${req.params.id}`);
+  res.json({ ok: true });
+});
+// ──── End API tokens ────────────────────────────────────────────────────────
+
+app.get("/setup/api/processes", requireSetupAuth, (req, res) => {
+  // ?refresh=1 takes a fresh sample instead of waiting for the next tick.
+  if (req.query.refresh === "1") processMetrics.sample();
+  res.json({ ok: true, ...processMetrics.snapshot({ history: true }) });
+});
+
+// --- Prometheus metrics ---
+// Scrapers authenticate with `Authorization: Bearer $METRICS_TOKEN`, which
+// works even while /setup is disabled; otherwise the usual /setup auth applies.
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim();
 
-        // Ensure we merge in this provider rather than replacing other providers.
-        await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", "models.mode", "merge"]));
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", `models.providers.${providerId}`, JSON.stringify(providerCfg)]),
-        );
-        extra += `\n[custom provider] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-      }
-    }
+function requireMetricsAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  if (METRICS_TOKEN && /^Bearer\s+/i.test(header)) {
+    if (safeEqual(header.replace(/^Bearer\s+/i, "").trim(), METRICS_TOKEN)) return next();
+    return res.status(401).type("text/plain").send("Invalid token\n");
+  }
+  return requireSetupAuth(req, res, next);
+}
 
-    const channelsHelp = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
-    const helpText = channelsHelp.output || "";
+app.get("/metrics", requireMetricsAuth, (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
 
-    const supports = (name) => helpText.includes(name);
-
-    if (payload.telegramToken?.trim()) {
-      if (!supports("telegram")) {
-        extra += "\n[telegram] skipped (this openclaw build does not list telegram in `channels add --help`)\n";
-      } else {
-        // Avoid `channels add` here (it has proven flaky across builds); write config directly.
-        const token = payload.telegramToken.trim();
-        const cfgObj = {
-          enabled: true,
-          dmPolicy: "pairing",
-          botToken: token,
-          groupPolicy: "allowlist",
-          streamMode: "partial",
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.telegram", JSON.stringify(cfgObj)]),
-        );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.telegram"]));
-        extra += `\n[telegram config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-        extra += `\n[telegram verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
-      }
-    }
+// --- Service logs (captured from supervised children) ---
 
-    if (payload.discordToken?.trim()) {
-      if (!supports("discord")) {
-        extra += "\n[discord] skipped (this openclaw build does not list discord in `channels add --help`)\n";
-      } else {
-        const token = payload.discordToken.trim();
-        const cfgObj = {
-          enabled: true,
-          token,
-          groupPolicy: "allowlist",
-          dm: {
-            policy: "pairing",
-          },
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.discord", JSON.stringify(cfgObj)]),
-        );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.discord"]));
-        extra += `\n[discord config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-        extra += `\n[discord verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
-      }
-    }
+function parseLogTime(raw) {
+  if (raw == null || raw === "") return undefined;
+  const s = String(raw).trim();
+  const d = /^\d+$/.test(s) ? new Date(Number(s)) : new Date(s);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid time: ${s}`);
+  return d;
+}
 
-    if (payload.slackBotToken?.trim() || payload.slackAppToken?.trim()) {
-      if (!supports("slack")) {
-        extra += "\n[slack] skipped (this openclaw build does not list slack in `channels add --help`)\n";
-      } else {
-        const cfgObj = {
-          enabled: true,
-          botToken: payload.slackBotToken?.trim() || undefined,
-          appToken: payload.slackAppToken?.trim() || undefined,
-        };
-        const set = await runCmd(
-          OPENCLAW_NODE,
-          clawArgs(["config", "set", "--json", "channels.slack", JSON.stringify(cfgObj)]),
-        );
-        const get = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", "channels.slack"]));
-        extra += `\n[slack config] exit=${set.code} (output ${set.output.length} chars)\n${set.output || "(no output)"}`;
-        extra += `\n[slack verify] exit=${get.code} (output ${get.output.length} chars)\n${get.output || "(no output)"}`;
-      }
-    }
+app.get("/setup/api/logs", requireSetupRole("viewer", { scope: "logs:read" }), (_req, res) => {
+  const services = new Set([...Object.keys(supervisor.status()), ...serviceLogs.services()]);
+  res.json({ ok: true, dir: SERVICE_LOG_DIR, services: [...services].sort() });
+});
 
-    // Apply changes immediately.
-    await restartGateway();
+// Query: ?tail=N&since=<iso|ms>&until=<iso|ms>&stream=stdout|stderr&q=text|regex=pattern
+// Add ?follow=1 for an SSE live tail (sends the matching backlog first).
+app.get("/setup/api/logs/:service", requireSetupRole("viewer", { scope: "logs:read" }), (req, res) => {
+  const service = String(req.params.service || "");
+  if (!supervisor.has(service) && !serviceLogs.services().includes(service)) {
+    return res.status(404).json({ ok: false, error: `Unknown service: ${service}` });
   }
 
-  return res.status(ok ? 200 : 500).json({
-    ok,
-    output: `${onboard.output}${extra}`,
-  });
+  let filter;
+  try {
+    const stream = req.query.stream ? String(req.query.stream) : undefined;
+    if (stream && stream !== "stdout" && stream !== "stderr") {
+      throw new Error("stream must be stdout or stderr");
+    }
+    filter = {
+      tail: Math.max(1, Math.min(5000, Number.parseInt(String(req.query.tail ?? "200"), 10) || 200)),
+      since: parseLogTime(req.query.since),
+      until: parseLogTime(req.query.until),
+      stream,
+      match: buildLineMatcher({ q: req.query.q, regex: req.query.regex }),
+    };
   } catch (err) {
-    console.error("[/setup/api/run] error:", err);
-    return res.status(500).json({ ok: false, output: `Internal error: ${String(err)}` });
+    return res.status(400).json({ ok: false, error: String(err.message || err) });
   }
-});
 
-app.get("/setup/api/debug", requireSetupAuth, async (_req, res) => {
-  const v = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
-  const help = await runCmd(OPENCLAW_NODE, clawArgs(["channels", "add", "--help"]));
+  const entries = serviceLogs.query(service, filter);
 
-  res.json({
-    wrapper: {
-      node: process.version,
-      port: PORT,
-      publicPortEnv: process.env.PORT || null,
-      stateDir: STATE_DIR,
-      workspaceDir: WORKSPACE_DIR,
-      configured: isConfigured(),
-      configPathResolved: configPath(),
-      configPathCandidates: typeof resolveConfigCandidates === "function" ? resolveConfigCandidates() : null,
-      internalGatewayHost: INTERNAL_GATEWAY_HOST,
-      internalGatewayPort: INTERNAL_GATEWAY_PORT,
-      gatewayTarget: GATEWAY_TARGET,
-      gatewayTokenFromEnv: Boolean(process.env.OPENCLAW_GATEWAY_TOKEN?.trim()),
-      gatewayTokenPersisted: fs.existsSync(path.join(STATE_DIR, "gateway.token")),
-      lastGatewayError,
-      lastGatewayExit,
-      lastDoctorAt,
-      lastDoctorOutput,
-      railwayCommit: process.env.RAILWAY_GIT_COMMIT_SHA || null,
-    },
-    openclaw: {
-      entry: OPENCLAW_ENTRY,
-      node: OPENCLAW_NODE,
-      version: v.output.trim(),
-      channelsAddHelpIncludesTelegram: help.output.includes("telegram"),
-    },
-    tailscale: {
-      enabled: Boolean(TS_AUTHKEY),
-      running: Boolean(tailscaleProc),
-      hostname: TS_HOSTNAME,
-      stateDir: TS_STATE_DIR,
-    },
+  if (req.query.follow !== "1" && req.query.follow !== "true") {
+    return res.json({ ok: true, service, count: entries.length, entries });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  for (const entry of entries) res.write(`event: line\ndata: ${JSON.stringify(entry)}\n\n`);
+  const unfollow = serviceLogs.follow(service, { stream: filter.stream, match: filter.match }, (entry) => {
+    res.write(`event: line\ndata: ${JSON.stringify(entry)}\n\n`);
+  });
+  // Keep proxies from timing out an idle stream.
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), 15_000);
+  req.on("close", () => {
+    clearInterval(keepalive);
+    unfollow();
   });
 });
 
 // --- Debug console (Option A: allowlisted commands + config editor) ---
 
-function redactSecrets(text) {
-  if (!text) return text;
-  // Very small best-effort redaction. (Config paths/values may still contain secrets.)
-  return String(text)
-    .replace(/(sk-[A-Za-z0-9_-]{10,})/g, "[REDACTED]")
-    .replace(/(gho_[A-Za-z0-9_]{10,})/g, "[REDACTED]")
-    .replace(/(xox[baprs]-[A-Za-z0-9-]{10,})/g, "[REDACTED]")
-    .replace(/(AA[A-Za-z0-9_-]{10,}:\S{10,})/g, "[REDACTED]");
-}
-
 function extractDeviceRequestIds(text) {
   const s = String(text || "");
   const out = new Set();
@@ -1421,48 +2760,63 @@ const ALLOWED_CONSOLE_COMMANDS = new Set([
   "openclaw.system.event",
 ]);
 
-app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
-  const payload = req.body || {};
-  const cmd = String(payload.cmd || "").trim();
-  const arg = String(payload.arg || "").trim();
+// Console commands that rewrite openclaw.json: admin-only, like the config editor.
+const ADMIN_CONSOLE_COMMANDS = new Set(["openclaw.config.set"]);
 
+/** Why the caller may not run (or schedule) `cmd`, or null. Tokens are limited by their scopes instead. */
+function consoleCommandDenied(req, cmd) {
+  if (!ADMIN_CONSOLE_COMMANDS.has(cmd) || req.setupUser?.via === "token") return null;
+  if (roleAtLeast(req.setupUser?.role, "admin")) return null;
+  return `${cmd} needs the admin role (you are ${req.setupUser?.role || "unknown"})`;
+}
+
+/**
+ * Run one allowlisted console command. Shared by the debug console and the
+ * job scheduler; resolves with the HTTP status and JSON body to send.
+ * @returns {Promise<{ status: number, body: { ok: boolean, output?: string, error?: string } }>}
+ */
+async function runConsoleCommand(cmd, arg = "") {
   if (!ALLOWED_CONSOLE_COMMANDS.has(cmd)) {
-    return res.status(400).json({ ok: false, error: "Command not allowed" });
+    metric.consoleCommands.inc({ command: "not_allowed", result: "rejected" });
+    return { status: 400, body: { ok: false, error: "Command not allowed" } };
   }
+  const result = await dispatchConsoleCommand(cmd, String(arg || "").trim());
+  metric.consoleCommands.inc({ command: cmd, result: result.status < 400 ? "ok" : "error" });
+  return result;
+}
+
+const reply = (status, body) => ({ status, body });
 
+async function dispatchConsoleCommand(cmd, arg) {
   try {
     if (cmd === "gateway.restart") {
       await restartGateway();
-      return res.json({ ok: true, output: "Gateway restarted (wrapper-managed).\n" });
+      return reply(200, { ok: true, output: "Gateway restarted (wrapper-managed).\n" });
     }
     if (cmd === "gateway.stop") {
-      if (gatewayProc) {
-        try { gatewayProc.kill("SIGTERM"); } catch {}
-        await sleep(750);
-        gatewayProc = null;
-      }
-      return res.json({ ok: true, output: "Gateway stopped (wrapper-managed).\n" });
+      await stopGateway();
+      return reply(200, { ok: true, output: "Gateway stopped (wrapper-managed).\n" });
     }
     if (cmd === "gateway.start") {
-      const r = await ensureGatewayRunning();
-      return res.json({ ok: Boolean(r.ok), output: r.ok ? "Gateway started.\n" : `Gateway not started: ${r.reason}\n` });
+      const r = await ensureGatewayRunning({ force: true });
+      return reply(200, { ok: Boolean(r.ok), output: r.ok ? "Gateway started.\n" : `Gateway not started: ${r.reason}\n` });
     }
 
     if (cmd === "openclaw.version") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["--version"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.status") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["status"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.health") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["health"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.doctor") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["doctor"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.logs.tail") {
       const lines = Math.max(50, Math.min(1000, Number.parseInt(arg || "200", 10) || 200));
@@ -1471,29 +2825,29 @@ app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
       if (r.code !== 0 && /unknown option/i.test(r.output)) {
         r = await runCmd(OPENCLAW_NODE, clawArgs(["logs", "--tail", String(lines)]));
       }
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.config.get") {
-      if (!arg) return res.status(400).json({ ok: false, error: "Missing config path" });
+      if (!arg) return reply(400, { ok: false, error: "Missing config path" });
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "get", arg]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
 
     // Device management commands (for fixing "disconnected (1008): pairing required")
     if (cmd === "openclaw.devices.list") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.devices.approve") {
       const requestId = String(arg || "").trim();
       if (!requestId) {
-        return res.status(400).json({ ok: false, error: "Missing device request ID" });
+        return reply(400, { ok: false, error: "Missing device request ID" });
       }
       if (!/^[A-Za-z0-9_-]+$/.test(requestId)) {
-        return res.status(400).json({ ok: false, error: "Invalid device request ID" });
+        return reply(400, { ok: false, error: "Invalid device request ID" });
       }
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
 
     // Config set command
@@ -1502,24 +2856,30 @@ app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
       const parts = arg.split(/\s+/);
       const key = parts[0] || "";
       const value = parts.slice(1).join(" ");
-      if (!key || !value) return res.status(400).json({ ok: false, error: "Usage: openclaw.config.set key value" });
+      if (!key || !value) return reply(400, { ok: false, error: "Usage: openclaw.config.set key value" });
       // Validate key format (dotted path, alphanumeric)
-      if (!/^[A-Za-z0-9._-]+$/.test(key)) return res.status(400).json({ ok: false, error: "Invalid config key" });
-      const r = await runCmd(OPENCLAW_NODE, clawArgs(["config", "set", key, value]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      if (!/^[A-Za-z0-9._-]+$/.test(key)) return reply(400, { ok: false, error: "Invalid config key" });
+      let r;
+      try {
+        r = await withConfigLock("a console config set", () => runCmd(OPENCLAW_NODE, clawArgs(["config", "set", key, value])));
+      } catch (err) {
+        if (err.status !== 409) throw err;
+        return reply(409, { ok: false, error: String(err.message) });
+      }
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
 
     // Plugin management commands
     if (cmd === "openclaw.plugins.list") {
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "list"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
     if (cmd === "openclaw.plugins.enable") {
       const name = String(arg || "").trim();
-      if (!name) return res.status(400).json({ ok: false, error: "Missing plugin name" });
-      if (!/^[A-Za-z0-9_-]+$/.test(name)) return res.status(400).json({ ok: false, error: "Invalid plugin name" });
+      if (!name) return reply(400, { ok: false, error: "Missing plugin name" });
+      if (!/^[A-Za-z0-9_-]+$/.test(name)) return reply(400, { ok: false, error: "Invalid plugin name" });
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["plugins", "enable", name]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
 
     // System event: inject a message into the agent's main session.
@@ -1527,47 +2887,173 @@ app.post("/setup/api/console/run", requireSetupAuth, async (req, res) => {
     // --mode now triggers immediate heartbeat processing.
     if (cmd === "openclaw.system.event") {
       const text = String(arg || "").trim();
-      if (!text) return res.status(400).json({ ok: false, error: "Missing event text" });
+      if (!text) return reply(400, { ok: false, error: "Missing event text" });
       const r = await runCmd(OPENCLAW_NODE, clawArgs(["system", "event", "--text", text, "--mode", "now"]));
-      return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+      return reply(r.code === 0 ? 200 : 500, { ok: r.code === 0, output: redactor.redact(r.output) });
     }
 
-    return res.status(400).json({ ok: false, error: "Unhandled command" });
+    return reply(400, { ok: false, error: "Unhandled command" });
+  } catch (err) {
+    return reply(500, { ok: false, error: String(err) });
+  }
+}
+
+const consoleScope = (req) => `console:${String(req.body?.cmd || "").trim()}`;
+
+app.post("/setup/api/console/run", requireSetupRole("operator", { scope: consoleScope }), async (req, res) => {
+  const payload = req.body || {};
+  const cmd = String(payload.cmd || "").trim();
+  const denied = consoleCommandDenied(req, cmd);
+  if (denied) return res.status(403).json({ ok: false, error: denied });
+  const r = await runConsoleCommand(cmd, payload.arg);
+  return res.status(r.status).json(r.body);
+});
+
+// --- Scheduled jobs (console commands + backup.export on a cron schedule) ---
+
+const JOB_COMMANDS = new Set([...ALLOWED_CONSOLE_COMMANDS, "backup.export"]);
+
+async function runJobCommand({ command, arg }) {
+  if (command === "backup.export") {
+    // arg: how many archives to keep (default 7)
+    const keep = Math.max(1, Math.min(100, Number.parseInt(arg || "7", 10) || 7));
+    const r = await exportBackupToDisk(keep);
+    const lines = [`Wrote ${r.file} (${r.size} bytes)`];
+    if (r.pruned.length) lines.push(`Pruned: ${r.pruned.join(", ")}`);
+    return { ok: true, output: `${lines.join("\n")}\n` };
+  }
+  const r = await runConsoleCommand(command, arg);
+  return r.body;
+}
+
+const jobScheduler = new JobScheduler({
+  file: path.join(STATE_DIR, "jobs.json"),
+  commands: JOB_COMMANDS,
+  run: runJobCommand,
+});
+
+jobScheduler.on("run", (id, run) => {
+  metric.jobRuns.inc({ command: run.command, trigger: run.trigger, result: run.ok ? "ok" : "error" });
+  // Manual runs are audited as the POST that triggered them.
+  if (run.trigger !== "manual") {
+    auditLog.record({
+      actor: "scheduler",
+      via: run.trigger,
+      action: `job ${run.command}`,
+      args: { job: id },
+      outcome: run.ok ? "ok" : "error",
+      error: run.ok ? undefined : redactor.redact(run.output).slice(0, 500),
+      durationMs: run.durationMs,
+    });
+  }
+});
+
+app.get("/setup/api/jobs", requireSetupAuth, (_req, res) => {
+  res.json({ ok: true, jobs: jobScheduler.list(), commands: [...JOB_COMMANDS].sort(), backupDir: BACKUP_DIR });
+});
+
+app.post("/setup/api/jobs", requireSetupRole("operator"), (req, res) => {
+  const denied = consoleCommandDenied(req, String(req.body?.command || "").trim());
+  if (denied) return res.status(403).json({ ok: false, error: denied });
+  try {
+    res.status(201).json({ ok: true, job: jobScheduler.create(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.get("/setup/api/jobs/:id", requireSetupAuth, (req, res) => {
+  const job = jobScheduler.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  res.json({ ok: true, job });
+});
+
+app.put("/setup/api/jobs/:id", requireSetupRole("operator"), (req, res) => {
+  const existing = jobScheduler.get(req.params.id);
+  const denied =
+    consoleCommandDenied(req, existing?.command) || consoleCommandDenied(req, String(req.body?.command || "").trim());
+  if (denied) return res.status(403).json({ ok: false, error: denied });
+  try {
+    const job = jobScheduler.update(req.params.id, req.body || {});
+    if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+    res.json({ ok: true, job });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.delete("/setup/api/jobs/:id", requireSetupRole("operator"), (req, res) => {
+  if (!jobScheduler.remove(req.params.id)) return res.status(404).json({ ok: false, error: "Job not found" });
+  res.json({ ok: true });
+});
+
+app.post("/setup/api/jobs/:id/run", requireSetupRole("operator"), async (req, res) => {
+  const denied = consoleCommandDenied(req, jobScheduler.get(req.params.id)?.command);
+  if (denied) return res.status(403).json({ ok: false, error: denied });
+  try {
+    const run = await jobScheduler.runNow(req.params.id);
+    if (!run) return res.status(404).json({ ok: false, error: "Job not found" });
+    res.json({ ok: run.ok, run });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: String(err) });
+    res.status(409).json({ ok: false, error: String(err.message || err) });
   }
 });
 
-app.get("/setup/api/config/raw", requireSetupAuth, async (_req, res) => {
+app.get("/setup/api/jobs/:id/history", requireSetupAuth, (req, res) => {
+  const history = jobScheduler.history(req.params.id);
+  if (!history) return res.status(404).json({ ok: false, error: "Job not found" });
+  res.json({ ok: true, history });
+});
+
+// Secrets are redacted unless ?reveal=1 (which the audit log records).
+app.get("/setup/api/config/raw", requireSetupRole("admin"), async (req, res) => {
   try {
     const p = configPath();
     const exists = fs.existsSync(p);
-    const content = exists ? fs.readFileSync(p, "utf8") : "";
-    res.json({ ok: true, path: p, exists, content });
+    const raw = exists ? fs.readFileSync(p, "utf8") : "";
+    const reveal = req.query.reveal === "1" || req.query.reveal === "true";
+    const content = reveal ? raw : redactor.redact(raw);
+    res.set("Cache-Control", "no-store");
+    res.json({ ok: true, path: p, exists, content, redacted: content !== raw });
   } catch (err) {
     res.status(500).json({ ok: false, error: String(err) });
   }
 });
 
-app.post("/setup/api/config/raw", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/config/raw", requireSetupRole("admin"), underConfigLock("a config save", async (req, res) => {
   try {
     const raw = req.body && req.body.content;
     if (raw == null || raw === "") {
       return res.status(400).json({ ok: false, error: "Missing 'content' field (must be a JSON string)" });
     }
-    const content = String(raw);
+    let content = String(raw);
     if (content.length > 500_000) {
       return res.status(413).json({ ok: false, error: "Config too large" });
     }
 
     // Validate JSON before writing to prevent corruption.
-    try { JSON.parse(content); } catch (parseErr) {
+    let parsed;
+    try { parsed = JSON.parse(content); } catch (parseErr) {
       return res.status(400).json({ ok: false, error: `Invalid JSON: ${parseErr.message}` });
     }
 
     fs.mkdirSync(STATE_DIR, { recursive: true });
 
     const p = configPath();
+    // Saving what a redacted GET returned keeps the secrets that were hidden.
+    if (content.includes(REDACTED)) {
+      let current = {};
+      try {
+        current = JSON.parse(fs.readFileSync(p, "utf8"));
+      } catch {
+        // nothing to restore from; restoreRedacted reports what's left
+      }
+      try {
+        content = JSON.stringify(restoreRedacted(parsed, current, (text) => redactor.redact(text)), null, 2);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: String(err.message || err) });
+      }
+    }
     // Backup
     if (fs.existsSync(p)) {
       const backupPath = `${p}.bak-${new Date().toISOString().replace(/[:.]/g, "-")}`;
@@ -1588,37 +3074,38 @@ app.post("/setup/api/config/raw", requireSetupAuth, async (req, res) => {
   } catch (err) {
     res.status(500).json({ ok: false, error: String(err) });
   }
-});
+}));
 
-app.post("/setup/api/pairing/approve", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/pairing/approve", requireSetupRole("operator", { scope: "devices:approve" }), async (req, res) => {
   const { channel, code } = req.body || {};
   if (!channel || !code) {
     return res.status(400).json({ ok: false, error: "Missing channel or code" });
   }
   const r = await runCmd(OPENCLAW_NODE, clawArgs(["pairing", "approve", String(channel), String(code)]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: r.output });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactor.redact(r.output) });
 });
 
 // Device pairing helper (list + approve) to avoid needing SSH.
-app.get("/setup/api/devices/pending", requireSetupAuth, async (_req, res) => {
+app.get("/setup/api/devices/pending", requireSetupRole("operator", { scope: "devices:approve" }), async (_req, res) => {
   const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "list"]));
-  const output = redactSecrets(r.output);
+  const output = redactor.redact(r.output);
   const requestIds = extractDeviceRequestIds(output);
   return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, requestIds, output });
 });
 
-app.post("/setup/api/devices/approve", requireSetupAuth, async (req, res) => {
+app.post("/setup/api/devices/approve", requireSetupRole("operator", { scope: "devices:approve" }), async (req, res) => {
   const requestId = String((req.body && req.body.requestId) || "").trim();
   if (!requestId) return res.status(400).json({ ok: false, error: "Missing device request ID" });
   if (!/^[A-Za-z0-9_-]+$/.test(requestId)) return res.status(400).json({ ok: false, error: "Invalid device request ID" });
   const r = await runCmd(OPENCLAW_NODE, clawArgs(["devices", "approve", requestId]));
-  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactSecrets(r.output) });
+  return res.status(r.code === 0 ? 200 : 500).json({ ok: r.code === 0, output: redactor.redact(r.output) });
 });
 
 // ─── Railway OAuth (read-only project:viewer access) ─────────────────────────
 const RAILWAY_OAUTH_CLIENT_ID = process.env.RAILWAY_OAUTH_CLIENT_ID?.trim();
 const RAILWAY_OAUTH_CLIENT_SECRET = process.env.RAILWAY_OAUTH_CLIENT_SECRET?.trim();
 const RAILWAY_OAUTH_TOKEN_FILE = path.join(STATE_DIR, "railway-oauth.json");
+redactor.watchFile("railway oauth", RAILWAY_OAUTH_TOKEN_FILE, { read: (file) => secretBox.readFile(file) });
 const RAILWAY_OAUTH_SCOPES = "openid offline_access project:viewer";
 const RAILWAY_OAUTH_AUTH_URL = "https://backboard.railway.com/oauth/auth";
 const RAILWAY_OAUTH_TOKEN_URL = "https://backboard.railway.com/oauth/token";
@@ -1679,18 +3166,16 @@ function railwayOAuthRedirectUri(req) {
 
 function loadRailwayTokens() {
   try {
-    return JSON.parse(fs.readFileSync(RAILWAY_OAUTH_TOKEN_FILE, "utf8"));
-  } catch {
+    const text = secretBox.readFile(RAILWAY_OAUTH_TOKEN_FILE);
+    return text ? JSON.parse(text) : null;
+  } catch (err) {
+    console.error(`[railway-oauth] could not read tokens: ${err.message}`);
     return null;
   }
 }
 
 function saveRailwayTokens(tokens) {
-  fs.mkdirSync(path.dirname(RAILWAY_OAUTH_TOKEN_FILE), { recursive: true });
-  fs.writeFileSync(RAILWAY_OAUTH_TOKEN_FILE, JSON.stringify(tokens, null, 2), {
-    encoding: "utf8",
-    mode: 0o600,
-  });
+  secretBox.writeFile(RAILWAY_OAUTH_TOKEN_FILE, JSON.stringify(tokens, null, 2));
 }
 
 async function refreshRailwayToken() {
@@ -1738,7 +3223,7 @@ async function refreshRailwayToken() {
 }
 
 // Step 1: Redirect admin to Railway's authorization page.
-app.get("/setup/oauth/railway/authorize", requireSetupAuth, (req, res) => {
+app.get("/setup/oauth/railway/authorize", requireSetupRole("admin"), (req, res) => {
   if (!RAILWAY_OAUTH_CLIENT_ID) {
     return res.status(500).json({ ok: false, error: "RAILWAY_OAUTH_CLIENT_ID not set" });
   }
@@ -1769,7 +3254,7 @@ app.get("/setup/oauth/railway/authorize", requireSetupAuth, (req, res) => {
 
 // Step 2: Handle callback, exchange code for tokens.
 app.get("/setup/oauth/railway/callback", async (req, res) => {
-  if (!SETUP_ENABLED && !isLoopbackRequest(req)) return res.status(404).type("text/plain").send("Not found");
+  if (rejectHiddenSetup(req, res)) return;
 
   const { code, state, error } = req.query;
 
@@ -1822,7 +3307,7 @@ app.get("/setup/oauth/railway/callback", async (req, res) => {
     const scopeCheck = validateRailwayScopes(data.scope);
     if (!scopeCheck.ok) {
       console.error(`[railway-oauth] SCOPE VIOLATION: ${scopeCheck.reason}`);
-      return res.status(403).type("text/html").send(`
+      return res.status(403).type("text/html").send(html`
         <h2>Scope violation — token rejected</h2>
         <p><strong>${scopeCheck.reason}</strong></p>
         <p>Xavier only accepts <code>project:viewer</code> (read-only) access.
@@ -1840,7 +3325,7 @@ app.get("/setup/oauth/railway/callback", async (req, res) => {
       obtained_at: new Date().toISOString(),
     });
 
-    res.type("text/html").send(`
+    res.type("text/html").send(html`
       <h2>Railway OAuth connected!</h2>
       <p>Xavier now has <strong>read-only</strong> access (project:viewer) to your Railway projects.</p>
       <p>Granted scopes: <code>${data.scope}</code></p>
@@ -1852,9 +3337,9 @@ app.get("/setup/oauth/railway/callback", async (req, res) => {
   }
 });
 
-// API: Get current Railway token (for Xavier's skill to use).
-// Returns the access token, auto-refreshing if expired.
-app.get("/setup/api/railway/token", requireSetupAuth, async (_req, res) => {
+// API: Get current Railway token (for Xavier's skill to use, with an API
+// token scoped railway:token).  Returns the access token, auto-refreshing if expired.
+app.get("/setup/api/railway/token", requireSetupRole("admin", { scope: "railway:token" }), async (_req, res) => {
   let tokens = loadRailwayTokens();
 
   if (!tokens?.access_token) {
@@ -1892,7 +3377,7 @@ app.get("/setup/api/railway/status", requireSetupAuth, (_req, res) => {
 
 // ─── End Railway OAuth ───────────────────────────────────────────────────────
 
-app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
+app.post("/setup/api/reset", requireSetupRole("admin"), underConfigLock("a reset", async (_req, res) => {
   // Minimal reset: delete the config file so /setup can rerun.
   // Keep credentials/sessions/workspace by default.
   try {
@@ -1904,51 +3389,56 @@ app.post("/setup/api/reset", requireSetupAuth, async (_req, res) => {
   } catch (err) {
     res.status(500).type("text/plain").send(String(err));
   }
-});
-
-app.get("/setup/export", requireSetupAuth, async (_req, res) => {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.mkdirSync(WORKSPACE_DIR, { recursive: true });
-
-  res.setHeader("content-type", "application/gzip");
-  res.setHeader(
-    "content-disposition",
-    `attachment; filename="openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz"`,
-  );
-
-  // Prefer exporting from a common /data root so archives are easy to inspect and restore.
-  // This preserves dotfiles like /data/.openclaw/openclaw.json.
-  const stateAbs = path.resolve(STATE_DIR);
-  const workspaceAbs = path.resolve(WORKSPACE_DIR);
-
-  const dataRoot = "/data";
-  const underData = (p) => p === dataRoot || p.startsWith(dataRoot + path.sep);
+}));
+
+// Tar+gzip stream of the state and workspace dirs (shared by /setup/export
+// and the backup.export job); see backup.js for how secret files are handled.
+// The internal token is per boot: a restored copy would be stale anyway.
+function backupStream({ plaintextSecrets = false } = {}) {
+  return createBackupStream({
+    stateDir: STATE_DIR,
+    workspaceDir: WORKSPACE_DIR,
+    secretBox,
+    secretFiles: SECRET_FILES,
+    skipFiles: [INTERNAL_TOKEN_FILE],
+    plaintextSecrets,
+  });
+}
 
-  let cwd = "/";
-  let paths = [stateAbs, workspaceAbs].map((p) => p.replace(/^\//, ""));
+function backupFilename() {
+  return `openclaw-backup-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz`;
+}
 
-  if (underData(stateAbs) && underData(workspaceAbs)) {
-    cwd = dataRoot;
-    // We export relative to /data so the archive contains: .openclaw/... and workspace/...
-    paths = [
-      path.relative(dataRoot, stateAbs) || ".",
-      path.relative(dataRoot, workspaceAbs) || ".",
-    ];
+// ?secrets=plaintext adds decrypted secret files (see backup.js).
+app.get("/setup/export", requireSetupRole("admin"), async (req, res) => {
+  const secretsMode = req.query.secrets == null ? "sealed" : String(req.query.secrets);
+  if (secretsMode !== "sealed" && secretsMode !== "plaintext") {
+    return res.status(400).type("text/plain").send("secrets must be 'sealed' or 'plaintext'\n");
   }
+  let stream;
+  try {
+    stream = backupStream({ plaintextSecrets: secretsMode === "plaintext" });
+  } catch (err) {
+    return res.status(500).type("text/plain").send(`${err.message}\n`);
+  }
+  res.setHeader("content-type", "application/gzip");
+  res.setHeader("content-disposition", `attachment; filename="${backupFilename()}"`);
 
-  const stream = tar.c(
-    {
-      gzip: true,
-      portable: true,
-      noMtime: true,
-      cwd,
-      onwarn: () => {},
-    },
-    paths,
-  );
+  const exportDone = metric.exportDuration.startTimer();
+  let exportBytes = 0;
+  let exportFailed = false;
+  stream.on("data", (chunk) => {
+    exportBytes += chunk.length;
+  });
+  stream.on("end", () => {
+    exportDone({ result: "ok" });
+    metric.exportBytes.observe({}, exportBytes);
+  });
 
   stream.on("error", (err) => {
     console.error("[export]", err);
+    if (!exportFailed) exportDone({ result: "error" });
+    exportFailed = true;
     if (!res.headersSent) res.status(500);
     res.end(String(err));
   });
@@ -1956,6 +3446,40 @@ app.get("/setup/export", requireSetupAuth, async (_req, res) => {
   stream.pipe(res);
 });
 
+// Scheduled backups land next to the state dir (never inside it, or each
+// backup would contain the previous ones).
+const BACKUP_DIR = process.env.BACKUP_DIR?.trim() || path.join(path.dirname(path.resolve(STATE_DIR)), "backups");
+
+/**
+ * Write a backup archive to BACKUP_DIR and prune old ones.
+ * @param {number} keep how many archives to retain (including this one)
+ */
+async function exportBackupToDisk(keep = 7) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true, mode: 0o700 });
+  const file = path.join(BACKUP_DIR, backupFilename());
+  const tmp = `${file}.partial`;
+  const done = metric.exportDuration.startTimer();
+  try {
+    await pipeline(backupStream(), fs.createWriteStream(tmp, { mode: 0o600 }));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    done({ result: "error" });
+    try { fs.rmSync(tmp, { force: true }); } catch {}
+    throw err;
+  }
+  done({ result: "ok" });
+  const size = fs.statSync(file).size;
+  metric.exportBytes.observe({}, size);
+
+  const archives = fs.readdirSync(BACKUP_DIR)
+    .filter((f) => /^openclaw-backup-.*\.tar\.gz$/.test(f))
+    .sort();
+  const pruned = archives.slice(0, Math.max(0, archives.length - keep));
+  for (const f of pruned) fs.rmSync(path.join(BACKUP_DIR, f), { force: true });
+
+  return { file, size, pruned };
+}
+
 function isUnderDir(p, root) {
   const abs = path.resolve(p);
   const r = path.resolve(root);
@@ -1993,7 +3517,8 @@ async function readBodyBuffer(req, maxBytes) {
 
 // Import a backup created by /setup/export.
 // This is intentionally limited to restoring into /data to avoid overwriting arbitrary host paths.
-app.post("/setup/import", requireSetupAuth, async (req, res) => {
+app.post("/setup/import", requireSetupRole("admin"), underConfigLock("a backup import", async (req, res) => {
+  const importDone = metric.importDuration.startTimer();
   try {
     const dataRoot = "/data";
     if (!isUnderDir(STATE_DIR, dataRoot) || !isUnderDir(WORKSPACE_DIR, dataRoot)) {
@@ -2004,14 +3529,11 @@ app.post("/setup/import", requireSetupAuth, async (req, res) => {
     }
 
     // Stop gateway before restore so we don't overwrite live files.
-    if (gatewayProc) {
-      try { gatewayProc.kill("SIGTERM"); } catch {}
-      await sleep(750);
-      gatewayProc = null;
-    }
+    await stopGateway();
 
     const buf = await readBodyBuffer(req, 250 * 1024 * 1024); // 250MB max
     if (!buf.length) return res.status(400).type("text/plain").send("Empty body\n");
+    metric.importBytes.observe({}, buf.length);
 
     // Extract into /data.
     // We only allow safe relative paths, and we intentionally do NOT delete existing files.
@@ -2033,16 +3555,32 @@ app.post("/setup/import", requireSetupAuth, async (req, res) => {
 
     try { fs.rmSync(tmpPath, { force: true }); } catch {}
 
+    // Seal any plaintext secret files the archive brought in.
+    migrateSecretFiles();
+
     // Restart gateway after restore.
     if (isConfigured()) {
       await restartGateway();
     }
 
+    importDone({ result: "ok" });
     res.type("text/plain").send("OK - imported backup into /data and restarted gateway.\n");
   } catch (err) {
+    importDone({ result: "error" });
     console.error("[import]", err);
     res.status(500).type("text/plain").send(String(err));
   }
+}));
+
+// Count every webhook delivery by endpoint and response status.  The name
+// comes from an unauthenticated URL, so anything but a handled webhook is
+// counted as "other" to keep the label bounded.
+const WEBHOOK_NAMES = new Set(["fireflies"]);
+
+app.use("/webhooks/:name", (req, res, next) => {
+  const webhook = WEBHOOK_NAMES.has(req.params.name) ? req.params.name : "other";
+  res.on("finish", () => metric.webhookDeliveries.inc({ webhook, status_class: statusClass(res.statusCode) }));
+  next();
 });
 
 // ──── Fireflies Webhook Handler ────────────────────────────────────────────
@@ -2149,7 +3687,7 @@ app.post("/webhooks/fireflies", express.json(), async (req, res) => {
 
 // Proxy everything else to the gateway.
 const proxy = httpProxy.createProxyServer({
-  target: GATEWAY_TARGET,
+  target: gatewayTarget(),
   ws: true,
   xfwd: true,
 });
@@ -2158,37 +3696,107 @@ proxy.on("error", (err, _req, _res) => {
   console.error("[proxy]", err);
 });
 
+// ──── Waiting room ──────────────────────────────────────────────────────
+// Requests (and WebSocket upgrades) that arrive while the gateway is booting
+// are held for up to GATEWAY_WAIT_TIMEOUT_MS.  If it still isn't ready,
+// browsers get a self-refreshing status page and API clients get JSON; both
+// with Retry-After.
+const GATEWAY_WAIT_TIMEOUT_MS = Number.parseInt(process.env.GATEWAY_WAIT_TIMEOUT_MS ?? "30000", 10);
+const WAITING_ROOM_RETRY_AFTER_S = 5;
+
+async function waitForGatewayWithin(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ ok: false, error: null }), timeoutMs);
+  });
+  try {
+    return await Promise.race([
+      ensureGatewayRunning().then(
+        (r) => (r.ok ? { ok: true } : { ok: false, error: r.reason }),
+        (err) => ({ ok: false, error: String(err) }),
+      ),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function waitingRoomInfo(error) {
+  const svc = supervisor.status("gateway");
+  const lastError = error || lastGatewayError;
+  return {
+    stage: gatewayReadiness.snapshot().stage,
+    state: svc.state,
+    lastError: lastError ? redactor.redact(lastError) : null,
+    retryAfterSec: WAITING_ROOM_RETRY_AFTER_S,
+  };
+}
+
+function sendWaitingRoom(req, res, error) {
+  const info = waitingRoomInfo(error);
+  res.set("Retry-After", String(info.retryAfterSec));
+  res.set("Cache-Control", "no-store");
+  if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+    setSecurityHeaders(req, res, { hstsMaxAge: HSTS_MAX_AGE });
+    return res.status(503).type("html").send(renderWaitingRoom(info));
+  }
+  return res.status(503).json({
+    ok: false,
+    error: "Gateway not ready",
+    ...info,
+    troubleshooting: ["Visit /setup and check the Debug Console", "Visit /setup/api/debug for config + gateway diagnostics"],
+  });
+}
+// ──── End Waiting room ───────────────────────────────────────────────────
+
+// In-flight proxied traffic → the gateway port it went to, tracked so
+// shutdown and blue/green switches can drain it.
+const inflightRequests = new Map();
+const openWebSockets = new Map();
+
 app.use(async (req, res) => {
+  const routeClass = classifyProxyRoute(req.path);
+  const proxyDone = metric.proxyDuration.startTimer({ route_class: routeClass });
+  res.on("close", () => {
+    proxyDone();
+    metric.proxyRequests.inc({ route_class: routeClass, method: req.method, status_class: statusClass(res.statusCode) });
+  });
+
   // If not configured, force users to /setup for any non-setup routes.
   if (!isConfigured() && !req.path.startsWith("/setup")) {
     return res.redirect("/setup");
   }
 
   if (isConfigured()) {
-    try {
-      await ensureGatewayRunning();
-    } catch (err) {
-      const hint = [
-        "Gateway not ready.",
-        String(err),
-        lastGatewayError ? `\n${lastGatewayError}` : "",
-        "\nTroubleshooting:",
-        "- Visit /setup and check the Debug Console",
-        "- Visit /setup/api/debug for config + gateway diagnostics",
-      ].join("\n");
-      return res.status(503).type("text/plain").send(hint);
-    }
+    const waited = await waitForGatewayWithin(GATEWAY_WAIT_TIMEOUT_MS);
+    if (!waited.ok) return sendWaitingRoom(req, res, waited.error);
   }
 
-  return proxy.web(req, res, { target: GATEWAY_TARGET });
+  if (shuttingDown) {
+    return res.status(503).type("text/plain").send("Shutting down.\n");
+  }
+
+  const port = activeGatewayPort;
+  inflightRequests.set(res, port);
+  res.on("close", () => inflightRequests.delete(res));
+  return proxy.web(req, res, { target: gatewayTarget(port) });
 });
 
 const server = app.listen(PORT, "0.0.0.0", async () => {
   console.log(`[wrapper] listening on :${PORT}`);
+  processMetrics.start();
+  jobScheduler.start();
   console.log(`[wrapper] state dir: ${STATE_DIR}`);
   console.log(`[wrapper] workspace dir: ${WORKSPACE_DIR}`);
   console.log(`[wrapper] gateway token: ${OPENCLAW_GATEWAY_TOKEN ? "(set)" : "(missing)"}`);
-  console.log(`[wrapper] gateway target: ${GATEWAY_TARGET}`);
+  console.log(
+    `[wrapper] secrets at rest: ${secretBox.enabled ? `encrypted (key ${secretBox.keyId})` : "plaintext (set SECRETS_ENCRYPTION_KEY to encrypt)"}`,
+  );
+  console.log(`[wrapper] gateway target: ${gatewayTarget()}`);
+  if (GATEWAY_BLUE_GREEN) {
+    console.log(`[wrapper] gateway blue/green restarts: ENABLED (slots :${INTERNAL_GATEWAY_PORT} / :${INTERNAL_GATEWAY_ALT_PORT})`);
+  }
   if (!SETUP_PASSWORD) {
     console.warn("[wrapper] WARNING: SETUP_PASSWORD is not set; /setup will error.");
   }
@@ -2197,127 +3805,155 @@ const server = app.listen(PORT, "0.0.0.0", async () => {
   } else {
     console.warn("[wrapper] /setup is ENABLED — disable when not administering (unset SETUP_ENABLED)");
   }
+  console.log(`[wrapper] internal token for in-container callers: ${INTERNAL_TOKEN_FILE} (header ${INTERNAL_TOKEN_HEADER})`);
   if (TS_AUTHKEY) {
-    console.log(`[wrapper] tailscale: ENABLED (hostname=${TS_HOSTNAME})`);
+    console.log(`[wrapper] tailscale: ENABLED (hostname=${TS_HOSTNAME}, serve → 127.0.0.1:${TS_SERVE_PORT})`);
+    console.log(
+      SETUP_TAILNET_USERS.length
+        ? `[wrapper] /setup over tailnet: ${SETUP_TAILNET_USERS.join(", ")}`
+        : "[wrapper] /setup over tailnet: same rules as public (set SETUP_TAILNET_USERS to allow specific users)",
+    );
   } else {
     console.log("[wrapper] tailscale: DISABLED (set TS_AUTHKEY to enable)");
   }
 
   // Start Tailscale first (fire-and-forget — failure won't block the gateway).
-  // This makes /setup and the Control UI reachable via tailnet without SETUP_ENABLED.
   startTailscale().catch((err) => {
     console.error(`[wrapper] tailscale failed: ${String(err)}`);
   });
 
+  // Declarative bootstrap: onboard and/or update the config before the
+  // gateway's first start (an apply that changed anything restarts it).
+  await applyDesiredStateAtBoot();
+
   // Auto-start the gateway if already configured so polling channels (Telegram/Discord/etc.)
   // work even if nobody visits the web UI.
   if (isConfigured()) {
     console.log("[wrapper] config detected; starting gateway...");
     try {
-      await ensureGatewayRunning();
-      console.log("[wrapper] gateway ready");
-
-      // Start the monitoring dashboard once the gateway is up.
-      // It connects to the gateway via localhost WebSocket RPC.
-      startMonitor();
-
-      // Wait for the monitor to bind its port, then expose on tailnet.
-      // Probe /healthz instead of a fixed timeout to avoid race conditions.
-      (async () => {
-        for (let i = 0; i < 20; i++) {
-          await sleep(500);
-          if (!monitorProc) return; // process died, give up
-          try {
-            const r = await fetch(`http://localhost:${MONITOR_PORT}/healthz`);
-            if (r.ok) {
-              await exposeMonitorOnTailscale();
-              return;
-            }
-          } catch { /* not ready yet */ }
-        }
-        console.error("[monitor] gave up waiting for monitor to become ready");
-      })().catch((err) => {
-        console.error(`[monitor] tailscale expose failed: ${String(err)}`);
-      });
-
+      const r = await ensureGatewayRunning();
+      if (r.ok) console.log("[wrapper] gateway ready");
+      else console.error(`[wrapper] gateway failed to start at boot: ${r.reason}`);
     } catch (err) {
       console.error(`[wrapper] gateway failed to start at boot: ${String(err)}`);
     }
   }
 
-  // ── Vault / KB services (independent of gateway) ─────────────────
-  // These don't need the gateway — start them even if gateway failed.
+  // ── Vault + sidecars ─────────────────────────────────────────────
+  // Sidecars that don't need the gateway start even if it failed; the ones
+  // that do are picked up by the readiness hook once it is up.
   initVault();
-
-  // Start Quartz KB → probe health → expose on tailnet
-  startQuartz();
-  (async () => {
-    for (let i = 0; i < 30; i++) {
-      await sleep(1000);
-      if (!quartzProc) return;
-      try {
-        const r = await fetch(`http://localhost:${QUARTZ_PORT}`);
-        if (r.ok) {
-          await exposeKBOnTailscale();
-          return;
-        }
-      } catch { /* not ready yet */ }
-    }
-    console.error("[quartz] gave up waiting for Quartz to become ready");
-  })().catch((err) => {
-    console.error(`[quartz] tailscale expose failed: ${String(err)}`);
-  });
-
-  // Start SilverBullet → auth proxy → probe health → expose on tailnet
-  startSilverBullet();
-  startVaultAuthProxy();
-  (async () => {
-    for (let i = 0; i < 30; i++) {
-      await sleep(1000);
-      if (!vaultAuthProxyProc) return;
-      try {
-        const r = await fetch(`http://localhost:${VAULT_AUTH_PROXY_PORT}/healthz`);
-        if (r.ok) {
-          await exposeEditorOnTailscale();
-          return;
-        }
-      } catch { /* not ready yet */ }
-    }
-    console.error("[silverbullet] gave up waiting for auth proxy to become ready");
-  })().catch((err) => {
-    console.error(`[silverbullet] tailscale expose failed: ${String(err)}`);
+  startSidecars().catch((err) => {
+    console.error(`[sidecars] start failed: ${String(err)}`);
   });
 });
 
-server.on("upgrade", async (req, socket, head) => {
-  if (!isConfigured()) {
+// Same app on a loopback-only port for `tailscale serve`; requests arriving
+// here are classified as tailnet traffic (see requestAccess).
+const tailnetServer = TS_AUTHKEY
+  ? app.listen(TS_SERVE_PORT, "127.0.0.1", (err) => {
+    if (err) console.error(`[wrapper] tailnet listener on 127.0.0.1:${TS_SERVE_PORT} failed: ${String(err)}`);
+    else console.log(`[wrapper] tailnet listener on 127.0.0.1:${TS_SERVE_PORT}`);
+  })
+  : null;
+
+async function proxyUpgrade(req, socket, head) {
+  if (!isConfigured() || shuttingDown) {
     socket.destroy();
     return;
   }
-  try {
-    await ensureGatewayRunning();
-  } catch {
+  // Queue the upgrade while the gateway boots rather than dropping it.
+  const waited = await waitForGatewayWithin(GATEWAY_WAIT_TIMEOUT_MS);
+  if (socket.destroyed) return;
+  if (shuttingDown) {
     socket.destroy();
     return;
   }
-  proxy.ws(req, socket, head, { target: GATEWAY_TARGET });
-});
+  metric.wsUpgrades.inc({ result: waited.ok ? "proxied" : "gateway_unavailable" });
+  if (!waited.ok) {
+    socket.end(
+      "HTTP/1.1 503 Service Unavailable\r\n" +
+        `Retry-After: ${WAITING_ROOM_RETRY_AFTER_S}\r\n` +
+        "Connection: close\r\n" +
+        "Content-Length: 0\r\n\r\n",
+    );
+    return;
+  }
+  const port = activeGatewayPort;
+  openWebSockets.set(socket, port);
+  socket.on("close", () => openWebSockets.delete(socket));
+  proxy.ws(req, socket, head, { target: gatewayTarget(port) });
+}
 
-process.on("SIGTERM", () => {
-  // Best-effort shutdown — kill child processes in reverse startup order
-  for (const [, proc] of [
-    ["vault-auth-proxy", vaultAuthProxyProc],
-    ["silverbullet", silverBulletProc],
-    ["quartz", quartzProc],
-    ["monitor", monitorProc],
-    ["tailscale", tailscaleProc],
-    ["gateway", gatewayProc],
-  ]) {
-    try {
-      if (proc) proc.kill("SIGTERM");
-    } catch {
-      // ignore
-    }
+server.on("upgrade", proxyUpgrade);
+tailnetServer?.on("upgrade", proxyUpgrade);
+
+// ──── Graceful shutdown ──────────────────────────────────────────────────
+// Ordered so nothing is cut mid-flight: stop accepting connections, drain
+// proxied HTTP requests, stop children (dependents first; the gateway closes
+// its own WebSocket sessions on SIGTERM), then wait for the proxied
+// WebSockets to wind down.  Make sure the platform's grace period covers
+// both timeouts.
+const SHUTDOWN_DRAIN_TIMEOUT_MS = Number.parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS ?? "10000", 10);
+const SHUTDOWN_KILL_TIMEOUT_MS = Number.parseInt(process.env.SHUTDOWN_KILL_TIMEOUT_MS ?? "10000", 10);
+
+async function waitUntil(predicate, timeoutMs) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start >= timeoutMs) return false;
+    await sleep(100);
+  }
+  return true;
+}
+
+async function shutdownStep(label, fn) {
+  const start = Date.now();
+  try {
+    await fn();
+  } catch (err) {
+    console.error(`[shutdown] ${label} failed: ${String(err)}`);
   }
+  console.log(`[shutdown] ${label}: ${Date.now() - start}ms`);
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const start = Date.now();
+  console.log(`[shutdown] ${signal} received`);
+
+  await shutdownStep("stop accepting connections", () => {
+    for (const srv of [server, tailnetServer]) {
+      srv?.close();
+      srv?.closeIdleConnections?.();
+    }
+  });
+
+  await shutdownStep(`drain ${inflightRequests.size} in-flight request(s)`, async () => {
+    if (await waitUntil(() => inflightRequests.size === 0, SHUTDOWN_DRAIN_TIMEOUT_MS)) return;
+    console.warn(`[shutdown] ${inflightRequests.size} request(s) still open after ${SHUTDOWN_DRAIN_TIMEOUT_MS}ms; aborting them`);
+    for (const res of inflightRequests.keys()) res.destroy();
+  });
+
+  await shutdownStep("stop child processes", async () => {
+    if (gatewayCandidate) await terminate(gatewayCandidate, { name: "gateway", timeoutMs: SHUTDOWN_KILL_TIMEOUT_MS });
+    const timings = await supervisor.stopAll({ timeoutMs: SHUTDOWN_KILL_TIMEOUT_MS });
+    for (const [name, ms] of Object.entries(timings)) {
+      console.log(`[shutdown]   ${name} exited after ${ms}ms`);
+    }
+  });
+
+  await shutdownStep(`drain ${openWebSockets.size} WebSocket(s)`, async () => {
+    if (await waitUntil(() => openWebSockets.size === 0, SHUTDOWN_DRAIN_TIMEOUT_MS)) return;
+    console.warn(`[shutdown] ${openWebSockets.size} WebSocket(s) still open; closing them`);
+    for (const socket of openWebSockets.keys()) socket.destroy();
+  });
+
+  await shutdownStep("flush service logs", () => serviceLogs.flush());
+
+  console.log(`[shutdown] complete in ${Date.now() - start}ms`);
   process.exit(0);
-});
+}
+
+process.on("SIGTERM", () => void shutdown("SIGTERM"));
+process.on("SIGINT", () => void shutdown("SIGINT"));
@@ -0,0 +1,223 @@
+/**
+ * service-logs.js — per-service log capture for supervised children.
+ *
+ * Each child's stdout/stderr is split into lines and:
+ *   - mirrored to the wrapper's own stdout/stderr (so Railway logs still work)
+ *   - kept in an in-memory ring buffer per service (fast tail + live follow)
+ *   - appended as JSONL to <dir>/<service>.log, rotated by size
+ *     (<service>.log.1 … <service>.log.N) so history survives restarts
+ *
+ * Entries look like { ts, service, stream, line }.  An optional `redact`
+ * function is applied to every line before any of that happens.
+ */
+
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import path from "node:path";
+
+const DEFAULTS = {
+  maxLines: 2000,
+  maxFileBytes: 5 * 1024 * 1024,
+  maxFiles: 3,
+  flushIntervalMs: 250,
+  mirror: true,
+  redact: null,
+};
+
+// Cap a single line so one runaway write can't blow up the buffer.
+const MAX_LINE_CHARS = 8192;
+
+export class ServiceLogs extends EventEmitter {
+  /**
+   * @param {{ dir: string } & Partial<typeof DEFAULTS>} opts
+   */
+  constructor(opts) {
+    super();
+    this._opts = { ...DEFAULTS, ...opts };
+    this._buffers = new Map();   // service → entry[]
+    this._pending = new Map();   // service → string[] (JSONL awaiting flush)
+    this._flushTimer = null;
+  }
+
+  /** Service names that have produced output (or been attached) so far. */
+  services() {
+    return [...this._buffers.keys()].sort();
+  }
+
+  /**
+   * Capture a child's piped stdout/stderr under `service`.
+   * @param {string} service
+   * @param {import("node:child_process").ChildProcess} proc
+   */
+  attach(service, proc) {
+    if (!this._buffers.has(service)) this._buffers.set(service, []);
+    for (const stream of ["stdout", "stderr"]) {
+      const src = proc[stream];
+      if (!src) continue;
+      let partial = "";
+      src.setEncoding("utf8");
+      src.on("data", (chunk) => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        for (const line of lines) this.append(service, stream, line);
+      });
+      src.on("end", () => {
+        if (partial) this.append(service, stream, partial);
+        partial = "";
+      });
+    }
+  }
+
+  append(service, stream, line) {
+    if (this._opts.redact) line = this._opts.redact(line);
+    const text = line.length > MAX_LINE_CHARS ? `${line.slice(0, MAX_LINE_CHARS)}… (truncated)` : line;
+    const entry = { ts: new Date().toISOString(), service, stream, line: text };
+
+    if (this._opts.mirror) {
+      (stream === "stderr" ? process.stderr : process.stdout).write(`${text}\n`);
+    }
+
+    let buf = this._buffers.get(service);
+    if (!buf) {
+      buf = [];
+      this._buffers.set(service, buf);
+    }
+    buf.push(entry);
+    if (buf.length > this._opts.maxLines) buf.splice(0, buf.length - this._opts.maxLines);
+
+    if (!this._pending.has(service)) this._pending.set(service, []);
+    this._pending.get(service).push(JSON.stringify(entry));
+    this._scheduleFlush();
+
+    this.emit("line", entry);
+  }
+
+  /**
+   * Filter a service's log history.
+   *
+   * Served from the ring buffer unless `since` reaches back past its oldest
+   * entry, in which case the rotated files on disk are read as well.
+   *
+   * @param {string} service
+   * @param {{ tail?: number, since?: Date, until?: Date, stream?: string, match?: (line: string) => boolean }} [filter]
+   */
+  query(service, filter = {}) {
+    const buf = this._buffers.get(service) || [];
+    let entries = buf;
+    if (filter.since && (!buf.length || new Date(buf[0].ts) > filter.since)) {
+      this.flush();
+      entries = this._readFiles(service);
+    }
+
+    const out = entries.filter((e) => matches(e, filter));
+    const tail = filter.tail ?? 200;
+    return out.length > tail ? out.slice(out.length - tail) : out;
+  }
+
+  /**
+   * Call `fn(entry)` for every new line of `service` that passes `filter`.
+   * @returns {() => void} unsubscribe
+   */
+  follow(service, filter, fn) {
+    const listener = (entry) => {
+      if (entry.service === service && matches(entry, filter)) fn(entry);
+    };
+    this.on("line", listener);
+    return () => this.off("line", listener);
+  }
+
+  /** Write any buffered lines to disk now (used on shutdown). */
+  flush() {
+    if (this._flushTimer) {
+      clearTimeout(this._flushTimer);
+      this._flushTimer = null;
+    }
+    for (const [service, lines] of this._pending) {
+      if (!lines.length) continue;
+      this._pending.set(service, []);
+      try {
+        fs.mkdirSync(this._opts.dir, { recursive: true });
+        const file = this._file(service);
+        fs.appendFileSync(file, lines.join("\n") + "\n", { encoding: "utf8", mode: 0o600 });
+        if (fs.statSync(file).size > this._opts.maxFileBytes) this._rotate(service);
+      } catch (err) {
+        // Never let log persistence take the wrapper down.
+        process.stderr.write(`[service-logs] failed to persist ${service} logs: ${String(err)}\n`);
+      }
+    }
+  }
+
+  // --- Internal ---
+
+  _file(service, n = 0) {
+    const base = path.join(this._opts.dir, `${service}.log`);
+    return n ? `${base}.${n}` : base;
+  }
+
+  _rotate(service) {
+    // <service>.log → .1 → .2 …; the oldest file is overwritten.
+    for (let n = this._opts.maxFiles - 1; n >= 1; n--) {
+      const from = this._file(service, n - 1);
+      if (fs.existsSync(from)) fs.renameSync(from, this._file(service, n));
+    }
+  }
+
+  _readFiles(service) {
+    const entries = [];
+    for (let n = this._opts.maxFiles - 1; n >= 0; n--) {
+      let text;
+      try {
+        text = fs.readFileSync(this._file(service, n), "utf8");
+      } catch {
+        continue;
+      }
+      for (const raw of text.split("\n")) {
+        if (!raw) continue;
+        try {
+          entries.push(JSON.parse(raw));
+        } catch {
+          // skip a torn line
+        }
+      }
+    }
+    return entries;
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this.flush();
+    }, this._opts.flushIntervalMs);
+    this._flushTimer.unref?.();
+  }
+}
+
+function matches(entry, filter) {
+  if (filter.stream && entry.stream !== filter.stream) return false;
+  if (filter.since || filter.until) {
+    const ts = new Date(entry.ts);
+    if (filter.since && ts < filter.since) return false;
+    if (filter.until && ts > filter.until) return false;
+  }
+  if (filter.match && !filter.match(entry.line)) return false;
+  return true;
+}
+
+/**
+ * Build a line matcher from `?q=` (case-insensitive substring) or
+ * `?regex=` (JavaScript regular expression). Throws on an invalid regex.
+ * @returns {((line: string) => boolean) | undefined}
+ */
+export function buildLineMatcher({ q, regex } = {}) {
+  if (regex) {
+    if (String(regex).length > 200) throw new Error("regex too long (max 200 chars)");
+    const re = new RegExp(String(regex), "i");
+    return (line) => re.test(line);
+  }
+  if (q) {
+    const needle = String(q).toLowerCase();
+    return (line) => line.toLowerCase().includes(needle);
+  }
+  return undefined;
+}
@@ -18,6 +18,7 @@
   var configPathEl = document.getElementById('configPath');
   var configTextEl = document.getElementById('configText');
   var configReloadEl = document.getElementById('configReload');
+  var configRevealEl = document.getElementById('configReveal');
   var configSaveEl = document.getElementById('configSave');
   var configOutEl = document.getElementById('configOut');
 
@@ -26,6 +27,45 @@
   var importRunEl = document.getElementById('importRun');
   var importOutEl = document.getElementById('importOut');
 
+  // Session CSRF token (from the page); sent on every mutating request.
+  var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  var csrfToken = csrfMeta ? csrfMeta.getAttribute('content') : '';
+
+  // Role of the signed-in user; controls above it are hidden (the server
+  // enforces the same rules).
+  var ROLES = ['viewer', 'operator', 'admin'];
+  var roleMeta = document.querySelector('meta[name="setup-role"]');
+  var role = roleMeta ? roleMeta.getAttribute('content') : 'viewer';
+
+  function hasRole(required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  (function hideForRole() {
+    var els = document.querySelectorAll('[data-min-role]');
+    for (var i = 0; i < els.length; i++) {
+      if (!hasRole(els[i].getAttribute('data-min-role'))) els[i].style.display = 'none';
+    }
+  })();
+
+  // fetch() with the session cookie and CSRF header. A 401 means the
+  // session expired: go back to the login page.
+  function apiFetch(url, opts) {
+    opts = opts || {};
+    opts.credentials = 'same-origin';
+    var method = (opts.method || 'GET').toUpperCase();
+    if (method !== 'GET' && method !== 'HEAD' && csrfToken) {
+      opts.headers = opts.headers || {};
+      opts.headers['x-csrf-token'] = csrfToken;
+    }
+    return fetch(url, opts).then(function (res) {
+      if (res.status === 401 && csrfToken) {
+        window.location.href = '/setup/login?next=' + encodeURIComponent(window.location.pathname);
+      }
+      return res;
+    });
+  }
+
   function setStatus(s) {
     statusEl.textContent = s;
   }
@@ -91,9 +131,7 @@
   }
 
   function httpJson(url, opts) {
-    opts = opts || {};
-    opts.credentials = 'same-origin';
-    return fetch(url, opts).then(function (res) {
+    return apiFetch(url, opts).then(function (res) {
       if (!res.ok) {
         return res.text().then(function (t) {
           throw new Error('HTTP ' + res.status + ': ' + (t || res.statusText));
@@ -126,7 +164,7 @@
       }
 
       // Attempt to load config editor content if present.
-      if (configReloadEl && configTextEl) {
+      if (configReloadEl && configTextEl && hasRole('admin')) {
         loadConfigRaw();
       }
 
@@ -136,8 +174,81 @@
     });
   }
 
-  document.getElementById('run').onclick = function () {
-    var payload = {
+  // Onboarding checklist, fed by the plan/step events of /setup/api/run.
+  var runStepsEl = document.getElementById('runSteps');
+  var STEP_MARKS = { pending: '\u25cb', running: '\u25b8', ok: '\u2713', failed: '\u2717', skipped: '\u2013' };
+
+  function renderStep(step) {
+    if (!runStepsEl) return;
+    var li = document.getElementById('runStep-' + step.id);
+    if (!li) {
+      li = document.createElement('li');
+      li.id = 'runStep-' + step.id;
+      runStepsEl.appendChild(li);
+    }
+    li.className = 'step-' + step.status;
+    li.textContent = '';
+
+    var took = document.createElement('span');
+    took.className = 'took';
+    if (step.durationMs != null) took.textContent = (step.durationMs / 1000).toFixed(1) + 's';
+    else if (step.status === 'running') took.textContent = 'running...';
+    li.appendChild(took);
+    li.appendChild(document.createTextNode((STEP_MARKS[step.status] || '') + ' ' + step.name));
+
+    if (step.output) {
+      var details = document.createElement('details');
+      details.open = step.status === 'failed';
+      var summary = document.createElement('summary');
+      summary.textContent = step.status === 'skipped' ? 'why' : 'output';
+      var pre = document.createElement('pre');
+      pre.textContent = step.output;
+      details.appendChild(summary);
+      details.appendChild(pre);
+      li.appendChild(details);
+    }
+  }
+
+  // Read a text/event-stream response body, calling onEvent(name, data) per event.
+  function readEventStream(res, onEvent) {
+    var reader = res.body.getReader();
+    var decoder = new TextDecoder();
+    var buf = '';
+    function pump() {
+      return reader.read().then(function (r) {
+        if (r.done) return;
+        buf += decoder.decode(r.value, { stream: true });
+        var idx;
+        while ((idx = buf.indexOf('\n\n')) !== -1) {
+          var lines = buf.slice(0, idx).split('\n');
+          buf = buf.slice(idx + 2);
+          var event = 'message';
+          var data = '';
+          for (var i = 0; i < lines.length; i++) {
+            if (lines[i].indexOf('event: ') === 0) event = lines[i].slice(7);
+            else if (lines[i].indexOf('data: ') === 0) data += lines[i].slice(6);
+          }
+          if (data) onEvent(event, JSON.parse(data));
+        }
+        return pump();
+      });
+    }
+    return pump();
+  }
+
+  function showRunResult(j) {
+    if (j.steps && j.steps.length) {
+      for (var i = 0; i < j.steps.length; i++) renderStep(j.steps[i]);
+      if (j.ok) logEl.textContent = 'Setup complete.\n';
+      else if (j.rolledBack) logEl.textContent = 'Setup failed and was rolled back, so nothing is half-configured. Open the failed step above for its output, fix the input and run setup again.\n';
+      else logEl.textContent = 'Setup did not complete. Open the failed step above for its output.\n';
+    } else {
+      logEl.textContent = (j.output || JSON.stringify(j, null, 2));
+    }
+  }
+
+  function wizardPayload() {
+    return {
       flow: document.getElementById('flow').value,
       authChoice: authChoiceEl.value,
       authSecret: document.getElementById('authSecret').value,
@@ -152,20 +263,69 @@
       customProviderApiKeyEnv: document.getElementById('customProviderApiKeyEnv').value,
       customProviderModelId: document.getElementById('customProviderModelId').value
     };
+  }
+
+  // "Test" buttons: try one credential against its service before running setup.
+  function testCredential(check) {
+    var out = document.getElementById('check-' + check);
+    if (!out) return;
+    var payload = wizardPayload();
+    payload.checks = [check];
+    out.style.color = '';
+    out.textContent = 'Checking...';
+    httpJson('/setup/api/validate', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload)
+    }).then(function (j) {
+      var r = j.results[0];
+      out.style.color = r.ok === true ? '#15803d' : r.ok === false ? '#b91c1c' : '';
+      out.textContent = (r.ok === true ? '\u2713 ' : r.ok === false ? '\u2717 ' : '') + (r.error || r.detail || '');
+    }).catch(function (e) {
+      out.style.color = '#b91c1c';
+      out.textContent = String(e);
+    });
+  }
+
+  (function wireCredentialTests() {
+    var buttons = document.querySelectorAll('[data-check]');
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].onclick = (function (check) {
+        return function () { testCredential(check); };
+      })(buttons[i].getAttribute('data-check'));
+    }
+  })();
+
+  document.getElementById('run').onclick = function () {
+    var payload = wizardPayload();
 
     logEl.textContent = 'Running...\n';
+    if (runStepsEl) runStepsEl.textContent = '';
+    var canStream = typeof TextDecoder !== 'undefined' && typeof ReadableStream !== 'undefined';
 
-    fetch('/setup/api/run', {
+    apiFetch('/setup/api/run', {
       method: 'POST',
-      credentials: 'same-origin',
-      headers: { 'content-type': 'application/json' },
+      headers: { 'content-type': 'application/json', accept: canStream ? 'text/event-stream' : 'application/json' },
       body: JSON.stringify(payload)
     }).then(function (res) {
-      return res.text();
-    }).then(function (text) {
-      var j;
-      try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
-      logEl.textContent += (j.output || JSON.stringify(j, null, 2));
+      var type = res.headers.get('content-type') || '';
+      if (type.indexOf('text/event-stream') === 0 && res.body) {
+        return readEventStream(res, function (event, data) {
+          if (event === 'plan') {
+            for (var i = 0; i < data.steps.length; i++) renderStep(data.steps[i]);
+          } else if (event === 'step') {
+            renderStep(data);
+          } else if (event === 'done') {
+            showRunResult(data);
+          }
+        });
+      }
+      return res.text().then(function (text) {
+        var j;
+        try { j = JSON.parse(text); } catch (_e) { j = { ok: false, output: text }; }
+        showRunResult(j);
+      });
+    }).then(function () {
       return refreshStatus();
     }).catch(function (e) {
       logEl.textContent += '\nError: ' + String(e) + '\n';
@@ -196,14 +356,15 @@
   }
 
   // Config raw load/save
-  function loadConfigRaw() {
+  function loadConfigRaw(reveal) {
     if (!configTextEl) return;
     if (configOutEl) configOutEl.textContent = '';
-    return httpJson('/setup/api/config/raw').then(function (j) {
+    return httpJson('/setup/api/config/raw' + (reveal === true ? '?reveal=1' : '')).then(function (j) {
       if (configPathEl) {
         configPathEl.textContent = 'Config file: ' + (j.path || '(unknown)') + (j.exists ? '' : ' (does not exist yet)');
       }
       configTextEl.value = j.content || '';
+      if (configOutEl && j.redacted) configOutEl.textContent = 'Secrets are hidden. Saving keeps them unchanged.\n';
     }).catch(function (e) {
       if (configOutEl) configOutEl.textContent = 'Error loading config: ' + String(e);
     });
@@ -225,7 +386,13 @@
     });
   }
 
-  if (configReloadEl) configReloadEl.onclick = loadConfigRaw;
+  if (configReloadEl) configReloadEl.onclick = function () { return loadConfigRaw(false); };
+  if (configRevealEl) {
+    configRevealEl.onclick = function () {
+      if (!confirm('Show the config with all secrets in clear text? This is recorded in the audit log.')) return;
+      return loadConfigRaw(true);
+    };
+  }
   if (configSaveEl) configSaveEl.onclick = saveConfigRaw;
 
   // Import backup
@@ -241,9 +408,8 @@
     if (importOutEl) importOutEl.textContent = 'Uploading ' + f.name + ' (' + f.size + ' bytes)...\n';
 
     return f.arrayBuffer().then(function (buf) {
-      return fetch('/setup/import', {
+      return apiFetch('/setup/import', {
         method: 'POST',
-        credentials: 'same-origin',
         headers: { 'content-type': 'application/gzip' },
         body: buf
       });
@@ -260,6 +426,98 @@
 
   if (importRunEl) importRunEl.onclick = runImport;
 
+  // Service logs (tail + filters, optional live tail over SSE)
+  var logsServiceEl = document.getElementById('logsService');
+  var logsFilterEl = document.getElementById('logsFilter');
+  var logsTailEl = document.getElementById('logsTail');
+  var logsLoadEl = document.getElementById('logsLoad');
+  var logsLiveEl = document.getElementById('logsLive');
+  var logsOutEl = document.getElementById('logsOut');
+  var logsSource = null;
+
+  function formatLogEntry(e) {
+    return e.ts + ' ' + (e.stream === 'stderr' ? '! ' : '  ') + e.line;
+  }
+
+  function logsQuery() {
+    var params = [];
+    params.push('tail=' + encodeURIComponent((logsTailEl && logsTailEl.value) || '200'));
+    var f = logsFilterEl ? logsFilterEl.value.trim() : '';
+    // "/pattern/" means regex; anything else is a plain substring match.
+    if (f.length > 2 && f.charAt(0) === '/' && f.charAt(f.length - 1) === '/') {
+      params.push('regex=' + encodeURIComponent(f.slice(1, -1)));
+    } else if (f) {
+      params.push('q=' + encodeURIComponent(f));
+    }
+    return params.join('&');
+  }
+
+  function stopLiveLogs() {
+    if (logsSource) {
+      logsSource.close();
+      logsSource = null;
+    }
+  }
+
+  function appendLogLine(text) {
+    var atBottom = logsOutEl.scrollTop + logsOutEl.clientHeight >= logsOutEl.scrollHeight - 4;
+    logsOutEl.textContent += text + '\n';
+    if (atBottom) logsOutEl.scrollTop = logsOutEl.scrollHeight;
+  }
+
+  function loadLogs() {
+    if (!logsServiceEl || !logsOutEl || !logsServiceEl.value) return;
+    stopLiveLogs();
+    var url = '/setup/api/logs/' + encodeURIComponent(logsServiceEl.value) + '?' + logsQuery();
+    logsOutEl.textContent = '';
+
+    if (logsLiveEl && logsLiveEl.checked) {
+      logsSource = new EventSource(url + '&follow=1');
+      logsSource.addEventListener('line', function (ev) {
+        appendLogLine(formatLogEntry(JSON.parse(ev.data)));
+      });
+      logsSource.onerror = function () {
+        appendLogLine('[live tail disconnected]');
+        stopLiveLogs();
+      };
+      return;
+    }
+
+    return httpJson(url).then(function (j) {
+      var entries = j.entries || [];
+      if (!entries.length) {
+        logsOutEl.textContent = '(no matching lines)';
+        return;
+      }
+      logsOutEl.textContent = entries.map(formatLogEntry).join('\n') + '\n';
+      logsOutEl.scrollTop = logsOutEl.scrollHeight;
+    }).catch(function (e) {
+      logsOutEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  function refreshLogServices() {
+    if (!logsServiceEl) return;
+    return httpJson('/setup/api/logs').then(function (j) {
+      var current = logsServiceEl.value;
+      logsServiceEl.innerHTML = '';
+      var services = j.services || [];
+      for (var i = 0; i < services.length; i++) {
+        var opt = document.createElement('option');
+        opt.value = services[i];
+        opt.textContent = services[i];
+        logsServiceEl.appendChild(opt);
+      }
+      if (current) logsServiceEl.value = current;
+    }).catch(function () {
+      // Non-fatal: the card just stays empty.
+    });
+  }
+
+  if (logsLoadEl) logsLoadEl.onclick = loadLogs;
+  if (logsLiveEl) logsLiveEl.onchange = loadLogs;
+  refreshLogServices();
+
   // Pairing approve helper
   var pairingBtn = document.getElementById('pairingApprove');
   if (pairingBtn) {
@@ -274,9 +532,8 @@
       var code = prompt('Enter pairing code (e.g. 3EY4PUYS):');
       if (!code) return;
       logEl.textContent += '\nApproving pairing for ' + channel + '...\n';
-      fetch('/setup/api/pairing/approve', {
+      apiFetch('/setup/api/pairing/approve', {
         method: 'POST',
-        credentials: 'same-origin',
         headers: { 'content-type': 'application/json' },
         body: JSON.stringify({ channel: channel, code: code.trim() })
       }).then(function (r) { return r.text(); })
@@ -344,11 +601,338 @@
   document.getElementById('reset').onclick = function () {
     if (!confirm('Reset setup? This deletes the config file so onboarding can run again.')) return;
     logEl.textContent = 'Resetting...\n';
-    fetch('/setup/api/reset', { method: 'POST', credentials: 'same-origin' })
+    apiFetch('/setup/api/reset', { method: 'POST' })
       .then(function (res) { return res.text(); })
       .then(function (t) { logEl.textContent += t + '\n'; return refreshStatus(); })
       .catch(function (e) { logEl.textContent += 'Error: ' + String(e) + '\n'; });
   };
 
+  // Users (admin only)
+  var usersListEl = document.getElementById('usersList');
+  var usersOutEl = document.getElementById('usersOut');
+
+  function userRequest(method, name, body) {
+    return httpJson('/setup/api/users' + (name ? '/' + encodeURIComponent(name) : ''), {
+      method: method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  function renderUsers(users) {
+    usersListEl.innerHTML = '';
+    if (!users.length) {
+      usersListEl.textContent = 'No named users yet.';
+      return;
+    }
+    for (var i = 0; i < users.length; i++) {
+      (function (u) {
+        var row = document.createElement('div');
+        row.style.marginTop = '0.25rem';
+        var name = document.createElement('code');
+        name.textContent = u.username;
+        var sel = document.createElement('select');
+        sel.style.width = 'auto';
+        sel.style.margin = '0 0.5rem';
+        for (var j = 0; j < ROLES.length; j++) {
+          var opt = document.createElement('option');
+          opt.value = ROLES[j];
+          opt.textContent = ROLES[j];
+          sel.appendChild(opt);
+        }
+        sel.value = u.role;
+        sel.onchange = function () {
+          userRequest('PUT', u.username, { role: sel.value })
+            .then(function () { usersOutEl.textContent = u.username + ' is now ' + sel.value; })
+            .catch(function (e) { usersOutEl.textContent = 'Error: ' + String(e); });
+        };
+        var pw = document.createElement('button');
+        pw.textContent = 'Set password';
+        pw.style.background = '#1f2937';
+        pw.onclick = function () {
+          var next = prompt('New password for ' + u.username + ' (10+ characters):');
+          if (!next) return;
+          userRequest('PUT', u.username, { password: next })
+            .then(function () { usersOutEl.textContent = 'Password changed; ' + u.username + ' must sign in again.'; })
+            .catch(function (e) { usersOutEl.textContent = 'Error: ' + String(e); });
+        };
+        var del = document.createElement('button');
+        del.textContent = 'Remove';
+        del.style.background = '#7c2d12';
+        del.style.marginLeft = '0.5rem';
+        del.onclick = function () {
+          if (!confirm('Remove user ' + u.username + '?')) return;
+          userRequest('DELETE', u.username).then(refreshUsers)
+            .catch(function (e) { usersOutEl.textContent = 'Error: ' + String(e); });
+        };
+        row.appendChild(name);
+        row.appendChild(sel);
+        row.appendChild(pw);
+        row.appendChild(del);
+        if (u.twoFactor) {
+          var reset2fa = document.createElement('button');
+          reset2fa.textContent = 'Reset 2FA';
+          reset2fa.style.background = '#1f2937';
+          reset2fa.style.marginLeft = '0.5rem';
+          reset2fa.onclick = function () {
+            if (!confirm('Turn off two-factor authentication for ' + u.username + '? They can set it up again after signing in.')) return;
+            httpJson('/setup/api/users/' + encodeURIComponent(u.username) + '/2fa', { method: 'DELETE' })
+              .then(function () { usersOutEl.textContent = 'Two-factor reset for ' + u.username; return refreshUsers(); })
+              .catch(function (e) { usersOutEl.textContent = 'Error: ' + String(e); });
+          };
+          row.appendChild(reset2fa);
+        }
+        usersListEl.appendChild(row);
+      })(users[i]);
+    }
+  }
+
+  function refreshUsers() {
+    if (!usersListEl || !hasRole('admin')) return;
+    return httpJson('/setup/api/users').then(function (j) {
+      renderUsers(j.users || []);
+    }).catch(function (e) {
+      usersListEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var newUserAddEl = document.getElementById('newUserAdd');
+  if (newUserAddEl) {
+    newUserAddEl.onclick = function () {
+      var nameEl = document.getElementById('newUserName');
+      var pwEl = document.getElementById('newUserPassword');
+      userRequest('POST', null, {
+        username: nameEl.value,
+        password: pwEl.value,
+        role: document.getElementById('newUserRole').value
+      }).then(function (j) {
+        usersOutEl.textContent = 'Added ' + j.user.username + ' (' + j.user.role + ')';
+        nameEl.value = '';
+        pwEl.value = '';
+        return refreshUsers();
+      }).catch(function (e) {
+        usersOutEl.textContent = 'Error: ' + String(e);
+      });
+    };
+  }
+  refreshUsers();
+
+  // API tokens (admin only)
+  var tokensListEl = document.getElementById('tokensList');
+  var tokensOutEl = document.getElementById('tokensOut');
+  var tokenScopesEl = document.getElementById('newTokenScopes');
+
+  function renderTokens(tokens) {
+    tokensListEl.innerHTML = '';
+    if (!tokens.length) {
+      tokensListEl.textContent = 'No API tokens.';
+      return;
+    }
+    for (var i = 0; i < tokens.length; i++) {
+      (function (t) {
+        var row = document.createElement('div');
+        row.style.marginTop = '0.25rem';
+        var name = document.createElement('code');
+        name.textContent = t.name;
+        var info = document.createElement('span');
+        info.style.margin = '0 0.5rem';
+        info.textContent = t.scopes.join(', ') +
+          ' · last used ' + (t.lastUsedAt ? t.lastUsedAt + (t.lastUsedIp ? ' from ' + t.lastUsedIp : '') : 'never') +
+          (t.expiresAt ? ' · expires ' + t.expiresAt : '');
+        var revoke = document.createElement('button');
+        revoke.textContent = 'Revoke';
+        revoke.style.background = '#7c2d12';
+        revoke.onclick = function () {
+          if (!confirm('Revoke token ' + t.name + '? Clients using it stop working immediately.')) return;
+          httpJson('/setup/api/tokens/' + encodeURIComponent(t.id), { method: 'DELETE' }).then(refreshTokens)
+            .catch(function (e) { tokensOutEl.textContent = 'Error: ' + String(e); });
+        };
+        row.appendChild(name);
+        row.appendChild(info);
+        row.appendChild(revoke);
+        tokensListEl.appendChild(row);
+      })(tokens[i]);
+    }
+  }
+
+  function refreshTokens() {
+    if (!tokensListEl || !hasRole('admin')) return;
+    return httpJson('/setup/api/tokens').then(function (j) {
+      renderTokens(j.tokens || []);
+      if (!tokenScopesEl.options.length) {
+        for (var i = 0; i < j.scopes.length; i++) {
+          var opt = document.createElement('option');
+          opt.value = j.scopes[i];
+          opt.textContent = j.scopes[i];
+          tokenScopesEl.appendChild(opt);
+        }
+      }
+    }).catch(function (e) {
+      tokensListEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var newTokenCreateEl = document.getElementById('newTokenCreate');
+  if (newTokenCreateEl) {
+    newTokenCreateEl.onclick = function () {
+      var scopes = [];
+      for (var i = 0; i < tokenScopesEl.options.length; i++) {
+        if (tokenScopesEl.options[i].selected) scopes.push(tokenScopesEl.options[i].value);
+      }
+      var nameEl = document.getElementById('newTokenName');
+      var daysEl = document.getElementById('newTokenDays');
+      httpJson('/setup/api/tokens', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ name: nameEl.value, scopes: scopes, expiresInDays: daysEl.value || null })
+      }).then(function (j) {
+        tokensOutEl.textContent = 'Token for ' + j.info.name + ' (copy it now; it is not shown again):\n\n' + j.token;
+        nameEl.value = '';
+        daysEl.value = '';
+        return refreshTokens();
+      }).catch(function (e) {
+        tokensOutEl.textContent = 'Error: ' + String(e);
+      });
+    };
+  }
+  refreshTokens();
+
+  // Two-factor authentication (own account)
+  var twoFactorStatusEl = document.getElementById('twoFactorStatus');
+  var twoFactorOutEl = document.getElementById('twoFactorOut');
+  var twoFactorEnrollEl = document.getElementById('twoFactorEnroll');
+  var twoFactorEnabled = false;
+
+  function twoFactorPost(path, body) {
+    return httpJson('/setup/api/2fa/' + path, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+  }
+
+  function showRecoveryCodes(codes) {
+    twoFactorOutEl.textContent = 'Recovery codes (each works once; store them somewhere safe, they are not shown again):\n\n' + codes.join('\n');
+  }
+
+  function renderTwoFactor(j) {
+    twoFactorEnabled = j.enabled;
+    var text;
+    if (j.enabled) text = 'On since ' + j.enabledAt + '. Recovery codes left: ' + j.recoveryCodesLeft + '.';
+    else if (j.pending) text = 'Setup started but not finished.';
+    else text = 'Off.';
+    if (j.disabledByEnv) text += ' SETUP_2FA_DISABLED is set, so codes are not checked at login.';
+    twoFactorStatusEl.textContent = text;
+    document.getElementById('twoFactorStart').style.display = j.enabled ? 'none' : '';
+    document.getElementById('twoFactorCodes').style.display = j.enabled ? '' : 'none';
+    document.getElementById('twoFactorOff').style.display = j.enabled || j.pending ? '' : 'none';
+    if (j.enabled) twoFactorEnrollEl.style.display = 'none';
+  }
+
+  function refreshTwoFactor() {
+    if (!twoFactorStatusEl) return;
+    return httpJson('/setup/api/2fa').then(renderTwoFactor).catch(function (e) {
+      twoFactorStatusEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  if (twoFactorStatusEl) {
+    document.getElementById('twoFactorStart').onclick = function () {
+      twoFactorOutEl.textContent = '';
+      twoFactorPost('enroll').then(function (j) {
+        // Server-generated SVG (no user input in it).
+        document.getElementById('twoFactorQr').innerHTML = j.qrSvg;
+        document.getElementById('twoFactorSecret').textContent = j.secret;
+        twoFactorEnrollEl.style.display = '';
+        return refreshTwoFactor();
+      }).catch(function (e) { twoFactorOutEl.textContent = 'Error: ' + String(e); });
+    };
+    document.getElementById('twoFactorConfirm').onclick = function () {
+      var codeEl = document.getElementById('twoFactorCode');
+      twoFactorPost('confirm', { code: codeEl.value }).then(function (j) {
+        codeEl.value = '';
+        document.getElementById('twoFactorQr').innerHTML = '';
+        showRecoveryCodes(j.recoveryCodes);
+        renderTwoFactor(j);
+      }).catch(function (e) { twoFactorOutEl.textContent = 'Error: ' + String(e); });
+    };
+    document.getElementById('twoFactorCodes').onclick = function () {
+      var code = prompt('Enter a code from your authenticator app:');
+      if (!code) return;
+      twoFactorPost('recovery-codes', { code: code }).then(function (j) {
+        showRecoveryCodes(j.recoveryCodes);
+        renderTwoFactor(j);
+      }).catch(function (e) { twoFactorOutEl.textContent = 'Error: ' + String(e); });
+    };
+    document.getElementById('twoFactorOff').onclick = function () {
+      var code = '';
+      if (twoFactorEnabled) {
+        code = prompt('Enter a code from your authenticator app (or a recovery code) to turn two-factor off:');
+        if (!code) return;
+      }
+      twoFactorPost('disable', { code: code }).then(function (j) {
+        twoFactorEnrollEl.style.display = 'none';
+        twoFactorOutEl.textContent = 'Two-factor authentication is off.';
+        renderTwoFactor(j);
+      }).catch(function (e) { twoFactorOutEl.textContent = 'Error: ' + String(e); });
+    };
+    refreshTwoFactor();
+  }
+
+  // Audit log (admin only)
+  var auditListEl = document.getElementById('auditList');
+  var auditMoreEl = document.getElementById('auditMore');
+  var auditNext = null;
+
+  function formatAuditEntry(e) {
+    var who = e.actor + (e.role ? ' (' + e.role + ')' : '') + (e.tailscaleUser && e.tailscaleUser !== e.actor ? ' [' + e.tailscaleUser + ']' : '');
+    var line = e.at + '  ' + e.outcome.toUpperCase() + '  ' + who + '  ' + e.action;
+    if (e.ip) line += '  from ' + e.ip;
+    if (e.args) line += '\n    args: ' + JSON.stringify(e.args);
+    if (e.error) line += '\n    error: ' + e.error;
+    return line;
+  }
+
+  function loadAudit(more) {
+    if (!auditListEl || !hasRole('admin')) return;
+    var q = ['limit=50'];
+    var actor = document.getElementById('auditActor').value.trim();
+    var action = document.getElementById('auditAction').value.trim();
+    var outcome = document.getElementById('auditOutcome').value;
+    if (actor) q.push('actor=' + encodeURIComponent(actor));
+    if (action) q.push('action=' + encodeURIComponent(action));
+    if (outcome) q.push('outcome=' + encodeURIComponent(outcome));
+    if (more && auditNext) q.push('before=' + auditNext);
+    return httpJson('/setup/api/audit?' + q.join('&')).then(function (j) {
+      var lines = [];
+      for (var i = 0; i < j.entries.length; i++) lines.push(formatAuditEntry(j.entries[i]));
+      var text = lines.join('\n');
+      if (more) auditListEl.textContent += (text ? '\n' + text : '');
+      else auditListEl.textContent = text || 'No matching entries.';
+      auditNext = j.next;
+      auditMoreEl.style.display = j.next ? '' : 'none';
+    }).catch(function (e) {
+      auditListEl.textContent = 'Error: ' + String(e);
+    });
+  }
+
+  var auditLoadEl = document.getElementById('auditLoad');
+  if (auditLoadEl) {
+    auditLoadEl.onclick = function () { loadAudit(false); };
+    auditMoreEl.onclick = function () { loadAudit(true); };
+  }
+  loadAudit(false);
+
+  var logoutBtn = document.getElementById('logout');
+  if (logoutBtn) {
+    // Nothing to sign out of under Basic auth.
+    if (!csrfToken) logoutBtn.style.display = 'none';
+    logoutBtn.onclick = function () {
+      apiFetch('/setup/logout', { method: 'POST' })
+        .then(function () { window.location.href = '/setup/login'; })
+        .catch(function (e) { alert('Sign out failed: ' + String(e)); });
+    };
+  }
+
   refreshStatus();
 })();
@@ -0,0 +1,187 @@
+/**
+ * setup-session.js — signed session cookies and CSRF tokens for /setup.
+ *
+ * A session is a small JSON payload (id, user, CSRF token, expiry) signed
+ * with HMAC-SHA256 and stored entirely in the cookie, so sessions survive
+ * wrapper restarts without a session store.  Logout revokes the session id
+ * in memory until it would have expired anyway.
+ *
+ * The CSRF token travels inside the signed payload; the page gets a copy
+ * and must echo it back in the `x-csrf-token` header on every mutating
+ * request.  A forged cross-site request carries the cookie but can't read
+ * the token.
+ */
+
+import crypto from "node:crypto";
+
+import { escapeHtml } from "./waiting-room.js";
+
+export const SESSION_COOKIE = "openclaw_setup_session";
+export const CSRF_HEADER = "x-csrf-token";
+
+const DEFAULTS = {
+  ttlMs: 12 * 60 * 60 * 1000,
+  cookieName: SESSION_COOKIE,
+};
+
+/** Parse a Cookie header into a name → value map (first occurrence wins). */
+export function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || name in out) continue;
+    let value = part.slice(idx + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+    try {
+      out[name] = decodeURIComponent(value);
+    } catch {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+/** Constant-time string comparison (hashing first evens out the lengths). */
+export function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a ?? "")).digest();
+  const hb = crypto.createHash("sha256").update(String(b ?? "")).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export class SetupSessions {
+  /**
+   * @param {{ secret: string | Buffer } & Partial<typeof DEFAULTS>} opts
+   *   Anything that should invalidate every session when it changes (e.g.
+   *   the setup password) belongs in `secret`.
+   */
+  constructor(opts) {
+    if (!opts?.secret) throw new Error("SetupSessions needs a secret");
+    this._opts = { ...DEFAULTS, ...opts };
+    this._key = crypto.createHash("sha256").update(opts.secret).digest();
+    this._revoked = new Map(); // session id → expiry (ms)
+  }
+
+  get cookieName() {
+    return this._opts.cookieName;
+  }
+
+  get ttlMs() {
+    return this._opts.ttlMs;
+  }
+
+  /**
+   * Create a session; returns the cookie value and the decoded session.
+   * `claims` are extra fields to sign into it.
+   */
+  issue(user, claims = {}, now = Date.now()) {
+    const session = {
+      ...claims,
+      id: crypto.randomBytes(16).toString("base64url"),
+      user,
+      csrf: crypto.randomBytes(24).toString("base64url"),
+      iat: now,
+      exp: now + this._opts.ttlMs,
+    };
+    return { token: this._sign(session), session };
+  }
+
+  /** Decode and check a cookie value; null if forged, expired or revoked. */
+  verify(token, now = Date.now()) {
+    const text = String(token || "");
+    const dot = text.lastIndexOf(".");
+    if (dot <= 0) return null;
+    const body = text.slice(0, dot);
+    if (!safeEqual(text.slice(dot + 1), this._mac(body))) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+    if (!session || typeof session.exp !== "number" || session.exp <= now) return null;
+    if (this._revoked.has(session.id)) return null;
+    return session;
+  }
+
+  revoke(session, now = Date.now()) {
+    if (!session?.id) return;
+    this._revoked.set(session.id, session.exp);
+    for (const [id, exp] of this._revoked) {
+      if (exp <= now) this._revoked.delete(id);
+    }
+  }
+
+  /** Whether `provided` matches the session's CSRF token. */
+  checkCsrf(session, provided) {
+    return Boolean(session?.csrf && provided) && safeEqual(provided, session.csrf);
+  }
+
+  /** Options for `res.cookie()` / `res.clearCookie()`. */
+  cookieOptions({ secure }) {
+    return {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: Boolean(secure),
+      path: "/setup",
+      maxAge: this._opts.ttlMs,
+    };
+  }
+
+  _mac(body) {
+    return crypto.createHmac("sha256", this._key).update(body).digest("base64url");
+  }
+
+  _sign(session) {
+    const body = Buffer.from(JSON.stringify(session), "utf8").toString("base64url");
+    return `${body}.${this._mac(body)}`;
+  }
+}
+
+/**
+ * Only same-app paths are allowed as a post-login redirect, so the login
+ * form can't be turned into an open redirect.
+ */
+export function safeNextPath(raw) {
+  const next = String(raw || "");
+  if (!next.startsWith("/setup") || next.startsWith("//") || /[\\\r\n]/.test(next)) return "/setup";
+  if (next.startsWith("/setup/login")) return "/setup";
+  return next;
+}
+
+/** The /setup/login form. */
+export function renderLoginPage({ error = "", next = "/setup", username = "" } = {}) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>OpenClaw Setup — Sign in</title>
+  <style>
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem; max-width: 420px; }
+    .card { border: 1px solid #ddd; border-radius: 12px; padding: 1.25rem; margin: 1rem 0; }
+    label { display:block; margin-top: 0.75rem; font-weight: 600; }
+    input { width: 100%; padding: 0.6rem; margin-top: 0.25rem; box-sizing: border-box; }
+    button { margin-top: 1rem; padding: 0.8rem 1.2rem; border-radius: 10px; border: 0; background: #111; color: #fff; font-weight: 700; cursor: pointer; }
+    .error { color: #b91c1c; }
+    .muted { color: #555; font-weight: 400; }
+  </style>
+</head>
+<body>
+  <h1>OpenClaw Setup</h1>
+  <form class="card" method="post" action="/setup/login">
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+    <input type="hidden" name="next" value="${escapeHtml(next)}" />
+    <label for="username">Username</label>
+    <input id="username" name="username" autocomplete="username" placeholder="admin" value="${escapeHtml(username)}" />
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" autofocus required />
+    <label for="code">Authentication code <span class="muted">(if two-factor is on)</span></label>
+    <input id="code" name="code" autocomplete="one-time-code" placeholder="123456 or a recovery code" />
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
@@ -0,0 +1,167 @@
+/**
+ * setup-users.js — named /setup users with roles, stored in the state dir.
+ *
+ * Roles are ordered; each includes everything below it:
+ *
+ *   viewer    status, debug, health, logs
+ *   operator  + console commands, device/pairing approval, gateway restart, jobs
+ *   admin     + config editor, onboarding, import/export, reset, Railway OAuth, users
+ *
+ * Passwords are stored as scrypt hashes.  The built-in "admin" account
+ * (SETUP_PASSWORD) lives outside this file and can't be shadowed by it.
+ */
+
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+
+import { JsonFile } from "./json-file.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["viewer", "operator", "admin"];
+
+export const RESERVED_USERNAME = "admin";
+
+const USERNAME = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLen: 32 };
+
+/** Whether `role` grants at least `required`. */
+export function roleAtLeast(role, required) {
+  const have = ROLES.indexOf(role);
+  return have >= 0 && have >= ROLES.indexOf(required);
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, SCRYPT.keyLen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64url"), key.toString("base64url")].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [kind, n, r, p, salt, hash] = String(stored || "").split("$");
+  if (kind !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const key = await scrypt(String(password), Buffer.from(salt, "base64url"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Verified against when the username is unknown, so a miss costs as much
+// as a wrong password and doesn't reveal which usernames exist.
+let dummyHash = null;
+
+export class UserStore {
+  /** @param {{ file: string }} opts */
+  constructor(opts) {
+    this._store = new JsonFile({ file: opts.file, tag: "users" });
+    this._users = new Map(); // username → record
+    this._load();
+  }
+
+  /** Public view of every user (no hashes). */
+  list() {
+    return [...this._users.values()].map((u) => this._view(u));
+  }
+
+  get(username) {
+    const user = this._users.get(String(username || "").toLowerCase());
+    return user ? this._view(user) : null;
+  }
+
+  async create({ username, password, role }) {
+    const name = this._validateUsername(username);
+    if (this._users.has(name)) throw new Error(`User already exists: ${name}`);
+    this._validateRole(role);
+    this._validatePassword(password);
+    const now = new Date().toISOString();
+    const user = {
+      username: name,
+      role,
+      passwordHash: await hashPassword(password),
+      // Bumped on password change; sessions carry it, so old ones stop working.
+      passwordVersion: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._users.set(name, user);
+    this._save();
+    return this._view(user);
+  }
+
+  /** Change role and/or password. Returns null for an unknown user. */
+  async update(username, { password, role } = {}) {
+    const user = this._users.get(String(username || "").toLowerCase());
+    if (!user) return null;
+    if (role !== undefined) this._validateRole(role);
+    if (password !== undefined) this._validatePassword(password);
+
+    if (password !== undefined) {
+      user.passwordHash = await hashPassword(password);
+      user.passwordVersion++;
+    }
+    if (role !== undefined) user.role = role;
+    user.updatedAt = new Date().toISOString();
+    this._save();
+    return this._view(user);
+  }
+
+  remove(username) {
+    if (!this._users.delete(String(username || "").toLowerCase())) return false;
+    this._save();
+    return true;
+  }
+
+  /** Check a password; resolves to the user's public view or null. */
+  async verify(username, password) {
+    const user = this._users.get(String(username || "").toLowerCase());
+    if (!user) {
+      dummyHash ??= await hashPassword(crypto.randomBytes(16).toString("hex"));
+      await verifyPassword(password, dummyHash);
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? this._view(user) : null;
+  }
+
+  // --- Internal ---
+
+  _view(user) {
+    const { passwordHash: _hash, ...rest } = user;
+    return rest;
+  }
+
+  _validateUsername(username) {
+    const name = String(username ?? "").trim().toLowerCase();
+    if (!USERNAME.test(name)) {
+      throw new Error("username must be 2-32 characters: lowercase letters, digits, '.', '_' or '-'");
+    }
+    if (name === RESERVED_USERNAME) throw new Error(`"${RESERVED_USERNAME}" is reserved for the SETUP_PASSWORD login`);
+    return name;
+  }
+
+  _validateRole(role) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  _validatePassword(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  _load() {
+    const users = this._store.valid(this._store.read()?.users || [], (user) =>
+      !user?.username || !ROLES.includes(user.role) || !user.passwordHash
+        ? `invalid user entry ${user?.username || "(unnamed)"}`
+        : null,
+    );
+    for (const user of users) this._users.set(user.username, { passwordVersion: 1, ...user });
+  }
+
+  _save() {
+    this._store.write({ version: 1, users: [...this._users.values()] });
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * sidecars.js — manifest-driven sidecar services.
+ *
+ * Sidecars are declared in config/services.json. A services.json in the
+ * state dir overrides it field by field per service, and can add new
+ * services or switch one off with `"enabled": false`.  Each entry:
+ *
+ *   command, args, cwd       what to run (relative paths resolve against the app dir)
+ *   port                     where it listens
+ *   health                   { path?, timeoutMs? }: HTTP GET `path` must return 2xx,
+ *                            or without a path the port only has to accept TCP
+ *   envAllow                 names copied from the wrapper's environment (if set)
+ *   env                      extra variables (templated)
+ *   requires                 { paths?, commands?, env? }: skip the service unless all are present
+ *   tailscalePath            `tailscale serve --set-path` mount once healthy
+ *   dependsOn                started after (and stopped before) these services;
+ *                            non-manifest names such as "gateway" must be
+ *                            reported ready by the caller
+ *   restart                  supervisor restart policy (default "always")
+ *
+ * String values may reference `${NAME}` variables supplied by the wrapper
+ * (ports, paths, the active gateway port); they are expanded at spawn time.
+ */
+
+import childProcess from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const SERVICE_NAME = /^[a-z0-9][a-z0-9-]{0,40}$/;
+const FIELDS = new Set([
+  "description", "enabled", "command", "args", "cwd", "port", "health", "envAllow", "env",
+  "requires", "tailscalePath", "dependsOn", "restart",
+]);
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function validateService(name, def) {
+  if (!SERVICE_NAME.test(name)) throw new Error(`Invalid service name: ${name}`);
+  if (!def || typeof def !== "object" || Array.isArray(def)) throw new Error(`${name}: must be an object`);
+  for (const key of Object.keys(def)) {
+    if (!FIELDS.has(key)) throw new Error(`${name}: unknown field "${key}"`);
+  }
+  if (def.enabled === false) return;
+  if (typeof def.command !== "string" || !def.command) throw new Error(`${name}: command is required`);
+  const stringArray = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+  if (def.args != null && !stringArray(def.args)) throw new Error(`${name}: args must be an array of strings`);
+  if (def.envAllow != null && !stringArray(def.envAllow)) throw new Error(`${name}: envAllow must be an array of strings`);
+  if (def.dependsOn != null && !stringArray(def.dependsOn)) throw new Error(`${name}: dependsOn must be an array of strings`);
+  if (def.env != null && (typeof def.env !== "object" || Object.values(def.env).some((v) => typeof v !== "string"))) {
+    throw new Error(`${name}: env must map names to strings`);
+  }
+  if (def.tailscalePath != null && !/^\/[A-Za-z0-9/_-]*$/.test(def.tailscalePath)) {
+    throw new Error(`${name}: tailscalePath must look like /path`);
+  }
+  if (def.tailscalePath && def.port == null) throw new Error(`${name}: tailscalePath needs a port`);
+}
+
+/**
+ * Load the base manifest and merge the optional override on top.
+ * Throws if the result is invalid.
+ *
+ * @param {{ baseFile: string, overrideFile?: string }} opts
+ * @returns {{ services: Record<string, object>, sources: string[] }}
+ */
+export function loadManifest({ baseFile, overrideFile }) {
+  const base = readJson(baseFile);
+  const services = { ...(base.services || {}) };
+  const sources = [baseFile];
+
+  if (overrideFile && fs.existsSync(overrideFile)) {
+    const override = readJson(overrideFile);
+    for (const [name, def] of Object.entries(override.services || {})) {
+      services[name] = { ...(services[name] || {}), ...def };
+    }
+    sources.push(overrideFile);
+  }
+
+  for (const [name, def] of Object.entries(services)) validateService(name, def);
+  return { services, sources };
+}
+
+/**
+ * Replace `${NAME}` placeholders. Unknown names are an error so a typo in
+ * the manifest fails loudly instead of passing an empty string along.
+ */
+export function expandTemplate(value, vars) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, key) => {
+    if (vars[key] == null) throw new Error(`Unknown variable \${${key}}`);
+    return String(vars[key]);
+  });
+}
+
+function commandExists(cmd) {
+  if (cmd.includes("/")) return fs.existsSync(cmd);
+  return (process.env.PATH || "").split(path.delimiter).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, cmd), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+function canConnect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: "127.0.0.1", port });
+    const done = (ok) => {
+      socket.destroy();
+      resolve(ok);
+    };
+    socket.setTimeout(1000, () => done(false));
+    socket.once("connect", () => done(true));
+    socket.once("error", () => done(false));
+  });
+}
+
+export class Sidecars {
+  /**
+   * @param {{
+   *   manifest: { services: Record<string, object>, sources: string[] },
+   *   supervisor: import("./supervisor.js").Supervisor,
+   *   vars: () => Record<string, string | number>,
+   *   appDir: string,
+   *   stdio: any[],
+   *   expose?: (name: string, mountPath: string, port: number) => Promise<boolean>,
+   *   isExternalReady?: (name: string) => boolean,
+   * }} opts
+   *   `isExternalReady(dep)` answers for dependsOn names outside the manifest
+   *   (e.g. "gateway"); services waiting on one are skipped until it says yes.
+   */
+  constructor(opts) {
+    this._opts = opts;
+    this._status = new Map(); // name → { health, skipped, exposed, lastError }
+    this._starting = new Map(); // name → Promise<boolean>
+
+    for (const [name, def] of Object.entries(opts.manifest.services)) {
+      this._status.set(name, { enabled: def.enabled !== false, health: "idle", skipped: null, exposed: false, lastError: null });
+      if (def.enabled === false) continue;
+      opts.supervisor.register(name, {
+        restart: def.restart || "always",
+        dependsOn: def.dependsOn || [],
+        spawn: () => this._spawn(name),
+      });
+    }
+    // After a supervisor restart, probe health again (and re-expose).
+    opts.supervisor.on("exit", (name) => {
+      const st = this._status.get(name);
+      if (st && st.health !== "idle") st.health = "down";
+    });
+    opts.supervisor.on("start", (name) => {
+      if (this._status.get(name)?.health !== "down") return;
+      this.start(name).catch((err) => console.error(`[${name}] health probe failed: ${String(err)}`));
+    });
+  }
+
+  names() {
+    return [...this._status.keys()];
+  }
+
+  /** Manifest files in effect, base first. */
+  sources() {
+    return [...this._opts.manifest.sources];
+  }
+
+  has(name) {
+    return this._status.has(name);
+  }
+
+  /** The resolved port for a service (templated at call time), or null. */
+  port(name) {
+    const def = this._opts.manifest.services[name];
+    if (!def || def.port == null) return null;
+    return Number(expandTemplate(def.port, this._opts.vars()));
+  }
+
+  /**
+   * Start every enabled service whose dependencies are satisfied; manifest
+   * dependencies are started (and waited on) first.  Safe to call again
+   * later, e.g. once the gateway is up — healthy services are left alone.
+   */
+  async startAll() {
+    const names = Object.entries(this._opts.manifest.services)
+      .filter(([, def]) => def.enabled !== false)
+      .map(([name]) => name);
+    await Promise.all(names.map((name) => this.start(name).catch((err) => {
+      console.error(`[${name}] start failed: ${String(err)}`);
+    })));
+  }
+
+  /**
+   * Start one service (after its dependencies) and wait until it is healthy.
+   * Resolves false if it was skipped or never became healthy.
+   */
+  start(name) {
+    if (this._starting.has(name)) return this._starting.get(name);
+    const p = this._start(name).finally(() => this._starting.delete(name));
+    this._starting.set(name, p);
+    return p;
+  }
+
+  status() {
+    const out = {};
+    for (const [name, st] of this._status) {
+      let port = null;
+      try {
+        port = this.port(name);
+      } catch {
+        // unresolved template — reported via lastError on start
+      }
+      out[name] = { ...st, port, tailscalePath: this._opts.manifest.services[name].tailscalePath || null };
+    }
+    return out;
+  }
+
+  // --- Internal ---
+
+  async _start(name) {
+    const def = this._opts.manifest.services[name];
+    const st = this._status.get(name);
+    if (!def || def.enabled === false) return false;
+    const { supervisor } = this._opts;
+    if (supervisor.isRunning(name) && st.health === "healthy") return true;
+
+    for (const dep of def.dependsOn || []) {
+      if (this.has(dep)) {
+        if (!(await this.start(dep))) {
+          const reason = `dependency ${dep} is not available`;
+          if (st.skipped !== reason) console.log(`[${name}] skipping — ${reason}`);
+          st.skipped = reason;
+          return false;
+        }
+      } else if (!this._opts.isExternalReady?.(dep)) {
+        st.skipped = `waiting for ${dep}`;
+        return false;
+      }
+    }
+
+    const missing = this._missingRequirement(def);
+    if (missing) {
+      if (st.skipped !== missing) console.log(`[${name}] skipping — ${missing}`);
+      st.skipped = missing;
+      return false;
+    }
+    st.skipped = null;
+    st.health = "starting";
+
+    if (!supervisor.isRunning(name)) {
+      let port = "";
+      try {
+        port = this.port(name) ?? "";
+      } catch {
+        // surfaces again from spawn
+      }
+      console.log(`[${name}] starting${port ? ` on :${port}` : ""}...`);
+      if (!supervisor.start(name)) {
+        st.health = "down";
+        return false;
+      }
+    }
+
+    const healthy = await this._waitHealthy(name, def);
+    st.health = healthy ? "healthy" : "unhealthy";
+    if (!healthy) {
+      console.error(`[${name}] gave up waiting for ${name} to become ready`);
+      return false;
+    }
+
+    if (def.tailscalePath && this._opts.expose && !st.exposed) {
+      try {
+        st.exposed = await this._opts.expose(name, def.tailscalePath, this.port(name));
+      } catch (err) {
+        console.error(`[${name}] tailscale expose failed: ${String(err)}`);
+      }
+    }
+    return true;
+  }
+
+  _missingRequirement(def) {
+    const req = def.requires || {};
+    for (const p of req.paths || []) {
+      if (!fs.existsSync(path.resolve(this._opts.appDir, p))) return `${p} not found`;
+    }
+    for (const cmd of req.commands || []) {
+      if (!commandExists(cmd)) return `${cmd} not found on PATH`;
+    }
+    const unset = (req.env || []).filter((k) => !process.env[k]?.trim());
+    if (unset.length) return `${unset.join(" / ")} not set`;
+    return null;
+  }
+
+  async _waitHealthy(name, def) {
+    const port = this.port(name);
+    if (port == null) return true;
+    const timeoutMs = def.health?.timeoutMs ?? 30_000;
+    const deadline = Date.now() + timeoutMs;
+    const url = def.health?.path != null ? `http://127.0.0.1:${port}${def.health.path}` : null;
+
+    while (Date.now() < deadline) {
+      await sleep(500);
+      if (!this._opts.supervisor.isRunning(name)) return false; // died; supervisor handles restarts
+      if (url) {
+        try {
+          const r = await fetch(url, { signal: AbortSignal.timeout(2000) });
+          if (r.ok) return true;
+        } catch {
+          // not ready yet
+        }
+      } else if (await canConnect(port)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _spawn(name) {
+    const def = this._opts.manifest.services[name];
+    const st = this._status.get(name);
+    const vars = this._opts.vars();
+    try {
+      const env = {};
+      for (const key of def.envAllow || []) {
+        if (process.env[key] != null) env[key] = process.env[key];
+      }
+      for (const [key, value] of Object.entries(def.env || {})) env[key] = expandTemplate(value, vars);
+      const args = (def.args || []).map((a) => expandTemplate(a, vars));
+      const cwd = def.cwd ? path.resolve(this._opts.appDir, expandTemplate(def.cwd, vars)) : this._opts.appDir;
+      st.lastError = null;
+      return childProcess.spawn(expandTemplate(def.command, vars), args, { stdio: this._opts.stdio, cwd, env });
+    } catch (err) {
+      st.lastError = String(err.message || err);
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * supervisor.js — owns the wrapper's long-running child processes.
+ *
+ * Every sidecar (gateway, Tailscale, Quartz, SilverBullet, the vault auth
+ * proxy, the monitor) is registered here with a restart policy:
+ *
+ *   always      — restart after any exit we didn't ask for
+ *   on-failure  — restart only after a non-zero exit code or a signal
+ *   never       — leave it stopped
+ *
+ * Restarts back off exponentially (1s → 60s); the backoff resets once a
+ * process has stayed up for a while.  If a service needs more than
+ * `crashMaxRestarts` restarts inside `crashWindowMs` it is flagged as
+ * crash-looping and left stopped until something starts it explicitly.
+ *
+ * Services may declare `dependsOn`; stopAll() uses it to stop dependents
+ * before the services they rely on.
+ *
+ * adopt() hands a service over to a process started outside the supervisor
+ * (blue/green restarts): the old process is detached and returned so the
+ * caller can drain it and terminate() it.
+ */
+
+import { EventEmitter } from "node:events";
+
+export const RESTART_POLICIES = new Set(["always", "on-failure", "never"]);
+
+const DEFAULTS = {
+  backoffBaseMs: 1000,
+  backoffMaxMs: 60_000,
+  // Uptime after which a process counts as healthy again (backoff resets).
+  stableMs: 60_000,
+  crashWindowMs: 5 * 60_000,
+  crashMaxRestarts: 5,
+  stopTimeoutMs: 10_000,
+};
+
+export class Supervisor extends EventEmitter {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [opts]
+   */
+  constructor(opts = {}) {
+    super();
+    this._opts = { ...DEFAULTS, ...opts };
+    this._services = new Map();
+  }
+
+  /**
+   * Register a service. `def.spawn()` must return a ChildProcess, or null
+   * when the service cannot run right now (e.g. not configured).
+   *
+   * @param {string} name
+   * @param {{
+   *   spawn: () => import("node:child_process").ChildProcess | null,
+   *   restart?: "always" | "on-failure" | "never",
+   *   dependsOn?: string[],
+   *   onExit?: (code: number | null, signal: string | null) => void,
+   *   onError?: (err: Error) => void,
+   * }} def
+   */
+  register(name, def) {
+    if (this._services.has(name)) throw new Error(`Service already registered: ${name}`);
+    const restart = def.restart || "on-failure";
+    if (!RESTART_POLICIES.has(restart)) {
+      throw new Error(`Invalid restart policy for ${name}: ${restart}`);
+    }
+    const dependsOn = def.dependsOn || [];
+    if (!Array.isArray(dependsOn)) throw new Error(`dependsOn for ${name} must be an array`);
+    this._services.set(name, {
+      name,
+      def: { ...def, restart, dependsOn },
+      proc: null,
+      state: "idle",
+      stopping: false,
+      restarts: 0,
+      consecutiveFailures: 0,
+      failureTimes: [],
+      crashLoop: false,
+      lastStartAt: null,
+      lastExit: null,
+      restartTimer: null,
+      nextRestartAt: null,
+    });
+  }
+
+  has(name) {
+    return this._services.has(name);
+  }
+
+  /** @returns {import("node:child_process").ChildProcess | null} */
+  get(name) {
+    return this._service(name).proc;
+  }
+
+  isRunning(name) {
+    return Boolean(this._services.get(name)?.proc);
+  }
+
+  isCrashLooping(name) {
+    return Boolean(this._services.get(name)?.crashLoop);
+  }
+
+  /**
+   * Start a service now, cancelling any pending restart. Failure history is
+   * kept (so callers that start on demand can't mask a crash loop) unless
+   * the service was already flagged — then this is the "I fixed it, try
+   * again" button and the slate is wiped.
+   */
+  start(name) {
+    const svc = this._service(name);
+    if (svc.proc) return svc.proc;
+    this._clearRestartTimer(svc);
+    if (svc.crashLoop) {
+      svc.crashLoop = false;
+      svc.failureTimes = [];
+      svc.consecutiveFailures = 0;
+    }
+    return this._spawn(svc);
+  }
+
+  /**
+   * Stop a service and wait for it to exit. Sends SIGTERM, then SIGKILL if
+   * the process is still alive after `timeoutMs`. The exit is treated as
+   * intentional, so the restart policy does not kick in.
+   */
+  stop(name, opts = {}) {
+    const svc = this._service(name);
+    const timeoutMs = opts.timeoutMs ?? this._opts.stopTimeoutMs;
+    this._clearRestartTimer(svc);
+
+    const proc = svc.proc;
+    if (!proc) {
+      if (svc.state === "backoff") svc.state = "stopped";
+      return Promise.resolve();
+    }
+
+    svc.stopping = true;
+    return terminate(proc, { name, timeoutMs });
+  }
+
+  /**
+   * Make `proc` the running process of service `name` without a restart in
+   * between. The previous process (if any) is detached — its exit no longer
+   * counts against the restart policy — and returned for the caller to
+   * stop. Emits "handoff" (name, proc, previous).
+   */
+  adopt(name, proc) {
+    const svc = this._service(name);
+    const previous = svc.proc;
+    this._clearRestartTimer(svc);
+    this._track(svc, proc);
+    this.emit("handoff", name, proc, previous);
+    return previous;
+  }
+
+  async restart(name, opts = {}) {
+    await this.stop(name, opts);
+    return this.start(name);
+  }
+
+  /**
+   * Stop every service, dependents before the services they depend on.
+   * Services in the same tier stop in parallel. Resolves with how long each
+   * running service took to exit, keyed by name.
+   */
+  async stopAll(opts = {}) {
+    const timings = {};
+    for (const tier of this.stopTiers()) {
+      await Promise.all(tier.map(async (name) => {
+        if (!this.isRunning(name)) {
+          await this.stop(name, opts); // still cancels a pending restart
+          return;
+        }
+        const started = Date.now();
+        await this.stop(name, opts);
+        timings[name] = Date.now() - started;
+      }));
+    }
+    return timings;
+  }
+
+  /**
+   * Group services into stop tiers: a service lands in a tier once nothing
+   * that depends on it is left. A dependency cycle ends up in one last tier.
+   * @returns {string[][]}
+   */
+  stopTiers() {
+    const remaining = new Set(this._services.keys());
+    const tiers = [];
+    while (remaining.size) {
+      const tier = [...remaining].filter((name) =>
+        ![...remaining].some((other) => this._services.get(other).def.dependsOn.includes(name)),
+      );
+      if (!tier.length) {
+        tiers.push([...remaining]);
+        break;
+      }
+      tiers.push(tier);
+      for (const name of tier) remaining.delete(name);
+    }
+    return tiers;
+  }
+
+  /**
+   * Snapshot of one service, or of all services keyed by name.
+   */
+  status(name) {
+    if (name) return this._snapshot(this._service(name));
+    const out = {};
+    for (const svc of this._services.values()) out[svc.name] = this._snapshot(svc);
+    return out;
+  }
+
+  // --- Internal ---
+
+  _service(name) {
+    const svc = this._services.get(name);
+    if (!svc) throw new Error(`Unknown service: ${name}`);
+    return svc;
+  }
+
+  _snapshot(svc) {
+    return {
+      state: svc.state,
+      pid: svc.proc?.pid ?? null,
+      restartPolicy: svc.def.restart,
+      dependsOn: svc.def.dependsOn,
+      restarts: svc.restarts,
+      crashLoop: svc.crashLoop,
+      startedAt: svc.lastStartAt ? new Date(svc.lastStartAt).toISOString() : null,
+      lastExit: svc.lastExit,
+      nextRestartAt: svc.nextRestartAt ? new Date(svc.nextRestartAt).toISOString() : null,
+    };
+  }
+
+  _spawn(svc) {
+    let proc;
+    try {
+      proc = svc.def.spawn();
+    } catch (err) {
+      console.error(`[${svc.name}] spawn error: ${String(err)}`);
+      svc.def.onError?.(err);
+      this._handleExit(svc, null, null, null, err);
+      return null;
+    }
+    if (!proc) {
+      svc.state = "stopped";
+      return null;
+    }
+
+    this._track(svc, proc);
+    this.emit("start", svc.name, proc);
+    return proc;
+  }
+
+  _track(svc, proc) {
+    svc.proc = proc;
+    svc.state = "running";
+    svc.stopping = false;
+    svc.lastStartAt = Date.now();
+
+    proc.on("error", (err) => {
+      console.error(`[${svc.name}] spawn error: ${String(err)}`);
+      svc.def.onError?.(err);
+      // A process that never spawned emits "error" but no "exit".
+      if (proc.pid === undefined) this._handleExit(svc, proc, null, null, err);
+    });
+    proc.on("exit", (code, signal) => this._handleExit(svc, proc, code, signal));
+  }
+
+  _handleExit(svc, proc, code, signal, err) {
+    if (proc && svc.proc !== proc) return; // stale handle (already replaced)
+    svc.proc = null;
+
+    const now = Date.now();
+    if (!err) {
+      console.error(`[${svc.name}] exited code=${code} signal=${signal}`);
+      svc.lastExit = { code, signal, at: new Date(now).toISOString() };
+      svc.def.onExit?.(code, signal);
+    } else {
+      svc.lastExit = { code: null, signal: null, error: String(err), at: new Date(now).toISOString() };
+    }
+    this.emit("exit", svc.name, code, signal);
+
+    if (svc.stopping) {
+      svc.stopping = false;
+      svc.state = "stopped";
+      return;
+    }
+
+    const failed = Boolean(err) || code !== 0 || signal != null;
+    const policy = svc.def.restart;
+    if (policy === "never" || (policy === "on-failure" && !failed)) {
+      svc.state = "stopped";
+      return;
+    }
+
+    if (svc.lastStartAt && now - svc.lastStartAt >= this._opts.stableMs) {
+      svc.consecutiveFailures = 0;
+    }
+    svc.consecutiveFailures++;
+    svc.failureTimes = svc.failureTimes.filter((t) => now - t < this._opts.crashWindowMs);
+    svc.failureTimes.push(now);
+
+    if (svc.failureTimes.length > this._opts.crashMaxRestarts) {
+      svc.state = "crash-loop";
+      svc.crashLoop = true;
+      console.error(
+        `[${svc.name}] crash loop detected (${svc.failureTimes.length} exits in ` +
+          `${Math.round(this._opts.crashWindowMs / 1000)}s) — giving up until restarted manually`,
+      );
+      this.emit("crash-loop", svc.name);
+      return;
+    }
+
+    const delay = Math.min(
+      this._opts.backoffBaseMs * 2 ** (svc.consecutiveFailures - 1),
+      this._opts.backoffMaxMs,
+    );
+    svc.state = "backoff";
+    svc.nextRestartAt = now + delay;
+    console.error(`[${svc.name}] restarting in ${delay}ms (policy=${policy})`);
+
+    svc.restartTimer = setTimeout(() => {
+      svc.restartTimer = null;
+      svc.nextRestartAt = null;
+      svc.restarts++;
+      this._spawn(svc);
+    }, delay);
+  }
+
+  _clearRestartTimer(svc) {
+    if (svc.restartTimer) {
+      clearTimeout(svc.restartTimer);
+      svc.restartTimer = null;
+    }
+    svc.nextRestartAt = null;
+  }
+}
+
+/**
+ * SIGTERM a process, then SIGKILL if it is still alive after `timeoutMs`.
+ * Resolves once it has exited.
+ *
+ * @param {import("node:child_process").ChildProcess} proc
+ * @param {{ name?: string, timeoutMs?: number }} [opts]
+ */
+export function terminate(proc, opts = {}) {
+  const name = opts.name || `pid ${proc.pid}`;
+  const timeoutMs = opts.timeoutMs ?? DEFAULTS.stopTimeoutMs;
+  if (proc.exitCode !== null || proc.signalCode !== null) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const killTimer = setTimeout(() => {
+      console.error(`[${name}] did not exit within ${timeoutMs}ms; sending SIGKILL`);
+      try { proc.kill("SIGKILL"); } catch {}
+    }, timeoutMs);
+    proc.once("exit", () => {
+      clearTimeout(killTimer);
+      resolve();
+    });
+    try {
+      proc.kill("SIGTERM");
+    } catch {
+      // ignore — the exit handler still runs if the process is gone
+    }
+  });
+}
@@ -0,0 +1,215 @@
+/**
+ * two-factor.js — TOTP second factor for /setup logins (RFC 6238).
+ *
+ * Enrollment is two-step: begin() stores a pending secret, and confirm()
+ * turns it on once the user proves their authenticator app produces
+ * matching codes.  Confirming also issues single-use recovery codes,
+ * which are shown once and stored only as hashes.
+ *
+ * Codes are SHA-1, 6 digits, 30-second steps (what every authenticator app
+ * defaults to), accepted one step either side for clock drift.  A code
+ * can't be used twice: each user's last accepted step is remembered.
+ *
+ * State lives in one JSON file in the state dir, keyed by username.  The
+ * file holds the TOTP secrets, so the wrapper reads and writes it through
+ * its SecretBox, and an unreadable file is an error rather than an empty
+ * store: silently loading none would turn 2FA off for everyone.
+ */
+
+import crypto from "node:crypto";
+
+import { JsonFile } from "./json-file.js";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODES = 10;
+
+export function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) throw new Error(`Invalid base32 character: ${ch}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** The TOTP code for `secret` (base32) at time `now` (ms). */
+export function totpCode(secret, now = Date.now()) {
+  return hotp(base32Decode(secret), Math.floor(now / 1000 / STEP_SECONDS));
+}
+
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * The time step `code` matches (within ±`window` steps of now), or null.
+ * Steps at or before `afterStep` are refused so a code can't be replayed.
+ */
+export function matchTotp(secret, code, { now = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const given = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(given)) return null;
+  const key = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+/** otpauth:// URI for authenticator apps (what the QR code encodes). */
+export function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function generateRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z2-7]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+export class TwoFactorStore {
+  /**
+   * @param {{ file: string, io?: { readFile(file: string): string | null, writeFile(file: string, text: string): void } }} opts
+   *   io: how the file is read and written (plain files by default; a SecretBox to seal it).
+   */
+  constructor(opts) {
+    this._store = new JsonFile({ file: opts.file, tag: "2fa", io: opts.io, strict: true });
+    this._users = new Map(); // username → { secret, pendingSecret, enabledAt, lastStep, recoveryCodes: string[] }
+    this._load();
+  }
+
+  isEnabled(username) {
+    return Boolean(this._users.get(username)?.enabledAt);
+  }
+
+  /** What /setup shows; never includes the secret. */
+  status(username) {
+    const st = this._users.get(username);
+    return {
+      enabled: Boolean(st?.enabledAt),
+      enabledAt: st?.enabledAt ?? null,
+      pending: Boolean(st?.pendingSecret),
+      recoveryCodesLeft: st?.enabledAt ? st.recoveryCodes.length : 0,
+    };
+  }
+
+  /** Start (or restart) enrollment. Returns the new secret; nothing is enforced yet. */
+  begin(username) {
+    if (this.isEnabled(username)) throw new Error("Two-factor authentication is already on; turn it off first");
+    const secret = base32Encode(crypto.randomBytes(20));
+    this._users.set(username, { ...this._users.get(username), pendingSecret: secret });
+    this._save();
+    return secret;
+  }
+
+  /** Finish enrollment with a code from the app. Returns the recovery codes (shown once). */
+  confirm(username, code, now = Date.now()) {
+    const st = this._users.get(username);
+    if (!st?.pendingSecret) throw new Error("No enrollment in progress; start again");
+    const step = matchTotp(st.pendingSecret, code, { now });
+    if (step == null) throw new Error("That code doesn't match; check the time on your device and try again");
+    const codes = Array.from({ length: RECOVERY_CODES }, generateRecoveryCode);
+    this._users.set(username, {
+      secret: st.pendingSecret,
+      enabledAt: new Date(now).toISOString(),
+      lastStep: step,
+      recoveryCodes: codes.map(hashRecoveryCode),
+    });
+    this._save();
+    return codes;
+  }
+
+  /**
+   * Check a login code: a TOTP code, or failing that a recovery code
+   * (which is used up).  Returns "totp", "recovery" or null.
+   */
+  verify(username, code, now = Date.now()) {
+    const st = this._users.get(username);
+    if (!st?.enabledAt) return null;
+    const step = matchTotp(st.secret, code, { now, afterStep: st.lastStep ?? -1 });
+    if (step != null) {
+      st.lastStep = step;
+      this._save();
+      return "totp";
+    }
+    const idx = st.recoveryCodes.indexOf(hashRecoveryCode(code ?? ""));
+    if (idx >= 0 && String(code).trim()) {
+      st.recoveryCodes.splice(idx, 1);
+      this._save();
+      return "recovery";
+    }
+    return null;
+  }
+
+  /** Replace the recovery codes; returns the new ones. */
+  regenerateRecoveryCodes(username) {
+    const st = this._users.get(username);
+    if (!st?.enabledAt) throw new Error("Two-factor authentication is not on");
+    const codes = Array.from({ length: RECOVERY_CODES }, generateRecoveryCode);
+    st.recoveryCodes = codes.map(hashRecoveryCode);
+    this._save();
+    return codes;
+  }
+
+  /** Turn 2FA off (or drop a pending enrollment). Returns whether anything changed. */
+  remove(username) {
+    if (!this._users.delete(username)) return false;
+    this._save();
+    return true;
+  }
+
+  // --- Internal ---
+
+  _load() {
+    const entries = this._store.valid(Object.entries(this._store.read()?.users || {}), ([username, st]) =>
+      st?.enabledAt && !st.secret ? `invalid entry for ${username}` : null,
+    );
+    for (const [username, st] of entries) {
+      this._users.set(username, { ...st, recoveryCodes: Array.isArray(st?.recoveryCodes) ? st.recoveryCodes : [] });
+    }
+  }
+
+  _save() {
+    this._store.write({ version: 1, users: Object.fromEntries(this._users) });
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * waiting-room.js — what clients see while the gateway is still booting.
+ *
+ * Browsers get a small self-refreshing status page; everything else gets
+ * JSON (see server.js).  Both carry a Retry-After header.
+ */
+
+import { READINESS_STAGES } from "./gateway-readiness.js";
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/**
+ * @param {{
+ *   stage: string,
+ *   state?: string,
+ *   lastError?: string | null,
+ *   retryAfterSec: number,
+ * }} info
+ */
+export function renderWaitingRoom({ stage, state, lastError, retryAfterSec }) {
+  const reached = READINESS_STAGES.indexOf(stage);
+  const steps = READINESS_STAGES.slice(1)
+    .map((name, i) => {
+      const idx = i + 1;
+      const mark = idx <= reached ? "✓" : idx === reached + 1 ? "…" : "·";
+      const cls = idx <= reached ? "done" : idx === reached + 1 ? "current" : "";
+      return `<li${cls ? ` class="${cls}"` : ""}>${mark} ${escapeHtml(name)}</li>`;
+    })
+    .join("\n      ");
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta http-equiv="refresh" content="${Number(retryAfterSec) || 5}" />
+  <title>OpenClaw is starting…</title>
+  <style>
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial; margin: 2rem; max-width: 640px; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 0.2rem 0; color: #999; }
+    li.done { color: #111; }
+    li.current { color: #111; font-weight: 700; }
+    pre { white-space: pre-wrap; background: #f6f6f6; padding: 0.75rem; border-radius: 8px; }
+    .muted { color: #555; }
+  </style>
+</head>
+<body>
+  <h1>OpenClaw is starting…</h1>
+  <p class="muted">This page refreshes every ${Number(retryAfterSec) || 5}s and will load the app once the gateway is ready.</p>
+  <ul>
+      ${steps}
+  </ul>
+  ${state ? `<p class="muted">Gateway process: <code>${escapeHtml(state)}</code></p>` : ""}
+  ${lastError ? `<p><strong>Last error</strong></p>\n  <pre>${escapeHtml(lastError)}</pre>` : ""}
+  <p class="muted">Stuck? Check the Debug console in <a href="/setup">/setup</a> or <a href="/setup/api/debug">/setup/api/debug</a>.</p>
+</body>
+</html>
+`;
+}
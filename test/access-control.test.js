@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { classifyRequest, identityAllowed, parseIdentityAllowlist } from "../src/access-control.js";
+
+const OPTS = { tailnetPort: 9090, internalToken: "s3cret" };
+
+function req(remoteAddress, localPort, headers = {}) {
+  return { socket: { remoteAddress, localPort }, headers };
+}
+
+test("classifyRequest: tailnet listener, internal token, plain loopback, public", () => {
+  assert.deepEqual(classifyRequest(req("127.0.0.1", 9090, { "tailscale-user-login": "Ron@Example.com" }), OPTS), {
+    origin: "tailnet",
+    tailscaleUser: "ron@example.com",
+  });
+  // Tagged devices have no user header.
+  assert.deepEqual(classifyRequest(req("127.0.0.1", 9090), OPTS), { origin: "tailnet", tailscaleUser: null });
+
+  assert.equal(classifyRequest(req("::1", 8080, { "x-wrapper-internal-token": "s3cret" }), OPTS).origin, "internal");
+  assert.equal(classifyRequest(req("127.0.0.1", 8080, { "x-wrapper-internal-token": "wrong" }), OPTS).origin, "local");
+
+  // The identity header is ignored off the tailnet listener.
+  assert.deepEqual(classifyRequest(req("127.0.0.1", 8080, { "tailscale-user-login": "ron@example.com" }), OPTS), {
+    origin: "local",
+    tailscaleUser: null,
+  });
+
+  // A token sent from outside the container doesn't count.
+  assert.equal(classifyRequest(req("10.0.0.5", 8080, { "x-wrapper-internal-token": "s3cret" }), OPTS).origin, "public");
+
+  // Without Tailscale there is no tailnet listener.
+  assert.equal(classifyRequest(req("127.0.0.1", 9090), { ...OPTS, tailnetPort: null }).origin, "local");
+});
+
+test("identity allowlist: exact logins and @domain entries", () => {
+  const list = parseIdentityAllowlist(" Ron@Example.com, @corp.example ,, ");
+  assert.deepEqual(list, ["ron@example.com", "@corp.example"]);
+  assert.equal(identityAllowed(list, "ron@example.com"), true);
+  assert.equal(identityAllowed(list, "RON@example.com"), true);
+  assert.equal(identityAllowed(list, "ann@corp.example"), true);
+  assert.equal(identityAllowed(list, "ann@notcorp.example"), false);
+  assert.equal(identityAllowed(list, "eve@example.com"), false);
+  assert.equal(identityAllowed(list, null), false);
+  assert.equal(identityAllowed([], "ron@example.com"), false);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { ApiTokenStore, hasScope, validateScopes } from "../src/api-tokens.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+const COMMANDS = new Set(["openclaw.logs.tail", "gateway.restart"]);
+
+test("validateScopes accepts fixed scopes and console:<allowed command> only", () => {
+  assert.deepEqual(
+    validateScopes(["logs:read", "console:openclaw.logs.tail", "logs:read"], { consoleCommands: COMMANDS }),
+    ["logs:read", "console:openclaw.logs.tail"],
+  );
+  assert.throws(() => validateScopes(["console:rm -rf"], { consoleCommands: COMMANDS }), /Unknown scope/);
+  assert.throws(() => validateScopes(["admin"], { consoleCommands: COMMANDS }), /Unknown scope/);
+  assert.throws(() => validateScopes([], { consoleCommands: COMMANDS }), /non-empty/);
+  assert.throws(() => validateScopes("logs:read"), /non-empty array/);
+
+  assert.equal(hasScope(["debug:read"], "debug:read"), true);
+  assert.equal(hasScope(["debug:read"], "logs:read"), false);
+  assert.equal(hasScope(undefined, "logs:read"), false);
+});
+
+test("api tokens: create, verify, last-used, revoke; only a hash on disk", () => {
+  const file = tmpFile("api-tokens-test", "api-tokens.json");
+  const store = new ApiTokenStore({ file });
+  const { token, info } = store.create({ name: "monitor", scopes: ["debug:read"], createdBy: "admin" });
+
+  assert.match(token, /^ocs_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/);
+  assert.equal(info.secretHash, undefined);
+  assert.equal(info.lastUsedAt, null);
+  // The secret is base64url and may itself contain "_"; take everything after the id.
+  const secret = token.match(/^ocs_[0-9a-f]{12}_(.+)$/)[1];
+  assert.ok(!fs.readFileSync(file, "utf8").includes(secret));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const seen = store.verify(token, { ip: "10.0.0.1", now: 1_700_000_000_000 });
+  assert.equal(seen.name, "monitor");
+  assert.deepEqual(seen.scopes, ["debug:read"]);
+  assert.equal(seen.lastUsedIp, "10.0.0.1");
+
+  // Wrong secret for a real id, garbage, and a Basic-looking string all fail.
+  assert.equal(store.verify(`${token.slice(0, -1)}${token.endsWith("A") ? "B" : "A"}`), null);
+  assert.equal(store.verify("ocs_nope"), null);
+  assert.equal(store.verify(undefined), null);
+
+  assert.throws(() => store.create({ name: "monitor", scopes: ["logs:read"] }), /already exists/);
+  assert.throws(() => store.create({ name: "", scopes: ["logs:read"] }), /name must be/);
+
+  // Survives a reload, including last use.
+  const again = new ApiTokenStore({ file });
+  assert.equal(again.list()[0].lastUsedIp, "10.0.0.1");
+  assert.equal(again.verify(token).name, "monitor");
+
+  assert.equal(again.revoke(info.id), true);
+  assert.equal(again.verify(token), null);
+  assert.equal(again.revoke(info.id), false);
+});
+
+test("api tokens: expiry", () => {
+  const store = new ApiTokenStore({ file: tmpFile("api-tokens-test", "api-tokens.json") });
+  const { token } = store.create({ name: "short", scopes: ["logs:read"], expiresAt: "2030-01-01T00:00:00Z" });
+  assert.ok(store.verify(token, { now: Date.parse("2029-12-31T23:59:59Z") }));
+  assert.equal(store.verify(token, { now: Date.parse("2030-01-01T00:00:00Z") }), null);
+  assert.throws(() => store.create({ name: "bad", scopes: ["logs:read"], expiresAt: "soon" }), /Invalid expiry/);
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { AuditLog, redactArgs } from "../src/audit-log.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+test("redactArgs drops secret-looking keys and summarizes long strings", () => {
+  const out = redactArgs({
+    username: "alice",
+    password: "hunter2",
+    nested: { telegramToken: "123:abc", authChoice: "apiKey", authSecret: "sk-live" },
+    content: "x".repeat(500),
+    list: ["a", { apiKey: "k" }],
+    empty: { token: "" },
+  });
+  assert.equal(out.username, "alice");
+  assert.equal(out.password, "[REDACTED]");
+  assert.equal(out.nested.telegramToken, "[REDACTED]");
+  assert.equal(out.nested.authSecret, "[REDACTED]");
+  assert.equal(out.nested.authChoice, "apiKey");
+  assert.match(out.content, /^\[500 chars, sha256:[0-9a-f]{12}\]$/);
+  assert.deepEqual(out.list, ["a", { apiKey: "[REDACTED]" }]);
+  assert.equal(out.empty.token, "");
+
+  assert.equal(redactArgs("token sk-123", (s) => s.replace(/sk-\d+/, "[X]")), "token [X]");
+});
+
+test("audit log appends, pages newest first and filters", () => {
+  const file = tmpFile("audit-log-test", "audit.jsonl");
+  const log = new AuditLog({ file });
+  for (let i = 0; i < 5; i++) {
+    log.record({ actor: i % 2 ? "olly" : "admin", action: `POST /setup/api/thing${i}`, outcome: i === 4 ? "denied" : "ok" });
+  }
+
+  const page1 = log.query({ limit: 2 });
+  assert.deepEqual(page1.entries.map((e) => e.seq), [5, 4]);
+  assert.equal(page1.next, 4);
+  const page2 = log.query({ limit: 2, before: page1.next });
+  assert.deepEqual(page2.entries.map((e) => e.seq), [3, 2]);
+  const page3 = log.query({ limit: 2, before: page2.next });
+  assert.deepEqual(page3.entries.map((e) => e.seq), [1]);
+  assert.equal(page3.next, null);
+
+  assert.deepEqual(log.query({ actor: "olly" }).entries.map((e) => e.seq), [4, 2]);
+  assert.deepEqual(log.query({ action: "THING3" }).entries.map((e) => e.seq), [4]);
+  assert.deepEqual(log.query({ outcome: "denied" }).entries.map((e) => e.seq), [5]);
+  assert.equal(log.query({ since: "2999-01-01T00:00:00Z" }).entries.length, 0);
+});
+
+test("audit log redacts args on write and resumes seq after a torn line", () => {
+  const file = tmpFile("audit-log-test", "audit.jsonl");
+  const log = new AuditLog({ file });
+  log.record({ actor: "admin", action: "POST /setup/login", args: { body: { username: "admin", password: "pw-secret" } } });
+  assert.ok(!fs.readFileSync(file, "utf8").includes("pw-secret"));
+
+  fs.appendFileSync(file, '{"seq": 2, "at": "2026-'); // crash mid-write
+  const again = new AuditLog({ file });
+  const entry = again.record({ actor: "admin", action: "POST /setup/logout" });
+  assert.equal(entry.seq, 2);
+  assert.deepEqual(again.query().entries.map((e) => e.action), ["POST /setup/logout", "POST /setup/login"]);
+});
@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { AuthCatalogue, STATIC_SECRET_FLAGS, buildCatalogue, parseOnboardHelp, secretFlagFor } from "../src/auth-catalogue.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+const HELP = `Usage: openclaw onboard [options]
+
+Interactive wizard to set up the gateway, workspace, and skills
+
+Options:
+  --workspace <dir>                Agent workspace directory (default: ~/.openclaw/workspace)
+  --non-interactive                Run without prompts (default: false)
+  --auth-choice <choice>           Auth: setup-token|claude-cli|token|openai-codex|openai-api-key|
+                                   openrouter-api-key|apiKey|gemini-api-key|minimax-api|
+                                   venice-api-key|mistral|skip
+  --token <token>                  Token value (non-interactive; used with --auth-choice token)
+  --anthropic-api-key <key>        Anthropic API key
+  --openai-api-key <key>           OpenAI API key
+  --openrouter-api-key <key>       OpenRouter API key
+  --gemini-api-key <key>           Gemini API key
+  --minimax-api-key <key>          MiniMax API key
+  --venice-api-key <key>           Venice API key
+  --mistral-api-key <key>          Mistral API key
+  -h, --help                       display help for command
+`;
+
+test("parseOnboardHelp joins wrapped choices and collects flags", () => {
+  const { choices, flags } = parseOnboardHelp(HELP);
+  assert.deepEqual(choices, [
+    "setup-token", "claude-cli", "token", "openai-codex", "openai-api-key", "openrouter-api-key",
+    "apiKey", "gemini-api-key", "minimax-api", "venice-api-key", "mistral", "skip",
+  ]);
+  assert.ok(flags.includes("--venice-api-key"));
+  assert.ok(flags.includes("--help"));
+  assert.deepEqual(parseOnboardHelp("fake 1.0\n").choices, []);
+});
+
+test("secret flags are derived from names, with static aliases", () => {
+  const { flags } = parseOnboardHelp(HELP);
+  assert.equal(secretFlagFor("venice-api-key", flags), "--venice-api-key");
+  assert.equal(secretFlagFor("apiKey", flags), "--anthropic-api-key");
+  assert.equal(secretFlagFor("minimax-api", flags), "--minimax-api-key");
+  assert.equal(secretFlagFor("mistral", flags), "--mistral-api-key");
+  assert.equal(secretFlagFor("openai-codex", flags), null);
+  // A flag the CLI no longer has is not used.
+  assert.equal(secretFlagFor("zai-api-key", flags), null);
+});
+
+test("buildCatalogue keeps known labels, adds new providers, drops removed ones", () => {
+  const { groups, secretFlags } = buildCatalogue(parseOnboardHelp(HELP));
+  const byId = Object.fromEntries(groups.map((g) => [g.value, g]));
+
+  assert.equal(byId.openai.label, "OpenAI");
+  assert.deepEqual(byId.openai.options.map((o) => o.value), ["openai-codex", "openai-api-key"]);
+  assert.equal(byId.anthropic.options.find((o) => o.value === "apiKey").label, "Anthropic API key");
+  assert.equal(byId.anthropic.options[0].value, "setup-token");
+  assert.deepEqual(byId.venice, {
+    value: "venice", label: "Venice", hint: "API key",
+    options: [{ value: "venice-api-key", label: "Venice API key", flag: "--venice-api-key" }],
+  });
+  assert.equal(byId.mistral.options[0].flag, "--mistral-api-key");
+  assert.equal(byId.zai, undefined);
+  assert.ok(!groups.some((g) => g.options.some((o) => o.value === "skip")));
+  assert.equal(secretFlags.apiKey, "--anthropic-api-key");
+  assert.equal(secretFlags["openai-codex"], undefined);
+});
+
+test("AuthCatalogue caches per version and falls back to the static table", async () => {
+  const file = tmpFile("auth-catalogue-test", "auth-catalogue.json");
+  let calls = 0;
+  let help = HELP;
+  const make = () => new AuthCatalogue({ file, readHelp: async () => (calls++, help) });
+
+  const catalogue = make();
+  const first = await catalogue.get("1.0.0\n");
+  assert.equal(first.source, "discovered");
+  assert.equal(first.version, "1.0.0");
+  assert.equal(await catalogue.get("1.0.0"), first);
+  assert.equal(calls, 1);
+
+  // A restart reads the cache instead of running the CLI.
+  const restarted = await make().get("1.0.0");
+  assert.equal(restarted.source, "cache");
+  assert.equal(restarted.secretFlags["venice-api-key"], "--venice-api-key");
+  assert.equal(calls, 1);
+
+  // A new version whose help can't be parsed gets the static table.
+  help = "error: unknown command 'onboard'";
+  const fallback = await catalogue.get("2.0.0");
+  assert.equal(fallback.source, "static");
+  assert.match(fallback.error, /no --auth-choice/);
+  assert.deepEqual(fallback.secretFlags, STATIC_SECRET_FLAGS);
+  assert.equal(await catalogue.get("2.0.0"), fallback);
+  assert.equal(calls, 2);
+
+  const snap = catalogue.snapshot();
+  assert.equal(snap.source, "static");
+  assert.ok(snap.choices.some((c) => c.value === "apiKey" && c.flag === "--anthropic-api-key" && c.group === "anthropic"));
+});
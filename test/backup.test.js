@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+
+import * as tar from "tar";
+
+import { createBackupStream } from "../src/backup.js";
+import { SecretBox } from "../src/secret-box.js";
+import { TwoFactorStore, totpCode } from "../src/two-factor.js";
+import { tmpDir } from "./helpers/tmp.js";
+
+const KEY = "correct horse battery staple";
+
+// A state dir with a plaintext token, a per-boot token and a 2FA file
+// enrolled through `io`; returns the TOTP secret.
+function seedState(stateDir, io) {
+  fs.writeFileSync(path.join(stateDir, "gateway.token"), "plain-gateway-token");
+  fs.writeFileSync(path.join(stateDir, "wrapper-internal.token"), "per-boot-token");
+  fs.writeFileSync(path.join(stateDir, "openclaw.json"), "{}");
+  const store = new TwoFactorStore({ file: path.join(stateDir, "setup-2fa.json"), io });
+  const secret = store.begin("alice");
+  store.confirm("alice", totpCode(secret, 1_700_000_000_000), 1_700_000_000_000);
+  return secret;
+}
+
+// name (relative to the state dir) → contents, for every file in the archive.
+async function exportFiles(opts) {
+  const root = tmpDir("backup-test");
+  const archive = path.join(root, "backup.tar.gz");
+  await pipeline(createBackupStream(opts), fs.createWriteStream(archive));
+  const out = path.join(root, "out");
+  fs.mkdirSync(out);
+  await tar.x({ file: archive, cwd: out });
+  const stateOut = path.join(out, opts.stateDir);
+  const files = {};
+  for (const name of fs.readdirSync(stateOut)) files[name] = fs.readFileSync(path.join(stateOut, name), "utf8");
+  return files;
+}
+
+function backupOptions(stateDir, secretBox, extra = {}) {
+  return {
+    stateDir,
+    workspaceDir: tmpDir("backup-workspace"),
+    secretBox,
+    secretFiles: ["gateway.token", "setup-2fa.json"].map((f) => path.join(stateDir, f)),
+    skipFiles: [path.join(stateDir, "wrapper-internal.token")],
+    ...extra,
+  };
+}
+
+test("backups carry sealed secret files and leave plaintext ones out", async () => {
+  const stateDir = tmpDir("backup-state");
+  const box = new SecretBox({ key: KEY });
+  const secret = seedState(stateDir, box);
+
+  const files = await exportFiles(backupOptions(stateDir, box));
+  assert.equal(files["openclaw.json"], "{}");
+  assert.ok(files["setup-2fa.json"], "the sealed 2FA file is kept");
+  assert.equal(files["gateway.token"], undefined);
+  assert.equal(files["wrapper-internal.token"], undefined);
+  for (const text of Object.values(files)) assert.ok(!text.includes(secret), "no plaintext TOTP secret in the archive");
+});
+
+test("backups without a key leave the plaintext 2FA file out", async () => {
+  const stateDir = tmpDir("backup-state");
+  const box = new SecretBox();
+  const secret = seedState(stateDir, box);
+
+  const files = await exportFiles(backupOptions(stateDir, box));
+  assert.equal(files["setup-2fa.json"], undefined);
+  for (const text of Object.values(files)) assert.ok(!text.includes(secret));
+
+  // Only the explicit plaintext export carries it.
+  const plain = await exportFiles(backupOptions(stateDir, box, { plaintextSecrets: true }));
+  assert.ok(plain["setup-2fa.json"].includes(secret));
+  assert.equal(plain["gateway.token"], "plain-gateway-token");
+});
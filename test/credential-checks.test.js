@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { CredentialChecker, baseUrlsFromEnv, keyEnvProblem, providerForFlag } from "../src/credential-checks.js";
+
+// One stub standing in for every service, routed by path prefix.
+function startStub() {
+  const server = http.createServer((req, res) => {
+    const auth = req.headers.authorization || "";
+    const json = (status, body, headers = {}) => {
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const url = req.url;
+    if (url === "/tg/botGOOD/getMe") return json(200, { ok: true, result: { username: "my_bot" } });
+    if (url.startsWith("/tg/")) return json(401, { ok: false, description: "Unauthorized" });
+    if (url === "/slack/auth.test") {
+      if (auth === "Bearer xoxb-good") return json(200, { ok: true, user: "bot", team: "T" }, { "x-oauth-scopes": "chat:write,app_mentions:read,channels:history,im:history" });
+      if (auth === "Bearer xoxb-narrow") return json(200, { ok: true, user: "bot", team: "T" }, { "x-oauth-scopes": "chat:write" });
+      return json(200, { ok: false, error: "invalid_auth" });
+    }
+    if (url === "/slack/apps.connections.open") {
+      return json(200, auth === "Bearer xapp-good" ? { ok: true, url: "wss://x" } : { ok: false, error: "not_allowed_token_type" });
+    }
+    if (url.startsWith("/discord/")) {
+      if (!auth.startsWith("Bot good")) return json(401, { message: "401: Unauthorized" });
+      if (url === "/discord/users/@me") return json(200, { id: "1", username: "clawbot" });
+      return json(200, { id: "2", flags: auth === "Bot good-intent" ? 1 << 19 : 0 });
+    }
+    if (url === "/openai/models") {
+      return auth === "Bearer sk-good" ? json(200, { data: [{ id: "gpt-4.1" }] }) : json(401, { error: { message: "bad key" } });
+    }
+    if (url === "/custom/v1/models") return json(200, { data: [{ id: "llama3.1:8b" }, { id: "qwen" }] });
+    return json(404, {});
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, base: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+test("checks telegram, slack, discord, providers and custom endpoints against stubs", async (t) => {
+  const { server, base } = await startStub();
+  t.after(() => server.close());
+  const checker = new CredentialChecker({
+    baseUrls: { telegram: `${base}/tg`, slack: `${base}/slack`, discord: `${base}/discord`, openai: `${base}/openai` },
+    timeoutMs: 2000,
+  });
+
+  assert.deepEqual(await checker.telegram("GOOD"), { ok: true, detail: "bot @my_bot" });
+  assert.match((await checker.telegram("BAD")).error, /rejected the token/);
+
+  assert.equal((await checker.slack({ botToken: "xoxb-good", appToken: "xapp-good" })).ok, true);
+  assert.match((await checker.slack({ botToken: "xoxb-narrow" })).error, /missing scopes: app_mentions:read, channels:history, im:history/);
+  assert.match((await checker.slack({ botToken: "xoxb-bad" })).error, /invalid_auth/);
+  assert.match((await checker.slack({ appToken: "xoxb-good" })).error, /Socket Mode/);
+
+  assert.equal((await checker.discord("good-intent")).ok, true);
+  assert.match((await checker.discord("good-nointent")).error, /MESSAGE CONTENT INTENT off/);
+  assert.match((await checker.discord("bad")).error, /rejected the token/);
+
+  assert.deepEqual(await checker.provider("openai", "sk-good"), { ok: true, detail: "key accepted, 1 models" });
+  assert.match((await checker.provider("openai", "sk-bad")).error, /rejected the key/);
+  assert.equal((await checker.provider("zai", "x")).ok, null);
+
+  assert.deepEqual(await checker.customProvider({ baseUrl: `${base}/custom/v1/`, modelId: "qwen" }), { ok: true, detail: "2 models" });
+  assert.match((await checker.customProvider({ baseUrl: `${base}/custom/v1`, modelId: "mistral" })).error, /not among the 2/);
+});
+
+test("unreachable services are reported without the URL", async () => {
+  const { server, base } = await startStub();
+  await new Promise((resolve) => server.close(resolve));
+  const checker = new CredentialChecker({ baseUrls: { telegram: base }, timeoutMs: 2000 });
+  await assert.rejects(checker.telegram("123:SECRET"), (err) => {
+    assert.match(err.message, /could not reach telegram: ECONNREFUSED/);
+    assert.ok(!err.message.includes("SECRET"));
+    return true;
+  });
+});
+
+test("base URL overrides and flag → provider", () => {
+  assert.deepEqual(baseUrlsFromEnv({ VALIDATE_TELEGRAM_BASE_URL: "http://stub", VALIDATE_NOPE_BASE_URL: "x" }), { telegram: "http://stub" });
+  assert.equal(providerForFlag("--anthropic-api-key"), "anthropic");
+  assert.equal(providerForFlag(undefined), null);
+});
+
+test("keyEnvProblem refuses env vars holding the wrapper's own secrets", () => {
+  assert.equal(keyEnvProblem("OLLAMA_API_KEY"), null);
+  assert.equal(keyEnvProblem("VLLM_TOKEN"), null);
+  for (const name of ["SECRETS_ENCRYPTION_KEY", "SETUP_PASSWORD", "SETUP_SESSION_SECRET", "TS_AUTHKEY", "RAILWAY_OAUTH_CLIENT_SECRET", "CLAWDBOT_GATEWAY_TOKEN"]) {
+    assert.match(keyEnvProblem(name), /holds a wrapper secret/, name);
+  }
+  assert.match(keyEnvProblem("bad-name"), /invalid/);
+});
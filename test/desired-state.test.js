@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  desiredAssignments,
+  diffAssignments,
+  getPath,
+  resolveEnvRefs,
+  validateDesiredState,
+} from "../src/desired-state.js";
+
+const DOC = {
+  auth: { choice: "openai-api-key", secret: { $env: "OPENAI_API_KEY" } },
+  channels: { telegram: { botToken: { $env: "TELEGRAM_BOT_TOKEN" } } },
+  customProviders: { local: { baseUrl: "http://10.0.0.2:8000/v1", apiKeyEnv: "LOCAL_KEY", modelId: "llama" } },
+  plugins: ["voice-call"],
+  config: { "agents.defaults.model.primary": "openai/gpt-4.1", "tools.allow": ["web"] },
+};
+
+const ENV = { OPENAI_API_KEY: "sk-test", TELEGRAM_BOT_TOKEN: " 123:abc " };
+
+test("resolveEnvRefs substitutes env vars and names the missing one", () => {
+  const resolved = resolveEnvRefs(DOC, ENV);
+  assert.equal(resolved.auth.secret, "sk-test");
+  assert.equal(resolved.channels.telegram.botToken, "123:abc");
+  assert.equal(DOC.auth.secret.$env, "OPENAI_API_KEY");
+  assert.throws(() => resolveEnvRefs(DOC, {}), /auth\.secret: env var OPENAI_API_KEY is not set/);
+});
+
+test("validateDesiredState rejects unknown sections and bad ids", () => {
+  assert.equal(validateDesiredState(resolveEnvRefs(DOC, ENV)).plugins[0], "voice-call");
+  assert.throws(() => validateDesiredState([]), /JSON object/);
+  assert.throws(() => validateDesiredState({ gateway: {} }), /unknown section "gateway"/);
+  assert.throws(() => validateDesiredState({ auth: {} }), /auth must be an object with a choice/);
+  assert.throws(() => validateDesiredState({ channels: { "bad id": {} } }), /invalid id "bad id"/);
+  assert.throws(() => validateDesiredState({ customProviders: { x: { baseUrl: "ftp://x" } } }), /customProviders\.x: baseUrl/);
+  assert.throws(() => validateDesiredState({ plugins: "voice-call" }), /plugins must be an array/);
+  assert.throws(() => validateDesiredState({ config: { "a..b": 1 } }), /invalid key "a\.\.b"/);
+});
+
+test("desiredAssignments flattens sections to leaf config keys", () => {
+  const assignments = desiredAssignments(resolveEnvRefs(DOC, ENV), {
+    channelDefaults: { telegram: { enabled: true, dmPolicy: "pairing", dm: { policy: "pairing" } } },
+  });
+  const byPath = Object.fromEntries(assignments.map((a) => [a.path, a.value]));
+  assert.deepEqual(byPath, {
+    "channels.telegram.enabled": true,
+    "channels.telegram.dmPolicy": "pairing",
+    "channels.telegram.dm.policy": "pairing",
+    "channels.telegram.botToken": "123:abc",
+    "models.mode": "merge",
+    "models.providers.local.baseUrl": "http://10.0.0.2:8000/v1",
+    "models.providers.local.api": "openai-completions",
+    "models.providers.local.apiKey": "${LOCAL_KEY}",
+    "models.providers.local.models": [{ id: "llama", name: "llama" }],
+    "plugins.entries.voice-call.enabled": true,
+    "agents.defaults.model.primary": "openai/gpt-4.1",
+    "tools.allow": ["web"],
+  });
+});
+
+test("diffAssignments keeps only keys that differ from the live config", () => {
+  const live = {
+    channels: { telegram: { enabled: true, botToken: "old" } },
+    plugins: { entries: { "voice-call": { enabled: true } } },
+    tools: { allow: ["web"] },
+  };
+  assert.equal(getPath(live, "channels.telegram.botToken"), "old");
+  assert.equal(getPath(live, "channels.telegram.enabled.x"), undefined);
+
+  const changes = diffAssignments(
+    [
+      { path: "channels.telegram.enabled", value: true },
+      { path: "channels.telegram.botToken", value: "new" },
+      { path: "plugins.entries.voice-call.enabled", value: true },
+      { path: "tools.allow", value: ["web"] },
+      { path: "agents.defaults.model.primary", value: "openai/gpt-4.1" },
+    ],
+    live,
+  );
+  assert.deepEqual(changes, [
+    { path: "channels.telegram.botToken", from: "old", to: "new" },
+    { path: "agents.defaults.model.primary", from: undefined, to: "openai/gpt-4.1" },
+  ]);
+});
+
+test("custom providers can't take their key from a wrapper secret", () => {
+  assert.throws(
+    () => validateDesiredState({ customProviders: { x: { baseUrl: "http://x/v1", apiKeyEnv: "SETUP_PASSWORD" } } }),
+    /customProviders\.x: SETUP_PASSWORD holds a wrapper secret/,
+  );
+});
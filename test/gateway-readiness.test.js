@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ReadinessTracker, summarizeChannels } from "../src/gateway-readiness.js";
+import { buildConnectParams, buildDeviceAuthPayload } from "../monitoring/src/gateway-protocol.js";
+
+test("readiness: tracker records stage timings and treats handshake as proxy-ready", () => {
+  const tracker = new ReadinessTracker();
+  assert.equal(tracker.snapshot().stage, "stopped");
+  assert.equal(tracker.snapshot().ready, false);
+
+  tracker.begin();
+  tracker.mark("listening");
+  assert.equal(tracker.snapshot().ready, false);
+  tracker.mark("handshake");
+
+  const snap = tracker.snapshot();
+  assert.equal(snap.stage, "handshake");
+  assert.equal(snap.ready, true);
+  assert.deepEqual(Object.keys(snap.timingsMs), ["listening", "handshake"]);
+  assert.ok(snap.startedAt);
+});
+
+test("readiness: stopped() resets the stage but keeps the last error", () => {
+  const tracker = new ReadinessTracker();
+  tracker.begin();
+  tracker.fail(new Error("handshake failed: nope"));
+  tracker.stopped();
+
+  const snap = tracker.snapshot();
+  assert.equal(snap.stage, "stopped");
+  assert.equal(snap.lastError, "handshake failed: nope");
+  assert.deepEqual(snap.timingsMs, {});
+});
+
+test("readiness: summarizeChannels handles object and array payloads", () => {
+  assert.deepEqual(
+    summarizeChannels({ channels: { telegram: { connected: true }, slack: { status: "connecting" }, discord: { enabled: false } } }),
+    { state: "connecting", connected: ["telegram"], pending: ["slack"] },
+  );
+  assert.deepEqual(summarizeChannels([{ id: "telegram", state: "running" }]), {
+    state: "connected",
+    connected: ["telegram"],
+    pending: [],
+  });
+  assert.equal(summarizeChannels("nope"), null);
+});
+
+test("gateway-protocol: token auth omits device fields; payload format is stable", () => {
+  const client = { id: "gateway-client", displayName: "t", version: "1", platform: "node", mode: "backend" };
+  const params = buildConnectParams({ client, token: "tok" });
+  assert.equal(params.minProtocol, 3);
+  assert.equal(params.auth.token, "tok");
+  assert.equal(params.device, undefined);
+
+  assert.equal(
+    buildDeviceAuthPayload({
+      deviceId: "d", clientId: "c", clientMode: "backend", role: "operator",
+      scopes: ["a", "b"], signedAtMs: 5, token: "t", nonce: "n",
+    }),
+    "v2|d|c|backend|operator|a,b|5|t|n",
+  );
+});
@@ -0,0 +1,12 @@
+// Scratch files and directories for tests, each in a fresh temp dir.
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export function tmpDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+}
+
+export function tmpFile(prefix, name) {
+  return path.join(tmpDir(prefix), name);
+}
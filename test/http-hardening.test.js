@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { bodyLimitFor, crossOriginReason, html, rawHtml, setSecurityHeaders } from "../src/http-hardening.js";
+
+function req(headers, extra = {}) {
+  return { headers, secure: false, ...extra };
+}
+
+function fakeRes() {
+  const headers = {};
+  return { headers, set: (k, v) => { headers[k.toLowerCase()] = v; } };
+}
+
+test("crossOriginReason: Origin, then Referer, then nothing", () => {
+  const host = "app.example.com";
+  assert.equal(crossOriginReason(req({ host, origin: "https://app.example.com" })), null);
+  assert.match(crossOriginReason(req({ host, origin: "https://evil.example" })), /Origin https:\/\/evil\.example/);
+  assert.match(crossOriginReason(req({ host, origin: "null" })), /Origin null/);
+  assert.equal(crossOriginReason(req({ host, referer: "https://app.example.com/setup" })), null);
+  assert.match(crossOriginReason(req({ host, referer: "https://evil.example/x" })), /Referer/);
+  assert.match(crossOriginReason(req({ host, "sec-fetch-site": "cross-site" })), /cross-site/);
+  // Scripts send neither.
+  assert.equal(crossOriginReason(req({ host })), null);
+  // Behind a proxy that rewrites Host.
+  assert.equal(
+    crossOriginReason(req({ host: "127.0.0.1:8080", "x-forwarded-host": "App.Example.com", origin: "https://app.example.com" })),
+    null,
+  );
+});
+
+test("setSecurityHeaders: CSP and framing always, HSTS only over HTTPS", () => {
+  const plain = fakeRes();
+  setSecurityHeaders(req({}), plain, { hstsMaxAge: 100 });
+  assert.match(plain.headers["content-security-policy"], /script-src 'self'/);
+  assert.match(plain.headers["content-security-policy"], /frame-ancestors 'none'/);
+  assert.equal(plain.headers["x-frame-options"], "DENY");
+  assert.equal(plain.headers["x-content-type-options"], "nosniff");
+  assert.equal(plain.headers["strict-transport-security"], undefined);
+
+  const https = fakeRes();
+  setSecurityHeaders(req({ "x-forwarded-proto": "https" }), https, { hstsMaxAge: 100 });
+  assert.equal(https.headers["strict-transport-security"], "max-age=100; includeSubDomains");
+
+  const off = fakeRes();
+  setSecurityHeaders(req({ "x-forwarded-proto": "https" }), off, { hstsMaxAge: 0 });
+  assert.equal(off.headers["strict-transport-security"], undefined);
+});
+
+test("bodyLimitFor matches whole path segments", () => {
+  const rules = [["/setup/api/config/raw", "1mb"], ["/setup/api/run", "64kb"]];
+  assert.equal(bodyLimitFor("/setup/api/config/raw", rules, "32kb"), "1mb");
+  assert.equal(bodyLimitFor("/setup/api/run", rules, "32kb"), "64kb");
+  assert.equal(bodyLimitFor("/setup/api/runaway", rules, "32kb"), "32kb");
+  assert.equal(bodyLimitFor("/setup/api/users", rules, "32kb"), "32kb");
+});
+
+test("html escapes every interpolation unless marked raw", () => {
+  const reason = `<script>alert("x")</script>`;
+  assert.equal(html`<p>${reason}</p>`, "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</p>");
+  assert.equal(html`<ul>${["<a>", rawHtml("<li>ok</li>")]}</ul>`, "<ul>&lt;a&gt;<li>ok</li></ul>");
+  assert.equal(html`<b>${undefined}</b>`, "<b></b>");
+});
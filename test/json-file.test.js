@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { JsonFile, writeFileAtomic } from "../src/json-file.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+test("writeFileAtomic creates the directory and leaves an owner-only file", () => {
+  const file = tmpFile("json-file-test", "nested/state.json");
+  writeFileAtomic(file, "hello");
+  assert.equal(fs.readFileSync(file, "utf8"), "hello");
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["state.json"]);
+});
+
+test("json file: round trip; missing or corrupt files read as null", () => {
+  const store = new JsonFile({ file: tmpFile("json-file-test", "data.json"), tag: "test" });
+  assert.equal(store.read(), null);
+  store.write({ version: 1, items: [1, 2] });
+  assert.deepEqual(store.read(), { version: 1, items: [1, 2] });
+  fs.writeFileSync(store.file, "{not json");
+  assert.equal(store.read(), null);
+});
+
+test("json file: valid() keeps the entries with no problem", () => {
+  const store = new JsonFile({ file: tmpFile("json-file-test", "data.json"), tag: "test" });
+  const entries = [{ id: "a" }, { id: "" }, { id: "b" }];
+  assert.deepEqual(store.valid(entries, (e) => (e.id ? null : "entry with no id")), [{ id: "a" }, { id: "b" }]);
+});
+
+test("json file: the text layer is pluggable", () => {
+  const files = new Map();
+  const io = {
+    readFile: (f) => files.get(f)?.replace(/^sealed:/, "") ?? null,
+    writeFile: (f, text) => files.set(f, `sealed:${text}`),
+  };
+  const store = new JsonFile({ file: "/nowhere/data.json", tag: "test", io });
+  store.write({ a: 1 });
+  assert.match(files.get("/nowhere/data.json"), /^sealed:/);
+  assert.deepEqual(store.read(), { a: 1 });
+});
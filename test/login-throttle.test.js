@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { LoginThrottle } from "../src/login-throttle.js";
+
+const T0 = 1_700_000_000_000;
+
+test("login throttle: consecutive failures back off exponentially; success resets", () => {
+  const t = new LoginThrottle({ baseDelayMs: 1000, maxDelayMs: 4000, ipMaxFailures: 100 });
+
+  assert.equal(t.check("1.2.3.4", T0).allowed, true);
+  assert.equal(t.recordFailure("1.2.3.4", {}, T0).retryAfterMs, 1000);
+  assert.equal(t.check("1.2.3.4", T0 + 500).allowed, false);
+  assert.equal(t.check("1.2.3.4", T0 + 1000).allowed, true);
+
+  assert.equal(t.recordFailure("1.2.3.4", {}, T0 + 1000).retryAfterMs, 2000);
+  assert.equal(t.recordFailure("1.2.3.4", {}, T0 + 3000).retryAfterMs, 4000);
+  assert.equal(t.recordFailure("1.2.3.4", {}, T0 + 7000).retryAfterMs, 4000); // capped
+
+  // Other addresses are unaffected.
+  assert.equal(t.check("5.6.7.8", T0 + 7001).allowed, true);
+
+  t.recordSuccess("1.2.3.4");
+  assert.equal(t.check("1.2.3.4", T0 + 7001).allowed, true);
+});
+
+test("login throttle: per-IP lockout after too many failures in the window", () => {
+  const t = new LoginThrottle({ baseDelayMs: 0, ipMaxFailures: 3, ipLockoutMs: 60_000, windowMs: 10_000 });
+  const events = [];
+  t.on("lockout", (e) => events.push(e));
+
+  t.recordFailure("9.9.9.9", {}, T0);
+  t.recordFailure("9.9.9.9", {}, T0 + 1);
+  const r = t.recordFailure("9.9.9.9", {}, T0 + 2);
+  assert.equal(r.locked, true);
+  assert.equal(r.retryAfterMs, 60_000);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].scope, "ip");
+  assert.equal(events[0].ip, "9.9.9.9");
+
+  const blocked = t.check("9.9.9.9", T0 + 30_000);
+  assert.equal(blocked.allowed, false);
+  assert.match(blocked.reason, /from this address/);
+  assert.equal(t.check("9.9.9.9", T0 + 60_003).allowed, true);
+
+  // Failures spread wider than the window never lock out.
+  const slow = new LoginThrottle({ baseDelayMs: 0, ipMaxFailures: 3, windowMs: 10_000 });
+  for (let i = 0; i < 5; i++) assert.equal(slow.recordFailure("1.1.1.1", {}, T0 + i * 11_000).locked, false);
+});
+
+test("login throttle: global lockout across addresses; snapshot lists recent failures", () => {
+  const t = new LoginThrottle({ baseDelayMs: 0, ipMaxFailures: 100, globalMaxFailures: 5, globalLockoutMs: 30_000 });
+  const events = [];
+  t.on("lockout", (e) => events.push(e));
+  for (let i = 0; i < 5; i++) t.recordFailure(`10.0.0.${i}`, { via: "form", path: "/setup/login" }, T0 + i);
+
+  assert.deepEqual(events.map((e) => e.scope), ["global"]);
+  assert.equal(t.check("203.0.113.7", T0 + 10).allowed, false);
+  assert.equal(t.check("203.0.113.7", T0 + 30_005).allowed, true);
+
+  const snap = t.snapshot(T0 + 10);
+  assert.equal(snap.global.failuresInWindow, 5);
+  assert.ok(snap.global.lockedUntil);
+  assert.equal(snap.recentFailures.length, 5);
+  assert.equal(snap.recentFailures[0].ip, "10.0.0.4"); // newest first
+  assert.equal(snap.recentFailures[0].via, "form");
+  assert.equal(snap.lockouts.length, 1);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { Registry, classifyProxyRoute, statusClass } from "../src/metrics.js";
+
+test("metrics: renders counters, gauges and cumulative histogram buckets", () => {
+  const reg = new Registry();
+  const c = reg.counter("t_requests_total", "Requests.", ["route"]);
+  const g = reg.gauge("t_open", "Open things.", [], (gauge) => gauge.set({}, 3));
+  const h = reg.histogram("t_duration_seconds", "Durations.", ["route"], [0.1, 1]);
+
+  c.inc({ route: 'a"b' });
+  c.inc({ route: 'a"b' }, 2);
+  h.observe({ route: "x" }, 0.05);
+  h.observe({ route: "x" }, 0.5);
+  h.observe({ route: "x" }, 5);
+  assert.ok(g);
+
+  const text = reg.render();
+  assert.match(text, /# TYPE t_requests_total counter/);
+  assert.match(text, /t_requests_total\{route="a\\"b"\} 3/);
+  assert.match(text, /t_open 3/);
+  assert.match(text, /t_duration_seconds_bucket\{route="x",le="0.1"\} 1/);
+  assert.match(text, /t_duration_seconds_bucket\{route="x",le="1"\} 2/);
+  assert.match(text, /t_duration_seconds_bucket\{route="x",le="\+Inf"\} 3/);
+  assert.match(text, /t_duration_seconds_sum\{route="x"\} 5.55/);
+  assert.match(text, /t_duration_seconds_count\{route="x"\} 3/);
+});
+
+test("metrics: duplicate names are rejected", () => {
+  const reg = new Registry();
+  reg.counter("dup_total", "x");
+  assert.throws(() => reg.gauge("dup_total", "y"), /already registered/);
+});
+
+test("metrics: route classes and status classes stay low-cardinality", () => {
+  assert.equal(classifyProxyRoute("/hooks/agent"), "hooks");
+  assert.equal(classifyProxyRoute("/v1/chat/completions"), "openai_api");
+  assert.equal(classifyProxyRoute("/assets/index-abc123.js"), "static");
+  assert.equal(classifyProxyRoute("/openclaw/chat"), "control_ui");
+  assert.equal(statusClass(404), "4xx");
+  assert.equal(statusClass(0), "none");
+});
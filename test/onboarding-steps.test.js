@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { OnboardingSteps, snapshotFiles } from "../src/onboarding-steps.js";
+
+test("steps go pending → running → ok/failed, with redacted output and timings", async () => {
+  const events = [];
+  const steps = new OnboardingSteps({
+    redact: (text) => text.replaceAll("hunter2", "[REDACTED]"),
+    onChange: (step) => events.push(`${step.id}:${step.status}`),
+  });
+  steps.add("onboard", "Run openclaw onboard").add("config", "Set gateway.bind").add("restart", "Restart the gateway");
+  assert.deepEqual(steps.list().map((s) => s.status), ["pending", "pending", "pending"]);
+
+  const r = await steps.run("onboard", "Run openclaw onboard", async () => ({ code: 0, output: "key hunter2 saved" }));
+  assert.equal(r.code, 0);
+  await steps.run("config", "Set gateway.bind", async () => ({ code: 2, output: "boom" }));
+
+  const [onboard, config] = steps.list();
+  assert.equal(onboard.status, "ok");
+  assert.equal(onboard.output, "key [REDACTED] saved");
+  assert.equal(typeof onboard.durationMs, "number");
+  assert.ok(onboard.startedAt);
+  assert.equal(config.status, "failed");
+  assert.deepEqual(steps.failed().map((s) => s.id), ["config"]);
+  assert.deepEqual(events, ["onboard:running", "onboard:ok", "config:running", "config:failed"]);
+});
+
+test("throws fail the step; skipPending covers what never ran", async () => {
+  const steps = new OnboardingSteps();
+  steps.add("a", "A").add("b", "B").add("c", "C");
+  const r = await steps.run("a", "A", async () => {
+    throw new Error("spawn failed");
+  });
+  assert.deepEqual(r, { code: 1, output: "spawn failed" });
+  steps.skip("b", "B", "not supported");
+  steps.skipPending("onboarding did not complete");
+
+  assert.deepEqual(steps.list().map((s) => [s.status, s.output]), [
+    ["failed", "spawn failed"],
+    ["skipped", "not supported"],
+    ["skipped", "onboarding did not complete"],
+  ]);
+  assert.match(steps.transcript(), /^\[failed\] A \(\d+\.\ds\)\nspawn failed\n\n\[skipped\] B\nnot supported/);
+});
+
+test("snapshotFiles restores changed files and removes new ones", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "onboarding-steps-test-"));
+  const existing = path.join(dir, "openclaw.json");
+  const absent = path.join(dir, "moltbot.json");
+  fs.writeFileSync(existing, '{"before":true}', { mode: 0o600 });
+
+  const snap = snapshotFiles([existing, absent]);
+  assert.equal(snap.empty, false);
+  fs.writeFileSync(existing, '{"half":"written"}');
+  fs.writeFileSync(absent, "{}");
+
+  assert.deepEqual(snap.restore(), [`restored ${existing}`, `removed ${absent}`]);
+  assert.equal(fs.readFileSync(existing, "utf8"), '{"before":true}');
+  assert.equal(fs.statSync(existing).mode & 0o777, 0o600);
+  assert.equal(fs.existsSync(absent), false);
+  assert.deepEqual(snap.restore(), [`restored ${existing}`]);
+
+  const none = snapshotFiles([path.join(dir, "clawdbot.json")]);
+  assert.equal(none.empty, true);
+  assert.deepEqual(none.restore(), []);
+});
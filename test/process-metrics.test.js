@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import childProcess from "node:child_process";
+import { once } from "node:events";
+
+import { ProcessMetrics, parseStat } from "../src/process-metrics.js";
+
+test("process-metrics: parseStat copes with spaces and parens in comm", () => {
+  const fields = ["S", "1", ...Array(9).fill("0"), "30", "12", ...Array(6).fill("0"), "5000", "0", "250"];
+  const st = parseStat(`42 (node (worker) x) ${fields.join(" ")}`);
+  assert.equal(st.pid, 42);
+  assert.equal(st.comm, "node (worker) x");
+  assert.equal(st.ppid, 1);
+  assert.equal(st.ticks, 42);
+  assert.equal(st.startTicks, 5000);
+  assert.equal(st.rssPages, 250);
+});
+
+test("process-metrics: samples the process tree and keeps history", { skip: process.platform !== "linux" }, async () => {
+  const child = childProcess.spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"], { stdio: "ignore" });
+  try {
+    // Samples a second apart, so CPU% never hits a zero-length interval.
+    let clock = Date.now();
+    const metrics = new ProcessMetrics({
+      historySize: 2,
+      now: () => (clock += 1000),
+      targets: () => ({ self: process.pid, solo: { pid: process.pid, tree: false }, gone: null }),
+    });
+    metrics.sample();
+    metrics.sample();
+    metrics.sample();
+
+    const snap = metrics.snapshot({ history: true });
+    const self = snap.processes.self;
+    assert.equal(self.running, true);
+    assert.ok(self.pids >= 2, "child should be counted in the tree");
+    assert.equal(snap.processes.solo.pids, 1);
+    assert.ok(self.rssBytes > snap.processes.solo.rssBytes);
+    assert.ok(self.fds > 0);
+    assert.equal(typeof self.cpuPercent, "number");
+    assert.equal(self.history.length, 2);
+    assert.deepEqual(snap.processes.gone, { pid: null, running: false, history: [] });
+  } finally {
+    child.kill();
+    await once(child, "exit");
+  }
+});
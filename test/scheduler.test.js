@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { JobScheduler, nextRun, parseCron } from "../src/scheduler.js";
+
+const at = (iso) => new Date(iso);
+const next = (expr, from) => nextRun(parseCron(expr), at(from))?.toISOString();
+
+test("scheduler: parses fields, steps and shorthands", () => {
+  const c = parseCron("*/15 9-17 * * 1-5");
+  assert.deepEqual([...c.minute], [0, 15, 30, 45]);
+  assert.equal(c.hour.size, 9);
+  assert.equal(c.dowRestricted, true);
+  assert.deepEqual([...parseCron("@daily").hour], [0]);
+  assert.ok(parseCron("0 0 * * 7").dow.has(0), "7 is Sunday too");
+
+  assert.throws(() => parseCron("* * * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /minute/);
+  assert.throws(() => parseCron("* * * * mon"), /day-of-week/);
+});
+
+test("scheduler: nextRun finds the following matching minute", { skip: new Date().getTimezoneOffset() !== 0 }, () => {
+  assert.equal(next("*/15 * * * *", "2026-03-01T10:07:30Z"), "2026-03-01T10:15:00.000Z");
+  assert.equal(next("0 3 * * *", "2026-03-01T03:00:00Z"), "2026-03-02T03:00:00.000Z");
+  assert.equal(next("@monthly", "2026-12-15T00:00:00Z"), "2027-01-01T00:00:00.000Z");
+  // Both day fields restricted → either matches (2026-03-02 is a Monday).
+  assert.equal(next("0 0 15 * 1", "2026-03-01T12:00:00Z"), "2026-03-02T00:00:00.000Z");
+  assert.equal(next("0 0 31 2 *", "2026-01-01T00:00:00Z"), undefined);
+});
+
+test("scheduler: CRUD persists jobs and runNow records history", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "jobs.json");
+  const calls = [];
+  const opts = {
+    file,
+    commands: new Set(["openclaw.doctor", "backup.export"]),
+    run: async (job) => {
+      calls.push(job);
+      return { ok: true, output: "fine" };
+    },
+  };
+
+  const sched = new JobScheduler(opts);
+  assert.throws(() => sched.create({ name: "x", schedule: "@daily", command: "rm -rf" }), /command must be one of/);
+  assert.throws(() => sched.create({ name: "x", schedule: "nope", command: "openclaw.doctor" }), /5 fields/);
+
+  const job = sched.create({ name: "Nightly doctor", schedule: "0 3 * * *", command: "openclaw.doctor" });
+  assert.equal(job.enabled, true);
+  assert.ok(job.nextRunAt);
+
+  const run = await sched.runNow(job.id);
+  assert.equal(run.ok, true);
+  assert.equal(run.trigger, "manual");
+  assert.deepEqual(calls, [{ command: "openclaw.doctor", arg: "" }]);
+
+  const disabled = sched.update(job.id, { enabled: false });
+  assert.equal(disabled.nextRunAt, null);
+  assert.equal(sched.update("missing", {}), null);
+
+  // A fresh scheduler sees the same job, last result and history.
+  const reloaded = new JobScheduler(opts);
+  assert.equal(reloaded.get(job.id).name, "Nightly doctor");
+  assert.equal(reloaded.get(job.id).lastRun.output, "fine");
+  assert.equal(reloaded.history(job.id).length, 1);
+
+  assert.equal(reloaded.remove(job.id), true);
+  assert.equal(reloaded.get(job.id), null);
+});
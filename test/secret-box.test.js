@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { SecretBox, isSealed } from "../src/secret-box.js";
+import { tmpDir } from "./helpers/tmp.js";
+
+const KEY = "correct horse battery staple";
+const OTHER = "another key, at least 16 chars";
+
+test("seal/open round-trips with a fresh data key each time", () => {
+  const box = new SecretBox({ key: KEY });
+  const a = box.seal("s3cret", "gateway.token");
+  const b = box.seal("s3cret", "gateway.token");
+  assert.ok(isSealed(a));
+  assert.notEqual(a, b);
+  assert.ok(!a.includes("s3cret"));
+  assert.equal(box.open(a, "gateway.token"), "s3cret");
+
+  // Bound to the name it was sealed under.
+  assert.throws(() => box.open(a, "railway-oauth.json"), /Could not decrypt/);
+  // Plaintext passes through.
+  assert.equal(box.open("plain", "gateway.token"), "plain");
+  assert.throws(() => new SecretBox({ key: "short" }), /at least 16/);
+});
+
+test("unknown keys are reported by id; previous keys still open", () => {
+  const old = new SecretBox({ key: OTHER });
+  const sealed = old.seal("x", "f");
+  assert.throws(() => new SecretBox({ key: KEY }).open(sealed, "f"), new RegExp(`key ${old.keyId}`));
+  assert.equal(new SecretBox({ key: KEY, previousKeys: [OTHER] }).open(sealed, "f"), "x");
+  assert.throws(() => new SecretBox().open(sealed, "f"), /not configured/);
+});
+
+test("files: write sealed, migrate plaintext, re-seal and unseal", () => {
+  const file = path.join(tmpDir("secret-box-test"), "gateway.token");
+  assert.equal(new SecretBox({ key: KEY }).readFile(file), null);
+  assert.equal(new SecretBox({ key: KEY }).migrateFile(file), "missing");
+
+  fs.writeFileSync(file, "legacy-token");
+  const box = new SecretBox({ key: KEY });
+  assert.equal(box.migrateFile(file), "sealed");
+  assert.ok(isSealed(fs.readFileSync(file, "utf8")));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+  assert.equal(box.readFile(file), "legacy-token");
+  assert.equal(box.migrateFile(file), "unchanged");
+
+  const rotated = new SecretBox({ key: OTHER, previousKeys: [KEY] });
+  assert.equal(rotated.migrateFile(file), "resealed");
+  assert.throws(() => box.readFile(file), /not configured/);
+
+  const off = new SecretBox({ previousKeys: [OTHER] });
+  assert.equal(off.migrateFile(file), "unsealed");
+  assert.equal(fs.readFileSync(file, "utf8"), "legacy-token");
+
+  off.writeFile(file, "plain-again");
+  assert.equal(fs.readFileSync(file, "utf8"), "plain-again");
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { ServiceLogs, buildLineMatcher } from "../src/service-logs.js";
+import { tmpDir } from "./helpers/tmp.js";
+
+test("service logs: ring buffer keeps the newest lines and filters them", () => {
+  const logs = new ServiceLogs({ dir: tmpDir("service-logs"), maxLines: 3, mirror: false });
+  for (const line of ["boot", "error: one", "ok", "error: two"]) logs.append("gateway", "stdout", line);
+  logs.append("gateway", "stderr", "warn");
+
+  assert.deepEqual(logs.query("gateway").map((e) => e.line), ["ok", "error: two", "warn"]);
+  assert.deepEqual(
+    logs.query("gateway", { match: buildLineMatcher({ q: "ERROR" }) }).map((e) => e.line),
+    ["error: two"],
+  );
+  assert.deepEqual(logs.query("gateway", { stream: "stderr" }).map((e) => e.line), ["warn"]);
+  assert.deepEqual(logs.query("gateway", { tail: 1 }).map((e) => e.line), ["warn"]);
+});
+
+test("service logs: persists JSONL, rotates by size, and reads history back", () => {
+  const dir = tmpDir("service-logs");
+  const logs = new ServiceLogs({ dir, maxLines: 2, maxFileBytes: 200, maxFiles: 3, mirror: false });
+  for (let i = 0; i < 10; i++) {
+    logs.append("quartz", "stdout", `line ${i}`);
+    logs.flush();
+  }
+
+  assert.ok(fs.existsSync(path.join(dir, "quartz.log.1")));
+  const older = logs.query("quartz", { since: new Date(0), tail: 100 }).map((e) => e.line);
+  assert.ok(older.length > 2, "history beyond the ring buffer comes from disk");
+  assert.equal(older[older.length - 1], "line 9");
+});
+
+test("service logs: follow() streams new matching lines until unsubscribed", () => {
+  const logs = new ServiceLogs({ dir: tmpDir("service-logs"), mirror: false });
+  const seen = [];
+  const stop = logs.follow("monitor", { match: buildLineMatcher({ regex: "^alert" }) }, (e) => seen.push(e.line));
+
+  logs.append("monitor", "stdout", "alert: disk");
+  logs.append("monitor", "stdout", "noise");
+  logs.append("gateway", "stdout", "alert: other service");
+  stop();
+  logs.append("monitor", "stdout", "alert: after stop");
+
+  assert.deepEqual(seen, ["alert: disk"]);
+});
+
+test("service logs: invalid regex is rejected", () => {
+  assert.throws(() => buildLineMatcher({ regex: "(" }));
+});
+
+test("service logs: redact runs before lines are buffered or persisted", () => {
+  const dir = tmpDir("service-logs");
+  const logs = new ServiceLogs({ dir, mirror: false, redact: (line) => line.replaceAll("hunter2", "[REDACTED]") });
+  logs.append("gateway", "stdout", "password is hunter2");
+  logs.flush();
+
+  assert.equal(logs.query("gateway")[0].line, "password is [REDACTED]");
+  assert.ok(!fs.readFileSync(path.join(dir, "gateway.log"), "utf8").includes("hunter2"));
+});
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { SetupSessions, parseCookies, renderLoginPage, safeEqual, safeNextPath } from "../src/setup-session.js";
+
+test("setup sessions: issue → verify round-trips; tampering, expiry and revocation fail", () => {
+  const sessions = new SetupSessions({ secret: "s3cret", ttlMs: 1000 });
+  const now = 1_700_000_000_000;
+  const { token, session } = sessions.issue("admin", { pwv: 3 }, now);
+
+  const back = sessions.verify(token, now + 10);
+  assert.equal(back.user, "admin");
+  assert.equal(back.pwv, 3);
+  assert.equal(back.csrf, session.csrf);
+
+  // Flip one character of the payload.
+  const [body, mac] = token.split(".");
+  const forged = `${body.slice(0, -1)}${body.endsWith("A") ? "B" : "A"}.${mac}`;
+  assert.equal(sessions.verify(forged, now), null);
+  assert.equal(sessions.verify("garbage", now), null);
+  assert.equal(sessions.verify("", now), null);
+
+  // A different secret (e.g. a new SETUP_PASSWORD) invalidates it.
+  assert.equal(new SetupSessions({ secret: "other" }).verify(token, now), null);
+
+  assert.equal(sessions.verify(token, now + 1000), null);
+
+  sessions.revoke(back, now);
+  assert.equal(sessions.verify(token, now + 10), null);
+});
+
+test("setup sessions: CSRF token must match the session's", () => {
+  const sessions = new SetupSessions({ secret: "s3cret" });
+  const { session } = sessions.issue("admin");
+  assert.equal(sessions.checkCsrf(session, session.csrf), true);
+  assert.equal(sessions.checkCsrf(session, "nope"), false);
+  assert.equal(sessions.checkCsrf(session, undefined), false);
+  assert.equal(sessions.checkCsrf(null, session.csrf), false);
+});
+
+test("parseCookies / safeEqual", () => {
+  assert.deepEqual(parseCookies('a=1; b="two"; c=x%20y; a=ignored'), { a: "1", b: "two", c: "x y" });
+  assert.deepEqual(parseCookies(undefined), {});
+  assert.equal(safeEqual("abc", "abc"), true);
+  assert.equal(safeEqual("abc", "abcd"), false);
+});
+
+test("safeNextPath only allows /setup paths", () => {
+  assert.equal(safeNextPath("/setup/api/debug"), "/setup/api/debug");
+  assert.equal(safeNextPath("https://evil.example/"), "/setup");
+  assert.equal(safeNextPath("//evil.example/setup"), "/setup");
+  assert.equal(safeNextPath("/setup\\@evil"), "/setup");
+  assert.equal(safeNextPath("/setup/login"), "/setup");
+  assert.equal(safeNextPath(undefined), "/setup");
+});
+
+test("renderLoginPage escapes the error and next values", () => {
+  const html = renderLoginPage({ error: "<b>bad</b>", next: '/setup"><script>' });
+  assert.match(html, /&lt;b&gt;bad&lt;\/b&gt;/);
+  assert.ok(!html.includes('"><script>'));
+});
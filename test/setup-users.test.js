@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { UserStore, hashPassword, roleAtLeast, verifyPassword } from "../src/setup-users.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+test("roleAtLeast orders viewer < operator < admin", () => {
+  assert.equal(roleAtLeast("admin", "operator"), true);
+  assert.equal(roleAtLeast("operator", "operator"), true);
+  assert.equal(roleAtLeast("viewer", "operator"), false);
+  assert.equal(roleAtLeast("operator", "admin"), false);
+  assert.equal(roleAtLeast(undefined, "viewer"), false);
+  assert.equal(roleAtLeast("root", "viewer"), false);
+});
+
+test("password hashes verify only the right password", async () => {
+  const hash = await hashPassword("correct horse");
+  assert.match(hash, /^scrypt\$/);
+  assert.equal(await verifyPassword("correct horse", hash), true);
+  assert.equal(await verifyPassword("wrong horse", hash), false);
+  assert.equal(await verifyPassword("anything", "garbage"), false);
+});
+
+test("user store: create, verify, update, remove, and persist without plaintext", async () => {
+  const file = tmpFile("setup-users-test", "setup-users.json");
+  const store = new UserStore({ file });
+
+  const alice = await store.create({ username: "Alice", password: "alice-password", role: "operator" });
+  assert.equal(alice.username, "alice");
+  assert.equal(alice.passwordHash, undefined);
+  assert.equal(alice.passwordVersion, 1);
+
+  assert.equal((await store.verify("alice", "alice-password")).role, "operator");
+  assert.equal(await store.verify("alice", "nope-nope-nope"), null);
+  assert.equal(await store.verify("bob", "alice-password"), null);
+
+  const raw = fs.readFileSync(file, "utf8");
+  assert.ok(!raw.includes("alice-password"));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const promoted = await store.update("alice", { role: "admin" });
+  assert.equal(promoted.role, "admin");
+  assert.equal(promoted.passwordVersion, 1);
+  const rotated = await store.update("alice", { password: "a-new-password" });
+  assert.equal(rotated.passwordVersion, 2);
+  assert.equal(await store.verify("alice", "alice-password"), null);
+
+  // Reload from disk.
+  const again = new UserStore({ file });
+  assert.equal(again.get("alice").role, "admin");
+  assert.equal((await again.verify("alice", "a-new-password")).username, "alice");
+
+  assert.equal(again.remove("alice"), true);
+  assert.equal(again.remove("alice"), false);
+  assert.equal(await again.update("alice", { role: "viewer" }), null);
+});
+
+test("user store: validation", async () => {
+  const store = new UserStore({ file: tmpFile("setup-users-test", "setup-users.json") });
+  await assert.rejects(store.create({ username: "admin", password: "long-enough-pw", role: "admin" }), /reserved/);
+  await assert.rejects(store.create({ username: "x y", password: "long-enough-pw", role: "viewer" }), /username/);
+  await assert.rejects(store.create({ username: "carol", password: "short", role: "viewer" }), /at least 10/);
+  await assert.rejects(store.create({ username: "carol", password: "long-enough-pw", role: "root" }), /role must be/);
+  await store.create({ username: "carol", password: "long-enough-pw", role: "viewer" });
+  await assert.rejects(store.create({ username: "carol", password: "long-enough-pw", role: "viewer" }), /already exists/);
+});
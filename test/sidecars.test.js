@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+
+import { Sidecars, expandTemplate, loadManifest } from "../src/sidecars.js";
+import { Supervisor } from "../src/supervisor.js";
+import { tmpDir } from "./helpers/tmp.js";
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+const BASE = {
+  services: {
+    web: { command: "node", args: ["web.js"], port: "${WEB_PORT}", health: { path: "/healthz" } },
+    kb: { command: "npx", args: ["serve"], port: "9000", tailscalePath: "/kb" },
+  },
+};
+
+test("loadManifest: the state-dir override merges per field, disables and adds services", () => {
+  const dir = tmpDir("sidecars-test");
+  const baseFile = writeJson(path.join(dir, "base.json"), BASE);
+  const overrideFile = writeJson(path.join(dir, "override.json"), {
+    services: {
+      web: { args: ["web.js", "--verbose"] },
+      kb: { enabled: false },
+      extra: { command: "sleep", args: ["60"] },
+    },
+  });
+
+  const { services, sources } = loadManifest({ baseFile, overrideFile });
+  assert.deepEqual(services.web.args, ["web.js", "--verbose"]);
+  assert.equal(services.web.port, "${WEB_PORT}"); // untouched fields survive
+  assert.equal(services.kb.enabled, false);
+  assert.equal(services.extra.command, "sleep");
+  assert.deepEqual(sources, [baseFile, overrideFile]);
+
+  // A missing override is fine.
+  assert.deepEqual(loadManifest({ baseFile, overrideFile: path.join(dir, "nope.json") }).sources, [baseFile]);
+});
+
+test("loadManifest: rejects unknown fields and services without a command", () => {
+  const dir = tmpDir("sidecars-test");
+  const baseFile = writeJson(path.join(dir, "base.json"), BASE);
+  const typo = writeJson(path.join(dir, "typo.json"), { services: { web: { dependOn: ["x"] } } });
+  assert.throws(() => loadManifest({ baseFile, overrideFile: typo }), /unknown field "dependOn"/);
+  const empty = writeJson(path.join(dir, "empty.json"), { services: { extra: { port: "1" } } });
+  assert.throws(() => loadManifest({ baseFile, overrideFile: empty }), /command is required/);
+});
+
+test("expandTemplate: substitutes variables and fails on unknown ones", () => {
+  assert.equal(expandTemplate("http://localhost:${PORT}/x", { PORT: 8080 }), "http://localhost:8080/x");
+  assert.equal(expandTemplate("no vars", {}), "no vars");
+  assert.throws(() => expandTemplate("${NOPE}", {}), /Unknown variable \$\{NOPE\}/);
+});
+
+test("the shipped config/services.json is valid", () => {
+  const { services } = loadManifest({ baseFile: path.resolve("config/services.json") });
+  assert.deepEqual(Object.keys(services).sort(), ["monitor", "quartz", "silverbullet", "vault-auth-proxy"]);
+  assert.deepEqual(services.monitor.dependsOn, ["gateway"]);
+});
+
+test("sidecars: skips unmet requirements, waits for external deps, starts and probes health", async (t) => {
+  const port = await freePort();
+  const sup = new Supervisor();
+  const exposed = [];
+  let gatewayReady = false;
+
+  const sidecars = new Sidecars({
+    manifest: {
+      services: {
+        web: {
+          command: process.execPath,
+          args: ["-e", "require('http').createServer((q, r) => r.end('ok')).listen(Number(process.env.PORT), '127.0.0.1')"],
+          port: "${WEB_PORT}",
+          env: { PORT: "${WEB_PORT}" },
+          health: { path: "/healthz", timeoutMs: 10_000 },
+          tailscalePath: "/web",
+          dependsOn: ["gateway"],
+        },
+        missing: { command: "definitely-not-installed-xyz", requires: { commands: ["definitely-not-installed-xyz"] } },
+        off: { enabled: false, command: "true" },
+      },
+      sources: [],
+    },
+    supervisor: sup,
+    appDir: process.cwd(),
+    stdio: "ignore",
+    vars: () => ({ WEB_PORT: port }),
+    expose: async (name, mountPath, p) => {
+      exposed.push([name, mountPath, p]);
+      return true;
+    },
+    isExternalReady: (dep) => dep === "gateway" && gatewayReady,
+  });
+  t.after(() => sup.stopAll());
+
+  assert.equal(sup.has("off"), false);
+
+  await sidecars.startAll();
+  let st = sidecars.status();
+  assert.equal(st.web.skipped, "waiting for gateway");
+  assert.equal(sup.isRunning("web"), false);
+  assert.match(st.missing.skipped, /not found on PATH/);
+
+  gatewayReady = true;
+  await sidecars.startAll();
+  st = sidecars.status();
+  assert.equal(st.web.health, "healthy");
+  assert.equal(st.web.port, port);
+  assert.equal(st.web.exposed, true);
+  assert.deepEqual(exposed, [["web", "/web", port]]);
+
+  // Already healthy: a second pass is a no-op.
+  await sidecars.startAll();
+  assert.equal(exposed.length, 1);
+});
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import childProcess from "node:child_process";
+import { once } from "node:events";
+
+import { Supervisor, terminate } from "../src/supervisor.js";
+
+function nodeProc(code) {
+  return childProcess.spawn(process.execPath, ["-e", code], { stdio: "ignore" });
+}
+
+const fast = { backoffBaseMs: 10, backoffMaxMs: 20, crashWindowMs: 60_000, crashMaxRestarts: 2 };
+
+test("supervisor: on-failure restarts a crashing child, then flags a crash loop", async () => {
+  const sup = new Supervisor(fast);
+  let spawns = 0;
+  sup.register("crasher", {
+    restart: "on-failure",
+    spawn: () => {
+      spawns++;
+      return nodeProc("process.exit(3)");
+    },
+  });
+
+  sup.start("crasher");
+  await once(sup, "crash-loop");
+
+  const st = sup.status("crasher");
+  assert.equal(spawns, 3);
+  assert.equal(st.restarts, 2);
+  assert.equal(st.state, "crash-loop");
+  assert.equal(st.crashLoop, true);
+  assert.equal(st.lastExit.code, 3);
+});
+
+test("supervisor: on-failure leaves a clean exit alone", async () => {
+  const sup = new Supervisor(fast);
+  sup.register("oneshot", { restart: "on-failure", spawn: () => nodeProc("process.exit(0)") });
+
+  sup.start("oneshot");
+  await once(sup, "exit");
+
+  assert.equal(sup.status("oneshot").state, "stopped");
+  assert.equal(sup.status("oneshot").restarts, 0);
+});
+
+test("supervisor: stop() is intentional and does not trigger a restart", async () => {
+  const sup = new Supervisor(fast);
+  sup.register("sleeper", { restart: "always", spawn: () => nodeProc("setInterval(() => {}, 1000)") });
+
+  sup.start("sleeper");
+  assert.equal(sup.isRunning("sleeper"), true);
+  await sup.stop("sleeper");
+
+  assert.equal(sup.isRunning("sleeper"), false);
+  assert.equal(sup.status("sleeper").state, "stopped");
+  assert.equal(sup.status("sleeper").restarts, 0);
+});
+
+test("supervisor: rejects unknown restart policies", () => {
+  const sup = new Supervisor();
+  assert.throws(() => sup.register("x", { restart: "sometimes", spawn: () => null }), /Invalid restart policy/);
+});
+
+test("supervisor: stopTiers puts dependents before their dependencies", () => {
+  const sup = new Supervisor();
+  sup.register("gateway", { spawn: () => null });
+  sup.register("monitor", { spawn: () => null, dependsOn: ["gateway"] });
+  sup.register("silverbullet", { spawn: () => null });
+  sup.register("vault-auth-proxy", { spawn: () => null, dependsOn: ["silverbullet"] });
+
+  assert.deepEqual(sup.stopTiers(), [["monitor", "vault-auth-proxy"], ["gateway", "silverbullet"]]);
+});
+
+test("supervisor: stopAll waits for running children and reports timings", async () => {
+  const sup = new Supervisor(fast);
+  sup.register("base", { restart: "always", spawn: () => nodeProc("setInterval(() => {}, 1000)") });
+  sup.register("child", { restart: "always", dependsOn: ["base"], spawn: () => nodeProc("setInterval(() => {}, 1000)") });
+  sup.start("base");
+  sup.start("child");
+
+  const timings = await sup.stopAll({ timeoutMs: 2000 });
+
+  assert.deepEqual(Object.keys(timings).sort(), ["base", "child"]);
+  assert.equal(sup.isRunning("base"), false);
+  assert.equal(sup.isRunning("child"), false);
+});
+
+test("supervisor: adopt() swaps in a new process and detaches the old one", async () => {
+  const sup = new Supervisor(fast);
+  sup.register("gw", { restart: "always", spawn: () => nodeProc("setInterval(() => {}, 1000)") });
+  const blue = sup.start("gw");
+  const green = nodeProc("setInterval(() => {}, 1000)");
+
+  const previous = sup.adopt("gw", green);
+  assert.equal(previous, blue);
+  assert.equal(sup.get("gw"), green);
+
+  // The detached process exiting must not look like a crash.
+  await terminate(previous);
+  assert.equal(sup.status("gw").state, "running");
+  assert.equal(sup.status("gw").restarts, 0);
+
+  await sup.stop("gw");
+  assert.equal(sup.isRunning("gw"), false);
+});
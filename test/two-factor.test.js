@@ -0,0 +1,100 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { SecretBox, isSealed } from "../src/secret-box.js";
+import { TwoFactorStore, base32Decode, base32Encode, matchTotp, otpauthUri, totpCode } from "../src/two-factor.js";
+import { tmpFile } from "./helpers/tmp.js";
+
+// RFC 6238 appendix B (SHA-1), truncated to 6 digits.
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+test("base32 round-trips", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(base32Decode("gezd gnbv-gy3t qojq====").toString(), "1234567890");
+  assert.throws(() => base32Decode("not base32!"), /Invalid base32/);
+});
+
+test("totp codes match the RFC 6238 vectors", () => {
+  assert.equal(totpCode(RFC_SECRET, 59_000), "287082");
+  assert.equal(totpCode(RFC_SECRET, 1_111_111_109_000), "081804");
+  assert.equal(totpCode(RFC_SECRET, 1_234_567_890_000), "005924");
+});
+
+test("matchTotp allows one step of drift and refuses replays", () => {
+  const now = 1_234_567_890_000;
+  const step = Math.floor(now / 30_000);
+  assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, now), { now }), step);
+  assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, now - 30_000), { now }), step - 1);
+  assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, now - 90_000), { now }), null);
+  assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, now), { now, afterStep: step }), null);
+  assert.equal(matchTotp(RFC_SECRET, "12345", { now }), null);
+  assert.equal(matchTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test("otpauthUri encodes issuer and account", () => {
+  const uri = otpauthUri({ secret: "ABC", account: "alice", issuer: "OpenClaw x" });
+  assert.match(uri, /^otpauth:\/\/totp\/OpenClaw%20x%3Aalice\?secret=ABC&issuer=OpenClaw\+x/);
+});
+
+test("two-factor store: enroll, verify, recovery codes, persistence", () => {
+  const file = tmpFile("two-factor-test", "setup-2fa.json");
+  const store = new TwoFactorStore({ file });
+  const t0 = 1_700_000_000_000;
+
+  assert.equal(store.isEnabled("alice"), false);
+  assert.throws(() => store.confirm("alice", "123456", t0), /No enrollment/);
+
+  const secret = store.begin("alice");
+  assert.equal(store.isEnabled("alice"), false); // not until confirmed
+  assert.equal(store.status("alice").pending, true);
+  assert.throws(() => store.confirm("alice", "000000", t0), /doesn't match/);
+
+  const codes = store.confirm("alice", totpCode(secret, t0), t0);
+  assert.equal(codes.length, 10);
+  assert.equal(store.isEnabled("alice"), true);
+  assert.throws(() => store.begin("alice"), /already on/);
+
+  // The enrollment code can't be replayed at login; the next step's can.
+  assert.equal(store.verify("alice", totpCode(secret, t0), t0), null);
+  assert.equal(store.verify("alice", totpCode(secret, t0 + 30_000), t0 + 30_000), "totp");
+
+  // Recovery codes work once, case and dash-insensitively.
+  assert.equal(store.verify("alice", codes[0].toUpperCase().replace("-", ""), t0), "recovery");
+  assert.equal(store.verify("alice", codes[0], t0), null);
+  assert.equal(store.status("alice").recoveryCodesLeft, 9);
+  assert.equal(store.verify("alice", "", t0), null);
+
+  const raw = fs.readFileSync(file, "utf8");
+  assert.ok(!raw.includes(codes[1]));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const again = new TwoFactorStore({ file });
+  assert.equal(again.isEnabled("alice"), true);
+  assert.equal(again.verify("alice", codes[1], t0), "recovery");
+  const fresh = again.regenerateRecoveryCodes("alice");
+  assert.equal(again.verify("alice", codes[2], t0), null);
+  assert.equal(again.verify("alice", fresh[0], t0), "recovery");
+
+  assert.equal(again.remove("alice"), true);
+  assert.equal(again.isEnabled("alice"), false);
+  assert.equal(again.remove("alice"), false);
+});
+
+test("two-factor store: sealed through a SecretBox; an unopenable file is an error", () => {
+  const file = tmpFile("two-factor-test", "setup-2fa.json");
+  const box = new SecretBox({ key: "correct horse battery staple" });
+  const store = new TwoFactorStore({ file, io: box });
+  const t0 = 1_700_000_000_000;
+  const secret = store.begin("alice");
+  store.confirm("alice", totpCode(secret, t0), t0);
+
+  const raw = fs.readFileSync(file, "utf8");
+  assert.ok(isSealed(raw));
+  assert.ok(!raw.includes(secret));
+  assert.equal(new TwoFactorStore({ file, io: box }).isEnabled("alice"), true);
+
+  // Losing the key must not quietly turn 2FA off.
+  assert.throws(() => new TwoFactorStore({ file, io: new SecretBox({ key: "another key, at least 16 chars" }) }), /could not read .*not configured/);
+  assert.throws(() => new TwoFactorStore({ file, io: new SecretBox() }), /not configured/);
+});
@@ -0,0 +1,17 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { escapeHtml, renderWaitingRoom } from "../src/waiting-room.js";
+
+test("waiting-room: escapes HTML", () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), "&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;");
+});
+
+test("waiting-room: page refreshes and marks the current boot stage", () => {
+  const html = renderWaitingRoom({ stage: "listening", state: "running", lastError: "<boom>", retryAfterSec: 7 });
+  assert.match(html, /http-equiv="refresh" content="7"/);
+  assert.match(html, /<li class="done">✓ listening<\/li>/);
+  assert.match(html, /<li class="current">… handshake<\/li>/);
+  assert.match(html, /&lt;boom&gt;/);
+  assert.doesNotMatch(html, /<boom>/);
+});